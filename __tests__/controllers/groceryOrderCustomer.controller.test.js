@@ -0,0 +1,110 @@
+jest.mock('../../src/models/GroceryOrder.model', () => {
+  const GroceryOrder = jest.fn(function (doc) {
+    Object.assign(this, doc, { _id: '65f0000000000000000000c2' });
+    this.save = jest.fn().mockResolvedValue(this);
+    this.populate = jest.fn().mockResolvedValue(this);
+    this.toObject = () => ({ ...doc });
+  });
+  GroceryOrder.countDocuments = jest.fn().mockResolvedValue(0);
+  return GroceryOrder;
+});
+jest.mock('../../src/models/GroceryProduct.model', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/GrocerySettings.model', () => ({ get: jest.fn() }));
+jest.mock('../../src/models/GroceryBundle.model', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/services/coupon.service', () => ({
+  validateAndCompute: jest.fn(), redeem: jest.fn(), release: jest.fn(),
+}));
+jest.mock('../../src/services/groceryStock.service', () => ({ reserveItems: jest.fn(), releaseItems: jest.fn() }));
+jest.mock('../../src/services/deliveryZone.service', () => ({ checkServiceability: jest.fn() }));
+jest.mock('../../src/services/deliveryFee.service', () => ({ buildFeeContext: jest.fn(), quoteFee: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+
+const GroceryProduct = require('../../src/models/GroceryProduct.model');
+const GrocerySettings = require('../../src/models/GrocerySettings.model');
+const GroceryBundle = require('../../src/models/GroceryBundle.model');
+const couponService = require('../../src/services/coupon.service');
+const stockService = require('../../src/services/groceryStock.service');
+const deliveryZoneService = require('../../src/services/deliveryZone.service');
+const deliveryFeeService = require('../../src/services/deliveryFee.service');
+const walletService = require('../../src/services/wallet.service');
+const { quote, createOrder } = require('../../src/controllers/groceryOrderCustomer.controller');
+
+const USER = '65f0000000000000000000a1';
+const RICE = {
+  _id: '65f0000000000000000000d1',
+  name: 'Basmati Rice',
+  variants: [{ _id: '65f0000000000000000000e1', label: '1 kg', mrp: 140, sellingPrice: 120, isAvailable: true, stock: 20 }],
+};
+
+const mockRes = () => {
+  const r = {};
+  r.status = jest.fn().mockReturnValue(r);
+  r.json = jest.fn().mockReturnValue(r);
+  return r;
+};
+
+// Runs a handler and returns the status it set (200 if none) and its JSON body.
+const call = async (handler, body) => {
+  const res = mockRes();
+  await handler({ user: { userId: USER }, body }, res);
+  return { status: res.status.mock.calls[0]?.[0] || 200, body: res.json.mock.calls[0][0] };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  GroceryProduct.find.mockResolvedValue([RICE]);
+  GrocerySettings.get.mockResolvedValue({ taxRate: 0.05, minOrderValue: 100, getOpenStatus: () => ({ isOpen: true, message: '' }) });
+  GroceryBundle.findOne.mockReturnValue({
+    lean: () => Promise.resolve({ slug: 'rice-pack', name: 'Rice Pack', regularPrice: 360, bundlePrice: 330 }),
+  });
+  deliveryZoneService.checkServiceability.mockResolvedValue({ serviceable: true, zone: { name: 'Central' }, minOrderValue: null });
+  deliveryFeeService.buildFeeContext.mockResolvedValue({});
+  deliveryFeeService.quoteFee.mockReturnValue({ fee: 30, base: 30, source: 'base' });
+  couponService.validateAndCompute.mockResolvedValue({ code: 'SAVE10', discount: 36, freeDelivery: false, type: 'PERCENTAGE' });
+  couponService.redeem.mockResolvedValue({});
+  stockService.reserveItems.mockResolvedValue([]);
+  jest.spyOn(walletService, 'getWalletBalance').mockResolvedValue(1000);
+  jest.spyOn(walletService, 'debitWallet').mockResolvedValue({ newBalance: 850 });
+});
+
+describe('quote', () => {
+  const cart = {
+    items: [{ productId: RICE._id, variantId: RICE.variants[0]._id, quantity: 3 }],
+    orderType: 'DELIVERY',
+    deliveryAddress: { street: '1 MG Road', city: 'Gaya', pincode: '823001' },
+    paymentMethod: 'CASH',
+    couponCode: 'SAVE10',
+    bundleSlug: 'rice-pack',
+    walletUsed: 150,
+  };
+
+  it('charges what createOrder charges for the same cart', async () => {
+    const quoted = await call(quote, cart);
+    const created = await call(createOrder, cart);
+
+    expect(quoted.status).toBe(200);
+    expect(created.status).toBe(201);
+    const order = created.body.data;
+    expect(quoted.body.data).toMatchObject({
+      subtotal: order.subtotal,
+      tax: order.tax,
+      delivery: order.delivery,
+      couponDiscount: order.couponApplied.discount,
+      bundleDiscount: order.bundleApplied.discount,
+      total: order.totalAmount,
+      payable: order.totalAmount - order.walletUsed,
+    });
+    expect(quoted.body.data.wallet.applied).toBe(order.walletUsed);
+    expect(quoted.body.data).toMatchObject({ delivery: 30, couponDiscount: 36, bundleDiscount: 30 });
+  });
+
+  it('reports the wallet cap the order would enforce', async () => {
+    const greedy = { ...cart, walletUsed: 300 };
+    const quoted = await call(quote, greedy);
+    const created = await call(createOrder, greedy);
+
+    expect(quoted.body.data.wallet).toMatchObject({ applied: 0, error: expect.stringMatching(/cannot exceed/) });
+    expect(created.status).toBe(400);
+    expect(created.body.message).toBe(quoted.body.data.wallet.error);
+  });
+});
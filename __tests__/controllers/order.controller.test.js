@@ -0,0 +1,115 @@
+jest.mock('../../src/models/Order.model', () => {
+  const Order = jest.fn(function (doc) {
+    Object.assign(this, doc, { _id: '65f0000000000000000000c1' });
+    this.save = jest.fn().mockResolvedValue(this);
+    this.populate = jest.fn().mockResolvedValue(this);
+  });
+  Order.findOne = jest.fn(() => ({ sort: () => Promise.resolve(null) }));
+  Order.countDocuments = jest.fn().mockResolvedValue(0);
+  return Order;
+});
+jest.mock('../../src/models/MenuItem.model', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/Restaurant.model', () => ({ getRestaurant: jest.fn() }));
+jest.mock('../../src/services/coupon.service', () => ({
+  validateAndCompute: jest.fn(), redeem: jest.fn(), release: jest.fn(),
+}));
+jest.mock('../../src/services/deliveryZone.service', () => ({ checkServiceability: jest.fn() }));
+jest.mock('../../src/services/deliveryFee.service', () => ({ buildFeeContext: jest.fn() }));
+jest.mock('../../src/services/referral.service', () => ({ processReferralReward: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+
+const MenuItem = require('../../src/models/MenuItem.model');
+const Restaurant = require('../../src/models/Restaurant.model');
+const couponService = require('../../src/services/coupon.service');
+const deliveryZoneService = require('../../src/services/deliveryZone.service');
+const deliveryFeeService = require('../../src/services/deliveryFee.service');
+const referralService = require('../../src/services/referral.service');
+const walletService = require('../../src/services/wallet.service');
+const orderController = require('../../src/controllers/order.controller');
+
+const USER = '65f0000000000000000000a1';
+const PANEER = {
+  _id: '65f0000000000000000000b1',
+  name: 'Paneer Tikka',
+  price: 240,
+  discount: 0,
+  taxClass: 'RESTAURANT',
+  isAvailable: true,
+  addons: [{ name: 'Extra Cheese', price: 30 }],
+  category: null,
+};
+
+const mockRes = () => {
+  const r = {};
+  r.status = jest.fn().mockReturnValue(r);
+  r.json = jest.fn().mockReturnValue(r);
+  return r;
+};
+
+// Runs a handler and returns the status it set (200 if none) and its JSON body.
+const call = async (handler, body) => {
+  const res = mockRes();
+  await handler({ user: { userId: USER }, body }, res);
+  return { status: res.status.mock.calls[0]?.[0] || 200, body: res.json.mock.calls[0][0] };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  MenuItem.find.mockReturnValue({ populate: () => Promise.resolve([PANEER]) });
+  Restaurant.getRestaurant.mockResolvedValue({ getOpenStatus: () => ({ isOpen: true, message: '' }) });
+  deliveryZoneService.checkServiceability.mockResolvedValue({ serviceable: true, zone: { name: 'Central' }, minOrderValue: null });
+  deliveryFeeService.buildFeeContext.mockResolvedValue({
+    rules: { baseFee: 40, distanceSlabs: [], subtotalSlabs: [], surgeWindows: [] },
+    distanceKm: null,
+    zoneFee: null,
+    freeDeliveryTier: null,
+  });
+  couponService.validateAndCompute.mockResolvedValue({ code: 'SAVE50', discount: 50, freeDelivery: false, type: 'FLAT' });
+  couponService.redeem.mockResolvedValue({});
+  referralService.processReferralReward.mockResolvedValue();
+  jest.spyOn(walletService, 'getWalletBalance').mockResolvedValue(1000);
+  jest.spyOn(walletService, 'debitWallet').mockResolvedValue({ newBalance: 700 });
+});
+
+describe('quote', () => {
+  const cart = {
+    items: [{ menuItem: PANEER._id, quantity: 2, addons: [{ name: 'Extra Cheese', price: 0 }] }],
+    orderType: 'DELIVERY',
+    deliveryAddress: { street: '1 MG Road', city: 'Gaya', pincode: '823001' },
+    paymentMethod: 'UPI',
+    couponCode: 'SAVE50',
+    walletUsed: 200,
+  };
+
+  it('charges what createOrder charges for the same cart', async () => {
+    const quote = await call(orderController.quote, cart);
+    const created = await call(orderController.createOrder, cart);
+
+    expect(quote.status).toBe(200);
+    expect(created.status).toBe(201);
+    const { bill, paymentBreakdown } = created.body.data;
+    expect(quote.body.data).toMatchObject({
+      subtotal: bill.itemTotal,
+      tax: bill.tax,
+      packaging: bill.packaging,
+      delivery: bill.delivery,
+      couponDiscount: bill.couponDiscount,
+      total: paymentBreakdown.total,
+      payable: paymentBreakdown.amountPayable,
+    });
+    expect(quote.body.data.wallet.applied).toBe(paymentBreakdown.walletUsed);
+    expect(quote.body.data.delivery).toBe(40);
+    expect(quote.body.data.couponDiscount).toBe(50);
+    expect(quote.body.data).not.toHaveProperty('bundleDiscount'); // food has no bundles
+  });
+
+  it('reports the wallet cap the order would enforce', async () => {
+    const greedy = { ...cart, walletUsed: 900 };
+    const quote = await call(orderController.quote, greedy);
+    const created = await call(orderController.createOrder, greedy);
+
+    expect(quote.body.data.wallet).toMatchObject({ applied: 0, error: expect.stringMatching(/cannot exceed/) });
+    expect(created.status).toBe(400);
+    expect(created.body.message).toBe(quote.body.data.wallet.error);
+  });
+});
@@ -25,4 +25,21 @@ describe('GroceryProduct schema', () => {
     });
     await expect(p.validate()).resolves.toBeUndefined();
   });
+
+  it('leaves stock untracked by default', () => {
+    const p = new GroceryProduct({
+      name: 'Atta', image: 'x.jpg', category: new mongoose.Types.ObjectId(),
+      variants: [{ label: '1kg', mrp: 55, sellingPrice: 52 }]
+    });
+    expect(p.variants[0].stock).toBeNull();
+    expect(p.variants[0].soldOut).toBe(false);
+  });
+
+  it('rejects negative variant stock', async () => {
+    const p = new GroceryProduct({
+      name: 'Atta', image: 'x.jpg', category: new mongoose.Types.ObjectId(),
+      variants: [{ label: '1kg', mrp: 55, sellingPrice: 52, stock: -1 }]
+    });
+    await expect(p.validate()).rejects.toThrow(/stock/i);
+  });
 });
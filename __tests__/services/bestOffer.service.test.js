@@ -0,0 +1,66 @@
+jest.mock('../../src/models/Coupon.model', () => ({ find: jest.fn(), findOne: jest.fn() }));
+jest.mock('../../src/models/GroceryBundle.model', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/Order.model', () => ({ exists: jest.fn(), countDocuments: jest.fn() }));
+jest.mock('../../src/models/GroceryOrder.model', () => ({ exists: jest.fn(), countDocuments: jest.fn() }));
+jest.mock('../../src/models/MenuItem.model', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/GroceryProduct.model', () => ({ find: jest.fn() }));
+
+const Coupon = require('../../src/models/Coupon.model');
+const GroceryBundle = require('../../src/models/GroceryBundle.model');
+const { rankOffers } = require('../../src/services/bestOffer.service');
+
+const USER = '65f0000000000000000000a1';
+const NOW = new Date('2026-10-19T06:30:00Z');
+const RICE = { id: 'p1', variantId: 'v1', quantity: 1, amount: 120 };
+const DAL = { id: 'p2', variantId: 'v2', quantity: 2, amount: 300 };
+
+const coupon = (code, overrides = {}) => ({
+  code, section: 'grocery', type: 'FLAT', value: 50, validTo: new Date('2026-12-31T00:00:00Z'), ...overrides,
+});
+const bundle = {
+  slug: 'dal-chawal', name: 'Dal Chawal', regularPrice: 430, bundlePrice: 390,
+  items: [{ product: { _id: 'p1', name: 'Rice' }, variantId: 'v1', quantity: 1 }, { product: { _id: 'p2', name: 'Toor Dal' }, variantId: 'v2', quantity: 2 }],
+};
+const useOffers = (coupons, bundles = []) => {
+  Coupon.find.mockReturnValue({ lean: () => Promise.resolve(coupons) });
+  GroceryBundle.find.mockReturnValue({ populate: () => ({ lean: () => Promise.resolve(bundles) }) });
+};
+const rank = (lines, extra = {}) => rankOffers({
+  section: 'grocery', userId: USER, subtotal: lines.reduce((s, l) => s + l.amount, 0), deliveryFee: 30, lines, now: NOW, ...extra,
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('rankOffers', () => {
+  it('ranks eligible offers by savings and says how far the rest are', async () => {
+    useOffers([
+      coupon('FLAT50'),
+      coupon('FREESHIP', { type: 'FREE_DELIVERY', value: 0 }),
+      coupon('BIG100', { value: 100, minOrderValue: 500 }),
+      coupon('HUGE', { value: 200, minOrderValue: 1000 }),
+    ], [bundle]);
+
+    const { offers, best } = await rank([RICE]);
+
+    expect(offers.map(o => [o.code || o.slug, o.eligible, o.savings])).toEqual([
+      ['FLAT50', true, 50], ['FREESHIP', true, 30], ['BIG100', false, 0], ['HUGE', false, 0], ['dal-chawal', false, 0],
+    ]);
+    expect(offers[2]).toMatchObject({ shortfall: 380, reason: 'Add ₹380 more to use this coupon (minimum order ₹500)' });
+    expect(offers[4].reason).toBe('Add Toor Dal to get this bundle');
+    expect(best).toEqual({ couponCode: 'FLAT50', bundleSlug: null, savings: 50 });
+  });
+
+  it('stacks the best bundle with a coupon that allows it', async () => {
+    useOffers([coupon('SOLO', { value: 60, bundleStacking: 'EXCLUSIVE' }), coupon('FLAT50')], [bundle]);
+    const { best } = await rank([RICE, DAL]);
+    expect(best).toEqual({ couponCode: 'FLAT50', bundleSlug: 'dal-chawal', savings: 90 });
+  });
+
+  it('has no best offer when nothing saves money', async () => {
+    useOffers([coupon('FREESHIP', { type: 'FREE_DELIVERY', value: 0 })]);
+    const { offers, best } = await rank([RICE], { deliveryFee: 0, section: 'food' });
+    expect(GroceryBundle.find).not.toHaveBeenCalled();
+    expect(offers).toEqual([expect.objectContaining({ code: 'FREESHIP', eligible: true, savings: 0 })]);
+    expect(best).toBeNull();
+  });
+});
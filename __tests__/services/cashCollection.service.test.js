@@ -0,0 +1,87 @@
+jest.mock('../../src/models/Order.model', () => ({ updateMany: jest.fn(), find: jest.fn() }));
+jest.mock('../../src/models/GroceryOrder.model', () => ({ updateMany: jest.fn(), find: jest.fn() }));
+jest.mock('../../src/models/User.model', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/CashSettlement.model', () => ({ CashSettlement: { create: jest.fn() } }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+
+const Order = require('../../src/models/Order.model');
+const GroceryOrder = require('../../src/models/GroceryOrder.model');
+const User = require('../../src/models/User.model');
+const { CashSettlement } = require('../../src/models/CashSettlement.model');
+const { recordCollection, cashSummary, settleCash } = require('../../src/services/cashCollection.service');
+
+const lean = (data) => ({ select: () => ({ lean: () => Promise.resolve(data) }) });
+const NOW = new Date('2026-10-19T12:00:00Z');
+const RIDER_USER = '65f0000000000000000000b1';
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('recordCollection', () => {
+  const cashOrder = (overrides = {}) => ({ paymentMethod: 'CASH', paymentStatus: 'PENDING', totalAmount: 450, walletUsed: 50, cashCollection: null, ...overrides });
+
+  it('records the cash and change and marks the order paid on handoff', () => {
+    const order = cashOrder();
+    recordCollection('grocery', order, 'DELIVERED', { amountCollected: 500, collectedBy: RIDER_USER, rider: 'r1' }, NOW);
+    expect(order.cashCollection).toMatchObject({ amountDue: 400, amountCollected: 500, changeGiven: 100, collectedBy: RIDER_USER, rider: 'r1', collectedAt: NOW });
+    expect(order.paymentStatus).toBe('COMPLETED');
+  });
+
+  it('defaults to the exact amount and refuses too little', () => {
+    const order = cashOrder();
+    recordCollection('food', order, 'COMPLETED', { collectedBy: 'admin' }, NOW);
+    expect(order.cashCollection).toMatchObject({ amountCollected: 400, changeGiven: 0, rider: null });
+
+    expect(() => recordCollection('food', cashOrder(), 'COMPLETED', { amountCollected: 350, collectedBy: 'admin' }))
+      .toThrow(expect.objectContaining({ name: 'CashError', message: 'Collect ₹400 for this order' }));
+  });
+
+  it('ignores prepaid orders and statuses that are not a handoff', () => {
+    const prepaid = cashOrder({ paymentMethod: 'RAZORPAY' });
+    expect(recordCollection('food', prepaid, 'COMPLETED', { collectedBy: 'admin' })).toBeNull();
+    const packing = cashOrder();
+    expect(recordCollection('grocery', packing, 'PACKED', { collectedBy: 'admin' })).toBeNull();
+    expect(packing.paymentStatus).toBe('PENDING');
+  });
+});
+
+describe('cashSummary', () => {
+  it('splits the day\'s collections from cash still held', async () => {
+    const today = new Date('2026-10-19T05:00:00Z');
+    const yesterday = new Date('2026-10-18T05:00:00Z');
+    Order.find.mockReturnValue(lean([
+      { cashCollection: { collectedBy: RIDER_USER, rider: 'r1', amountDue: 300, changeGiven: 20, collectedAt: today, settlement: null } },
+      { cashCollection: { collectedBy: RIDER_USER, rider: 'r1', amountDue: 100, changeGiven: 0, collectedAt: yesterday, settlement: null } },
+    ]));
+    GroceryOrder.find.mockReturnValue(lean([
+      { cashCollection: { collectedBy: RIDER_USER, rider: 'r1', amountDue: 200, changeGiven: 0, collectedAt: today, settlement: 's1' } },
+    ]));
+    User.find.mockReturnValue(lean([{ _id: RIDER_USER, name: 'Ravi', phone: '9876543210', role: 'RIDER' }]));
+
+    const summary = await cashSummary({ date: '2026-10-19' });
+    expect(summary.collectors).toEqual([expect.objectContaining({
+      collector: RIDER_USER, name: 'Ravi', ordersToday: 2, collectedToday: 500, changeGivenToday: 20, unsettledOrders: 2, unsettledAmount: 400,
+    })]);
+    expect(summary.totals).toEqual({ collectedToday: 500, unsettledAmount: 400 });
+  });
+});
+
+describe('settleCash', () => {
+  it('claims unsettled collections and records the difference', async () => {
+    Order.find.mockReturnValue(lean([{ _id: 'o1', orderId: 'HW_1', cashCollection: { amountDue: 300, rider: 'r1' } }]));
+    GroceryOrder.find.mockReturnValue(lean([{ _id: 'g1', orderId: 'HG_1', cashCollection: { amountDue: 200, rider: 'r1' } }]));
+    CashSettlement.create.mockImplementation(async (doc) => doc);
+
+    const settlement = await settleCash({ collectorId: RIDER_USER, receivedAmount: 480, note: 'short' }, 'admin', NOW);
+
+    expect(Order.updateMany.mock.calls[0][0]).toMatchObject({ 'cashCollection.collectedBy': RIDER_USER, 'cashCollection.settlement': null });
+    expect(settlement).toMatchObject({ expectedAmount: 500, receivedAmount: 480, difference: -20, rider: 'r1', settledBy: 'admin' });
+    expect(settlement.orders).toHaveLength(2);
+  });
+
+  it('refuses when there is nothing to settle', async () => {
+    Order.find.mockReturnValue(lean([]));
+    GroceryOrder.find.mockReturnValue(lean([]));
+    await expect(settleCash({ collectorId: RIDER_USER, receivedAmount: 0 }, 'admin')).rejects.toMatchObject({ status: 404 });
+    await expect(settleCash({ collectorId: 'x', receivedAmount: 0 }, 'admin')).rejects.toMatchObject({ status: 400 });
+  });
+});
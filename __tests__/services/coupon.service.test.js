@@ -0,0 +1,179 @@
+jest.mock('../../src/models/Coupon.model', () => ({ findOne: jest.fn(), findOneAndUpdate: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/models/CampaignCode.model', () => ({ findOne: jest.fn(), findOneAndUpdate: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/models/Order.model', () => ({ exists: jest.fn(), countDocuments: jest.fn() }));
+jest.mock('../../src/models/GroceryOrder.model', () => ({ exists: jest.fn(), countDocuments: jest.fn() }));
+jest.mock('../../src/models/MenuItem.model', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/GroceryProduct.model', () => ({ find: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+
+const Coupon = require('../../src/models/Coupon.model');
+const CampaignCode = require('../../src/models/CampaignCode.model');
+const Order = require('../../src/models/Order.model');
+const GroceryOrder = require('../../src/models/GroceryOrder.model');
+const GroceryProduct = require('../../src/models/GroceryProduct.model');
+const { validateAndCompute, redeem, releaseOrderCoupon } = require('../../src/services/coupon.service');
+
+const lean = (data) => ({ select: () => ({ lean: () => Promise.resolve(data) }) });
+const USER = '65f0000000000000000000a1';
+const MONDAY_NOON = new Date('2026-10-19T06:30:00Z'); // 12:00 IST
+
+const coupon = (overrides = {}) => ({
+  code: 'SAVE10', section: 'grocery', type: 'PERCENTAGE', value: 10, maxDiscount: null,
+  validTo: new Date('2026-12-31T00:00:00Z'), maxRedemptions: null, redemptionCount: 0,
+  ...overrides,
+});
+const found = (doc) => ({ lean: () => Promise.resolve(doc) });
+const useCoupon = (c) => Coupon.findOne.mockReturnValue(found(c));
+const apply = (extra = {}) => validateAndCompute({
+  code: 'save10', subtotal: 500, userId: USER, section: 'grocery', now: MONDAY_NOON, ...extra,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Order.exists.mockResolvedValue(null);
+  GroceryOrder.exists.mockResolvedValue(null);
+  GroceryOrder.countDocuments.mockResolvedValue(0);
+});
+
+describe('validateAndCompute', () => {
+  it('discounts the whole cart when the coupon has no scope', async () => {
+    useCoupon(coupon());
+    await expect(apply({ items: [{ id: 'p1', amount: 500 }] })).resolves.toMatchObject({ code: 'SAVE10', discount: 50 });
+    expect(GroceryProduct.find).not.toHaveBeenCalled();
+  });
+
+  it('discounts only the lines a scoped coupon covers', async () => {
+    useCoupon(coupon({ categories: ['c1'], brands: ['Amul'] }));
+    GroceryProduct.find.mockReturnValue(lean([
+      { _id: 'p1', category: 'c1', brand: 'Tata' },
+      { _id: 'p2', category: 'c2', brand: 'amul' },
+      { _id: 'p3', category: 'c2', brand: 'Tata' },
+    ]));
+    const items = [{ id: 'p1', amount: 200 }, { id: 'p2', amount: 100 }, { id: 'p3', amount: 200 }];
+    await expect(apply({ items })).resolves.toMatchObject({ discount: 30 });
+
+    useCoupon(coupon({ products: ['p9'] }));
+    await expect(apply({ items })).rejects.toMatchObject({ message: 'This coupon does not apply to any item in your cart' });
+  });
+
+  it('rejects fully redeemed coupons and those outside their days or hours', async () => {
+    useCoupon(coupon({ maxRedemptions: 100, redemptionCount: 100 }));
+    await expect(apply()).rejects.toMatchObject({ message: 'This coupon has been fully redeemed' });
+
+    useCoupon(coupon({ daysOfWeek: [6, 0] }));
+    await expect(apply()).rejects.toMatchObject({ message: 'This coupon is valid on Sun, Sat only' });
+
+    useCoupon(coupon({ daysOfWeek: [1], activeFrom: '15:00', activeTo: '18:00' }));
+    await expect(apply()).rejects.toMatchObject({ message: 'This coupon is valid between 15:00 and 18:00 only' });
+  });
+
+  it('handles hours that cross midnight', async () => {
+    useCoupon(coupon({ activeFrom: '22:00', activeTo: '02:00' }));
+    await expect(apply({ now: new Date('2026-10-19T19:30:00Z') })).resolves.toMatchObject({ discount: 50 }); // 01:00 IST
+    await expect(apply()).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('checks payment method and bundle stacking once checkout knows them', async () => {
+    useCoupon(coupon({ paymentMethods: ['RAZORPAY'], bundleStacking: 'EXCLUSIVE' }));
+    await expect(apply()).resolves.toMatchObject({ discount: 50 });
+    await expect(apply({ paymentMethod: 'CASH' }))
+      .rejects.toMatchObject({ message: 'This coupon is valid only with RAZORPAY payments' });
+    await expect(apply({ paymentMethod: 'RAZORPAY', bundleApplied: true }))
+      .rejects.toMatchObject({ message: 'This coupon cannot be combined with a bundle offer' });
+  });
+
+  it('limits new-user coupons to customers with no orders in any section', async () => {
+    useCoupon(coupon({ newUserOnly: true }));
+    Order.exists.mockResolvedValue({ _id: 'o1' });
+    await expect(apply()).rejects.toMatchObject({ message: 'This coupon is for new customers only' });
+
+    useCoupon(coupon({ firstOrderOnly: true }));
+    await expect(apply()).resolves.toMatchObject({ discount: 50 });
+    GroceryOrder.exists.mockResolvedValue({ _id: 'g1' });
+    await expect(apply()).rejects.toMatchObject({ message: 'This coupon is valid on your first order only' });
+  });
+
+  it('leaves cancelled orders out of the per-customer limit', async () => {
+    useCoupon(coupon({ perUserLimit: 1 }));
+    await apply();
+    expect(GroceryOrder.countDocuments.mock.calls[0][0]).toMatchObject({
+      status: { $ne: 'CANCELLED' }, 'couponApplied.code': 'SAVE10',
+    });
+  });
+});
+
+describe('campaign codes', () => {
+  const campaign = coupon({ _id: 'c1', code: 'DIWALI', isCampaign: true, perUserLimit: 1 });
+
+  it('apply the parent rules and are spent once', async () => {
+    Coupon.findOne.mockReturnValueOnce(found(null)).mockReturnValueOnce(found(campaign));
+    CampaignCode.findOne.mockReturnValue(found({ code: 'DIWALI-7KQ2M9XA', coupon: 'c1', redeemedAt: null }));
+    await expect(apply({ code: 'diwali-7kq2m9xa' })).resolves.toMatchObject({ code: 'DIWALI-7KQ2M9XA', campaign: 'DIWALI', discount: 50 });
+    expect(GroceryOrder.countDocuments.mock.calls[0][0]).toMatchObject({ 'couponApplied.campaign': 'DIWALI' });
+
+    Coupon.findOne.mockReturnValueOnce(found(null)).mockReturnValueOnce(found(campaign));
+    CampaignCode.findOne.mockReturnValue(found({ code: 'DIWALI-7KQ2M9XA', coupon: 'c1', redeemedAt: new Date() }));
+    await expect(apply({ code: 'DIWALI-7KQ2M9XA' })).rejects.toMatchObject({ message: 'This code has already been used' });
+  });
+
+  it('are the only way to apply a campaign coupon', async () => {
+    useCoupon(campaign);
+    await expect(apply({ code: 'DIWALI' })).rejects.toMatchObject({ status: 404 });
+    expect(CampaignCode.findOne).not.toHaveBeenCalled();
+  });
+
+  it('give the code back when the campaign is out of uses', async () => {
+    CampaignCode.findOneAndUpdate.mockResolvedValue({ code: 'DIWALI-7KQ2M9XA' });
+    Coupon.findOneAndUpdate.mockResolvedValue(null);
+    await expect(redeem({ code: 'DIWALI-7KQ2M9XA', campaign: 'DIWALI' }, 'grocery', USER)).rejects.toMatchObject({ status: 409 });
+    expect(CampaignCode.findOneAndUpdate.mock.calls[0][0]).toEqual({ code: 'DIWALI-7KQ2M9XA', section: 'grocery', redeemedAt: null });
+    expect(Coupon.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ code: 'DIWALI' });
+    expect(CampaignCode.updateOne).toHaveBeenCalledWith(
+      { code: 'DIWALI-7KQ2M9XA', section: 'grocery' }, { $set: { redeemedAt: null, redeemedBy: null } }
+    );
+  });
+
+  it('are usable again once their order is cancelled', async () => {
+    const order = { orderId: 'HG_1', couponApplied: { code: 'DIWALI-7KQ2M9XA', campaign: 'DIWALI', released: false } };
+    await releaseOrderCoupon(order, 'grocery');
+
+    expect(CampaignCode.updateOne).toHaveBeenCalledWith(
+      { code: 'DIWALI-7KQ2M9XA', section: 'grocery' }, { $set: { redeemedAt: null, redeemedBy: null } }
+    );
+    expect(Coupon.updateOne).toHaveBeenCalledWith(
+      { code: 'DIWALI', section: 'grocery', redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } }
+    );
+  });
+});
+
+describe('redeem', () => {
+  it('claims a use only while the global cap has room', async () => {
+    Coupon.findOneAndUpdate.mockResolvedValue({ code: 'SAVE10', redemptionCount: 1 });
+    await redeem({ code: 'SAVE10' }, 'grocery');
+    expect(CampaignCode.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Coupon.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ code: 'SAVE10', section: 'grocery', $or: expect.any(Array) });
+    expect(Coupon.findOneAndUpdate.mock.calls[0][1]).toEqual({ $inc: { redemptionCount: 1 } });
+
+    Coupon.findOneAndUpdate.mockResolvedValue(null);
+    await expect(redeem({ code: 'SAVE10' }, 'grocery')).rejects.toMatchObject({ name: 'CouponError', status: 409 });
+  });
+});
+
+describe('releaseOrderCoupon', () => {
+  it("gives a cancelled order's use back once", async () => {
+    const order = { orderId: 'HG_1', couponApplied: { code: 'SAVE10', released: false } };
+    await releaseOrderCoupon(order, 'grocery');
+    await releaseOrderCoupon(order, 'grocery');
+
+    expect(Coupon.updateOne).toHaveBeenCalledTimes(1);
+    expect(Coupon.updateOne).toHaveBeenCalledWith(
+      { code: 'SAVE10', section: 'grocery', redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } }
+    );
+    expect(order.couponApplied.released).toBe(true);
+  });
+
+  it('does nothing for orders without a coupon', async () => {
+    await releaseOrderCoupon({ orderId: 'HG_2', couponApplied: { discount: 0 } }, 'grocery');
+    expect(Coupon.updateOne).not.toHaveBeenCalled();
+  });
+});
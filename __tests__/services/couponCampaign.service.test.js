@@ -0,0 +1,56 @@
+jest.mock('../../src/models/Coupon.model', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/CampaignCode.model', () => ({ countDocuments: jest.fn(), insertMany: jest.fn(), find: jest.fn() }));
+
+const Coupon = require('../../src/models/Coupon.model');
+const CampaignCode = require('../../src/models/CampaignCode.model');
+const { generateCodes, codesToCsv, normalizePrefix } = require('../../src/services/couponCampaign.service');
+
+const lean = (data) => ({ select: () => ({ lean: () => Promise.resolve(data) }) });
+const CAMPAIGN = { _id: 'c1', code: 'DIWALI', section: 'grocery', isCampaign: true };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Coupon.find.mockReturnValue(lean([]));
+});
+
+describe('generateCodes', () => {
+  it('writes unique prefixed codes from an unambiguous alphabet', async () => {
+    CampaignCode.countDocuments.mockResolvedValueOnce(10).mockResolvedValueOnce(60);
+    await expect(generateCodes(CAMPAIGN, { count: 50, prefix: 'fest-26' })).resolves.toEqual({ created: 50, total: 60 });
+
+    const docs = CampaignCode.insertMany.mock.calls[0][0];
+    expect(new Set(docs.map(d => d.code)).size).toBe(50);
+    docs.forEach(d => expect(d).toMatchObject({ code: expect.stringMatching(/^FEST26-[A-HJ-NP-Z2-9]{8}$/), coupon: 'c1', section: 'grocery' }));
+    expect(CampaignCode.insertMany.mock.calls[0][1]).toEqual({ ordered: false });
+  });
+
+  it('draws again for codes lost to duplicates', async () => {
+    CampaignCode.countDocuments.mockResolvedValueOnce(0).mockResolvedValueOnce(2).mockResolvedValueOnce(3);
+    CampaignCode.insertMany
+      .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))
+      .mockResolvedValueOnce([]);
+    await expect(generateCodes(CAMPAIGN, { count: 3 })).resolves.toEqual({ created: 3, total: 3 });
+    expect(CampaignCode.insertMany.mock.calls[1][0]).toHaveLength(1);
+  });
+
+  it('only runs for campaign coupons and sane counts', async () => {
+    await expect(generateCodes({ ...CAMPAIGN, isCampaign: false }, { count: 5 })).rejects.toMatchObject({ name: 'CampaignError' });
+    await expect(generateCodes(CAMPAIGN, { count: 0 })).rejects.toMatchObject({ message: 'count must be between 1 and 5000' });
+    await expect(generateCodes(CAMPAIGN, { count: 5, prefix: '--' })).rejects.toMatchObject({ status: 400 });
+    expect(normalizePrefix(null, { code: 'SUMMER-SALE-2026-MEGA' })).toBe('SUMMERSALE20');
+  });
+});
+
+describe('codesToCsv', () => {
+  it('marks spent codes with the IST day and customer', () => {
+    const csv = codesToCsv([
+      { code: 'DIWALI-7KQ2M9XA', redeemedAt: new Date('2026-10-19T20:00:00Z'), redeemedBy: { phone: '9876543210' } },
+      { code: 'DIWALI-P3W8ZQ4N', redeemedAt: null, redeemedBy: null },
+    ]);
+    expect(csv.trim().split('\n')).toEqual([
+      'code,status,redeemedAt,redeemedBy',
+      'DIWALI-7KQ2M9XA,REDEEMED,2026-10-20,9876543210',
+      'DIWALI-P3W8ZQ4N,UNUSED,,',
+    ]);
+  });
+});
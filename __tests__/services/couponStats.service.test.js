@@ -0,0 +1,87 @@
+jest.mock('../../src/models/Order.model', () => ({ aggregate: jest.fn() }));
+jest.mock('../../src/models/GroceryOrder.model', () => ({ aggregate: jest.fn() }));
+jest.mock('../../src/models/User.model', () => ({ find: jest.fn() }));
+
+const GroceryOrder = require('../../src/models/GroceryOrder.model');
+const User = require('../../src/models/User.model');
+const { couponStats, sectionReport, dateRange } = require('../../src/services/couponStats.service');
+
+const lean = (data) => ({ select: () => ({ lean: () => Promise.resolve(data) }) });
+
+const facets = (overrides = {}) => [{
+  totals: [{ redemptions: 3, discount: 150, gmv: 1500.5, users: ['u1', 'u2'] }],
+  withoutCoupon: [{ orders: 4, gmv: 1600 }],
+  overTime: [{ _id: '2026-10-18', redemptions: 1, discount: 50, gmv: 500 }, { _id: '2026-10-19', redemptions: 2, discount: 100, gmv: 1000.5 }],
+  topRedeemers: [{ _id: 'u1', redemptions: 2, discount: 100, gmv: 1000 }, { _id: 'u2', redemptions: 1, discount: 50, gmv: 500.5 }],
+  ...overrides,
+}];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.find.mockReturnValue(lean([{ _id: 'u1', name: 'Asha', phone: '9876543210' }]));
+});
+
+describe('dateRange', () => {
+  it('covers whole IST days and defaults to the last 30', () => {
+    expect(dateRange('2026-10-01', '2026-10-19')).toMatchObject({
+      start: new Date('2026-09-30T18:30:00Z'),
+      end: new Date('2026-10-19T18:30:00Z'),
+    });
+    expect(dateRange(undefined, undefined, new Date('2026-10-19T06:30:00Z'))).toMatchObject({ from: '2026-09-20', to: '2026-10-19' });
+    expect(() => dateRange('2026-10-19', '2026-10-01')).toThrow('from must not be after to');
+    expect(() => dateRange('19/10/2026', '2026-10-19')).toThrow('YYYY-MM-DD');
+  });
+});
+
+describe('couponStats', () => {
+  it('summarizes redemptions and compares order value with uncouponed orders', async () => {
+    GroceryOrder.aggregate.mockResolvedValue(facets());
+    const stats = await couponStats({ _id: 'c1', code: 'SAVE10', section: 'grocery', isActive: true }, { from: '2026-10-01', to: '2026-10-19' });
+
+    const [match, facet] = GroceryOrder.aggregate.mock.calls[0][0];
+    expect(match.$match.status).toEqual({ $ne: 'CANCELLED' });
+    expect(facet.$facet.totals[0]).toEqual({ $match: { 'couponApplied.code': 'SAVE10' } });
+    expect(facet.$facet.byCode).toBeUndefined();
+
+    expect(stats).toMatchObject({
+      coupon: { code: 'SAVE10' },
+      range: { from: '2026-10-01', to: '2026-10-19' },
+      redemptions: 3,
+      uniqueUsers: 2,
+      discountGiven: 150,
+      gmv: 1500.5,
+      averageOrderValue: 500.17,
+      withoutCoupon: { orders: 4, averageOrderValue: 400 },
+    });
+    expect(stats.overTime[1]).toEqual({ date: '2026-10-19', redemptions: 2, discountGiven: 100, gmv: 1000.5 });
+    expect(stats.topRedeemers.map(r => [r.name, r.redemptions])).toEqual([['Asha', 2], [null, 1]]);
+  });
+
+  it('reports zeros for a coupon nobody used', async () => {
+    GroceryOrder.aggregate.mockResolvedValue(facets({ totals: [], overTime: [], topRedeemers: [] }));
+    await expect(couponStats({ code: 'NEW', section: 'grocery' })).resolves.toMatchObject({
+      redemptions: 0, uniqueUsers: 0, discountGiven: 0, averageOrderValue: 0,
+    });
+  });
+});
+
+describe('sectionReport', () => {
+  it('lists every code, unused and deleted ones included', async () => {
+    GroceryOrder.aggregate.mockResolvedValue(facets({
+      byCode: [
+        { _id: 'SAVE10', redemptions: 2, discount: 100, gmv: 1000, users: ['u1'], lastRedeemedAt: new Date('2026-10-19T05:00:00Z') },
+        { _id: 'OLDCODE', redemptions: 1, discount: 50, gmv: 500.5, users: ['u2'], lastRedeemedAt: new Date('2026-10-18T05:00:00Z') },
+      ],
+    }));
+    const report = await sectionReport('grocery', [
+      { _id: 'c1', code: 'SAVE10', isActive: true },
+      { _id: 'c2', code: 'UNUSED', isActive: true },
+    ], { from: '2026-10-01', to: '2026-10-19' });
+
+    expect(report.coupons.map(c => [c.code, c.redemptions, c.uniqueUsers, c.id])).toEqual([
+      ['SAVE10', 2, 1, 'c1'], ['OLDCODE', 1, 1, null], ['UNUSED', 0, 0, 'c2'],
+    ]);
+    expect(report).toMatchObject({ section: 'grocery', redemptions: 3 });
+    await expect(sectionReport('pharmacy', [])).rejects.toMatchObject({ name: 'CouponStatsError' });
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('../../src/models/DeliverySlot.model', () => ({
+  DeliverySlot: { findById: jest.fn(), find: jest.fn() },
+  SLOT_SECTIONS: ['food', 'grocery'],
+}));
+jest.mock('../../src/models/SlotBooking.model', () => ({ findOneAndUpdate: jest.fn(), find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/models/Restaurant.model', () => ({ getRestaurant: jest.fn() }));
+jest.mock('../../src/models/GrocerySettings.model', () => ({ get: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+
+const { DeliverySlot } = require('../../src/models/DeliverySlot.model');
+const SlotBooking = require('../../src/models/SlotBooking.model');
+const Restaurant = require('../../src/models/Restaurant.model');
+const { resolveSlot, bookSlot, releaseOrderSlot } = require('../../src/services/deliverySlot.service');
+
+// Monday 19 Oct 2026, 10:00 IST.
+const NOW = new Date('2026-10-19T04:30:00Z');
+
+const lunch = {
+  _id: '64b000000000000000000001',
+  section: 'food',
+  label: 'Lunch',
+  startTime: '12:30',
+  endTime: '13:30',
+  days: [1, 2, 3, 4, 5],
+  capacity: 10,
+  cutoffMinutes: 60,
+  isActive: true,
+};
+
+const mockSlot = (slot) => DeliverySlot.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(slot) });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Restaurant.getRestaurant.mockResolvedValue({
+    weeklyHours: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, open: '11:00', close: '23:00' })),
+  });
+});
+
+describe('resolveSlot', () => {
+  it('returns the slot start in IST and a snapshot for the order', async () => {
+    mockSlot(lunch);
+    const r = await resolveSlot('food', { slotId: lunch._id, date: '2026-10-20' }, NOW);
+    expect(r.scheduledFor.toISOString()).toBe('2026-10-20T07:00:00.000Z');
+    expect(r.scheduledSlot).toMatchObject({ date: '2026-10-20', startTime: '12:30', label: 'Lunch' });
+    expect(r.capacity).toBe(10);
+  });
+
+  it('rejects days the slot is not offered', async () => {
+    mockSlot(lunch);
+    await expect(resolveSlot('food', { slotId: lunch._id, date: '2026-10-24' }, NOW)) // Saturday
+      .rejects.toMatchObject({ name: 'SlotError', message: expect.stringMatching(/not offered/) });
+  });
+
+  it('closes booking at the cutoff', async () => {
+    mockSlot(lunch);
+    const late = new Date('2026-10-19T06:45:00Z'); // 12:15 IST
+    await expect(resolveSlot('food', { slotId: lunch._id, date: '2026-10-19' }, late)).rejects.toThrow(/closed/);
+  });
+
+  it('rejects slots outside opening hours', async () => {
+    mockSlot({ ...lunch, startTime: '09:00', endTime: '10:00', days: [] });
+    await expect(resolveSlot('food', { slotId: lunch._id, date: '2026-10-20' }, NOW)).rejects.toThrow(/closed at that time/);
+  });
+
+  it('rejects slots from the other section', async () => {
+    mockSlot({ ...lunch, section: 'grocery' });
+    await expect(resolveSlot('food', { slotId: lunch._id, date: '2026-10-20' }, NOW)).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('bookSlot', () => {
+  const resolved = { scheduledSlot: { slot: lunch._id, date: '2026-10-20' }, capacity: 10 };
+
+  it('reports a full slot as a 409', async () => {
+    SlotBooking.findOneAndUpdate.mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+    await expect(bookSlot(resolved)).rejects.toMatchObject({ name: 'SlotError', status: 409 });
+  });
+});
+
+describe('releaseOrderSlot', () => {
+  it('gives the place back once', async () => {
+    const order = { scheduledSlot: { slot: lunch._id, date: '2026-10-20', released: false } };
+    await releaseOrderSlot(order);
+    await releaseOrderSlot(order);
+    expect(SlotBooking.updateOne).toHaveBeenCalledTimes(1);
+    expect(order.scheduledSlot.released).toBe(true);
+  });
+});
@@ -0,0 +1,150 @@
+jest.mock('../../src/models/GroceryOrder.model', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/GrocerySettings.model', () => ({ get: jest.fn() }));
+jest.mock('../../src/models/GroceryBundle.model', () => ({}));
+jest.mock('../../src/models/Coupon.model', () => ({}));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+jest.mock('../../src/services/refund.service', () => ({
+  recordRefund: jest.fn(), attemptRefund: jest.fn(), discardRefunds: jest.fn(),
+}));
+jest.mock('../../src/services/groceryStock.service', () => ({ releaseItems: jest.fn() }));
+
+const GroceryOrder = require('../../src/models/GroceryOrder.model');
+const GrocerySettings = require('../../src/models/GrocerySettings.model');
+const refundService = require('../../src/services/refund.service');
+const { repriceOrder, splitRefund, adjustOrderItems } = require('../../src/services/groceryOrderAdjust.service');
+
+const RICE = '65f0000000000000000000a1';
+const OIL = '65f0000000000000000000b1';
+const ORDER = '65f0000000000000000000c1';
+
+const makeOrder = (overrides = {}) => ({
+  items: [
+    { product: 'p1', variantId: RICE, name: 'Rice', variantLabel: '5 kg', sellingPrice: 400, quantity: 2 },
+    { product: 'p2', variantId: OIL, name: 'Oil', variantLabel: '1 L', sellingPrice: 200, quantity: 1 },
+  ],
+  subtotal: 1000,
+  tax: 50,
+  delivery: 30,
+  totalAmount: 1080,
+  walletUsed: 0,
+  paymentMethod: 'CASH',
+  paymentStatus: 'PENDING',
+  ...overrides,
+});
+
+describe('repriceOrder', () => {
+  it('re-prices reduced and removed lines', () => {
+    const r = repriceOrder(makeOrder(), [{ variantId: RICE, quantity: 1 }, { variantId: OIL, quantity: 0 }], { taxRate: 0.05 });
+    expect(r.items).toEqual([expect.objectContaining({ variantId: RICE, quantity: 1 })]);
+    expect(r.changed).toEqual([
+      expect.objectContaining({ name: 'Rice', fromQuantity: 2, toQuantity: 1 }),
+      expect.objectContaining({ name: 'Oil', fromQuantity: 1, toQuantity: 0 }),
+    ]);
+    expect(r).toMatchObject({ subtotal: 400, tax: 20, total: 450 });
+  });
+
+  it('scales a percentage coupon and drops a bundle that is no longer complete', () => {
+    const order = makeOrder({
+      couponApplied: { code: 'SAVE10', discount: 100, type: 'PERCENTAGE' },
+      bundleApplied: { slug: 'staples', discount: 60 },
+      totalAmount: 920,
+    });
+    const r = repriceOrder(order, [{ variantId: OIL, quantity: 0 }], {
+      taxRate: 0.05,
+      coupon: { type: 'PERCENTAGE', value: 10, maxDiscount: null },
+      bundle: { items: [{ variantId: RICE, quantity: 2 }, { variantId: OIL, quantity: 1 }] },
+    });
+    expect(r).toMatchObject({ subtotal: 800, tax: 40, couponDiscount: 80, bundleDiscount: 0, total: 790 });
+  });
+
+  it('keeps the rate each line was sold at', () => {
+    const order = makeOrder({
+      items: makeOrder().items.map(i => ({ ...i, taxRate: i.variantId === OIL ? 0.18 : 0 })),
+      tax: 36,
+      totalAmount: 1066,
+    });
+    const r = repriceOrder(order, [{ variantId: RICE, quantity: 1 }], { taxRate: 0.05 });
+    expect(r.items.map(i => i.tax)).toEqual([0, 36]);
+    expect(r.taxBreakdown).toEqual([{ rate: 0, taxable: 400, tax: 0 }, { rate: 0.18, taxable: 200, tax: 36 }]);
+    expect(r).toMatchObject({ subtotal: 600, tax: 36, total: 666 });
+  });
+
+  it('never charges more than the original total', () => {
+    const order = makeOrder({ bundleApplied: { slug: 'staples', discount: 300 }, totalAmount: 780 });
+    const r = repriceOrder(order, [{ variantId: OIL, quantity: 0 }], {
+      taxRate: 0.05,
+      bundle: { items: [{ variantId: OIL, quantity: 1 }] },
+    });
+    expect(r.total).toBe(780);
+  });
+
+  it('only allows reducing lines that are on the order', () => {
+    expect(() => repriceOrder(makeOrder(), [{ variantId: RICE, quantity: 3 }])).toThrow('can only be reduced');
+    expect(() => repriceOrder(makeOrder(), [{ variantId: '65f0000000000000000000c1', quantity: 0 }])).toThrow('not on this order');
+    expect(() => repriceOrder(makeOrder(), [{ variantId: RICE, quantity: 0 }, { variantId: OIL, quantity: 0 }]))
+      .toThrow(expect.objectContaining({ name: 'AdjustmentError', message: expect.stringContaining('cancel the order') }));
+  });
+});
+
+describe('splitRefund', () => {
+  it('refunds a paid Razorpay order to the card before the wallet', () => {
+    const paid = { paymentMethod: 'RAZORPAY', paymentStatus: 'COMPLETED', paymentDetails: { razorpayPaymentId: 'pay_1' } };
+    expect(splitRefund(makeOrder({ ...paid, walletUsed: 80 }), 450)).toEqual({ razorpay: 630, wallet: 0 });
+    expect(splitRefund(makeOrder({ ...paid, walletUsed: 1000 }), 450)).toEqual({ razorpay: 80, wallet: 550 });
+  });
+
+  it('refunds cash orders only what the wallet paid beyond the new total', () => {
+    expect(splitRefund(makeOrder({ walletUsed: 200 }), 450)).toEqual({ razorpay: 0, wallet: 0 });
+    expect(splitRefund(makeOrder({ paymentMethod: 'WALLET', walletUsed: 1080 }), 450)).toEqual({ razorpay: 0, wallet: 630 });
+  });
+});
+
+describe('adjustOrderItems', () => {
+  const paidOrder = (save) => ({
+    ...makeOrder({ paymentMethod: 'RAZORPAY', paymentStatus: 'COMPLETED', paymentDetails: { razorpayPaymentId: 'pay_1' } }),
+    _id: ORDER,
+    orderId: 'HG_1',
+    status: 'RECEIVED',
+    adjustments: [],
+    save,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    GrocerySettings.get.mockResolvedValue({ taxRate: 0.05 });
+    refundService.recordRefund.mockImplementation(async (r) => ({ _id: 'r1', ...r }));
+    refundService.discardRefunds.mockResolvedValue();
+  });
+
+  it('links the refunds to the adjustment before the save publishes it, then sends them', async () => {
+    const save = jest.fn(async function () {
+      expect(this.adjustments[0].refunds).toEqual(['r1']);
+      expect(refundService.attemptRefund).not.toHaveBeenCalled();
+    });
+    GroceryOrder.findById.mockResolvedValue(paidOrder(save));
+
+    await adjustOrderItems(ORDER, { items: [{ variantId: OIL, quantity: 0 }] }, 'admin1');
+
+    expect(save).toHaveBeenCalled();
+    expect(refundService.recordRefund).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'ADJUSTMENT', method: 'RAZORPAY', amount: 210, razorpayPaymentId: 'pay_1',
+    }));
+    expect(refundService.attemptRefund).toHaveBeenCalledWith(expect.objectContaining({ _id: 'r1' }));
+  });
+
+  it('discards the refunds when the order moved on meanwhile', async () => {
+    const save = jest.fn().mockRejectedValue(Object.assign(new Error('gone'), { name: 'DocumentNotFoundError' }));
+    GroceryOrder.findById.mockResolvedValue(paidOrder(save));
+
+    await expect(adjustOrderItems(ORDER, { items: [{ variantId: OIL, quantity: 0 }] }, 'admin1'))
+      .rejects.toMatchObject({ name: 'AdjustmentError', status: 409 });
+    expect(refundService.discardRefunds).toHaveBeenCalledWith([expect.objectContaining({ _id: 'r1' })]);
+    expect(refundService.attemptRefund).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 for a malformed order id', async () => {
+    await expect(adjustOrderItems('not-an-id', { items: [{ variantId: OIL, quantity: 0 }] }, 'admin1'))
+      .rejects.toMatchObject({ name: 'AdjustmentError', status: 404 });
+    expect(GroceryOrder.findById).not.toHaveBeenCalled();
+  });
+});
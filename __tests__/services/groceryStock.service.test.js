@@ -0,0 +1,55 @@
+jest.mock('../../src/models/GroceryProduct.model', () => ({ findOneAndUpdate: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/models/GroceryOrder.model', () => ({ updateOne: jest.fn() }));
+jest.mock('../../src/models/StockAdjustment.model', () => ({
+  StockAdjustment: { insertMany: jest.fn() },
+  STOCK_REASONS: { ORDER_RELEASED: 'ORDER_RELEASED' },
+}));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+
+const GroceryProduct = require('../../src/models/GroceryProduct.model');
+const GroceryOrder = require('../../src/models/GroceryOrder.model');
+const { StockAdjustment } = require('../../src/models/StockAdjustment.model');
+const { releaseOrder } = require('../../src/services/groceryStock.service');
+
+const VARIANT = '65f0000000000000000000b1';
+const order = () => ({
+  _id: '65f0000000000000000000c1',
+  orderId: 'HG_1',
+  stockReserved: true,
+  items: [{ product: '65f0000000000000000000a1', variantId: VARIANT, quantity: 2 }],
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  GroceryProduct.findOneAndUpdate.mockResolvedValue({ variants: { id: () => ({ stock: 7 }) } });
+});
+
+describe('releaseOrder', () => {
+  it('clears the reservation flag and returns the stock', async () => {
+    GroceryOrder.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    const o = order();
+
+    await releaseOrder(o);
+
+    expect(GroceryOrder.updateOne).toHaveBeenCalledWith(
+      { _id: o._id, stockReserved: true },
+      { $set: { stockReserved: false } }
+    );
+    expect(GroceryProduct.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(StockAdjustment.insertMany).toHaveBeenCalledWith([
+      expect.objectContaining({ variantId: VARIANT, delta: 2, stockAfter: 7, orderId: 'HG_1' }),
+    ]);
+    expect(o.stockReserved).toBe(false);
+  });
+
+  it('returns nothing when a concurrent cancel already released the stock', async () => {
+    GroceryOrder.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    const o = order();
+
+    await releaseOrder(o);
+
+    expect(GroceryProduct.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(StockAdjustment.insertMany).not.toHaveBeenCalled();
+    expect(o.stockReserved).toBe(false);
+  });
+});
@@ -0,0 +1,45 @@
+jest.mock('../../src/models/Order.model', () => ({ findById: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/models/GroceryOrder.model', () => ({ findById: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+
+const Order = require('../../src/models/Order.model');
+const GroceryOrder = require('../../src/models/GroceryOrder.model');
+const { confirmHandoff, MAX_CODE_ATTEMPTS } = require('../../src/services/handoff.service');
+
+const order = { _id: '65f000000000000000000001', orderId: 'HW_1', orderType: 'DELIVERY' };
+
+const mockStored = (model, doc) => {
+  model.findById.mockReturnValue({ select: () => ({ lean: () => Promise.resolve(doc) }) });
+};
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('confirmHandoff', () => {
+  it('needs no proof for dine-in, non-handoff statuses or orders without a code', async () => {
+    await expect(confirmHandoff('food', { ...order, orderType: 'DINE_IN' }, 'COMPLETED')).resolves.toBeNull();
+    await expect(confirmHandoff('food', order, 'READY')).resolves.toBeNull();
+    expect(Order.findById).not.toHaveBeenCalled();
+
+    mockStored(Order, { handoffCode: null });
+    await expect(confirmHandoff('food', order, 'COMPLETED')).resolves.toBeNull();
+  });
+
+  it('accepts the customer code or a delivery photo', async () => {
+    mockStored(GroceryOrder, { handoffCode: '4821', handoffFailedAttempts: 0 });
+    await expect(confirmHandoff('grocery', order, 'DELIVERED', { code: '4821' })).resolves.toEqual({ method: 'OTP' });
+    await expect(confirmHandoff('grocery', order, 'DELIVERED', { photoUrl: '/uploads/p.jpg' }))
+      .resolves.toEqual({ method: 'PHOTO', photoUrl: '/uploads/p.jpg' });
+  });
+
+  it('counts wrong codes and locks the code out after too many', async () => {
+    mockStored(Order, { handoffCode: '4821', handoffFailedAttempts: 0 });
+    await expect(confirmHandoff('food', order, 'COMPLETED')).rejects.toMatchObject({ name: 'HandoffError', status: 400 });
+    await expect(confirmHandoff('food', order, 'COMPLETED', { code: '1111' })).rejects.toMatchObject({ status: 400 });
+    expect(Order.updateOne).toHaveBeenCalledWith({ _id: order._id }, { $inc: { handoffFailedAttempts: 1 } });
+
+    mockStored(Order, { handoffCode: '4821', handoffFailedAttempts: MAX_CODE_ATTEMPTS });
+    await expect(confirmHandoff('food', order, 'COMPLETED', { code: '4821' })).rejects.toMatchObject({ status: 429 });
+    await expect(confirmHandoff('food', order, 'COMPLETED', { photoUrl: '/uploads/p.jpg' }))
+      .resolves.toMatchObject({ method: 'PHOTO' });
+  });
+});
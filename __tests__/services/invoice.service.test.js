@@ -0,0 +1,178 @@
+jest.mock('../../src/models/Invoice.model', () => ({
+  Invoice: { findOne: jest.fn(), create: jest.fn(), findOneAndUpdate: jest.fn(), findById: jest.fn() },
+  InvoiceCounter: { findOneAndUpdate: jest.fn() },
+}));
+jest.mock('../../src/models/GroceryProduct.model', () => ({ find: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+
+const { Invoice, InvoiceCounter } = require('../../src/models/Invoice.model');
+const GroceryProduct = require('../../src/models/GroceryProduct.model');
+const {
+  financialYear, formatInvoiceNumber, buildInvoice, issueInvoice, renderInvoices, registerToCsv,
+} = require('../../src/services/invoice.service');
+
+const lean = (data) => ({ select: () => ({ lean: () => Promise.resolve(data) }) });
+const USER = { _id: '65f0000000000000000000a1', name: 'Asha', phone: '9876543210' };
+
+const groceryOrder = (overrides = {}) => ({
+  _id: '65f0000000000000000000c1',
+  orderId: 'HG_20261019_ABC',
+  user: USER,
+  status: 'DELIVERED',
+  items: [
+    { product: '65f0000000000000000000d1', name: 'Basmati Rice', variantLabel: '1 kg', sellingPrice: 120, quantity: 2 },
+    { product: '65f0000000000000000000d2', name: 'Toor Dal', variantLabel: '500 g', sellingPrice: 85, quantity: 1 },
+  ],
+  subtotal: 325,
+  tax: 17, // odd paisa goes to SGST
+  delivery: 20,
+  bundleApplied: { slug: 'dal-chawal', name: 'Dal Chawal', discount: 15 },
+  couponApplied: { code: 'SAVE10', discount: 30 },
+  totalAmount: 317,
+  walletUsed: 50,
+  paymentMethod: 'RAZORPAY',
+  deliveryAddress: { street: '12 Station Road', city: 'Gaya', state: 'Bihar', pincode: '823001' },
+  statusHistory: [
+    { status: 'RECEIVED', timestamp: new Date('2026-03-31T15:00:00Z') },
+    { status: 'DELIVERED', timestamp: new Date('2026-03-31T19:00:00Z') }, // 1 April, IST
+  ],
+  ...overrides,
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('financialYear', () => {
+  it('starts the year on 1 April IST', () => {
+    expect(financialYear(new Date('2026-03-31T18:29:00Z'))).toBe('2025-26');
+    expect(financialYear(new Date('2026-03-31T18:30:00Z'))).toBe('2026-27');
+    expect(financialYear(new Date('2099-12-31T00:00:00Z'))).toBe('2099-00');
+    expect(formatInvoiceNumber('grocery', '2026-27', 42)).toBe('HG/26-27/000042');
+  });
+});
+
+describe('buildInvoice', () => {
+  it('splits tax into CGST / SGST and lists discounts and wallet use', () => {
+    const hsnByProduct = new Map([['65f0000000000000000000d1', '1006']]);
+    const inv = buildInvoice('grocery', groceryOrder(), { user: USER, hsnByProduct });
+
+    expect(inv.lines).toEqual([
+      { description: 'Basmati Rice - 1 kg', hsn: '1006', quantity: 2, rate: 120, amount: 240, taxRate: 5.2 },
+      { description: 'Toor Dal - 500 g', hsn: '', quantity: 1, rate: 85, amount: 85, taxRate: 5.2 },
+    ]);
+    expect(inv).toMatchObject({ itemTotal: 325, cgst: 8.5, sgst: 8.5, roundOff: 0, delivery: 20, total: 317, walletUsed: 50 });
+    expect(inv.taxBreakdown).toEqual([{ rate: 5.2, taxable: 325, cgst: 8.5, sgst: 8.5 }]);
+    expect(inv.discounts).toEqual([{ label: 'Bundle: Dal Chawal', amount: 15 }, { label: 'Coupon SAVE10', amount: 30 }]);
+    expect(inv.invoiceDate).toEqual(new Date('2026-03-31T19:00:00Z'));
+    expect(inv.buyer).toMatchObject({ name: 'Asha', address: '12 Station Road, Gaya, Bihar, 823001', gstin: '' });
+  });
+
+  it('does not list a free-delivery coupon as a discount on top of the waived fee', () => {
+    const order = groceryOrder({
+      delivery: 0,
+      couponApplied: { code: 'FREEDEL', discount: 20, freeDelivery: true },
+      totalAmount: 327,
+    });
+    const inv = buildInvoice('grocery', order, { user: USER });
+
+    expect(inv.discounts).toEqual([{ label: 'Bundle: Dal Chawal', amount: 15 }]);
+    const discounted = inv.discounts.reduce((s, d) => s + d.amount, 0);
+    expect(inv.itemTotal + inv.cgst + inv.sgst + inv.delivery - discounted).toBe(inv.total);
+    expect(registerToCsv([{ ...inv, invoiceNumber: 'HG/26-27/000008' }]).trim().split('\n')[1])
+      .toBe('HG/26-27/000008,2026-04-01,HG_20261019_ABC,Asha,,,325,8.5,8.5,0,0,0,15,327,50,RAZORPAY');
+  });
+
+  it('lists tax per rate from the order breakdown, with the rounding as round-off', () => {
+    const order = groceryOrder({
+      items: groceryOrder().items.map(i => ({ ...i, taxRate: i.name === 'Toor Dal' ? 0.05 : 0.18 })),
+      tax: 48, // 43.2 + 4.25 = 47.45, charged to the rupee
+      taxBreakdown: [{ rate: 0.05, taxable: 85, tax: 4.25 }, { rate: 0.18, taxable: 240, tax: 43.2 }],
+    });
+    const inv = buildInvoice('grocery', order, { user: USER });
+    expect(inv.lines.map(l => l.taxRate)).toEqual([18, 5]);
+    expect(inv.taxBreakdown).toEqual([
+      { rate: 5, taxable: 85, cgst: 2.13, sgst: 2.12 },
+      { rate: 18, taxable: 240, cgst: 21.6, sgst: 21.6 },
+    ]);
+    expect(inv).toMatchObject({ cgst: 23.73, sgst: 23.72, roundOff: 0.55 });
+  });
+
+  it('prices food lines with their addons under the restaurant SAC', () => {
+    const order = {
+      _id: 'o1', orderId: 'HW1', user: USER, status: 'COMPLETED', paymentMethod: 'CASH',
+      items: [{ name: 'Thali', price: 150, quantity: 2, addons: [{ name: 'Extra roti', price: 20 }] }],
+      subtotal: 340, tax: 17, packaging: 10, totalAmount: 367,
+      statusHistory: [{ status: 'COMPLETED', timestamp: new Date('2026-10-19T10:00:00Z') }],
+    };
+    const inv = buildInvoice('food', order, { user: USER, buyerGstin: '10ABCDE1234F1Z5', buyerName: 'Acme Pvt Ltd' });
+    expect(inv.lines).toEqual([{ description: 'Thali (+ Extra roti)', hsn: '996331', quantity: 2, rate: 170, amount: 340, taxRate: 5 }]);
+    expect(inv).toMatchObject({ cgst: 8.5, sgst: 8.5, packaging: 10, discounts: [] });
+    expect(inv.buyer).toMatchObject({ name: 'Acme Pvt Ltd', gstin: '10ABCDE1234F1Z5', stateCode: '10' });
+  });
+});
+
+describe('issueInvoice', () => {
+  it('numbers a new invoice from the counter for the financial year of delivery', async () => {
+    Invoice.findOne.mockResolvedValue(null);
+    GroceryProduct.find.mockReturnValue(lean([{ _id: '65f0000000000000000000d1', hsnCode: '1006' }]));
+    Invoice.create.mockImplementation(async (doc) => ({ _id: 'inv1', ...doc, invoiceNumber: null }));
+    InvoiceCounter.findOneAndUpdate.mockResolvedValue({ _id: 'grocery:2026-27', seq: 7 });
+    Invoice.findOneAndUpdate.mockImplementation(async (q, update) => ({ _id: 'inv1', ...update.$set }));
+
+    const invoice = await issueInvoice('grocery', groceryOrder());
+
+    expect(Invoice.create.mock.calls[0][0].lines[0].hsn).toBe('1006');
+    expect(InvoiceCounter.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'grocery:2026-27' }, { $inc: { seq: 1 } }, { upsert: true, new: true }
+    );
+    expect(Invoice.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'inv1', invoiceNumber: null },
+      { $set: { invoiceNumber: 'HG/26-27/000007', financialYear: '2026-27' } },
+      { new: true }
+    );
+    expect(invoice.invoiceNumber).toBe('HG/26-27/000007');
+  });
+
+  it('returns an issued invoice as is and never numbers it twice', async () => {
+    const existing = { _id: 'inv1', invoiceNumber: 'HG/26-27/000007' };
+    Invoice.findOne.mockResolvedValue(existing);
+    await expect(issueInvoice('grocery', groceryOrder(), { buyerGstin: '10ABCDE1234F1Z5' })).resolves.toBe(existing);
+    expect(Invoice.create).not.toHaveBeenCalled();
+    expect(InvoiceCounter.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses orders that are not completed and invalid GSTINs', async () => {
+    await expect(issueInvoice('grocery', groceryOrder({ status: 'PACKED' })))
+      .rejects.toMatchObject({ name: 'InvoiceError', status: 409 });
+    Invoice.findOne.mockResolvedValue(null);
+    await expect(issueInvoice('grocery', groceryOrder(), { buyerGstin: 'NOT-A-GSTIN' }))
+      .rejects.toMatchObject({ name: 'InvoiceError', message: 'Invalid GSTIN' });
+  });
+
+  it('tells a concurrent request to retry while the number is allocated', async () => {
+    Invoice.findOne.mockResolvedValue({ _id: 'inv1', invoiceNumber: null, createdAt: new Date() });
+    await expect(issueInvoice('grocery', groceryOrder())).rejects.toMatchObject({ status: 409 });
+    expect(InvoiceCounter.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('renderInvoices / registerToCsv', () => {
+  const invoice = () => ({
+    ...buildInvoice('grocery', groceryOrder(), { user: USER }),
+    invoiceNumber: 'HG/26-27/000007',
+    financialYear: '2026-27',
+  });
+
+  it('starts each invoice on a new page and overflows long invoices', () => {
+    const long = invoice();
+    long.lines = Array.from({ length: 80 }, (_, i) => ({ ...long.lines[0], description: `Item ${i}` }));
+    const pdf = renderInvoices([invoice(), long]).toString('latin1');
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(Number(pdf.match(/\/Count (\d+)/)[1])).toBeGreaterThanOrEqual(3);
+  });
+
+  it('writes one register row per invoice', () => {
+    const csv = registerToCsv([invoice()]).trim().split('\n');
+    expect(csv).toHaveLength(2);
+    expect(csv[1]).toBe('HG/26-27/000007,2026-04-01,HG_20261019_ABC,Asha,,,325,8.5,8.5,0,0,20,45,317,50,RAZORPAY');
+  });
+});
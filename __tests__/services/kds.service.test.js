@@ -0,0 +1,89 @@
+jest.mock('../../src/models/Order.model', () => ({ findOne: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+
+const Order = require('../../src/models/Order.model');
+const { toTicket, setItemBumped } = require('../../src/services/kds.service');
+
+const ORDER_ID = '65f000000000000000000001';
+const ITEM_A = '65f0000000000000000000a1';
+const ITEM_B = '65f0000000000000000000b1';
+const START = new Date('2026-10-19T12:00:00Z');
+
+const line = (id, prepTime, bumpedAt = null) => ({
+  _id: { toString: () => id },
+  name: `Item ${id.slice(-2)}`,
+  quantity: 1,
+  addons: [],
+  menuItem: { prepTime },
+  bumpedAt,
+});
+
+const makeOrder = ({ status = 'PREPARING', items }) => {
+  const order = {
+    _id: ORDER_ID,
+    orderId: 'HW_1',
+    status,
+    orderType: 'DINE_IN',
+    createdAt: new Date(START.getTime() - 5 * 60000),
+    statusHistory: [{ status: 'RECEIVED', timestamp: START }, { status: 'PREPARING', timestamp: START }],
+    items,
+    save: jest.fn().mockResolvedValue(),
+  };
+  order.items.id = (id) => order.items.find(i => i._id.toString() === id);
+  return order;
+};
+
+const mockOrders = (...docs) => {
+  for (const doc of docs) Order.findOne.mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(doc) });
+};
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('toTicket', () => {
+  it('times each line from when the order entered PREPARING', () => {
+    const now = new Date(START.getTime() + 12 * 60000);
+    const ticket = toTicket(makeOrder({ items: [line(ITEM_A, 10), line(ITEM_B, 20)] }), now);
+    expect(ticket.items[0]).toMatchObject({ prepTime: 10, remainingSeconds: -120, overdue: true });
+    expect(ticket.items[1]).toMatchObject({ prepTime: 20, remainingSeconds: 480, overdue: false });
+    expect(ticket.ageSeconds).toBe(17 * 60);
+  });
+
+  it('has no timers before preparation starts', () => {
+    const order = makeOrder({ status: 'CONFIRMED', items: [line(ITEM_A, 10)] });
+    order.statusHistory = [{ status: 'RECEIVED', timestamp: START }];
+    expect(toTicket(order).items[0]).toMatchObject({ dueAt: null, remainingSeconds: null, overdue: false });
+  });
+});
+
+describe('setItemBumped', () => {
+  it('only bumps while the order is PREPARING', async () => {
+    mockOrders(makeOrder({ status: 'CONFIRMED', items: [line(ITEM_A, 10)] }));
+    await expect(setItemBumped(ORDER_ID, ITEM_A, 'admin')).rejects.toMatchObject({ name: 'KdsError', status: 409 });
+    expect(Order.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('leaves the order PREPARING while other lines are outstanding', async () => {
+    const after = makeOrder({ items: [line(ITEM_A, 10, START), line(ITEM_B, 10)] });
+    mockOrders(makeOrder({ items: [line(ITEM_A, 10), line(ITEM_B, 10)] }), after);
+    const ticket = await setItemBumped(ORDER_ID, ITEM_A, 'admin', { now: START });
+    expect(Order.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'PREPARING', 'items._id': ITEM_A }),
+      { $set: { 'items.$.bumpedAt': START, 'items.$.bumpedBy': 'admin' } }
+    );
+    expect(after.save).not.toHaveBeenCalled();
+    expect(ticket).toMatchObject({ status: 'PREPARING', bumpedCount: 1 });
+  });
+
+  it('advances the order to READY when the last line is bumped', async () => {
+    const allBumped = makeOrder({ items: [line(ITEM_A, 10, START), line(ITEM_B, 10, START)] });
+    const ready = makeOrder({ status: 'READY', items: [line(ITEM_A, 10, START), line(ITEM_B, 10, START)] });
+    mockOrders(makeOrder({ items: [line(ITEM_A, 10, START), line(ITEM_B, 10)] }), allBumped, ready);
+
+    const ticket = await setItemBumped(ORDER_ID, ITEM_B, 'admin', { now: START });
+
+    expect(allBumped.save).toHaveBeenCalled();
+    expect(allBumped.$where).toEqual({ status: 'PREPARING' });
+    expect(allBumped.statusHistory[allBumped.statusHistory.length - 1]).toMatchObject({ status: 'READY', updatedBy: 'admin' });
+    expect(ticket.status).toBe('READY');
+  });
+});
@@ -0,0 +1,178 @@
+jest.mock('../../src/models/Loyalty.model', () => ({
+  LoyaltySettings: { get: jest.fn() },
+  LoyaltyEntry: {
+    aggregate: jest.fn(), find: jest.fn(), create: jest.fn(), updateOne: jest.fn(), deleteOne: jest.fn(),
+  },
+}));
+jest.mock('../../src/services/wallet.service', () => ({ creditWallet: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+
+const { LoyaltySettings, LoyaltyEntry } = require('../../src/models/Loyalty.model');
+const walletService = require('../../src/services/wallet.service');
+const {
+  awardForOrder, freeDeliveryTier, redeemPoints, summary, tierFor,
+} = require('../../src/services/loyalty.service');
+
+const USER = '65f0000000000000000000a1';
+const NOW = new Date('2026-10-19T06:30:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const settings = (overrides = {}) => ({
+  isEnabled: true,
+  pointsPerRupee: { food: 0.1, grocery: 0.2 },
+  rupeesPerPoint: 0.25,
+  minRedeemPoints: 100,
+  expiryDays: 365,
+  tiers: [
+    { name: 'PLATINUM', minSpend: 15000, earnMultiplier: 1.5, freeDelivery: true, cashbackPercent: 2 },
+    { name: 'SILVER', minSpend: 0, earnMultiplier: 1, freeDelivery: false, cashbackPercent: 0 },
+    { name: 'GOLD', minSpend: 5000, earnMultiplier: 1.25, freeDelivery: false, cashbackPercent: 1 },
+  ],
+  ...overrides,
+});
+const spent = (spend) => LoyaltyEntry.aggregate.mockResolvedValue(spend ? [{ _id: null, spend }] : []);
+const lots = (data) => ({ sort: () => ({ select: () => ({ lean: () => Promise.resolve(data) }) }) });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  LoyaltySettings.get.mockResolvedValue(settings());
+});
+
+describe('tierFor', () => {
+  it('picks the highest tier the spend reaches', () => {
+    const { tiers } = settings();
+    expect(tierFor(tiers, 0).name).toBe('SILVER');
+    expect(tierFor(tiers, 4999.99).name).toBe('SILVER');
+    expect(tierFor(tiers, 5000).name).toBe('GOLD');
+    expect(tierFor(tiers, 20000).name).toBe('PLATINUM');
+  });
+});
+
+describe('awardForOrder', () => {
+  const order = { _id: '65f0000000000000000000c1', orderId: 'HG_1', user: { _id: USER }, totalAmount: 1250, walletUsed: 250 };
+
+  it('earns on what was paid at the section rate and tier multiplier, with tier cashback', async () => {
+    spent(6000);
+    LoyaltyEntry.create.mockImplementation(async (doc) => doc);
+
+    const entry = await awardForOrder('grocery', order, NOW);
+
+    expect(entry).toMatchObject({
+      user: USER, type: 'EARN', section: 'grocery', spend: 1000, tier: 'GOLD', points: 250, remaining: 250, cashback: 10,
+    });
+    expect(entry.expiresAt).toEqual(new Date(NOW.getTime() + 365 * DAY_MS));
+    expect(walletService.creditWallet).toHaveBeenCalledWith(USER, 10, 'CASHBACK', expect.objectContaining({
+      orderId: 'HG_1', section: 'grocery',
+    }));
+  });
+
+  it('awards an order once', async () => {
+    spent(0);
+    LoyaltyEntry.create.mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+    await expect(awardForOrder('food', order, NOW)).resolves.toBeNull();
+    expect(walletService.creditWallet).not.toHaveBeenCalled();
+  });
+
+  it('does nothing while the program is paused', async () => {
+    LoyaltySettings.get.mockResolvedValue(settings({ isEnabled: false }));
+    await expect(awardForOrder('food', order, NOW)).resolves.toBeNull();
+    expect(LoyaltyEntry.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('freeDeliveryTier', () => {
+  it('names the tier when its perks include free delivery', async () => {
+    spent(15000);
+    await expect(freeDeliveryTier(USER, NOW)).resolves.toBe('PLATINUM');
+    spent(14999);
+    await expect(freeDeliveryTier(USER, NOW)).resolves.toBeNull();
+    await expect(freeDeliveryTier(null, NOW)).resolves.toBeNull();
+  });
+});
+
+describe('redeemPoints', () => {
+  const open = [
+    { _id: 'e1', remaining: 80, expiresAt: new Date('2026-11-01') },
+    { _id: 'e2', remaining: 200, expiresAt: new Date('2027-03-01') },
+  ];
+
+  it('spends the soonest-expiring points first and credits the wallet', async () => {
+    LoyaltyEntry.find.mockReturnValue(lots(open));
+    LoyaltyEntry.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    LoyaltyEntry.create.mockImplementation(async (doc) => ({ _id: 'r1', ...doc }));
+    walletService.creditWallet.mockResolvedValue({ newBalance: 75 });
+
+    const result = await redeemPoints(USER, 150, NOW);
+
+    expect(LoyaltyEntry.updateOne.mock.calls.map(c => [c[0]._id, c[1].$inc.remaining])).toEqual([['e1', -80], ['e2', -70]]);
+    expect(LoyaltyEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'REDEEM', points: 150, amount: 37.5, lots: [{ entry: 'e1', points: 80 }, { entry: 'e2', points: 70 }],
+    }));
+    expect(walletService.creditWallet).toHaveBeenCalledWith(USER, 37.5, 'LOYALTY_REDEMPTION', expect.any(Object));
+    expect(result).toEqual({ points: 150, amount: 37.5, pointsLeft: 130, walletBalance: 75 });
+  });
+
+  it('refuses below the minimum or above the balance', async () => {
+    LoyaltyEntry.find.mockReturnValue(lots(open));
+    await expect(redeemPoints(USER, 50, NOW)).rejects.toMatchObject({ name: 'LoyaltyError', message: 'Redeem at least 100 points' });
+    await expect(redeemPoints(USER, 300, NOW)).rejects.toMatchObject({ message: 'You have 280 points to redeem' });
+    await expect(redeemPoints(USER, 'lots', NOW)).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('gives the points back when a concurrent redemption took them', async () => {
+    LoyaltyEntry.find.mockReturnValue(lots(open));
+    LoyaltyEntry.updateOne
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 })
+      .mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(redeemPoints(USER, 150, NOW)).rejects.toMatchObject({ status: 409 });
+    expect(LoyaltyEntry.updateOne).toHaveBeenLastCalledWith({ _id: 'e1' }, { $inc: { remaining: 80 } });
+    expect(walletService.creditWallet).not.toHaveBeenCalled();
+  });
+
+  it('undoes the redemption when the wallet credit fails', async () => {
+    LoyaltyEntry.find.mockReturnValue(lots(open));
+    LoyaltyEntry.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    LoyaltyEntry.create.mockImplementation(async (doc) => ({ _id: 'r1', ...doc }));
+    walletService.creditWallet.mockRejectedValue(new Error('User not found'));
+
+    await expect(redeemPoints(USER, 100, NOW)).rejects.toThrow('User not found');
+    expect(LoyaltyEntry.updateOne).toHaveBeenCalledWith({ _id: 'e1' }, { $inc: { remaining: 80 } });
+    expect(LoyaltyEntry.updateOne).toHaveBeenCalledWith({ _id: 'e2' }, { $inc: { remaining: 20 } });
+    expect(LoyaltyEntry.deleteOne).toHaveBeenCalledWith({ _id: 'r1' });
+  });
+});
+
+describe('summary', () => {
+  it('reports points, tier progress, expiring points and lapsed history', async () => {
+    spent(6000);
+    LoyaltyEntry.find
+      .mockReturnValueOnce(lots([
+        { _id: 'e1', remaining: 80, expiresAt: new Date('2026-11-01T00:00:00Z') },
+        { _id: 'e2', remaining: 200, expiresAt: new Date('2027-03-01T00:00:00Z') },
+      ]))
+      .mockReturnValueOnce({
+        sort: () => ({
+          limit: () => ({
+            lean: () => Promise.resolve([
+              { type: 'EARN', points: 40, remaining: 15, expiresAt: new Date('2026-10-01'), orderId: 'HW1', section: 'food' },
+            ]),
+          }),
+        }),
+      });
+
+    const data = await summary(USER, NOW);
+
+    expect(data).toMatchObject({
+      points: 280,
+      pointsValue: 70,
+      tier: { name: 'GOLD', cashbackPercent: 1 },
+      rollingSpend: 6000,
+      nextTier: { name: 'PLATINUM', spendNeeded: 9000 },
+      expiringSoon: { points: 80, firstOn: '2026-11-01' },
+    });
+    expect(data.tiers.map(t => t.name)).toEqual(['SILVER', 'GOLD', 'PLATINUM']);
+    expect(data.history[0]).toMatchObject({ orderId: 'HW1', expiredPoints: 15 });
+  });
+});
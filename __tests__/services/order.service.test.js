@@ -0,0 +1,139 @@
+// Mocks the Mongoose MenuItem model to test pure pricing logic.
+jest.mock('../../src/models/MenuItem.model');
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+jest.mock('../../src/services/coupon.service', () => ({ validateAndCompute: jest.fn() }));
+jest.mock('../../src/services/bestOffer.service', () => ({ rankOffers: jest.fn() }));
+
+const MenuItem = require('../../src/models/MenuItem.model');
+const couponService = require('../../src/services/coupon.service');
+const bestOfferService = require('../../src/services/bestOffer.service');
+const {
+  resolveOrderItems,
+  computeOrderBill,
+  applyCoupon,
+  hasPriceDrift,
+} = require('../../src/services/order.service');
+const { TAX_RATE, PACKAGING_FEE, DELIVERY_FEE } = require('../../src/utils/constants');
+
+const mockFind = (docs) => {
+  MenuItem.find.mockReturnValue({ populate: jest.fn().mockResolvedValue(docs) });
+};
+
+const paneer = {
+  _id: 'm1',
+  name: 'Paneer Tikka',
+  price: 200,
+  discount: 10,
+  isAvailable: true,
+  addons: [{ name: 'Extra Cheese', price: 30 }],
+};
+
+describe('resolveOrderItems', () => {
+  it('prices lines from the menu, ignoring client prices', async () => {
+    mockFind([paneer]);
+    const { items } = await resolveOrderItems([
+      { menuItem: 'm1', quantity: 2, price: 1, addons: [{ name: 'Extra Cheese', price: 0 }] },
+    ]);
+    expect(items).toEqual([{
+      menuItem: 'm1',
+      name: 'Paneer Tikka',
+      price: 180,
+      quantity: 2,
+      addons: [{ name: 'Extra Cheese', price: 30 }],
+      taxRate: TAX_RATE,
+      tax: 21,
+    }]);
+  });
+
+  it('snapshots the GST rate of the item\'s tax class', async () => {
+    mockFind([{ ...paneer, taxClass: 'GST_18' }]);
+    const { items } = await resolveOrderItems([{ menuItem: 'm1', quantity: 1 }]);
+    expect(items[0]).toMatchObject({ price: 180, taxRate: 0.18, tax: 32.4 });
+  });
+
+  it('rejects addons that are not on the menu item', async () => {
+    mockFind([paneer]);
+    await expect(resolveOrderItems([
+      { menuItem: 'm1', quantity: 1, addons: [{ name: 'Free Dessert', price: 0 }] },
+    ])).rejects.toThrow(/Free Dessert/);
+  });
+
+  it('rejects unavailable items', async () => {
+    mockFind([{ ...paneer, isAvailable: false }]);
+    await expect(resolveOrderItems([{ menuItem: 'm1', quantity: 1 }]))
+      .rejects.toMatchObject({ name: 'OrderPricingError', status: 400 });
+  });
+
+  it('rejects non-integer quantities', async () => {
+    mockFind([paneer]);
+    await expect(resolveOrderItems([{ menuItem: 'm1', quantity: 1.5 }])).rejects.toThrow(/quantity/);
+  });
+});
+
+describe('computeOrderBill', () => {
+  const items = [{ menuItem: 'm1', name: 'Paneer Tikka', price: 180, quantity: 2, addons: [{ name: 'Extra Cheese', price: 30 }] }];
+
+  it('charges delivery only for DELIVERY orders', () => {
+    const delivery = computeOrderBill(items, 'DELIVERY');
+    const takeaway = computeOrderBill(items, 'TAKEAWAY');
+    expect(delivery.itemTotal).toBe(420);
+    expect(delivery.tax).toBe(Math.round(420 * TAX_RATE));
+    expect(delivery.total).toBe(420 + delivery.tax + PACKAGING_FEE + DELIVERY_FEE);
+    expect(takeaway.delivery).toBe(0);
+  });
+
+  it('returns a per-line breakdown', () => {
+    const { lines } = computeOrderBill(items, 'DINE_IN');
+    expect(lines[0]).toMatchObject({ unitPrice: 180, addonsPrice: 30, quantity: 2, lineTotal: 420, taxRate: TAX_RATE, tax: 21 });
+  });
+
+  it('taxes each line at its own rate', () => {
+    const bill = computeOrderBill([
+      ...items,
+      { menuItem: 'm2', name: 'Cold Drink', price: 45, quantity: 3, addons: [], taxRate: 0.18 },
+    ], 'DINE_IN');
+    expect(bill.tax).toBe(45); // 21 + 24.3, to the rupee
+    expect(bill.taxBreakdown).toEqual([
+      { rate: 0.05, taxable: 420, tax: 21 },
+      { rate: 0.18, taxable: 135, tax: 24.3 },
+    ]);
+  });
+});
+
+describe('applyCoupon', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const bill = () => computeOrderBill(
+    [{ menuItem: 'm1', name: 'Paneer Tikka', price: 180, quantity: 2, addons: [] }], 'DELIVERY'
+  );
+
+  it('takes the discount off the total, or waives delivery', async () => {
+    couponService.validateAndCompute.mockResolvedValueOnce({ code: 'FLAT50', discount: 50, freeDelivery: false, type: 'FLAT' });
+    const flat = await applyCoupon(bill(), { couponCode: 'flat50', userId: 'u1', paymentMethod: 'CASH' });
+    expect(couponService.validateAndCompute).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'flat50', subtotal: 360, deliveryFee: DELIVERY_FEE, section: 'food', items: [{ id: 'm1', quantity: 2, amount: 360 }],
+    }));
+    expect(flat).toMatchObject({ couponDiscount: 50, total: bill().total - 50, couponApplied: { code: 'FLAT50' } });
+
+    couponService.validateAndCompute.mockResolvedValueOnce({ code: 'FREEDEL', discount: DELIVERY_FEE, freeDelivery: true, type: 'FREE_DELIVERY' });
+    const free = await applyCoupon(bill(), { couponCode: 'FREEDEL', userId: 'u1' });
+    expect(free).toMatchObject({ couponDiscount: 0, delivery: 0, total: bill().total - DELIVERY_FEE });
+  });
+
+  it('applies the best offer only when asked and no code is given', async () => {
+    await expect(applyCoupon(bill(), { userId: 'u1' })).resolves.toMatchObject({ couponApplied: null, couponDiscount: 0 });
+    expect(bestOfferService.rankOffers).not.toHaveBeenCalled();
+
+    bestOfferService.rankOffers.mockResolvedValueOnce({ offers: [], best: null });
+    await expect(applyCoupon(bill(), { userId: 'u1', autoApplyBestOffer: true })).resolves.toMatchObject({ couponApplied: null });
+    expect(couponService.validateAndCompute).not.toHaveBeenCalled();
+  });
+});
+
+describe('hasPriceDrift', () => {
+  it('tolerates rounding differences and missing client totals', () => {
+    expect(hasPriceDrift(100.5, 100)).toBe(false);
+    expect(hasPriceDrift(undefined, 100)).toBe(false);
+    expect(hasPriceDrift(90, 100)).toBe(true);
+  });
+});
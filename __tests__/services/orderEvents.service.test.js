@@ -0,0 +1,53 @@
+const orderEvents = require('../../src/services/orderEvents.service');
+
+const order = {
+  _id: { toString: () => '65f000000000000000000001' },
+  orderId: 'HW_1',
+  status: 'PREPARING',
+  paymentStatus: 'COMPLETED',
+  estimatedTime: 25,
+  orderType: 'DELIVERY',
+  totalAmount: 420,
+  items: [{ name: 'Paneer Tikka', quantity: 2 }],
+  statusHistory: [{ status: 'RECEIVED' }, { status: 'PREPARING' }],
+};
+
+describe('order events', () => {
+  it('sends status, eta and payment changes to the order subscribers only', () => {
+    const mine = jest.fn();
+    const other = jest.fn();
+    const offMine = orderEvents.subscribeToOrder('food', '65f000000000000000000001', mine);
+    const offOther = orderEvents.subscribeToOrder('grocery', '65f000000000000000000001', other);
+
+    orderEvents.publishOrderChanges('food', order, { status: true, eta: true, payment: false });
+
+    expect(mine.mock.calls.map(c => c[0])).toEqual(['status', 'eta']);
+    expect(mine.mock.calls[0][1]).toMatchObject({ status: 'PREPARING', entry: { status: 'PREPARING' } });
+    expect(mine.mock.calls[1][1]).toMatchObject({ estimatedTime: 25 });
+    expect(other).not.toHaveBeenCalled();
+
+    offMine();
+    offOther();
+    orderEvents.publishOrderChanges('food', order, { status: true });
+    expect(mine).toHaveBeenCalledTimes(2);
+  });
+
+  it('announces new orders with a kitchen summary', () => {
+    const listener = jest.fn();
+    const off = orderEvents.subscribeToNewOrders(listener);
+    orderEvents.publishOrderChanges('food', order, { created: true });
+    off();
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+      section: 'food',
+      orderId: 'HW_1',
+      items: [{ name: 'Paneer Tikka', variantLabel: undefined, quantity: 2 }],
+    }));
+  });
+
+  it('never lets a failing subscriber throw into the save', () => {
+    const off = orderEvents.subscribeToOrder('food', '65f000000000000000000001', () => { throw new Error('socket gone'); });
+    expect(() => orderEvents.publishOrderChanges('food', order, { payment: true })).not.toThrow();
+    off();
+  });
+});
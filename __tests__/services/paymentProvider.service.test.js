@@ -0,0 +1,46 @@
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+
+const crypto = require('crypto');
+const config = require('../../src/config/env');
+const { createProvider } = require('../../src/services/paymentProvider.service');
+
+describe('mock provider', () => {
+  it('takes a payment end to end with deterministic ids', async () => {
+    const provider = createProvider('mock');
+    const order = await provider.createOrder({ amount: 50000, receipt: 'HW123' });
+    expect(order).toEqual({ id: expect.stringMatching(/^order_mock_/), amount: 50000, currency: 'INR', receipt: 'HW123' });
+    expect((await createProvider('mock').createOrder({ amount: 50000, receipt: 'HW123' })).id).toBe(order.id);
+
+    const paid = provider.pay(order.id);
+    expect(provider.pay(order.id)).toEqual(paid);
+    expect(provider.verifySignature(paid)).toBe(true);
+    expect(provider.verifySignature({ ...paid, signature: 'forged' })).toBe(false);
+    await expect(provider.fetchPayment(paid.paymentId)).resolves.toMatchObject({ orderId: order.id, amount: 50000, status: 'captured' });
+  });
+
+  it('refunds up to the captured amount', async () => {
+    const provider = createProvider('mock');
+    const order = await provider.createOrder({ amount: 1000, receipt: 'HG1' });
+    const { paymentId } = provider.pay(order.id);
+
+    await expect(provider.refund(paymentId, { amount: 400, receipt: 'r1' })).resolves.toMatchObject({ id: expect.stringMatching(/^rfnd_mock_/) });
+    await expect(provider.refund(paymentId, { amount: 700, receipt: 'r2' })).rejects.toThrow(/greater than the payment/);
+    await provider.refund(paymentId, { amount: 600, receipt: 'r2' });
+    await expect(provider.fetchPayment(paymentId)).resolves.toMatchObject({ status: 'refunded' });
+  });
+});
+
+describe('razorpay provider', () => {
+  it('checks the checkout signature with the key secret', () => {
+    config.razorpayKeyId = 'rzp_test';
+    config.razorpayKeySecret = 'secret';
+    const provider = createProvider('razorpay');
+    const signature = crypto.createHmac('sha256', 'secret').update('order_1|pay_1').digest('hex');
+    expect(provider.verifySignature({ orderId: 'order_1', paymentId: 'pay_1', signature })).toBe(true);
+    expect(provider.verifySignature({ orderId: 'order_1', paymentId: 'pay_2', signature })).toBe(false);
+  });
+
+  it('rejects unknown providers', () => {
+    expect(() => createProvider('paypal')).toThrow(/Unknown PAYMENT_PROVIDER/);
+  });
+});
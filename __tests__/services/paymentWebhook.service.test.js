@@ -0,0 +1,96 @@
+jest.mock('../../src/models/Order.model', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/models/GroceryOrder.model', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/models/PaymentCheckout.model', () => ({
+  ...jest.requireActual('../../src/models/PaymentCheckout.model'),
+  PaymentCheckout: { findOne: jest.fn() },
+}));
+jest.mock('../../src/services/refund.service', () => ({ confirmGatewayRefund: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+
+const crypto = require('crypto');
+const Order = require('../../src/models/Order.model');
+const GroceryOrder = require('../../src/models/GroceryOrder.model');
+const { PaymentCheckout } = require('../../src/models/PaymentCheckout.model');
+const refundService = require('../../src/services/refund.service');
+const { verifyWebhookSignature, handleWebhookEvent } = require('../../src/services/paymentWebhook.service');
+
+const captured = (event = 'payment.captured') => ({
+  event,
+  payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', status: 'captured' } } },
+});
+
+const makeCheckout = (overrides = {}) => ({
+  section: 'grocery',
+  user: 'u1',
+  status: 'CREATED',
+  orderData: { items: [] },
+  save: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Order.findOne.mockResolvedValue(null);
+  GroceryOrder.findOne.mockResolvedValue(null);
+});
+
+describe('verifyWebhookSignature', () => {
+  it('accepts only an HMAC of the raw body with the webhook secret', () => {
+    const raw = Buffer.from('{"event":"payment.captured"}');
+    const sig = crypto.createHmac('sha256', 'whsec').update(raw).digest('hex');
+    expect(verifyWebhookSignature(raw, sig, 'whsec')).toBe(true);
+    expect(verifyWebhookSignature(raw, sig, 'other')).toBe(false);
+    expect(verifyWebhookSignature(raw, 'short', 'whsec')).toBe(false);
+    expect(verifyWebhookSignature(undefined, sig, 'whsec')).toBe(false);
+  });
+});
+
+describe('handleWebhookEvent', () => {
+  it('marks an already-created order paid without settling again', async () => {
+    const order = { _id: 'o1', orderId: 'HW_1', paymentStatus: 'PENDING', save: jest.fn() };
+    Order.findOne.mockResolvedValue(order);
+    const checkout = makeCheckout({ section: 'food' });
+    PaymentCheckout.findOne.mockResolvedValue(checkout);
+    const settlers = { food: jest.fn(), grocery: jest.fn() };
+
+    await expect(handleWebhookEvent(captured('order.paid'), settlers)).resolves.toMatchObject({ result: 'existing' });
+    expect(order.paymentStatus).toBe('COMPLETED');
+    expect(checkout).toMatchObject({ status: 'PAID', order: 'o1' });
+    expect(settlers.food).not.toHaveBeenCalled();
+  });
+
+  it('creates the order from the saved checkout when the app never verified', async () => {
+    const checkout = makeCheckout();
+    PaymentCheckout.findOne.mockResolvedValue(checkout);
+    const settle = jest.fn().mockResolvedValue({ status: 200, body: { success: true, data: { orderId: 'HG_1', order: { _id: 'g1' } } } });
+
+    await expect(handleWebhookEvent(captured(), { grocery: settle })).resolves.toEqual({ result: 'created', orderId: 'HG_1' });
+    expect(settle).toHaveBeenCalledWith('u1', { razorpay_order_id: 'order_1', razorpay_payment_id: 'pay_1', orderData: { items: [] } });
+  });
+
+  it('never settles a checkout that verify already settled', async () => {
+    const settle = jest.fn();
+    PaymentCheckout.findOne.mockResolvedValue(makeCheckout({ status: 'REJECTED' }));
+    await expect(handleWebhookEvent(captured(), { grocery: settle })).resolves.toEqual({ result: 'rejected' });
+    PaymentCheckout.findOne.mockResolvedValue(makeCheckout({ status: 'PAID' }));
+    await expect(handleWebhookEvent(captured(), { grocery: settle })).resolves.toEqual({ result: 'paid' });
+    expect(settle).not.toHaveBeenCalled();
+  });
+
+  it('records failed payments and processed refunds', async () => {
+    const checkout = makeCheckout();
+    PaymentCheckout.findOne.mockResolvedValue(checkout);
+    await handleWebhookEvent({
+      event: 'payment.failed',
+      payload: { payment: { entity: { id: 'pay_2', order_id: 'order_1', error_description: 'Card declined' } } },
+    });
+    expect(checkout).toMatchObject({ status: 'FAILED', failureReason: 'Card declined' });
+
+    refundService.confirmGatewayRefund.mockResolvedValue({ _id: 'r1' });
+    await expect(handleWebhookEvent({
+      event: 'refund.processed',
+      payload: { refund: { entity: { id: 'rfnd_1', payment_id: 'pay_1', receipt: '65f0000000000000000000f1' } } },
+    })).resolves.toEqual({ result: 'confirmed' });
+    expect(refundService.confirmGatewayRefund).toHaveBeenCalledWith({ gatewayRefundId: 'rfnd_1', receipt: '65f0000000000000000000f1' });
+  });
+});
@@ -0,0 +1,113 @@
+const lean = (data) => ({ select: () => ({ lean: () => Promise.resolve(data) }) });
+
+jest.mock('../../src/models/Order.model', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/GroceryOrder.model', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/Refund.model', () => ({
+  ...jest.requireActual('../../src/models/Refund.model'),
+  Refund: { find: jest.fn() },
+}));
+jest.mock('../../src/models/PaymentCheckout.model', () => ({
+  ...jest.requireActual('../../src/models/PaymentCheckout.model'),
+  PaymentCheckout: { find: jest.fn() },
+}));
+jest.mock('../../src/models/WalletTransaction.model', () => ({
+  ...jest.requireActual('../../src/models/WalletTransaction.model'),
+  WalletTransaction: { find: jest.fn() },
+}));
+
+const GroceryOrder = require('../../src/models/GroceryOrder.model');
+const { Refund } = require('../../src/models/Refund.model');
+const { PaymentCheckout } = require('../../src/models/PaymentCheckout.model');
+const { WalletTransaction } = require('../../src/models/WalletTransaction.model');
+const { parseSettlement, reconcile, reportToCsv } = require('../../src/services/reconciliation.service');
+
+const CREATED = new Date('2026-10-18T06:00:00Z');
+
+const order = (overrides = {}) => ({
+  _id: 'g1',
+  orderId: 'HG_1',
+  user: 'u1',
+  totalAmount: 500,
+  walletUsed: 0,
+  paymentMethod: 'RAZORPAY',
+  paymentStatus: 'COMPLETED',
+  paymentDetails: { razorpayPaymentId: 'pay_1' },
+  createdAt: CREATED,
+  ...overrides,
+});
+
+const settlement = (lines) => parseSettlement(['type,entity_id,order_id,payment_id,amount,fee,tax', ...lines].join('\n'));
+
+const run = (orders, settle, { adjustments = [], debits = [], credits = [] } = {}) => {
+  GroceryOrder.find.mockReturnValue(lean(orders));
+  Refund.find.mockImplementation((q) => lean(q.type ? adjustments : []));
+  WalletTransaction.find.mockImplementation((q) => lean(q.type === 'DEBIT' ? debits : credits));
+  return reconcile({ from: '2026-10-18', to: '2026-10-18', sections: ['grocery'], settlement: settle });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  PaymentCheckout.find.mockReturnValue(lean([]));
+});
+
+describe('parseSettlement', () => {
+  it('reads payment and refund rows and rejects other files', () => {
+    const { payments, refunds } = settlement(['payment,pay_1,order_1,,"1,200.50",24,4.32', 'refund,rfnd_1,,pay_1,100,0,0']);
+    expect(payments.get('pay_1')).toMatchObject({ razorpayOrderId: 'order_1', amount: 1200.5, fee: 24, tax: 4.32 });
+    expect(refunds).toEqual([{ refundId: 'rfnd_1', paymentId: 'pay_1', amount: 100 }]);
+    expect(() => parseSettlement('name,qty\nx,1')).toThrow(expect.objectContaining({ name: 'ReconciliationError' }));
+  });
+});
+
+describe('reconcile', () => {
+  it('reports nothing when orders match the settlement', async () => {
+    const report = await run([order()], settlement(['payment,pay_1,order_1,,500,10,1.8']));
+    expect(report.issues).toEqual([]);
+    expect(report.totals).toMatchObject({ settlementPayments: 1, settlementAmount: 500, settlementFees: 11.8, razorpayOrders: 1 });
+  });
+
+  it('expects the captured amount net of wallet and plus adjustment refunds', async () => {
+    const orders = [order({ totalAmount: 380, walletUsed: 50 })];
+    const adjustments = [{ order: 'g1', method: 'RAZORPAY', amount: 120 }];
+    const ok = await run(orders, settlement(['payment,pay_1,order_1,,450,0,0']), { adjustments, debits: [{ _id: 'w1', user: 'u1', amount: 50 }] });
+    expect(ok.issues).toEqual([]);
+
+    const off = await run(orders, settlement(['payment,pay_1,order_1,,500,0,0']), { adjustments, debits: [{ _id: 'w1', user: 'u1', amount: 50 }] });
+    expect(off.issues).toEqual([expect.objectContaining({ type: 'AMOUNT_MISMATCH', orderId: 'HG_1', expected: 450, actual: 500 })]);
+  });
+
+  it('flags missing payments, orphan payments and unreflected refunds', async () => {
+    PaymentCheckout.find.mockReturnValue(lean([{ section: 'grocery', razorpayOrderId: 'order_9' }]));
+    const report = await run(
+      [order(), order({ _id: 'g2', orderId: 'HG_2', paymentDetails: { razorpayPaymentId: 'pay_2' } })],
+      settlement([
+        'payment,pay_1,order_1,,500,0,0',
+        'refund,rfnd_1,,pay_1,500,0,0',
+        'payment,pay_9,order_9,,250,0,0',
+        'payment,pay_8,order_8,,90,0,0',
+        'refund,rfnd_8,,pay_8,90,0,0',
+      ]),
+    );
+    expect(report.issues.map(i => [i.type, i.orderId || i.razorpayPaymentId])).toEqual([
+      ['REFUND_NOT_REFLECTED', 'HG_1'],
+      ['CREATED_UNPAID', 'HG_2'],
+      ['PAID_NOT_CREATED', 'pay_9'],
+    ]);
+    expect(reportToCsv(report).split('\n')[0]).toBe('type,section,orderId,userId,razorpayPaymentId,expected,actual,detail');
+  });
+
+  it('matches wallet debits, less non-ledger auto-refunds, to wallet used on orders', async () => {
+    const orders = [order({ paymentMethod: 'CASH', walletUsed: 40, paymentDetails: {} })];
+    const debits = [{ _id: 'w1', user: 'u1', amount: 40 }, { _id: 'w2', user: 'u1', amount: 30 }, { _id: 'w3', user: 'u2', amount: 20 }];
+    const credits = [{ _id: 'c1', user: 'u1', amount: 30 }];
+    const report = await run(orders, settlement([]), { debits, credits });
+    expect(report.issues).toEqual([expect.objectContaining({ type: 'WALLET_MISMATCH', userId: 'u2', expected: 0, actual: 20 })]);
+  });
+
+  it('rejects bad or overlong ranges', async () => {
+    await expect(reconcile({ from: '2026-10-18', to: '2026-10-01', settlement: settlement([]) }))
+      .rejects.toMatchObject({ name: 'ReconciliationError' });
+    await expect(reconcile({ from: '2026-01-01', to: '2026-03-01', settlement: settlement([]) }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,99 @@
+jest.mock('../../src/models/Refund.model', () => ({
+  ...jest.requireActual('../../src/models/Refund.model'),
+  Refund: { findOneAndUpdate: jest.fn() },
+}));
+jest.mock('../../src/models/GroceryOrder.model', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/wallet.service', () => ({ refundToWallet: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+
+const { Refund } = require('../../src/models/Refund.model');
+const GroceryOrder = require('../../src/models/GroceryOrder.model');
+const walletService = require('../../src/services/wallet.service');
+const { paymentProvider } = require('../../src/services/paymentProvider.service');
+const {
+  MAX_ATTEMPTS, PENDING_LEASE_MS, nextAttemptAt, attemptRefund, retryRefund, retryDueRefunds,
+} = require('../../src/services/refund.service');
+
+const NOW = new Date('2026-10-19T10:00:00Z');
+
+const makeRefund = (overrides = {}) => ({
+  _id: '65f0000000000000000000f1',
+  section: 'grocery',
+  type: 'CANCELLATION',
+  method: 'WALLET',
+  order: '65f000000000000000000001',
+  orderId: 'HG_1',
+  user: 'u1',
+  amount: 120,
+  status: 'PENDING',
+  attempts: 0,
+  save: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('nextAttemptAt', () => {
+  it('backs off exponentially and gives up after MAX_ATTEMPTS', () => {
+    expect(nextAttemptAt(1, NOW) - NOW).toBe(5 * 60000);
+    expect(nextAttemptAt(3, NOW) - NOW).toBe(20 * 60000);
+    expect(nextAttemptAt(MAX_ATTEMPTS - 1, NOW) - NOW).toBeLessThanOrEqual(6 * 3600000);
+    expect(nextAttemptAt(MAX_ATTEMPTS, NOW)).toBeNull();
+  });
+});
+
+describe('attemptRefund', () => {
+  it('records a successful refund', async () => {
+    walletService.refundToWallet.mockResolvedValue({ transaction: { _id: 'wt1' } });
+    const refund = await attemptRefund(makeRefund(), NOW);
+    expect(refund).toMatchObject({ status: 'PROCESSED', attempts: 1, gatewayRefundId: 'wt1', processedAt: NOW, nextAttemptAt: null });
+    expect(refund.save).toHaveBeenCalled();
+  });
+
+  it('marks a cancelled grocery order refunded through a save, so streams hear of it', async () => {
+    const order = { paymentStatus: 'COMPLETED', save: jest.fn().mockResolvedValue() };
+    GroceryOrder.findById.mockResolvedValue(order);
+    jest.spyOn(paymentProvider, 'refund').mockResolvedValue({ id: 'rfnd_1' });
+
+    await attemptRefund(makeRefund({ method: 'RAZORPAY', razorpayPaymentId: 'pay_1' }), NOW);
+    expect(order.paymentStatus).toBe('REFUNDED');
+    expect(order.save).toHaveBeenCalled();
+  });
+
+  it('leaves a failed refund scheduled for a retry', async () => {
+    walletService.refundToWallet.mockRejectedValue(new Error('db down'));
+    const refund = await attemptRefund(makeRefund({ attempts: 1 }), NOW);
+    expect(refund).toMatchObject({ status: 'FAILED', attempts: 2, lastError: 'db down' });
+    expect(refund.nextAttemptAt - NOW).toBe(10 * 60000);
+  });
+});
+
+describe('retryRefund', () => {
+  it('only retries refunds it can claim from FAILED or a lapsed PENDING', async () => {
+    Refund.findOneAndUpdate.mockResolvedValue(null);
+    await expect(retryRefund(makeRefund({ status: 'PROCESSED' }))).rejects.toMatchObject({ name: 'RefundError', status: 409 });
+
+    const claimed = makeRefund({ status: 'PENDING', attempts: MAX_ATTEMPTS });
+    Refund.findOneAndUpdate.mockResolvedValue(claimed);
+    walletService.refundToWallet.mockResolvedValue({ transaction: { _id: 'wt2' } });
+    await expect(retryRefund(makeRefund({ status: 'PENDING' }))).resolves.toMatchObject({ status: 'PROCESSED' });
+    expect(Refund.findOneAndUpdate.mock.calls[1][0].$or).toEqual([
+      { status: 'FAILED' },
+      { status: 'PENDING', updatedAt: { $lte: expect.any(Date) } },
+    ]);
+  });
+});
+
+describe('retryDueRefunds', () => {
+  it('picks up due FAILED refunds and PENDING ones whose lease ran out', async () => {
+    const lost = makeRefund({ status: 'PENDING' });
+    Refund.findOneAndUpdate.mockResolvedValueOnce(lost).mockResolvedValueOnce(null);
+    walletService.refundToWallet.mockResolvedValue({ transaction: { _id: 'wt3' } });
+
+    await expect(retryDueRefunds(NOW)).resolves.toEqual({ attempted: 1, processed: 1 });
+    expect(Refund.findOneAndUpdate.mock.calls[0][0].$or).toEqual([
+      { status: 'FAILED', nextAttemptAt: { $ne: null, $lte: NOW } },
+      { status: 'PENDING', updatedAt: { $lte: new Date(NOW.getTime() - PENDING_LEASE_MS) } },
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+jest.mock('../../src/models/Rider.model', () => ({ Rider: { findById: jest.fn() }, riderAssignmentSchema: {} }));
+jest.mock('../../src/models/User.model', () => ({}));
+jest.mock('../../src/models/Order.model', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/models/GroceryOrder.model', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+jest.mock('../../src/services/handoff.service', () => ({ confirmHandoff: jest.fn() }));
+
+const { Rider } = require('../../src/models/Rider.model');
+const Order = require('../../src/models/Order.model');
+const GroceryOrder = require('../../src/models/GroceryOrder.model');
+const { confirmHandoff } = require('../../src/services/handoff.service');
+const riderService = require('../../src/services/rider.service');
+
+const RIDER_ID = '65f0000000000000000000a1';
+const rider = { _id: RIDER_ID, user: 'u-rider', name: 'Ravi', phone: '9876543210', vehicleNumber: 'KA01AB1234', isActive: true, isAvailable: true };
+
+const makeOrder = (overrides = {}) => ({
+  _id: '65f000000000000000000001',
+  orderId: 'HW_1',
+  orderType: 'DELIVERY',
+  status: 'READY',
+  statusHistory: [],
+  rider: null,
+  save: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('assignOrder', () => {
+  it('snapshots the rider onto a delivery order', async () => {
+    const order = makeOrder({ status: 'PREPARING' });
+    Order.findOne.mockResolvedValue(order);
+    Rider.findById.mockResolvedValue(rider);
+
+    await riderService.assignOrder('food', 'HW_1', RIDER_ID, 'admin');
+
+    expect(order.rider).toMatchObject({ rider: RIDER_ID, name: 'Ravi', phone: '9876543210', assignedBy: 'admin' });
+    expect(order.$where).toEqual({ status: 'PREPARING' });
+    expect(order.save).toHaveBeenCalled();
+  });
+
+  it('refuses pickup orders, finished orders and off-shift riders', async () => {
+    Rider.findById.mockResolvedValue(rider);
+    Order.findOne.mockResolvedValue(makeOrder({ orderType: 'TAKEAWAY' }));
+    await expect(riderService.assignOrder('food', 'HW_1', RIDER_ID, 'admin')).rejects.toMatchObject({ status: 400 });
+
+    Order.findOne.mockResolvedValue(makeOrder({ status: 'OUT_FOR_DELIVERY' }));
+    await expect(riderService.assignOrder('food', 'HW_1', RIDER_ID, 'admin')).rejects.toMatchObject({ status: 409 });
+
+    Order.findOne.mockResolvedValue(makeOrder());
+    Rider.findById.mockResolvedValue({ ...rider, isAvailable: false });
+    await expect(riderService.assignOrder('food', 'HW_1', RIDER_ID, 'admin')).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('rider delivery flow', () => {
+  const assigned = (overrides) => makeOrder({ rider: { rider: RIDER_ID, acceptedAt: new Date() }, ...overrides });
+
+  it('only lets the assigned rider act on the order', async () => {
+    Order.findOne.mockResolvedValue(makeOrder({ rider: { rider: 'someone-else' } }));
+    await expect(riderService.pickUpOrder(rider, 'food', 'HW_1')).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('moves a packed grocery order out for delivery on pick-up', async () => {
+    const order = assigned({ status: 'PACKED' });
+    GroceryOrder.findOne.mockResolvedValue(order);
+
+    await riderService.pickUpOrder(rider, 'grocery', 'HG_1');
+
+    expect(order.status).toBe('OUT_FOR_DELIVERY');
+    expect(order.rider.pickedUpAt).toBeInstanceOf(Date);
+    expect(order.statusHistory).toEqual([expect.objectContaining({ status: 'OUT_FOR_DELIVERY', updatedBy: 'u-rider' })]);
+    expect(order.$where).toEqual({ status: 'PACKED' });
+  });
+
+  it('follows the status validators', async () => {
+    Order.findOne.mockResolvedValue(assigned({ status: 'PREPARING' }));
+    await expect(riderService.pickUpOrder(rider, 'food', 'HW_1')).rejects.toMatchObject({ status: 409 });
+
+    const order = assigned({ status: 'OUT_FOR_DELIVERY' });
+    Order.findOne.mockResolvedValue(order);
+    confirmHandoff.mockResolvedValue({ method: 'OTP' });
+    await riderService.deliverOrder(rider, 'food', 'HW_1', { code: '1234' });
+    expect(confirmHandoff).toHaveBeenCalledWith('food', order, 'COMPLETED', { code: '1234' });
+    expect(order.status).toBe('COMPLETED');
+    expect(order.deliveredAt).toBeInstanceOf(Date);
+    expect(order.statusHistory[0]).toMatchObject({ status: 'COMPLETED', proof: { method: 'OTP' } });
+  });
+
+  it('records the cash a rider takes for a cash order', async () => {
+    const order = assigned({ status: 'OUT_FOR_DELIVERY', paymentMethod: 'CASH', totalAmount: 240, walletUsed: 0 });
+    GroceryOrder.findOne.mockResolvedValue(order);
+    confirmHandoff.mockResolvedValue({ method: 'OTP' });
+    await riderService.deliverOrder(rider, 'grocery', 'HG_1', { code: '1234' }, { amountCollected: 300 });
+    expect(order.cashCollection).toMatchObject({ amountDue: 240, changeGiven: 60, collectedBy: 'u-rider', rider: RIDER_ID });
+    expect(order.paymentStatus).toBe('COMPLETED');
+  });
+});
@@ -0,0 +1,30 @@
+const { parseCsvRows, parseCsv, toCsv } = require('../../src/utils/csv');
+
+describe('parseCsvRows', () => {
+  it('handles quoted fields, escaped quotes, CRLF and a BOM', () => {
+    const text = '\uFEFFa,b\r\n"x, y","say ""hi"""\r\n\r\n"multi\nline",2';
+    expect(parseCsvRows(text)).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"'],
+      ['multi\nline', '2'],
+    ]);
+  });
+});
+
+describe('parseCsv', () => {
+  it('keys rows by snake_case headers', () => {
+    expect(parseCsv('Entity ID,Amount (INR)\npay_1, 10.50 \npay_2')).toEqual([
+      { entity_id: 'pay_1', amount_inr: '10.50' },
+      { entity_id: 'pay_2', amount_inr: '' },
+    ]);
+  });
+});
+
+describe('toCsv', () => {
+  it('round-trips values that need quoting', () => {
+    const rows = [{ a: 'x,"y"', b: null }, { a: 1, b: 'line\nbreak' }];
+    const text = toCsv(rows, ['a', 'b']);
+    expect(text).toBe('a,b\n"x,""y""",\n1,"line\nbreak"\n');
+    expect(parseCsv(text)).toEqual([{ a: 'x,"y"', b: '' }, { a: '1', b: 'line\nbreak' }]);
+  });
+});
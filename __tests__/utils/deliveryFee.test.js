@@ -0,0 +1,85 @@
+const { computeDeliveryFee, isSurgeActive } = require('../../src/utils/deliveryFee');
+const { calculateOrderTotal } = require('../../src/utils/helpers');
+
+// 19:30 IST on a Monday.
+const MONDAY_EVENING = new Date('2026-10-19T14:00:00Z');
+const MONDAY_NOON = new Date('2026-10-19T06:30:00Z');
+
+const rules = {
+  baseFee: 40,
+  distanceSlabs: [
+    { upToKm: 3, fee: 20 },
+    { upToKm: 6, fee: 35 },
+  ],
+  subtotalSlabs: [
+    { minSubtotal: 299, fee: 15 },
+    { minSubtotal: 499, fee: 0 },
+  ],
+  surgeWindows: [{ label: 'Dinner rush', from: '19:00', to: '22:00', days: [], multiplier: 1, extraFee: 10 }],
+};
+
+describe('computeDeliveryFee', () => {
+  it('uses the base fee when the distance is unknown', () => {
+    expect(computeDeliveryFee(rules, { subtotal: 100, now: MONDAY_NOON })).toMatchObject({ fee: 40, source: 'base' });
+  });
+
+  it('picks the first distance slab covering the address, else the last', () => {
+    expect(computeDeliveryFee(rules, { subtotal: 100, distanceKm: 2.4, now: MONDAY_NOON }).fee).toBe(20);
+    expect(computeDeliveryFee(rules, { subtotal: 100, distanceKm: 4, now: MONDAY_NOON }).fee).toBe(35);
+    expect(computeDeliveryFee(rules, { subtotal: 100, distanceKm: 9, now: MONDAY_NOON }).fee).toBe(35);
+  });
+
+  it('lets a zone override win over distance', () => {
+    expect(computeDeliveryFee(rules, { subtotal: 100, distanceKm: 2, zoneFee: 50, now: MONDAY_NOON }))
+      .toMatchObject({ fee: 50, source: 'zone' });
+  });
+
+  it('caps the fee at the highest subtotal slab reached', () => {
+    expect(computeDeliveryFee(rules, { subtotal: 300, distanceKm: 4, now: MONDAY_NOON }).fee).toBe(15);
+    expect(computeDeliveryFee(rules, { subtotal: 300, distanceKm: 1, now: MONDAY_NOON }).fee).toBe(15);
+    expect(computeDeliveryFee(rules, { subtotal: 600, distanceKm: 4, now: MONDAY_NOON }).fee).toBe(0);
+  });
+
+  it('adds surge during an active window', () => {
+    const r = computeDeliveryFee(rules, { subtotal: 100, now: MONDAY_EVENING });
+    expect(r.fee).toBe(50);
+    expect(r.surge).toMatchObject({ label: 'Dinner rush' });
+  });
+});
+
+describe('isSurgeActive', () => {
+  it('handles windows past midnight', () => {
+    const lateNight = { from: '23:00', to: '02:00', days: [] };
+    expect(isSurgeActive(lateNight, new Date('2026-10-19T19:00:00Z'))).toBe(true); // 00:30 IST
+    expect(isSurgeActive(lateNight, MONDAY_EVENING)).toBe(false);
+  });
+
+  it('respects the weekday filter', () => {
+    const weekend = { from: '00:00', to: '23:59', days: [0, 6] };
+    expect(isSurgeActive(weekend, MONDAY_NOON)).toBe(false);
+  });
+});
+
+describe('calculateOrderTotal', () => {
+  const items = [{ price: 100, quantity: 2 }];
+
+  it('still accepts a flat delivery fee', () => {
+    expect(calculateOrderTotal(items, 'DELIVERY', 0.05, 20, 40)).toMatchObject({ delivery: 40, total: 270 });
+  });
+
+  it('delegates to the fee engine when given a fee context', () => {
+    const bill = calculateOrderTotal(items, 'DELIVERY', 0.05, 20, 40, {
+      feeContext: { rules, distanceKm: 2, now: MONDAY_NOON },
+    });
+    expect(bill.delivery).toBe(20);
+    expect(bill.deliveryDetails.source).toBe('distance');
+  });
+
+  it('waives delivery for a loyalty tier with free delivery', () => {
+    const bill = calculateOrderTotal(items, 'DELIVERY', 0.05, 20, 40, {
+      feeContext: { rules, distanceKm: 2, freeDeliveryTier: 'PLATINUM', now: MONDAY_EVENING },
+    });
+    expect(bill).toMatchObject({ delivery: 0, total: 230 });
+    expect(bill.deliveryDetails).toMatchObject({ base: 20, waivedByTier: 'PLATINUM' });
+  });
+});
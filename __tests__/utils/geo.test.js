@@ -0,0 +1,39 @@
+const { isValidPoint, distanceKm, isPointInPolygon } = require('../../src/utils/geo');
+
+describe('distanceKm', () => {
+  it('is zero for the same point', () => {
+    const p = { latitude: 24.79, longitude: 85.0 };
+    expect(distanceKm(p, p)).toBe(0);
+  });
+  it('measures one degree of latitude as ~111 km', () => {
+    const d = distanceKm({ latitude: 24, longitude: 85 }, { latitude: 25, longitude: 85 });
+    expect(d).toBeGreaterThan(110);
+    expect(d).toBeLessThan(112);
+  });
+});
+
+describe('isPointInPolygon', () => {
+  const square = [
+    { latitude: 0, longitude: 0 },
+    { latitude: 0, longitude: 1 },
+    { latitude: 1, longitude: 1 },
+    { latitude: 1, longitude: 0 },
+  ];
+  it('detects a point inside', () => {
+    expect(isPointInPolygon({ latitude: 0.5, longitude: 0.5 }, square)).toBe(true);
+  });
+  it('detects a point outside', () => {
+    expect(isPointInPolygon({ latitude: 1.5, longitude: 0.5 }, square)).toBe(false);
+  });
+  it('rejects degenerate polygons', () => {
+    expect(isPointInPolygon({ latitude: 0, longitude: 0 }, square.slice(0, 2))).toBe(false);
+  });
+});
+
+describe('isValidPoint', () => {
+  it('rejects missing or out-of-range coordinates', () => {
+    expect(isValidPoint(null)).toBe(false);
+    expect(isValidPoint({ latitude: 91, longitude: 0 })).toBe(false);
+    expect(isValidPoint({ latitude: 24.79, longitude: 85 })).toBe(true);
+  });
+});
@@ -0,0 +1,80 @@
+const { resolveOpenStatus, isWithinOpenHours, describeOpenStatus } = require('../../src/utils/openHours');
+
+// Monday 2026-10-19, IST.
+const at = (hhmm, date = '2026-10-19') => new Date(`${date}T${hhmm}:00+05:30`);
+
+const weekdays = [1, 2, 3, 4, 5].flatMap(day => [
+  { day, open: '11:00', close: '15:00' },
+  { day, open: '18:00', close: '23:00' },
+]);
+
+describe('resolveOpenStatus', () => {
+  it('falls back to the manual isOpen flag when there is no schedule', () => {
+    expect(resolveOpenStatus({ isOpen: true }, at('03:00'))).toMatchObject({ isOpen: true, source: 'manual' });
+    expect(resolveOpenStatus({ isOpen: false, closingMessage: 'Back soon' }, at('12:00')))
+      .toMatchObject({ isOpen: false, message: 'Back soon', source: 'manual' });
+  });
+
+  it('follows the weekly schedule, including split shifts', () => {
+    const settings = { isOpen: false, weeklyHours: weekdays };
+    expect(resolveOpenStatus(settings, at('12:00'))).toMatchObject({ isOpen: true, source: 'schedule' });
+    expect(resolveOpenStatus(settings, at('16:00'))).toMatchObject({ isOpen: false, opensAt: '18:00' });
+    expect(resolveOpenStatus(settings, at('23:00')).isOpen).toBe(false);
+    // Sunday has no hours
+    expect(resolveOpenStatus(settings, at('12:00', '2026-10-18')).isOpen).toBe(false);
+  });
+
+  it('carries an interval that closes after midnight into the next day', () => {
+    const settings = { weeklyHours: [{ day: 5, open: '18:00', close: '02:00' }] };
+    expect(resolveOpenStatus(settings, at('23:30', '2026-10-23')).isOpen).toBe(true);
+    expect(resolveOpenStatus(settings, at('01:30', '2026-10-24')).isOpen).toBe(true);
+    expect(resolveOpenStatus(settings, at('02:00', '2026-10-24')).isOpen).toBe(false);
+  });
+
+  it('closes for a holiday even inside scheduled hours', () => {
+    const settings = {
+      weeklyHours: weekdays,
+      closures: [{ from: '2026-10-19', to: '2026-10-20', message: 'Closed for Diwali' }],
+    };
+    expect(resolveOpenStatus(settings, at('12:00')))
+      .toMatchObject({ isOpen: false, source: 'closure', message: 'Closed for Diwali' });
+    expect(resolveOpenStatus(settings, at('12:00', '2026-10-21')).isOpen).toBe(true);
+  });
+
+  it('lets an unexpired manual override win, then hands back to the schedule', () => {
+    const settings = {
+      weeklyHours: weekdays,
+      manualOverride: { isOpen: false, message: 'Kitchen issue', expiresAt: at('00:00', '2026-10-20') },
+    };
+    expect(resolveOpenStatus(settings, at('12:00')))
+      .toMatchObject({ isOpen: false, source: 'override', message: 'Kitchen issue' });
+    expect(resolveOpenStatus(settings, at('12:00', '2026-10-20')))
+      .toMatchObject({ isOpen: true, source: 'schedule' });
+  });
+});
+
+describe('isWithinOpenHours', () => {
+  it('treats stores without a schedule as open at any future time', () => {
+    expect(isWithinOpenHours({ isOpen: false }, at('03:00'))).toBe(true);
+  });
+
+  it('checks scheduled hours and closures at the given time', () => {
+    const settings = { weeklyHours: weekdays, closures: [{ from: '2026-10-20' }] };
+    expect(isWithinOpenHours(settings, at('19:00'))).toBe(true);
+    expect(isWithinOpenHours(settings, at('16:00'))).toBe(false);
+    expect(isWithinOpenHours(settings, at('19:00', '2026-10-20'))).toBe(false);
+  });
+});
+
+describe('describeOpenStatus', () => {
+  it('only lists closures that have not ended yet', () => {
+    const settings = {
+      weeklyHours: weekdays,
+      closures: [
+        { from: '2026-12-25', to: null, message: 'Christmas' },
+        { from: '2026-10-01', to: '2026-10-02', message: 'Past' },
+      ],
+    };
+    expect(describeOpenStatus(settings, at('12:00')).closures.map(c => c.message)).toEqual(['Christmas']);
+  });
+});
@@ -0,0 +1,45 @@
+const zlib = require('zlib');
+const { PdfDocument, textWidth, wrapText, toPdfText } = require('../../src/utils/pdf');
+
+describe('toPdfText', () => {
+  it('transliterates what the standard fonts cannot show', () => {
+    expect(toPdfText('₹120 Crème brûlée\n(x2)')).toBe('Rs.120 Creme brulee (x2)');
+    expect(toPdfText('पनीर')).toBe('????');
+  });
+});
+
+describe('wrapText', () => {
+  it('breaks on spaces within the width and cuts words that never fit', () => {
+    const lines = wrapText('Paneer Butter Masala with Garlic Naan', 100, 10);
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach(l => expect(textWidth(l, 10)).toBeLessThanOrEqual(100));
+    expect(lines.join(' ')).toBe('Paneer Butter Masala with Garlic Naan');
+
+    const cut = wrapText('x'.repeat(60), 50, 10);
+    expect(cut.join('')).toBe('x'.repeat(60));
+    cut.forEach(l => expect(textWidth(l, 10)).toBeLessThanOrEqual(50));
+  });
+});
+
+describe('PdfDocument', () => {
+  it('writes an xref table that points at each object', () => {
+    const doc = new PdfDocument();
+    doc.text('Invoice (copy)', 40, 40, { bold: true }).line(40, 60, 555, 60);
+    doc.addPage().text('Page 2', 40, 40, { align: 'right', width: 515 });
+    const pdf = doc.toBuffer();
+    const text = pdf.toString('latin1');
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(text).toContain('/Count 2');
+
+    const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+    expect(text.slice(startxref, startxref + 4)).toBe('xref');
+    const offsets = [...text.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map(m => Number(m[1]));
+    expect(offsets).toHaveLength(8); // catalog, pages, 2 fonts, 2 x (page + contents)
+    offsets.forEach((offset, i) => expect(text.slice(offset).startsWith(`${i + 1} 0 obj`)).toBe(true));
+
+    const stream = pdf.subarray(text.indexOf('stream\n') + 7, text.indexOf('\nendstream'));
+    expect(zlib.inflateSync(stream).toString('latin1')).toContain('(Invoice \\(copy\\)) Tj');
+  });
+});
@@ -0,0 +1,34 @@
+const { taxRateFor, lineTax, summarizeTax } = require('../../src/utils/tax');
+
+describe('taxRateFor', () => {
+  it('uses the tax class rate, else the fallback', () => {
+    expect(taxRateFor('GST_12', 0.05)).toBe(0.12);
+    expect(taxRateFor('GST_0', 0.05)).toBe(0);
+    expect(taxRateFor(null, 0.05)).toBe(0.05);
+    expect(taxRateFor('GST_99', 0.05)).toBe(0.05);
+  });
+});
+
+describe('summarizeTax', () => {
+  it('groups lines by rate and rounds the order tax to the rupee', () => {
+    const { tax, breakdown } = summarizeTax([
+      { amount: 85, taxRate: 0.18 },
+      { amount: 240, taxRate: 0 },
+      { amount: 99, taxRate: 0.05 },
+      { amount: 60, taxRate: 0.18 },
+    ]);
+    expect(lineTax(85, 0.18)).toBe(15.3);
+    expect(breakdown).toEqual([
+      { rate: 0, taxable: 240, tax: 0 },
+      { rate: 0.05, taxable: 99, tax: 4.95 },
+      { rate: 0.18, taxable: 145, tax: 26.1 },
+    ]);
+    expect(tax).toBe(31); // 31.05
+  });
+
+  it('matches a single-rate cart taxed on its subtotal', () => {
+    // 330 * 0.05 = 16.5 must still round up despite float error in the sum
+    const { tax } = summarizeTax([{ amount: 110, taxRate: 0.05 }, { amount: 220, taxRate: 0.05 }]);
+    expect(tax).toBe(Math.round(330 * 0.05));
+  });
+});
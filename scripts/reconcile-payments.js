@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Reconcile orders and wallet debits against a Razorpay settlement export
+ * (see reconciliation.service). Meant for a daily cron after the export is
+ * downloaded, e.g.:
+ *
+ *   node scripts/reconcile-payments.js --from 2026-10-18 --to 2026-10-18 \
+ *     --file settlements/2026-10-18.csv --out reports/recon-2026-10-18.csv
+ *
+ * Prints the totals; writes the issues as CSV to --out when given. Exits
+ * with 2 when there are issues, so cron can alert on it.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const config = require('../src/config/env');
+const logger = require('../src/config/logger');
+const { parseSettlement, reconcile, reportToCsv } = require('../src/services/reconciliation.service');
+
+const arg = (name) => {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+};
+
+(async () => {
+  try {
+    const [from, to, file, out] = ['from', 'to', 'file', 'out'].map(arg);
+    if (!from || !to || !file) {
+      console.error('usage: reconcile-payments --from YYYY-MM-DD --to YYYY-MM-DD --file settlement.csv [--out report.csv]');
+      process.exit(1);
+    }
+    const settlement = parseSettlement(fs.readFileSync(file, 'utf8'));
+    await mongoose.connect(config.mongoUri || process.env.MONGO_URI);
+    const report = await reconcile({ from, to, settlement });
+    if (out) fs.writeFileSync(out, reportToCsv(report));
+    logger.info(`payment reconciliation ${from}..${to}: ${report.issues.length} issue(s) ${JSON.stringify(report.totals)}`);
+    process.exit(report.issues.length ? 2 : 0);
+  } catch (err) {
+    logger.error('payment reconciliation failed', err);
+    process.exit(1);
+  }
+})();
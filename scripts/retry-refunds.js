@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Retry failed refunds whose backoff has elapsed, and pending ones whose
+ * attempt was lost (see refund.service).
+ * Intended to run every few minutes via OS cron, e.g.:
+ *
+ *   0-59/5 * * * * cd /path/to/backend && node scripts/retry-refunds.js
+ *
+ * Safe to overlap with the API and with itself — each refund is claimed
+ * before it is attempted.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../src/config/env');
+const logger = require('../src/config/logger');
+const { retryDueRefunds } = require('../src/services/refund.service');
+
+(async () => {
+  try {
+    await mongoose.connect(config.mongoUri || process.env.MONGO_URI);
+    const { attempted, processed } = await retryDueRefunds();
+    logger.info(`refund retry: ${processed}/${attempted} due refunds went through`);
+    process.exit(0);
+  } catch (err) {
+    logger.error('refund retry failed', err);
+    process.exit(1);
+  }
+})();
@@ -13,6 +13,10 @@
  *
  * Usage:
  *   MONGO_URI=mongodb://localhost:27017/hungerwood_e2e node scripts/seed-e2e.js
+ *
+ * Run the backend with PAYMENT_PROVIDER=mock to check out without Razorpay
+ * keys: create the order as usual, "pay" it with POST /api/payment/mock/pay
+ * and send the returned ids + signature to verify-payment.
  */
 
 require('dotenv').config();
@@ -163,6 +167,7 @@ const PHONES = {
 
   console.log(`Seeded ${users.length} users, ${cats.length} categories, ${products.length} products, 2 bundles, 2 coupons.`);
   console.log(`Customer ${customerId} can sign in via phone ${PHONES.customer} + OTP 000000 (requires E2E_BYPASS_OTP=true on backend).`);
+  console.log('Online payments need PAYMENT_PROVIDER=mock on backend when no Razorpay keys are set.');
 
   await mongoose.disconnect();
   process.exit(0);
@@ -95,8 +95,15 @@ app.use(
   }),
 );
 
-// Body parser
-app.use(express.json({ limit: '10mb' }));
+// Body parser. The payment webhook's signature is over the raw bytes, so
+// keep them for that route.
+const WEBHOOK_PATH = '/api/payment/webhook';
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.path === WEBHOOK_PATH) req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // CORS configuration
@@ -199,8 +206,9 @@ const limiter = rateLimit({
   // Use custom key generator to work with Vercel's proxy
   // This extracts the real client IP from X-Forwarded-For header
   keyGenerator: (req) => getClientIP(req),
-  // Skip the trust proxy validation by providing our own IP extraction
-  skip: () => false
+  // Skip the trust proxy validation by providing our own IP extraction.
+  // Razorpay's webhook deliveries are signed and come from a few IPs.
+  skip: (req) => req.path === WEBHOOK_PATH
 });
 
 // Apply rate limiting to all routes
@@ -270,9 +278,25 @@ app.use('/api/banners', bannerRoutes);
 app.use('/api/restaurant', require('./routes/restaurant.routes')); // Public restaurant status endpoint
 
 app.use('/api/orders', orderRoutes);
+app.use('/api/delivery-slots', require('./routes/deliverySlot.routes'));
 app.use('/api/wallet', require('./routes/wallet.routes'));
+app.use('/api/loyalty', require('./routes/loyalty.routes'));
 app.use('/api/payment', paymentRoutes);
+app.use('/api/rider', require('./routes/rider.routes'));
 app.use('/api/photos', require('./routes/photo.routes')); // Public photo library endpoint
+// Mounted ahead of /api/admin: adminRoutes guards everything under it with
+// isAdmin (restaurant admins only), and zones/fees/slots/order events/riders/
+// refunds/reconciliation/cash/invoices are shared with grocery admins.
+app.use('/api/admin/delivery-zones', require('./routes/adminDeliveryZone.routes'));
+app.use('/api/admin/delivery-fees', require('./routes/adminDeliveryFee.routes'));
+app.use('/api/admin/delivery-slots', require('./routes/adminDeliverySlot.routes'));
+app.use('/api/admin/order-events', require('./routes/adminOrderEvents.routes'));
+app.use('/api/admin/riders', require('./routes/adminRider.routes'));
+app.use('/api/admin/refunds', require('./routes/adminRefund.routes'));
+app.use('/api/admin/reconciliation', require('./routes/adminReconciliation.routes'));
+app.use('/api/admin/cash', require('./routes/adminCash.routes'));
+app.use('/api/admin/invoices', require('./routes/adminInvoice.routes'));
+app.use('/api/admin/loyalty', require('./routes/adminLoyalty.routes'));
 app.use('/api/admin', adminRoutes);
 app.use('/api/super/users', adminUserRoutes);
 app.use('/api/grocery', groceryCatalogRoutes);
@@ -284,6 +308,7 @@ app.use('/api/admin/grocery/customers', groceryCustomerAdminRoutes);
 app.use('/api/grocery/orders', groceryOrderCustomerRoutes);
 app.use('/api/grocery/me', groceryMeRoutes);
 app.use('/api/grocery/coupons', groceryCouponRoutes);
+app.use('/api/coupons', require('./routes/offer.routes'));
 app.use('/api/grocery/bundles', groceryBundleRoutes);
 app.use('/api/grocery/search', grocerySearchRoutes);
 app.use('/api/admin/grocery/coupons', adminCouponRoutes);
@@ -318,10 +343,18 @@ app.get('/api', (req, res) => {
         items: 'GET /api/menu/items',
         item: 'GET /api/menu/items/:id'
       },
+      payment: {
+        webhook: 'POST /api/payment/webhook (Razorpay, signed with RAZORPAY_WEBHOOK_SECRET)',
+        mockPay: 'POST /api/payment/mock/pay { razorpay_order_id } (PAYMENT_PROVIDER=mock only)'
+      },
       orders: {
         create: 'POST /api/orders',
+        quote: 'POST /api/orders/quote',
+        bestOffers: 'GET /api/coupons/best?section=food|grocery&items=<json>&orderType=&deliveryAddress=<json>&paymentMethod=',
+        deliverySlots: 'GET /api/delivery-slots?section=food|grocery&date=YYYY-MM-DD',
         myOrders: 'GET /api/orders/my',
-        order: 'GET /api/orders/:id'
+        order: 'GET /api/orders/:id',
+        invoice: 'GET /api/orders/:id/invoice?gstin=&businessName= (PDF; /api/grocery/orders/:id/invoice for grocery)'
       },
       banners: {
         active: 'GET /api/banners/active',
@@ -333,11 +366,29 @@ app.get('/api', (req, res) => {
         delete: 'DELETE /api/banners/:id (admin)'
       },
       admin: {
-        orders: 'GET /api/admin/orders',
+        orders: 'GET /api/admin/orders?status=&orderType=&coupon=CODE|any',
         updateStatus: 'PATCH /api/admin/orders/:id/status',
         createMenuItem: 'POST /api/admin/menu',
         updateMenuItem: 'PATCH /api/admin/menu/:id',
-        deleteMenuItem: 'DELETE /api/admin/menu/:id'
+        deleteMenuItem: 'DELETE /api/admin/menu/:id',
+        deliveryZones: 'GET/POST /api/admin/delivery-zones, PATCH/DELETE /api/admin/delivery-zones/:id',
+        deliveryFees: 'GET /api/admin/delivery-fees, GET/PUT /api/admin/delivery-fees/:section, POST /api/admin/delivery-fees/:section/preview',
+        deliverySlots: 'GET/POST /api/admin/delivery-slots, PATCH/DELETE /api/admin/delivery-slots/:id',
+        scheduledOrders: 'GET /api/admin/delivery-slots/upcoming?section=food|grocery',
+        refunds: 'GET /api/admin/refunds?status=&section=, POST /api/admin/refunds/:id/retry, POST /api/admin/refunds/:id/settle',
+        reconciliation: 'POST /api/admin/reconciliation?format=json|csv (multipart: settlement, from, to)',
+        cash: 'GET /api/admin/cash/summary?date=, GET/POST /api/admin/cash/settlements',
+        invoices: 'GET /api/admin/invoices?section=food|grocery&month=YYYY-MM&format=pdf|csv',
+        coupons: 'GET /api/admin/grocery/coupons/report?section=food|grocery&from=&to=, GET /api/admin/grocery/coupons/:id/stats?from=&to=',
+        campaignCodes: 'POST /api/admin/grocery/coupons/:id/codes { count, prefix }, GET /api/admin/grocery/coupons/:id/codes?format=json|csv',
+        loyalty: 'GET/PUT /api/admin/loyalty (super admin)'
+      },
+      loyalty: {
+        summary: 'GET /api/loyalty',
+        redeem: 'POST /api/loyalty/redeem { points }'
+      },
+      addresses: {
+        serviceability: 'GET /api/addresses/:id/serviceability?section=food|grocery'
       }
     }
   });
@@ -35,6 +35,22 @@ module.exports = {
   restaurantLocation: process.env.RESTAURANT_LOCATION || 'Gaya, Bihar',
   restaurantPhone: process.env.RESTAURANT_PHONE || '1800-HUNGER',
 
+  // GST invoices (services/invoice.service.js). Food and grocery may be
+  // registered separately; both fall back to GSTIN.
+  invoiceLegalName: process.env.INVOICE_LEGAL_NAME || process.env.RESTAURANT_NAME || 'HungerWood',
+  invoiceAddress: process.env.INVOICE_ADDRESS || process.env.RESTAURANT_LOCATION || 'Gaya, Bihar',
+  invoiceStateName: process.env.INVOICE_STATE_NAME || 'Bihar',
+  invoiceStateCode: process.env.INVOICE_STATE_CODE || '10',
+  gstinFood: process.env.GSTIN_FOOD || process.env.GSTIN || '',
+  gstinGrocery: process.env.GSTIN_GROCERY || process.env.GSTIN || '',
+
+  // Store location — centre for radius-based delivery zones that don't set their own
+  storeLocation: (() => {
+    const latitude = parseFloat(process.env.STORE_LATITUDE);
+    const longitude = parseFloat(process.env.STORE_LONGITUDE);
+    return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+  })(),
+
   // CORS
   allowedOrigins: (() => {
     const defaultOrigins = [
@@ -62,6 +78,16 @@ module.exports = {
   // Razorpay
   razorpayKeyId: process.env.RAZORPAY_KEY_ID || '',
   razorpayKeySecret: process.env.RAZORPAY_KEY_SECRET || '',
+  // Set in the Razorpay dashboard when adding the webhook; signs every delivery
+  razorpayWebhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || '',
+  // 'razorpay' or 'mock' (local e2e runs only — see paymentProvider.service)
+  paymentProvider: (() => {
+    const provider = (process.env.PAYMENT_PROVIDER || 'razorpay').toLowerCase();
+    if (provider === 'mock' && (process.env.NODE_ENV === 'production' || process.env.VERCEL_ENV === 'production')) {
+      throw new Error('PAYMENT_PROVIDER=mock must not be used in production');
+    }
+    return provider;
+  })(),
 
   // MSG91 OTP Service
   msg91AuthKey: process.env.MSG91_AUTH_KEY || '',
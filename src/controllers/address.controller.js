@@ -6,10 +6,12 @@
 const Address = require('../models/Address.model');
 const User = require('../models/User.model');
 const logger = require('../config/logger');
+const deliveryZoneService = require('../services/deliveryZone.service');
 const { getCurrentISO } = require('../utils/dateFormatter');
 const { transformEntity, transformEntities } = require('../utils/transformers');
 
 const MAX_ADDRESSES = 5;
+const SECTIONS = ['food', 'grocery'];
 
 /**
  * Get all addresses for current user
@@ -240,3 +242,47 @@ exports.setDefaultAddress = async (req, res) => {
     });
   }
 };
+
+/**
+ * Check whether an address is inside a delivery zone
+ * Query: ?section=food|grocery (both when omitted)
+ */
+exports.getServiceability = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { section } = req.query;
+
+    if (section && !SECTIONS.includes(section)) {
+      return res.status(400).json({
+        success: false,
+        message: `section must be one of: ${SECTIONS.join(', ')}`
+      });
+    }
+
+    // Find address belonging to user
+    const address = await Address.findOne({ _id: id, user: req.user.userId });
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    const data = {};
+    for (const s of section ? [section] : SECTIONS) {
+      data[s] = await deliveryZoneService.checkServiceability(address, s);
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Address serviceability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check serviceability'
+    });
+  }
+};
@@ -15,6 +15,7 @@ const referralService = require('../services/referral.service');
 const { TRANSACTION_REASONS } = require('../models/WalletTransaction.model');
 const { successResponse, errorResponse } = require('../utils/helpers');
 const { HTTP_STATUS } = require('../utils/constants');
+const { describeOpenStatus } = require('../utils/openHours');
 const logger = require('../config/logger');
 
 /**
@@ -411,6 +412,12 @@ const getDashboardStats = async (req, res, next) => {
     const walletCreditUsed = orders.reduce((sum, order) => sum + (order.walletUsed || 0), 0);
     const walletCreditUsedThisMonth = thisMonthOrders.reduce((sum, order) => sum + (order.walletUsed || 0), 0);
 
+    // Coupon discounts given (FREE_DELIVERY counts the waived fee)
+    const withCoupon = (list) => list.filter(order => order.couponApplied?.code);
+    const couponDiscount = (list) => list.reduce((sum, order) => sum + (order.couponApplied.discount || 0), 0);
+    const couponOrders = withCoupon(orders);
+    const couponOrdersThisMonth = withCoupon(thisMonthOrders);
+
     // Calculate percentage changes
     const ordersChange = lastMonthOrders.length > 0
       ? ((thisMonthOrders.length - lastMonthOrders.length) / lastMonthOrders.length * 100).toFixed(1)
@@ -448,6 +455,12 @@ const getDashboardStats = async (req, res, next) => {
         wallet: {
           totalUsed: walletCreditUsed,
           usedThisMonth: walletCreditUsedThisMonth
+        },
+        coupons: {
+          orders: couponOrders.length,
+          ordersThisMonth: couponOrdersThisMonth.length,
+          discountGiven: couponDiscount(couponOrders),
+          discountThisMonth: couponDiscount(couponOrdersThisMonth)
         }
       }
     );
@@ -472,6 +485,7 @@ const getOrdersAnalytics = async (req, res, next) => {
     // Orders per day
     const ordersPerDay = {};
     const revenuePerDay = {};
+    const couponDiscountPerDay = {};
 
     orders.forEach(order => {
       const orderDate = new Date(order.createdAt);
@@ -479,12 +493,14 @@ const getOrdersAnalytics = async (req, res, next) => {
         const dateKey = orderDate.toISOString().split('T')[0];
         ordersPerDay[dateKey] = (ordersPerDay[dateKey] || 0) + 1;
         revenuePerDay[dateKey] = (revenuePerDay[dateKey] || 0) + (order.totalAmount || 0);
+        couponDiscountPerDay[dateKey] = (couponDiscountPerDay[dateKey] || 0) + (order.couponApplied?.discount || 0);
       }
     });
 
     // Fill in missing dates
     const ordersPerDayArray = [];
     const revenuePerDayArray = [];
+    const couponDiscountPerDayArray = [];
     for (let i = days - 1; i >= 0; i--) {
       const date = new Date(now.getTime() - i * 24 * 60 * 60 * 1000);
       const dateKey = date.toISOString().split('T')[0];
@@ -496,6 +512,10 @@ const getOrdersAnalytics = async (req, res, next) => {
         date: dateKey,
         revenue: revenuePerDay[dateKey] || 0
       });
+      couponDiscountPerDayArray.push({
+        date: dateKey,
+        discount: couponDiscountPerDay[dateKey] || 0
+      });
     }
 
     // Status distribution
@@ -512,6 +532,7 @@ const getOrdersAnalytics = async (req, res, next) => {
       {
         ordersPerDay: ordersPerDayArray,
         revenuePerDay: revenuePerDayArray,
+        couponDiscountPerDay: couponDiscountPerDayArray,
         statusDistribution: Object.keys(statusDistribution).map(status => ({
           status,
           count: statusDistribution[status]
@@ -699,18 +720,15 @@ const getCustomerAnalytics = async (req, res, next) => {
 const getRestaurantStatus = async (req, res, next) => {
   try {
     const restaurant = await Restaurant.getRestaurant();
-    
-    const { transformEntity } = require('../utils/transformers');
-    const transformedRestaurant = transformEntity(restaurant);
 
     return successResponse(
       res,
       HTTP_STATUS.OK,
       'Restaurant status fetched successfully',
       {
-        isOpen: transformedRestaurant.isOpen,
-        closingMessage: transformedRestaurant.closingMessage || '',
-        updatedAt: transformedRestaurant.updatedAt
+        ...describeOpenStatus(restaurant),
+        manualOverride: restaurant.manualOverride || null,
+        updatedAt: restaurant.updatedAt
       }
     );
   } catch (error) {
@@ -722,49 +740,35 @@ const getRestaurantStatus = async (req, res, next) => {
 /**
  * Update restaurant status (Admin)
  * PATCH /api/admin/restaurant/status
+ *
+ * Once weekly hours or closures are set this is a temporary override that
+ * lapses at `until` (default: next midnight IST) and hands back to the
+ * schedule. Without a schedule it simply opens/closes the restaurant.
  */
 const updateRestaurantStatus = async (req, res, next) => {
   try {
-    const { isOpen, closingMessage } = req.body;
-
-    if (typeof isOpen !== 'boolean') {
-      return errorResponse(
-        res,
-        HTTP_STATUS.BAD_REQUEST,
-        'isOpen must be a boolean value'
-      );
-    }
-
-    // Validate closing message length
-    if (closingMessage && closingMessage.length > 200) {
-      return errorResponse(
-        res,
-        HTTP_STATUS.BAD_REQUEST,
-        'Closing message cannot exceed 200 characters'
-      );
-    }
+    const { isOpen, closingMessage, until } = req.body;
 
     const restaurant = await Restaurant.getRestaurant();
-    
-    // Update restaurant status
-    restaurant.isOpen = isOpen;
-    restaurant.closingMessage = closingMessage || '';
+
+    restaurant.setManualStatus(isOpen, {
+      message: closingMessage || '',
+      until,
+      userId: req.user.userId
+    });
     restaurant.updatedBy = req.user.userId;
     await restaurant.save();
 
     logger.info(`Restaurant status updated by admin ${req.user.userId}: ${isOpen ? 'OPEN' : 'CLOSED'}`);
 
-    const { transformEntity } = require('../utils/transformers');
-    const transformedRestaurant = transformEntity(restaurant);
-
     return successResponse(
       res,
       HTTP_STATUS.OK,
       `Restaurant is now ${isOpen ? 'open' : 'closed'}`,
       {
-        isOpen: transformedRestaurant.isOpen,
-        closingMessage: transformedRestaurant.closingMessage || '',
-        updatedAt: transformedRestaurant.updatedAt
+        ...describeOpenStatus(restaurant),
+        manualOverride: restaurant.manualOverride || null,
+        updatedAt: restaurant.updatedAt
       }
     );
   } catch (error) {
@@ -773,6 +777,67 @@ const updateRestaurantStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Drop the manual override and go back to the schedule (Admin)
+ * DELETE /api/admin/restaurant/status/override
+ */
+const clearRestaurantOverride = async (req, res, next) => {
+  try {
+    const restaurant = await Restaurant.getRestaurant();
+
+    restaurant.clearManualOverride();
+    restaurant.updatedBy = req.user.userId;
+    await restaurant.save();
+
+    logger.info(`Restaurant manual override cleared by admin ${req.user.userId}`);
+
+    return successResponse(
+      res,
+      HTTP_STATUS.OK,
+      'Restaurant is back on its regular hours',
+      describeOpenStatus(restaurant)
+    );
+  } catch (error) {
+    logger.error('Error clearing restaurant override:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update weekly opening hours and holiday closures (Admin)
+ * PUT /api/admin/restaurant/hours
+ *
+ * Each list, when sent, replaces the stored one. Empty weeklyHours goes
+ * back to manual open/close.
+ */
+const updateRestaurantHours = async (req, res, next) => {
+  try {
+    const { weeklyHours, closures } = req.body;
+
+    const restaurant = await Restaurant.getRestaurant();
+
+    if (weeklyHours !== undefined) restaurant.weeklyHours = weeklyHours;
+    if (closures !== undefined) restaurant.closures = closures;
+    restaurant.updatedBy = req.user.userId;
+    await restaurant.save();
+
+    logger.info(`Restaurant hours updated by admin ${req.user.userId}`);
+
+    return successResponse(
+      res,
+      HTTP_STATUS.OK,
+      'Restaurant hours updated successfully',
+      describeOpenStatus(restaurant)
+    );
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, HTTP_STATUS.BAD_REQUEST, error.message);
+    }
+    logger.error('Error updating restaurant hours:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   getAllOrders,
   updateOrderStatus,
@@ -789,5 +854,7 @@ module.exports = {
   getMenuAnalytics,
   getCustomerAnalytics,
   getRestaurantStatus,
-  updateRestaurantStatus
+  updateRestaurantStatus,
+  clearRestaurantOverride,
+  updateRestaurantHours
 };
@@ -0,0 +1,42 @@
+const cashService = require('../services/cashCollection.service');
+const logger = require('../config/logger');
+const { canManageSection } = require('../middlewares/role.middleware');
+
+const SECTIONS = ['food', 'grocery'];
+
+const fail = (res, e, area) => {
+  if (e.name === 'CashError') return res.status(e.status).json({ success: false, message: e.message });
+  logger.error(area, e);
+  return res.status(500).json({ success: false });
+};
+
+const managedSections = (req) => SECTIONS.filter(s => canManageSection(req, s));
+
+/** GET /api/admin/cash/summary?date=YYYY-MM-DD — cash in hand per rider / admin. */
+exports.summary = async (req, res) => {
+  try {
+    const summary = await cashService.cashSummary({ date: req.query.date || undefined, sections: managedSections(req) });
+    res.json({ success: true, data: summary });
+  } catch (e) { fail(res, e, 'admin.cash.summary'); }
+};
+
+/** POST /api/admin/cash/settlements { collectorId, receivedAmount, note } — cash handed in. */
+exports.settle = async (req, res) => {
+  try {
+    const { collectorId, receivedAmount, note } = req.body || {};
+    const settlement = await cashService.settleCash(
+      { collectorId, receivedAmount, note, sections: managedSections(req) },
+      req.user.userId
+    );
+    res.status(201).json({ success: true, data: settlement });
+  } catch (e) { fail(res, e, 'admin.cash.settle'); }
+};
+
+/** GET /api/admin/cash/settlements?collectorId=&page=1&limit=20 */
+exports.listSettlements = async (req, res) => {
+  try {
+    const { collectorId, page, limit } = req.query;
+    const { data, pagination } = await cashService.listSettlements({ sections: managedSections(req), collectorId, page, limit });
+    res.json({ success: true, data, pagination });
+  } catch (e) { fail(res, e, 'admin.cash.listSettlements'); }
+};
@@ -1,6 +1,12 @@
 const Coupon = require('../models/Coupon.model');
+const CampaignCode = require('../models/CampaignCode.model');
+const couponStatsService = require('../services/couponStats.service');
+const campaignService = require('../services/couponCampaign.service');
 const logger = require('../config/logger');
 
+// Only coupon.service redeem / release move the usage counter.
+const withoutCounters = ({ redemptionCount, ...body }) => body;
+
 exports.list = async (req, res) => {
   try {
     const { section } = req.query;
@@ -13,7 +19,7 @@ exports.list = async (req, res) => {
 
 exports.create = async (req, res) => {
   try {
-    const body = req.body || {};
+    const body = withoutCounters(req.body || {});
     if (!body.code || !body.type || body.value == null || !body.validTo || !body.section) {
       return res.status(400).json({ success: false, message: 'code, type, value, validTo, section required' });
     }
@@ -24,13 +30,14 @@ exports.create = async (req, res) => {
       return res.status(409).json({ success: false, message: 'Coupon code already exists' });
     }
     logger.error('admin.coupon.create', e);
-    res.status(500).json({ success: false, message: e.message || 'Failed to create coupon' });
+    res.status(e.name === 'ValidationError' ? 400 : 500).json({ success: false, message: e.message || 'Failed to create coupon' });
   }
 };
 
 exports.update = async (req, res) => {
   try {
-    const updates = { ...req.body };
+    const updates = withoutCounters(req.body || {});
+    delete updates.isCampaign; // fixed at creation; campaign codes point at the coupon
     if (updates.code) updates.code = String(updates.code).toUpperCase().trim();
     const updated = await Coupon.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
     if (!updated) return res.status(404).json({ success: false, message: 'Coupon not found' });
@@ -40,7 +47,7 @@ exports.update = async (req, res) => {
       return res.status(409).json({ success: false, message: 'Coupon code already exists' });
     }
     logger.error('admin.coupon.update', e);
-    res.status(500).json({ success: false, message: e.message || 'Failed to update coupon' });
+    res.status(e.name === 'ValidationError' ? 400 : 500).json({ success: false, message: e.message || 'Failed to update coupon' });
   }
 };
 
@@ -58,6 +65,65 @@ exports.remove = async (req, res) => {
   try {
     const r = await Coupon.findByIdAndDelete(req.params.id);
     if (!r) return res.status(404).json({ success: false, message: 'Coupon not found' });
+    if (r.isCampaign) await CampaignCode.deleteMany({ coupon: r._id });
     res.json({ success: true });
   } catch (e) { logger.error('admin.coupon.remove', e); res.status(500).json({ success: false }); }
 };
+
+/** GET /api/admin/grocery/coupons/:id/stats?from=&to= — redemptions of one coupon (IST dates, last 30 days by default). */
+exports.stats = async (req, res) => {
+  try {
+    const c = await Coupon.findById(req.params.id).lean();
+    if (!c) return res.status(404).json({ success: false, message: 'Coupon not found' });
+    const data = await couponStatsService.couponStats(c, req.query);
+    res.json({ success: true, data });
+  } catch (e) {
+    if (e.name === 'CouponStatsError') return res.status(e.status).json({ success: false, message: e.message });
+    logger.error('admin.coupon.stats', e);
+    res.status(500).json({ success: false });
+  }
+};
+
+/** GET /api/admin/grocery/coupons/report?section=food|grocery&from=&to= — every coupon of a section side by side. */
+exports.report = async (req, res) => {
+  try {
+    const section = req.query.section || 'grocery';
+    const coupons = await Coupon.find({ section }).select('code isActive').lean();
+    const data = await couponStatsService.sectionReport(section, coupons, req.query);
+    res.json({ success: true, data });
+  } catch (e) {
+    if (e.name === 'CouponStatsError') return res.status(e.status).json({ success: false, message: e.message });
+    logger.error('admin.coupon.report', e);
+    res.status(500).json({ success: false });
+  }
+};
+
+/** POST /api/admin/grocery/coupons/:id/codes — body { count, prefix }: add single-use codes to a campaign coupon. */
+exports.generateCodes = async (req, res) => {
+  try {
+    const c = await Coupon.findById(req.params.id).lean();
+    if (!c) return res.status(404).json({ success: false, message: 'Coupon not found' });
+    const data = await campaignService.generateCodes(c, req.body || {});
+    logger.info(`admin.coupon.generateCodes: ${data.created} codes for ${c.code} by ${req.user.userId}`);
+    res.status(201).json({ success: true, data });
+  } catch (e) {
+    if (e.name === 'CampaignError') return res.status(e.status).json({ success: false, message: e.message });
+    logger.error('admin.coupon.generateCodes', e);
+    res.status(500).json({ success: false });
+  }
+};
+
+/** GET /api/admin/grocery/coupons/:id/codes?format=json|csv — a campaign's codes and which are spent. */
+exports.listCodes = async (req, res) => {
+  try {
+    const c = await Coupon.findById(req.params.id).lean();
+    if (!c) return res.status(404).json({ success: false, message: 'Coupon not found' });
+    const data = await campaignService.listCodes(c);
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${c.code}-codes.csv"`);
+      return res.send(campaignService.codesToCsv(data.codes));
+    }
+    res.json({ success: true, data });
+  } catch (e) { logger.error('admin.coupon.listCodes', e); res.status(500).json({ success: false }); }
+};
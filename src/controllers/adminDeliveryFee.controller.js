@@ -0,0 +1,78 @@
+const { DeliveryFeeRules, FEE_SECTIONS } = require('../models/DeliveryFeeRules.model');
+const deliveryFeeService = require('../services/deliveryFee.service');
+const logger = require('../config/logger');
+const { canManageSection } = require('../middlewares/role.middleware');
+
+const EDITABLE = ['baseFee', 'distanceSlabs', 'subtotalSlabs', 'surgeWindows'];
+
+/** Validates :section and ownership; returns false after responding if not allowed. */
+function checkSection(req, res) {
+  const { section } = req.params;
+  if (!FEE_SECTIONS.includes(section)) {
+    res.status(404).json({ success: false, message: 'Unknown section' });
+    return false;
+  }
+  if (!canManageSection(req, section)) {
+    res.status(403).json({ success: false, message: 'Access denied' });
+    return false;
+  }
+  return true;
+}
+
+/** GET /api/admin/delivery-fees — rules for every section the caller manages. */
+exports.list = async (req, res) => {
+  try {
+    const sections = FEE_SECTIONS.filter(s => canManageSection(req, s));
+    const data = {};
+    for (const s of sections) data[s] = await deliveryFeeService.getRules(s);
+    res.json({ success: true, data });
+  } catch (e) { logger.error('admin.deliveryFee.list', e); res.status(500).json({ success: false }); }
+};
+
+/** GET /api/admin/delivery-fees/:section */
+exports.get = async (req, res) => {
+  try {
+    if (!checkSection(req, res)) return;
+    res.json({ success: true, data: await deliveryFeeService.getRules(req.params.section) });
+  } catch (e) { logger.error('admin.deliveryFee.get', e); res.status(500).json({ success: false }); }
+};
+
+/** PUT /api/admin/delivery-fees/:section — replace any of baseFee / slabs / surge windows. */
+exports.update = async (req, res) => {
+  try {
+    if (!checkSection(req, res)) return;
+    await deliveryFeeService.getRules(req.params.section); // seed on first edit
+    const rules = await DeliveryFeeRules.findById(req.params.section);
+    for (const k of EDITABLE) {
+      if (req.body[k] !== undefined) rules[k] = req.body[k];
+    }
+    rules.updatedBy = req.user.userId;
+    await rules.save();
+    res.json({ success: true, data: rules });
+  } catch (e) {
+    logger.error('admin.deliveryFee.update', e);
+    res.status(e.name === 'ValidationError' ? 400 : 500).json({ success: false, message: e.message });
+  }
+};
+
+/**
+ * POST /api/admin/delivery-fees/:section/preview
+ * Body: { subtotal, distanceKm, at } — fee under the saved rules, so admins
+ * can check a change before customers see it.
+ */
+exports.preview = async (req, res) => {
+  try {
+    if (!checkSection(req, res)) return;
+    const { subtotal = 0, distanceKm = null, at } = req.body || {};
+    const now = at ? new Date(at) : new Date();
+    if (Number.isNaN(now.getTime())) {
+      return res.status(400).json({ success: false, message: 'at must be a valid date' });
+    }
+    const rules = await deliveryFeeService.getRules(req.params.section);
+    const data = deliveryFeeService.quoteFee(
+      { rules, distanceKm: distanceKm != null ? Number(distanceKm) : null, zoneFee: null, now },
+      Number(subtotal) || 0
+    );
+    res.json({ success: true, data });
+  } catch (e) { logger.error('admin.deliveryFee.preview', e); res.status(500).json({ success: false }); }
+};
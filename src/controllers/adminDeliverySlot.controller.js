@@ -0,0 +1,82 @@
+const { DeliverySlot, SLOT_SECTIONS } = require('../models/DeliverySlot.model');
+const deliverySlotService = require('../services/deliverySlot.service');
+const logger = require('../config/logger');
+const { canManageSection } = require('../middlewares/role.middleware');
+
+const EDITABLE = ['label', 'startTime', 'endTime', 'days', 'capacity', 'cutoffMinutes', 'isActive'];
+
+const pick = (body) => {
+  const out = {};
+  for (const k of EDITABLE) if (body[k] !== undefined) out[k] = body[k];
+  return out;
+};
+
+const denied = (res) => res.status(403).json({ success: false, message: 'Access denied' });
+
+/** GET /api/admin/delivery-slots?section= — slots for the sections the caller manages. */
+exports.list = async (req, res) => {
+  try {
+    const sections = SLOT_SECTIONS.filter(s => canManageSection(req, s) && (!req.query.section || s === req.query.section));
+    const list = await DeliverySlot.find({ section: { $in: sections } }).sort({ section: 1, startTime: 1 }).lean();
+    res.json({ success: true, data: list });
+  } catch (e) { logger.error('admin.deliverySlot.list', e); res.status(500).json({ success: false }); }
+};
+
+exports.create = async (req, res) => {
+  try {
+    const { section } = req.body || {};
+    if (!SLOT_SECTIONS.includes(section)) {
+      return res.status(400).json({ success: false, message: `section must be one of: ${SLOT_SECTIONS.join(', ')}` });
+    }
+    if (!canManageSection(req, section)) return denied(res);
+    const created = await DeliverySlot.create({ ...pick(req.body), section, updatedBy: req.user.userId });
+    res.status(201).json({ success: true, data: created });
+  } catch (e) {
+    logger.error('admin.deliverySlot.create', e);
+    res.status(e.name === 'ValidationError' ? 400 : 500).json({ success: false, message: e.message });
+  }
+};
+
+exports.update = async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findById(req.params.id);
+    if (!slot) return res.status(404).json({ success: false, message: 'Slot not found' });
+    if (!canManageSection(req, slot.section)) return denied(res);
+    Object.assign(slot, pick(req.body || {}), { updatedBy: req.user.userId });
+    await slot.save();
+    res.json({ success: true, data: slot });
+  } catch (e) {
+    logger.error('admin.deliverySlot.update', e);
+    res.status(e.name === 'ValidationError' ? 400 : 500).json({ success: false, message: e.message });
+  }
+};
+
+/**
+ * DELETE /api/admin/delivery-slots/:id — deactivates rather than deletes, so
+ * orders already booked into the slot keep a valid reference.
+ */
+exports.remove = async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findById(req.params.id);
+    if (!slot) return res.status(404).json({ success: false, message: 'Slot not found' });
+    if (!canManageSection(req, slot.section)) return denied(res);
+    slot.isActive = false;
+    slot.updatedBy = req.user.userId;
+    await slot.save();
+    res.json({ success: true, data: slot });
+  } catch (e) { logger.error('admin.deliverySlot.remove', e); res.status(500).json({ success: false }); }
+};
+
+/** GET /api/admin/delivery-slots/upcoming?section=food|grocery&days=N — scheduled orders grouped by slot. */
+exports.upcoming = async (req, res) => {
+  try {
+    const { section } = req.query;
+    if (!SLOT_SECTIONS.includes(section)) {
+      return res.status(400).json({ success: false, message: `section must be one of: ${SLOT_SECTIONS.join(', ')}` });
+    }
+    if (!canManageSection(req, section)) return denied(res);
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || deliverySlotService.MAX_DAYS_AHEAD, 0), 31);
+    const data = await deliverySlotService.listUpcoming(section, { days });
+    res.json({ success: true, data });
+  } catch (e) { logger.error('admin.deliverySlot.upcoming', e); res.status(500).json({ success: false }); }
+};
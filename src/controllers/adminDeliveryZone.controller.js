@@ -0,0 +1,62 @@
+const DeliveryZone = require('../models/DeliveryZone.model');
+const logger = require('../config/logger');
+
+const EDITABLE = ['name', 'sections', 'pincodes', 'center', 'radiusKm', 'polygon', 'deliveryFee', 'minOrderValue', 'priority', 'isActive'];
+
+const pick = (body) => {
+  const out = {};
+  for (const k of EDITABLE) if (body[k] !== undefined) out[k] = body[k];
+  return out;
+};
+
+exports.list = async (req, res) => {
+  try {
+    const { section } = req.query;
+    const q = {};
+    if (section) q.sections = section;
+    const list = await DeliveryZone.find(q).sort({ priority: 1, createdAt: 1 }).lean();
+    res.json({ success: true, data: list });
+  } catch (e) { logger.error('admin.deliveryZone.list', e); res.status(500).json({ success: false }); }
+};
+
+exports.create = async (req, res) => {
+  try {
+    const created = await DeliveryZone.create({ ...pick(req.body || {}), updatedBy: req.user.userId });
+    res.status(201).json({ success: true, data: created });
+  } catch (e) {
+    logger.error('admin.deliveryZone.create', e);
+    res.status(e.name === 'ValidationError' ? 400 : 500).json({ success: false, message: e.message });
+  }
+};
+
+exports.update = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) return res.status(404).json({ success: false, message: 'Zone not found' });
+    Object.assign(zone, pick(req.body || {}), { updatedBy: req.user.userId });
+    await zone.save();
+    res.json({ success: true, data: zone });
+  } catch (e) {
+    logger.error('admin.deliveryZone.update', e);
+    res.status(e.name === 'ValidationError' ? 400 : 500).json({ success: false, message: e.message });
+  }
+};
+
+exports.toggle = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) return res.status(404).json({ success: false, message: 'Zone not found' });
+    zone.isActive = !zone.isActive;
+    zone.updatedBy = req.user.userId;
+    await zone.save();
+    res.json({ success: true, data: zone });
+  } catch (e) { logger.error('admin.deliveryZone.toggle', e); res.status(500).json({ success: false }); }
+};
+
+exports.remove = async (req, res) => {
+  try {
+    const r = await DeliveryZone.findByIdAndDelete(req.params.id);
+    if (!r) return res.status(404).json({ success: false, message: 'Zone not found' });
+    res.json({ success: true });
+  } catch (e) { logger.error('admin.deliveryZone.remove', e); res.status(500).json({ success: false }); }
+};
@@ -0,0 +1,34 @@
+const invoiceService = require('../services/invoice.service');
+const logger = require('../config/logger');
+const { canManageSection } = require('../middlewares/role.middleware');
+
+const SECTIONS = ['food', 'grocery'];
+
+/**
+ * GET /api/admin/invoices?section=food|grocery&month=YYYY-MM&format=pdf|csv
+ * Every invoice for the month — one PDF, or the invoice register as CSV.
+ * Invoices not downloaded yet are issued first.
+ */
+exports.exportMonth = async (req, res) => {
+  try {
+    const { section, month, format = 'pdf' } = req.query;
+    if (!SECTIONS.includes(section)) return res.status(400).json({ success: false, message: 'section must be food or grocery' });
+    if (!canManageSection(req, section)) return res.status(403).json({ success: false, message: 'Access denied' });
+    if (!['pdf', 'csv'].includes(format)) return res.status(400).json({ success: false, message: 'format must be pdf or csv' });
+
+    const invoices = await invoiceService.monthInvoices(section, month);
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="invoices-${section}-${month}.csv"`);
+      return res.send(invoiceService.registerToCsv(invoices));
+    }
+    if (!invoices.length) return res.status(404).json({ success: false, message: 'No invoices for this month' });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="invoices-${section}-${month}.pdf"`);
+    res.send(invoiceService.renderInvoices(invoices));
+  } catch (e) {
+    if (e.name === 'InvoiceError') return res.status(e.status).json({ success: false, message: e.message });
+    logger.error('admin.invoice.exportMonth', e);
+    res.status(500).json({ success: false });
+  }
+};
@@ -0,0 +1,35 @@
+const { LoyaltySettings } = require('../models/Loyalty.model');
+const logger = require('../config/logger');
+
+const SECTIONS = ['food', 'grocery'];
+const EDITABLE = ['isEnabled', 'rupeesPerPoint', 'minRedeemPoints', 'expiryDays', 'tiers'];
+
+/** GET /api/admin/loyalty — program settings. */
+exports.get = async (req, res) => {
+  try {
+    res.json({ success: true, data: await LoyaltySettings.get() });
+  } catch (e) { logger.error('admin.loyalty.get', e); res.status(500).json({ success: false }); }
+};
+
+/**
+ * PUT /api/admin/loyalty — replace any of the earn rates, redemption rate,
+ * expiry and tiers. Points already earned keep their expiry.
+ */
+exports.update = async (req, res) => {
+  try {
+    const settings = await LoyaltySettings.get();
+    for (const k of EDITABLE) {
+      if (req.body[k] !== undefined) settings[k] = req.body[k];
+    }
+    // Earn rates are per section, so one can change without the other.
+    for (const s of SECTIONS) {
+      if (req.body.pointsPerRupee?.[s] !== undefined) settings.set(`pointsPerRupee.${s}`, req.body.pointsPerRupee[s]);
+    }
+    settings.updatedBy = req.user.userId;
+    await settings.save();
+    res.json({ success: true, data: settings });
+  } catch (e) {
+    logger.error('admin.loyalty.update', e);
+    res.status(e.name === 'ValidationError' ? 400 : 500).json({ success: false, message: e.message });
+  }
+};
@@ -0,0 +1,27 @@
+const orderEvents = require('../services/orderEvents.service');
+const logger = require('../config/logger');
+const { canManageSection } = require('../middlewares/role.middleware');
+const { openEventStream } = require('../utils/sse');
+
+const ORDER_SECTIONS = ['food', 'grocery'];
+
+/**
+ * GET /api/admin/order-events?section=&token= — SSE feed of new orders for
+ * the kitchen / packing screen. Sends `ready` with the sections covered,
+ * then a `new-order` event per order placed in them.
+ */
+exports.stream = (req, res) => {
+  try {
+    const sections = ORDER_SECTIONS.filter(s => canManageSection(req, s) && (!req.query.section || s === req.query.section));
+    if (sections.length === 0) return res.status(403).json({ success: false, message: 'Access denied' });
+
+    const stream = openEventStream(req, res);
+    stream.send('ready', { sections });
+    stream.onClose(orderEvents.subscribeToNewOrders((order) => {
+      if (sections.includes(order.section)) stream.send('new-order', order);
+    }));
+  } catch (e) {
+    logger.error('admin.orderEvents.stream', e);
+    if (!res.headersSent) res.status(500).json({ success: false });
+  }
+};
@@ -0,0 +1,37 @@
+const reconciliationService = require('../services/reconciliation.service');
+const logger = require('../config/logger');
+const { canManageSection } = require('../middlewares/role.middleware');
+
+const SECTIONS = ['food', 'grocery'];
+
+const denied = (res) => res.status(403).json({ success: false, message: 'Access denied' });
+
+/**
+ * POST /api/admin/reconciliation?format=json|csv
+ * multipart: settlement (Razorpay settlement CSV), from, to (YYYY-MM-DD, IST), section (optional)
+ */
+exports.reconcile = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ success: false, message: 'Upload the settlement export as "settlement"' });
+    const { from, to, section } = { ...req.query, ...req.body };
+    let sections = SECTIONS.filter(s => canManageSection(req, s));
+    if (section) {
+      if (!sections.includes(section)) return denied(res);
+      sections = [section];
+    }
+
+    const settlement = reconciliationService.parseSettlement(req.file.buffer.toString('utf8'));
+    const report = await reconciliationService.reconcile({ from, to, sections, settlement });
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="reconciliation-${from}-to-${to}.csv"`);
+      return res.send(reconciliationService.reportToCsv(report));
+    }
+    res.json({ success: true, data: report });
+  } catch (e) {
+    if (e.name === 'ReconciliationError') return res.status(e.status).json({ success: false, message: e.message });
+    logger.error('admin.reconciliation.reconcile', e);
+    res.status(500).json({ success: false });
+  }
+};
@@ -0,0 +1,47 @@
+const refundService = require('../services/refund.service');
+const logger = require('../config/logger');
+const { canManageSection } = require('../middlewares/role.middleware');
+
+const SECTIONS = ['food', 'grocery'];
+
+const denied = (res) => res.status(403).json({ success: false, message: 'Access denied' });
+
+const fail = (res, e, area) => {
+  if (e.name === 'RefundError') return res.status(e.status).json({ success: false, message: e.message });
+  logger.error(area, e);
+  return res.status(500).json({ success: false });
+};
+
+/** GET /api/admin/refunds?status=FAILED&section=grocery&page=1&limit=20 */
+exports.list = async (req, res) => {
+  try {
+    const { status, section, page, limit } = req.query;
+    let sections = SECTIONS.filter(s => canManageSection(req, s));
+    if (section) {
+      if (!sections.includes(section)) return denied(res);
+      sections = [section];
+    }
+    const { data, pagination } = await refundService.listRefunds({ sections, status, page, limit });
+    res.json({ success: true, data, pagination });
+  } catch (e) { fail(res, e, 'admin.refund.list'); }
+};
+
+/** POST /api/admin/refunds/:id/retry — try a failed refund now. */
+exports.retry = async (req, res) => {
+  try {
+    const refund = await refundService.findRefund(req.params.id);
+    if (!canManageSection(req, refund.section)) return denied(res);
+    const retried = await refundService.retryRefund(refund);
+    res.json({ success: true, data: retried });
+  } catch (e) { fail(res, e, 'admin.refund.retry'); }
+};
+
+/** POST /api/admin/refunds/:id/settle { note } — paid back outside the system. */
+exports.settle = async (req, res) => {
+  try {
+    const refund = await refundService.findRefund(req.params.id);
+    if (!canManageSection(req, refund.section)) return denied(res);
+    await refundService.settleOffline(refund, req.user.userId, req.body?.note);
+    res.json({ success: true, data: refund });
+  } catch (e) { fail(res, e, 'admin.refund.settle'); }
+};
@@ -0,0 +1,68 @@
+const { Rider } = require('../models/Rider.model');
+const riderService = require('../services/rider.service');
+const logger = require('../config/logger');
+const { canManageSection } = require('../middlewares/role.middleware');
+
+const EDITABLE = ['name', 'vehicleNumber', 'isActive'];
+
+const pick = (body) => {
+  const out = {};
+  for (const k of EDITABLE) if (body[k] !== undefined) out[k] = body[k];
+  return out;
+};
+
+const denied = (res) => res.status(403).json({ success: false, message: 'Access denied' });
+
+const fail = (res, e, area) => {
+  if (e.name === 'RiderError') return res.status(e.status).json({ success: false, message: e.message });
+  if (e.name === 'ValidationError') return res.status(400).json({ success: false, message: e.message });
+  logger.error(area, e);
+  return res.status(500).json({ success: false });
+};
+
+/** GET /api/admin/riders?available=true — riders with their current load. */
+exports.list = async (req, res) => {
+  try {
+    const data = await riderService.listRiders({ availableOnly: req.query.available === 'true' });
+    res.json({ success: true, data });
+  } catch (e) { fail(res, e, 'admin.rider.list'); }
+};
+
+/** POST /api/admin/riders { phone, name, vehicleNumber } */
+exports.create = async (req, res) => {
+  try {
+    const rider = await riderService.createRider(req.body || {}, req.user.userId);
+    res.status(201).json({ success: true, data: rider });
+  } catch (e) { fail(res, e, 'admin.rider.create'); }
+};
+
+exports.update = async (req, res) => {
+  try {
+    const rider = await Rider.findById(req.params.id);
+    if (!rider) return res.status(404).json({ success: false, message: 'Rider not found' });
+    Object.assign(rider, pick(req.body || {}), { updatedBy: req.user.userId });
+    if (rider.isActive === false) rider.isAvailable = false;
+    await rider.save();
+    res.json({ success: true, data: rider });
+  } catch (e) { fail(res, e, 'admin.rider.update'); }
+};
+
+/** POST /api/admin/riders/assignments { section, orderId, riderId } */
+exports.assign = async (req, res) => {
+  try {
+    const { section, orderId, riderId } = req.body || {};
+    if (!canManageSection(req, section)) return denied(res);
+    const order = await riderService.assignOrder(section, orderId, riderId, req.user.userId);
+    res.json({ success: true, data: { ...order.toObject(), id: order._id.toString() } });
+  } catch (e) { fail(res, e, 'admin.rider.assign'); }
+};
+
+/** DELETE /api/admin/riders/assignments/:section/:orderId — only before pick-up. */
+exports.unassign = async (req, res) => {
+  try {
+    const { section, orderId } = req.params;
+    if (!canManageSection(req, section)) return denied(res);
+    const order = await riderService.unassignOrder(section, orderId, req.user.userId);
+    res.json({ success: true, data: { ...order.toObject(), id: order._id.toString() } });
+  } catch (e) { fail(res, e, 'admin.rider.unassign'); }
+};
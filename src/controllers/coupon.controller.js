@@ -1,8 +1,14 @@
 const Coupon = require('../models/Coupon.model');
+const GrocerySettings = require('../models/GrocerySettings.model');
 const couponService = require('../services/coupon.service');
+const bestOfferService = require('../services/bestOffer.service');
+const orderService = require('../services/order.service');
+const deliveryZoneService = require('../services/deliveryZone.service');
+const deliveryFeeService = require('../services/deliveryFee.service');
+const { _internals: groceryCheckout } = require('./groceryOrderCustomer.controller');
 const logger = require('../config/logger');
 
-/** GET /api/grocery/coupons — list active grocery coupons usable today */
+/** GET /api/grocery/coupons — list active grocery coupons usable today with uses left */
 exports.listAvailable = async (req, res) => {
   try {
     const now = new Date();
@@ -11,6 +17,8 @@ exports.listAvailable = async (req, res) => {
       isActive: true,
       validFrom: { $lte: now },
       validTo: { $gte: now },
+      isCampaign: { $ne: true },
+      ...couponService.HAS_USES_LEFT,
     })
       .sort({ createdAt: -1 })
       .lean();
@@ -23,19 +31,21 @@ exports.listAvailable = async (req, res) => {
 
 /**
  * POST /api/grocery/coupons/apply
- * Body: { code, subtotal, deliveryFee }
+ * Body: { code, subtotal, deliveryFee, paymentMethod }
  * Validates code against the caller and returns the computed discount.
- * Does NOT mutate any order — that happens at order-creation time.
+ * Does NOT mutate any order — that happens at order-creation time, where
+ * item scope and bundle stacking are checked against the actual cart.
  */
 exports.apply = async (req, res) => {
   try {
-    const { code, subtotal, deliveryFee = 0 } = req.body || {};
+    const { code, subtotal, deliveryFee = 0, paymentMethod } = req.body || {};
     const result = await couponService.validateAndCompute({
       code,
       subtotal: Number(subtotal) || 0,
       deliveryFee: Number(deliveryFee) || 0,
       userId: req.user.userId,
       section: 'grocery',
+      paymentMethod,
     });
     res.json({ success: true, data: result });
   } catch (e) {
@@ -46,3 +56,89 @@ exports.apply = async (req, res) => {
     res.status(500).json({ success: false, message: 'Failed to apply coupon' });
   }
 };
+
+/** `items` and `deliveryAddress` arrive as JSON in the query string. */
+function cartFromQuery(query) {
+  const parse = (v) => (v ? JSON.parse(v) : undefined);
+  try {
+    return {
+      items: parse(query.items),
+      deliveryAddress: parse(query.deliveryAddress),
+      orderType: query.orderType,
+      paymentMethod: query.paymentMethod || null,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/** Subtotal, delivery fee and priced lines of a cart, as checkout prices it. */
+async function priceForOffers(section, cart, userId) {
+  if (section === 'grocery') {
+    const settings = await GrocerySettings.get();
+    const { resolved, subtotal, delivery } = await groceryCheckout.priceCart(settings, cart, userId);
+    return { subtotal, deliveryFee: delivery, lines: groceryCheckout.cartLines(resolved) };
+  }
+  const { items } = await orderService.resolveOrderItems(cart.items);
+  let feeContext = null;
+  if (cart.orderType === 'DELIVERY') {
+    const area = cart.deliveryAddress ? await deliveryZoneService.checkServiceability(cart.deliveryAddress, 'food') : null;
+    feeContext = await deliveryFeeService.buildFeeContext('food', { address: cart.deliveryAddress, area, userId });
+  }
+  const bill = orderService.computeOrderBill(items, cart.orderType, { feeContext });
+  return {
+    subtotal: bill.itemTotal,
+    deliveryFee: bill.delivery,
+    lines: bill.lines.map(l => ({ id: l.menuItem, quantity: l.quantity, amount: l.lineTotal })),
+  };
+}
+
+async function best(req, res, section) {
+  try {
+    const cart = cartFromQuery(req.query);
+    if (!cart) return res.status(400).json({ success: false, message: 'items and deliveryAddress must be JSON' });
+    if (!Array.isArray(cart.items) || cart.items.length === 0) {
+      return res.status(400).json({ success: false, message: 'Cart must contain at least one item' });
+    }
+
+    let priced;
+    try {
+      priced = await priceForOffers(section, cart, req.user.userId);
+    } catch (err) {
+      // Grocery pricing throws plain Errors for cart problems, as in the quote.
+      if (section === 'food' && err.name !== 'OrderPricingError') throw err;
+      return res.status(err.status || 400).json({ success: false, message: err.message || 'Cart could not be priced' });
+    }
+
+    const data = await bestOfferService.rankOffers({
+      section,
+      userId: req.user.userId,
+      paymentMethod: cart.paymentMethod,
+      ...priced,
+    });
+    res.json({ success: true, data: { subtotal: priced.subtotal, deliveryFee: priced.deliveryFee, ...data } });
+  } catch (e) {
+    logger.error('coupon.best', e);
+    res.status(500).json({ success: false, message: 'Failed to find offers' });
+  }
+}
+
+/**
+ * GET /api/grocery/coupons/best?items=&orderType=&deliveryAddress=&paymentMethod=
+ * Every live coupon and bundle ranked against the cart, with the saving or
+ * the reason it doesn't apply, and the best combination. `items` and
+ * `deliveryAddress` are JSON, shaped as in the order body.
+ */
+exports.bestGrocery = (req, res) => best(req, res, 'grocery');
+
+/**
+ * GET /api/coupons/best?section=food&items=&orderType=&deliveryAddress=&paymentMethod=
+ * Same ranking for either section.
+ */
+exports.best = (req, res) => {
+  const { section } = req.query;
+  if (!['food', 'grocery'].includes(section)) {
+    return res.status(400).json({ success: false, message: 'section must be food or grocery' });
+  }
+  return best(req, res, section);
+};
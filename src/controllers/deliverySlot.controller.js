@@ -0,0 +1,24 @@
+const { SLOT_SECTIONS } = require('../models/DeliverySlot.model');
+const deliverySlotService = require('../services/deliverySlot.service');
+const logger = require('../config/logger');
+const { getIstDateString } = require('../utils/categoryWindow');
+
+/**
+ * GET /api/delivery-slots?section=food|grocery&date=YYYY-MM-DD
+ * Slots offered on a date (default: today, IST) with remaining capacity.
+ */
+exports.list = async (req, res) => {
+  try {
+    const { section } = req.query;
+    if (!SLOT_SECTIONS.includes(section)) {
+      return res.status(400).json({ success: false, message: `section must be one of: ${SLOT_SECTIONS.join(', ')}` });
+    }
+    const date = req.query.date || getIstDateString();
+    const slots = await deliverySlotService.listAvailability(section, date);
+    res.json({ success: true, data: { date, maxDaysAhead: deliverySlotService.MAX_DAYS_AHEAD, slots } });
+  } catch (e) {
+    if (e.name === 'SlotError') return res.status(e.status).json({ success: false, message: e.message });
+    logger.error('deliverySlot.list', e);
+    res.status(500).json({ success: false });
+  }
+};
@@ -1,6 +1,8 @@
 const GroceryCategory = require('../models/GroceryCategory.model');
 const GroceryProduct = require('../models/GroceryProduct.model');
 const GrocerySettings = require('../models/GrocerySettings.model');
+const deliveryFeeService = require('../services/deliveryFee.service');
+const { describeOpenStatus } = require('../utils/openHours');
 const logger = require('../config/logger');
 
 /** GET /api/grocery/categories — active categories only, sorted by order. */
@@ -55,14 +57,21 @@ exports.getSettings = async (_req, res) => {
   try {
     const s = await GrocerySettings.get();
     const o = s.toObject();
+    const fees = await deliveryFeeService.getRules('grocery');
+    // deliveryFee / freeDeliveryThreshold are the base-fee view of the fee
+    // engine for older clients; the quote endpoint has the exact fee.
+    const freeSlab = (fees.subtotalSlabs || []).find(x => x.fee === 0);
     res.json({
       success: true,
       data: {
-        isOpen: o.isOpen,
-        closingMessage: o.closingMessage,
+        ...describeOpenStatus(s),
         taxRate: o.taxRate,
-        deliveryFee: o.deliveryFee,
-        freeDeliveryThreshold: o.freeDeliveryThreshold,
+        deliveryFee: fees.baseFee,
+        freeDeliveryThreshold: freeSlab ? freeSlab.minSubtotal : null,
+        deliveryFeeRules: {
+          distanceSlabs: fees.distanceSlabs,
+          subtotalSlabs: fees.subtotalSlabs,
+        },
         minOrderValue: o.minOrderValue,
       },
     });
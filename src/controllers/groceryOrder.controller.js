@@ -1,6 +1,10 @@
 const GroceryOrder = require('../models/GroceryOrder.model');
 const logger = require('../config/logger');
 const { refundCancelledOrder } = require('../services/groceryOrderCancel.service');
+const { confirmHandoff } = require('../services/handoff.service');
+const { recordCollection } = require('../services/cashCollection.service');
+const { adjustOrderItems } = require('../services/groceryOrderAdjust.service');
+const refundService = require('../services/refund.service');
 const {
   GROCERY_ORDER_STATUS,
   validateGroceryStatusTransition,
@@ -29,7 +33,8 @@ exports.adminGet = async (req, res) => {
   try {
     const o = await GroceryOrder.findById(req.params.id).populate('user', 'phone name');
     if (!o) return res.status(404).json({ success: false });
-    res.json({ success: true, data: { ...o.toObject(), id: o._id.toString() } });
+    const refunds = await refundService.listForOrder('grocery', o._id);
+    res.json({ success: true, data: { ...o.toObject(), id: o._id.toString(), refunds } });
   } catch (e) { res.status(500).json({ success: false }); }
 };
 
@@ -46,14 +51,41 @@ exports.adminUpdateStatus = async (req, res) => {
       });
     }
 
+    // DELIVERED / PICKED_UP need the customer's handoff code or a photo.
+    const proof = await confirmHandoff('grocery', o, nextStatus, {
+      code: req.body.handoffCode,
+      photoUrl: req.file ? `/uploads/${req.file.filename}` : null,
+    });
+    // Cash orders are paid on handoff; the admin marking it took the cash.
+    recordCollection('grocery', o, nextStatus, { amountCollected: req.body.cashCollected, collectedBy: req.user.userId });
+
     if (nextStatus === GROCERY_ORDER_STATUS.CANCELLED) {
       await refundCancelledOrder(o);
       o.cancelledAt = new Date();
     }
 
     o.status = nextStatus;
-    o.statusHistory.push({ status: nextStatus, timestamp: new Date(), updatedBy: req.user.userId });
+    o.statusHistory.push({ status: nextStatus, timestamp: new Date(), updatedBy: req.user.userId, ...(proof && { proof }) });
     await o.save();
     res.json({ success: true, data: { ...o.toObject(), id: o._id.toString() } });
-  } catch (e) { logger.error('groceryOrder.updateStatus', e); res.status(500).json({ success: false }); }
+  } catch (e) {
+    if (e.name === 'HandoffError' || e.name === 'CashError') return res.status(e.status).json({ success: false, message: e.message });
+    logger.error('groceryOrder.updateStatus', e);
+    res.status(500).json({ success: false });
+  }
+};
+
+/**
+ * PATCH /:id/items — remove or reduce lines before packing.
+ * Body: { items: [{ variantId, quantity }], reason }; quantity 0 removes the line.
+ */
+exports.adminAdjustItems = async (req, res) => {
+  try {
+    const o = await adjustOrderItems(req.params.id, req.body, req.user.userId);
+    res.json({ success: true, data: { ...o.toObject(), id: o._id.toString() } });
+  } catch (e) {
+    if (e.name === 'AdjustmentError') return res.status(e.status).json({ success: false, message: e.message });
+    logger.error('groceryOrder.adjustItems', e);
+    res.status(500).json({ success: false, message: 'Failed to adjust order items' });
+  }
 };
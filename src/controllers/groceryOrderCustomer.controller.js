@@ -1,14 +1,26 @@
 const GroceryOrder = require('../models/GroceryOrder.model');
 const GroceryProduct = require('../models/GroceryProduct.model');
 const GrocerySettings = require('../models/GrocerySettings.model');
+const GroceryBundle = require('../models/GroceryBundle.model');
 const walletService = require('../services/wallet.service');
 const couponService = require('../services/coupon.service');
+const bestOfferService = require('../services/bestOffer.service');
+const stockService = require('../services/groceryStock.service');
+const deliveryZoneService = require('../services/deliveryZone.service');
+const deliveryFeeService = require('../services/deliveryFee.service');
+const deliverySlotService = require('../services/deliverySlot.service');
 const { refundCancelledOrder } = require('../services/groceryOrderCancel.service');
+const refundService = require('../services/refund.service');
 const logger = require('../config/logger');
 const config = require('../config/env');
 const crypto = require('crypto');
 const { TRANSACTION_REASONS } = require('../models/WalletTransaction.model');
 const { GROCERY_ORDER_STATUS } = require('../utils/groceryOrderStatusValidator');
+const { openEventStream } = require('../utils/sse');
+const { toPublicRider } = require('../utils/transformers');
+const { canManageSection } = require('../middlewares/role.middleware');
+const orderEvents = require('../services/orderEvents.service');
+const { taxRateFor, lineTax, summarizeTax } = require('../utils/tax');
 
 const CUSTOMER_CANCELLABLE_STATUSES = new Set([
   GROCERY_ORDER_STATUS.RECEIVED,
@@ -27,13 +39,14 @@ async function generateOrderId() {
 
 /**
  * Re-hydrate items against the live catalog. Snapshots current name/prices
- * into the stored order items, rejects if any product is no longer available
- * or any variant has been disabled.
+ * and the GST rate / tax per line (the variant's tax class, else
+ * `defaultTaxRate`) into the stored order items, rejects if any product is
+ * no longer available or any variant has been disabled.
  *
  * Input:  [{ productId, variantId, quantity }]
  * Output: { resolved: [GroceryOrderItem], subtotal: number }
  */
-async function resolveAndSnapshotItems(rawItems) {
+async function resolveAndSnapshotItems(rawItems, defaultTaxRate = 0) {
   const productIds = [...new Set(rawItems.map(i => i.productId))];
   const products = await GroceryProduct.find({ _id: { $in: productIds }, isAvailable: true });
   const byId = new Map(products.map(p => [p._id.toString(), p]));
@@ -48,6 +61,10 @@ async function resolveAndSnapshotItems(rawItems) {
     if (!Number.isInteger(raw.quantity) || raw.quantity < 1) {
       throw new Error(`Invalid quantity for "${p.name}"`);
     }
+    if (v.stock != null && raw.quantity > v.stock) {
+      throw new Error(`Only ${v.stock} left of "${p.name}" (${v.label})`);
+    }
+    const taxRate = taxRateFor(v.taxClass, defaultTaxRate);
     resolved.push({
       product: p._id,
       variantId: v._id,
@@ -56,35 +73,139 @@ async function resolveAndSnapshotItems(rawItems) {
       mrp: v.mrp,
       sellingPrice: v.sellingPrice,
       quantity: raw.quantity,
+      taxRate,
+      tax: lineTax(v.sellingPrice * raw.quantity, taxRate),
     });
     subtotal += v.sellingPrice * raw.quantity;
   }
   return { resolved, subtotal };
 }
 
-/** Compute tax, delivery fee, and grand total from settings + subtotal + orderType. */
-function computeBill(settings, subtotal, orderType) {
-  const tax = Math.round(subtotal * (settings.taxRate || 0));
-  const freeDeliveryThreshold = settings.freeDeliveryThreshold;
-  const deliveryFlat = settings.deliveryFee || 0;
-  const delivery = orderType === 'DELIVERY'
-    ? (freeDeliveryThreshold != null && subtotal >= freeDeliveryThreshold ? 0 : deliveryFlat)
-    : 0;
-  return { tax, delivery, total: subtotal + tax + delivery };
+/**
+ * Compute tax, delivery fee, and grand total from resolved items + subtotal + orderType.
+ * Tax is summed from the per-line rates (utils/tax.js). Delivery is priced
+ * by the fee engine; `feeContext` comes from
+ * deliveryFeeService.buildFeeContext and is required for DELIVERY orders.
+ */
+function computeBill(resolved, subtotal, orderType, feeContext = null) {
+  const { tax, breakdown: taxBreakdown } = summarizeTax(
+    resolved.map(i => ({ amount: i.sellingPrice * i.quantity, taxRate: i.taxRate }))
+  );
+  const deliveryDetails = orderType === 'DELIVERY' ? deliveryFeeService.quoteFee(feeContext, subtotal) : null;
+  const delivery = deliveryDetails ? deliveryDetails.fee : 0;
+  return { tax, taxBreakdown, delivery, deliveryDetails, total: subtotal + tax + delivery };
+}
+
+/** Resolved items as the priced lines coupon scoping and bundle matching work on. */
+const cartLines = (resolved) => resolved.map(i => ({
+  id: i.product,
+  variantId: i.variantId,
+  quantity: i.quantity,
+  amount: i.sellingPrice * i.quantity,
+}));
+
+/** Look up an active bundle by slug and return its snapshot, or null if it gives no discount. */
+async function resolveBundle(bundleSlug) {
+  if (!bundleSlug) return null;
+  try {
+    const b = await GroceryBundle.findOne({ slug: bundleSlug, isActive: true }).lean();
+    if (!b) return null;
+    const discount = Math.max(0, b.regularPrice - b.bundlePrice);
+    return discount > 0 ? { slug: b.slug, name: b.name, discount } : null;
+  } catch (e) {
+    logger.error('grocery.order.bundleVerify', e);
+    return null;
+  }
+}
+
+/**
+ * Price a cart exactly as order creation charges it: re-hydrated items,
+ * tax from settings, delivery from the fee engine, then the optional bundle
+ * and coupon (single coupon per order), checked against the cart lines,
+ * the payment method (when chosen) and the bundle. Shared by createOrder
+ * and the checkout quote. With `autoApplyBestOffer` and neither a coupon nor
+ * a bundle chosen, the best combination from bestOffer.service is applied.
+ *
+ * `area` is the serviceability result for delivery orders with an address
+ * (null otherwise); callers decide whether an unserviceable address is fatal.
+ * `minOrderValue` is the zone override or the settings default.
+ *
+ * Throws on unavailable items (plain Error) or a rejected coupon (CouponError).
+ */
+async function priceCart(settings, { items, orderType, deliveryAddress, bundleSlug, couponCode, paymentMethod, autoApplyBestOffer }, userId) {
+  const { resolved, subtotal } = await resolveAndSnapshotItems(items, settings.taxRate || 0);
+  const area = orderType === 'DELIVERY' && deliveryAddress
+    ? await deliveryZoneService.checkServiceability(deliveryAddress, 'grocery')
+    : null;
+  const feeContext = orderType === 'DELIVERY'
+    ? await deliveryFeeService.buildFeeContext('grocery', { address: deliveryAddress, area, userId })
+    : null;
+  let { tax, taxBreakdown, delivery, deliveryDetails } = computeBill(resolved, subtotal, orderType, feeContext);
+
+  if (autoApplyBestOffer && !couponCode && !bundleSlug) {
+    const { best } = await bestOfferService.rankOffers({
+      section: 'grocery',
+      userId,
+      subtotal,
+      deliveryFee: delivery,
+      lines: cartLines(resolved),
+      paymentMethod,
+    });
+    if (best) ({ couponCode, bundleSlug } = best);
+  }
+
+  const bundleApplied = await resolveBundle(bundleSlug);
+
+  let couponApplied = null;
+  if (couponCode) {
+    couponApplied = await couponService.validateAndCompute({
+      code: couponCode,
+      subtotal,
+      deliveryFee: delivery,
+      userId,
+      section: 'grocery',
+      items: cartLines(resolved),
+      paymentMethod,
+      bundleApplied: !!bundleApplied,
+    });
+    if (couponApplied.freeDelivery) delivery = 0;
+  }
+
+  const bundleDiscount = bundleApplied ? bundleApplied.discount : 0;
+  const couponDiscount = couponApplied && !couponApplied.freeDelivery ? couponApplied.discount : 0;
+  const total = Math.max(0, subtotal + tax + delivery - bundleDiscount - couponDiscount);
+
+  const minOrderValue = area?.minOrderValue != null ? area.minOrderValue : settings.minOrderValue;
+
+  return { resolved, subtotal, tax, taxBreakdown, delivery, deliveryDetails, total, bundleDiscount, couponDiscount, bundleApplied, couponApplied, area, minOrderValue };
 }
 
 /**
  * POST /api/grocery/orders
  * Cash/wallet-only path. Razorpay flow lives in groceryPayment.controller.js (Task 1.3).
+ * `autoApplyBestOffer: true` applies the best coupon / bundle when none is chosen.
  */
 exports.createOrder = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { items, orderType, deliveryAddress, paymentMethod, instructions, walletUsed = 0 } = req.body;
+    const { items, orderType, deliveryAddress, paymentMethod, instructions, scheduledSlot, walletUsed = 0 } = req.body;
+
+    // Scheduled orders are checked against opening hours at the slot time
+    // instead of whether the shop is open right now.
+    let scheduled = null;
+    if (scheduledSlot) {
+      try {
+        scheduled = await deliverySlotService.resolveSlot('grocery', scheduledSlot);
+      } catch (err) {
+        if (err.name !== 'SlotError') throw err;
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+    }
 
     const settings = await GrocerySettings.get();
-    if (!settings.isOpen) {
-      return res.status(403).json({ success: false, message: settings.closingMessage || 'Grocery shop is currently closed.' });
+    const openStatus = settings.getOpenStatus();
+    if (!scheduled && !openStatus.isOpen) {
+      return res.status(403).json({ success: false, message: openStatus.message || 'Grocery shop is currently closed.' });
     }
 
     if (!Array.isArray(items) || items.length === 0) {
@@ -97,61 +218,57 @@ exports.createOrder = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Delivery address required for delivery orders' });
     }
 
-    let resolved, subtotal;
+    let priced;
     try {
-      ({ resolved, subtotal } = await resolveAndSnapshotItems(items));
+      priced = await priceCart(settings, { ...req.body, paymentMethod: paymentMethod || 'CASH' }, userId);
     } catch (err) {
-      return res.status(400).json({ success: false, message: err.message });
+      return res.status(err.status || 400).json({
+        success: false,
+        message: err.message || 'Order could not be priced',
+      });
     }
+    const { resolved, subtotal, tax, taxBreakdown, delivery, total, couponApplied, bundleApplied, area, minOrderValue } = priced;
 
-    if (settings.minOrderValue != null && subtotal < settings.minOrderValue) {
+    if (area && !area.serviceable) {
+      return res.status(400).json({ success: false, message: area.message });
+    }
+    if (minOrderValue != null && subtotal < minOrderValue) {
       return res.status(400).json({
         success: false,
-        message: `Minimum order value is ₹${settings.minOrderValue}. Your subtotal is ₹${subtotal}.`,
+        message: `Minimum order value is ₹${minOrderValue}. Your subtotal is ₹${subtotal}.`,
       });
     }
 
-    let { tax, delivery, total } = computeBill(settings, subtotal, orderType);
+    const orderId = await generateOrderId();
 
-    // Optional bundle discount — verified server-side from the bundle slug.
-    let bundleApplied = null;
-    if (req.body.bundleSlug) {
+    // Claim a use of the coupon against its global cap; every failure below gives it back.
+    if (couponApplied) {
       try {
-        const GroceryBundle = require('../models/GroceryBundle.model');
-        const b = await GroceryBundle.findOne({ slug: req.body.bundleSlug, isActive: true }).lean();
-        if (b) {
-          const bundleDiscount = Math.max(0, b.regularPrice - b.bundlePrice);
-          if (bundleDiscount > 0) {
-            total = Math.max(0, total - bundleDiscount);
-            bundleApplied = { slug: b.slug, name: b.name, discount: bundleDiscount };
-          }
-        }
-      } catch (e) {
-        logger.error('grocery.order.bundleVerify', e);
+        await couponService.redeem(couponApplied, 'grocery', userId);
+      } catch (err) {
+        if (err.name !== 'CouponError') throw err;
+        return res.status(err.status).json({ success: false, message: err.message });
       }
     }
+    const releaseCoupon = () => couponApplied && couponService.release(couponApplied, 'grocery');
+
+    let reserved;
+    try {
+      reserved = await stockService.reserveItems(resolved, { orderId, userId });
+    } catch (err) {
+      await releaseCoupon();
+      if (err.name !== 'StockError') throw err;
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
 
-    // Optional coupon application — single coupon per order.
-    let couponApplied = null;
-    if (req.body.couponCode) {
+    if (scheduled) {
       try {
-        const coupon = await couponService.validateAndCompute({
-          code: req.body.couponCode,
-          subtotal,
-          deliveryFee: delivery,
-          userId,
-          section: 'grocery',
-        });
-        if (coupon.freeDelivery) {
-          delivery = 0;
-        }
-        total = Math.max(0, subtotal + tax + delivery - (coupon.freeDelivery ? 0 : coupon.discount));
-        couponApplied = coupon;
+        await deliverySlotService.bookSlot(scheduled);
       } catch (err) {
-        return res.status(err.status || 400).json({
-          success: false,
-          message: err.message || 'Coupon could not be applied',
-        });
+        await stockService.releaseItems(reserved, { orderId, userId });
+        await releaseCoupon();
+        if (err.name !== 'SlotError') throw err;
+        return res.status(err.status).json({ success: false, message: err.message });
       }
     }
 
@@ -166,17 +283,20 @@ exports.createOrder = async (req, res) => {
         });
         walletAmount = walletUsed;
       } catch (err) {
+        await stockService.releaseItems(reserved, { orderId, userId });
+        if (scheduled) await deliverySlotService.releaseSlot(scheduled.scheduledSlot);
+        await releaseCoupon();
         return res.status(400).json({ success: false, message: err.message || 'Wallet payment failed' });
       }
     }
 
-    const orderId = await generateOrderId();
     const order = new GroceryOrder({
       orderId,
       user: userId,
       items: resolved,
       subtotal,
       tax,
+      taxBreakdown,
       delivery,
       totalAmount: total,
       orderType,
@@ -184,7 +304,10 @@ exports.createOrder = async (req, res) => {
       paymentMethod: paymentMethod || 'CASH',
       paymentStatus: paymentMethod === 'WALLET' && walletAmount >= total ? 'COMPLETED' : 'PENDING',
       walletUsed: walletAmount,
+      stockReserved: reserved.length > 0,
       instructions: instructions || '',
+      scheduledFor: scheduled ? scheduled.scheduledFor : null,
+      scheduledSlot: scheduled ? scheduled.scheduledSlot : undefined,
       couponApplied: couponApplied || undefined,
       bundleApplied: bundleApplied || undefined,
       status: GROCERY_ORDER_STATUS.RECEIVED,
@@ -194,6 +317,9 @@ exports.createOrder = async (req, res) => {
     try {
       await order.save();
     } catch (saveErr) {
+      await stockService.releaseItems(reserved, { orderId, userId });
+      if (scheduled) await deliverySlotService.releaseSlot(scheduled.scheduledSlot);
+      await releaseCoupon();
       if (walletAmount > 0) {
         try {
           await walletService.refundToWallet(userId, walletAmount, null, 'Grocery order creation failed — auto-refund', { section: 'grocery' });
@@ -213,6 +339,89 @@ exports.createOrder = async (req, res) => {
   }
 };
 
+/**
+ * POST /api/grocery/orders/quote
+ * Body: { items, orderType, deliveryAddress, couponCode, bundleSlug, autoApplyBestOffer, walletUsed, scheduledSlot }
+ * Returns the bill createOrder would charge for this cart without placing
+ * an order or touching the wallet.
+ */
+exports.quote = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { items, orderType, scheduledSlot, walletUsed = 0 } = req.body;
+
+    // As in createOrder, a scheduled cart is checked at its slot time.
+    let scheduled = null;
+    if (scheduledSlot) {
+      try {
+        scheduled = await deliverySlotService.resolveSlot('grocery', scheduledSlot);
+      } catch (err) {
+        if (err.name !== 'SlotError') throw err;
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, message: 'Order must contain at least one item' });
+    }
+    if (!['DELIVERY', 'PICKUP'].includes(orderType)) {
+      return res.status(400).json({ success: false, message: 'Invalid orderType' });
+    }
+
+    const settings = await GrocerySettings.get();
+    // resolveSlot has already checked opening hours at the slot time.
+    const openStatus = scheduled ? { isOpen: true, message: '' } : settings.getOpenStatus();
+    let priced;
+    try {
+      priced = await priceCart(settings, req.body, userId);
+    } catch (err) {
+      return res.status(err.status || 400).json({
+        success: false,
+        message: err.message || 'Cart could not be priced',
+      });
+    }
+
+    const wallet = await walletService.quoteWalletUsage(userId, walletUsed, priced.total, config.maxWalletUsagePercent);
+    const minOrderShortfall = priced.minOrderValue != null
+      ? Math.max(0, priced.minOrderValue - priced.subtotal)
+      : 0;
+    const { area } = priced;
+
+    res.json({
+      success: true,
+      data: {
+        isOpen: openStatus.isOpen,
+        closingMessage: openStatus.message,
+        scheduledFor: scheduled ? scheduled.scheduledFor : null,
+        items: priced.resolved,
+        subtotal: priced.subtotal,
+        tax: priced.tax,
+        taxBreakdown: priced.taxBreakdown,
+        packaging: 0,
+        delivery: priced.delivery,
+        deliveryDetails: priced.deliveryDetails,
+        couponDiscount: priced.couponDiscount,
+        bundleDiscount: priced.bundleDiscount,
+        couponApplied: priced.couponApplied,
+        bundleApplied: priced.bundleApplied,
+        minOrderShortfall,
+        total: priced.total,
+        wallet,
+        payable: priced.total - wallet.applied,
+        serviceability: area && {
+          serviceable: area.serviceable,
+          zone: area.zone,
+          minOrderValue: area.minOrderValue,
+          message: area.message,
+        },
+      },
+    });
+  } catch (e) {
+    logger.error('grocery.customer.quote', e);
+    res.status(500).json({ success: false, message: 'Failed to quote grocery order' });
+  }
+};
+
 /** GET /api/grocery/orders — current user's grocery orders, most recent first. */
 exports.listMine = async (req, res) => {
   try {
@@ -231,16 +440,60 @@ exports.getMine = async (req, res) => {
     const userId = req.user.userId;
     const { id } = req.params;
     const query = id.match(/^[0-9a-fA-F]{24}$/) ? { _id: id } : { orderId: id };
-    const order = await GroceryOrder.findOne(query).populate('user', 'phone name');
+    const order = await GroceryOrder.findOne(query).select('+handoffCode').populate('user', 'phone name');
     if (!order) return res.status(404).json({ success: false });
     const orderUserId = order.user?._id?.toString() || order.user?.toString();
-    if (orderUserId !== String(userId) && req.user.role === 'USER') {
+    const isOwner = orderUserId === String(userId);
+    // Riders are neither owners nor admins; they see orders via /api/rider.
+    if (!isOwner && !canManageSection(req, 'grocery')) {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
-    res.json({ success: true, data: { ...order.toObject(), id: order._id.toString() } });
+    const { handoffCode, handoffFailedAttempts, ...data } = order.toObject();
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        id: order._id.toString(),
+        rider: toPublicRider(order.rider),
+        // Only the customer sees the code they read out at handoff.
+        handoffCode: isOwner ? handoffCode || null : null,
+        refunds: await refundService.listForOrder('grocery', order._id),
+      },
+    });
   } catch (e) { logger.error('grocery.customer.getMine', e); res.status(500).json({ success: false }); }
 };
 
+/**
+ * GET /api/grocery/orders/:id/events?token=<jwt> — Server-Sent Events.
+ * A `snapshot` on connect, then `status`, `payment` and `rider` events as
+ * they happen.
+ */
+exports.streamMine = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { id } = req.params;
+    const query = id.match(/^[0-9a-fA-F]{24}$/) ? { _id: id } : { orderId: id };
+    const order = await GroceryOrder.findOne(query);
+    if (!order) return res.status(404).json({ success: false });
+    if (order.user.toString() !== String(userId) && !canManageSection(req, 'grocery')) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+    const stream = openEventStream(req, res);
+    stream.send('snapshot', {
+      id: order._id.toString(),
+      orderId: order.orderId,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      statusHistory: order.statusHistory,
+      rider: toPublicRider(order.rider),
+    });
+    stream.onClose(orderEvents.subscribeToOrder('grocery', order._id, stream.send));
+  } catch (e) {
+    logger.error('grocery.customer.streamMine', e);
+    if (!res.headersSent) res.status(500).json({ success: false });
+  }
+};
+
 /**
  * POST /api/grocery/orders/:id/cancel
  * Customer cancels their own order while it's still in a cancellable status.
@@ -289,4 +542,6 @@ exports._internals = {
   generateOrderId,
   resolveAndSnapshotItems,
   computeBill,
+  priceCart,
+  cartLines,
 };
@@ -1,34 +1,36 @@
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const config = require('../config/env');
 const logger = require('../config/logger');
 const GroceryOrder = require('../models/GroceryOrder.model');
 const GrocerySettings = require('../models/GrocerySettings.model');
 const walletService = require('../services/wallet.service');
+const stockService = require('../services/groceryStock.service');
+const couponService = require('../services/coupon.service');
+const deliverySlotService = require('../services/deliverySlot.service');
+const refundService = require('../services/refund.service');
+const { paymentProvider } = require('../services/paymentProvider.service');
 const { TRANSACTION_REASONS } = require('../models/WalletTransaction.model');
+const { REFUND_STATUS, REFUND_TYPES } = require('../models/Refund.model');
+const { PaymentCheckout } = require('../models/PaymentCheckout.model');
 const { GROCERY_ORDER_STATUS } = require('../utils/groceryOrderStatusValidator');
 const { _internals } = require('./groceryOrderCustomer.controller');
 
-const { generateOrderId, resolveAndSnapshotItems, computeBill } = _internals;
-
-let razorpay;
-if (config.razorpayKeyId && config.razorpayKeySecret) {
-  razorpay = new Razorpay({ key_id: config.razorpayKeyId, key_secret: config.razorpayKeySecret });
-} else {
-  logger.warn('⚠️ Razorpay keys not configured. Grocery payment integration will not work.');
-}
+const { generateOrderId, priceCart } = _internals;
 
+/** Refund a payment rejected at verify, via the refund ledger (retried on failure). */
 async function refundRazorpayPayment(paymentId, amountInPaise, context) {
-  if (!razorpay) {
-    logger.error(`CRITICAL: Cannot auto-refund grocery payment ${paymentId} — Razorpay not configured. ${context}`);
-    return { refunded: false, reason: 'razorpay_not_configured' };
-  }
   try {
-    const refund = await razorpay.payments.refund(paymentId, { amount: amountInPaise });
-    logger.info(`↩️ Razorpay grocery auto-refund: ${refund.id} for payment ${paymentId}. ${context}`);
-    return { refunded: true, refundId: refund.id };
+    const refund = await refundService.issueRefund({
+      section: 'grocery',
+      type: REFUND_TYPES.PAYMENT_REJECTED,
+      amount: amountInPaise / 100,
+      razorpayPaymentId: paymentId,
+      reason: context,
+    });
+    return refund.status === REFUND_STATUS.PROCESSED
+      ? { refunded: true, refundId: refund.gatewayRefundId }
+      : { refunded: false, reason: refund.lastError || 'refund_api_error', queued: !!refund.nextAttemptAt };
   } catch (err) {
-    logger.error(`CRITICAL: Razorpay grocery auto-refund FAILED for ${paymentId}. ${context}`, err);
+    logger.error(`CRITICAL: Razorpay grocery auto-refund could not be recorded for ${paymentId}. ${context}`, err);
     return { refunded: false, reason: err.message || 'refund_api_error' };
   }
 }
@@ -36,26 +38,29 @@ async function refundRazorpayPayment(paymentId, amountInPaise, context) {
 /** POST /api/grocery/payment/create-razorpay-order */
 exports.createRazorpayOrder = async (req, res) => {
   try {
-    if (!razorpay) return res.status(500).json({ success: false, message: 'Razorpay is not configured.' });
+    if (!paymentProvider.isConfigured()) return res.status(500).json({ success: false, message: 'Razorpay is not configured.' });
     const userId = req.user.userId;
     const { amount, orderData } = req.body;
     if (!amount || amount <= 0) return res.status(400).json({ success: false, message: 'Invalid amount' });
 
-    const settings = await GrocerySettings.get();
-    if (!settings.isOpen) {
-      return res.status(403).json({ success: false, message: settings.closingMessage || 'Grocery shop is closed.' });
+    // Scheduled orders are validated at verify against opening hours at the slot time.
+    const openStatus = (await GrocerySettings.get()).getOpenStatus();
+    if (!orderData?.scheduledSlot && !openStatus.isOpen) {
+      return res.status(403).json({ success: false, message: openStatus.message || 'Grocery shop is closed.' });
     }
 
     const amountInPaise = Math.round(amount * 100);
     const timestamp = Date.now().toString();
     const receipt = `HG${timestamp.slice(-10)}${String(userId).slice(-8)}`;
-    const razorpayOrder = await razorpay.orders.create({
+    const razorpayOrder = await paymentProvider.createOrder({
       amount: amountInPaise,
       currency: 'INR',
       receipt,
       notes: { userId: String(userId), section: 'grocery', orderData: JSON.stringify(orderData) },
     });
 
+    await PaymentCheckout.create({ razorpayOrderId: razorpayOrder.id, section: 'grocery', user: userId, amount, orderData });
+
     logger.info(`✅ Grocery Razorpay order created: ${razorpayOrder.id} for user ${userId}, amount: ₹${amount}`);
 
     res.json({
@@ -64,6 +69,7 @@ exports.createRazorpayOrder = async (req, res) => {
       amount: razorpayOrder.amount,
       currency: razorpayOrder.currency,
       receipt: razorpayOrder.receipt,
+      provider: paymentProvider.name,
     });
   } catch (e) {
     logger.error('grocery.payment.createRazorpayOrder', e);
@@ -85,144 +91,252 @@ exports.verifyPayment = async (req, res) => {
     }
 
     // Signature verification (pre-capture check; failure here doesn't need refund)
-    const text = `${razorpay_order_id}|${razorpay_payment_id}`;
-    const generated = crypto.createHmac('sha256', config.razorpayKeySecret).update(text).digest('hex');
-    if (generated !== razorpay_signature) {
+    const valid = paymentProvider.verifySignature({ orderId: razorpay_order_id, paymentId: razorpay_payment_id, signature: razorpay_signature });
+    if (!valid) {
       logger.error(`❌ Grocery payment signature failed for ${razorpay_order_id}`);
       return res.status(400).json({ success: false, message: 'Payment verification failed' });
     }
     logger.info(`✅ Grocery payment verified: ${razorpay_payment_id}`);
 
-    // Idempotency: a Razorpay payment maps to exactly one GroceryOrder.
-    // Network retries / re-fired Razorpay handlers must not create duplicates.
-    const existingOrder = await GroceryOrder.findOne({
-      'paymentDetails.razorpayPaymentId': razorpay_payment_id,
+    const { status, body } = await settlePayment(userId, { razorpay_order_id, razorpay_payment_id, razorpay_signature, orderData });
+    res.status(status).json(body);
+  } catch (e) {
+    logger.error('grocery.payment.verifyPayment', e);
+    res.status(500).json({ success: false, message: 'Failed to verify payment' });
+  }
+};
+
+const done = (status, body) => ({ status, body });
+
+/**
+ * Turn a captured payment into a GroceryOrder (re-validate and re-price
+ * through priceCart with the cart's bundle / coupon / autoApplyBestOffer,
+ * redeem the coupon, reserve stock, book the slot, debit the wallet, save),
+ * refunding on any rejection.
+ * Returns { status, body }. Shared by /verify and the payment webhook, so it
+ * must stay idempotent per razorpay_payment_id.
+ */
+async function settleCheckout(userId, { razorpay_order_id, razorpay_payment_id, razorpay_signature = null, orderData }) {
+  // Idempotency: a Razorpay payment maps to exactly one GroceryOrder.
+  // Network retries / re-fired Razorpay handlers must not create duplicates.
+  const existingOrder = await GroceryOrder.findOne({
+    'paymentDetails.razorpayPaymentId': razorpay_payment_id,
+  });
+  if (existingOrder) {
+    logger.info(`↩️ Grocery idempotent verify hit — existing order ${existingOrder.orderId}`);
+    return done(200, {
+      success: true,
+      idempotent: true,
+      data: { orderId: existingOrder.orderId, _id: existingOrder._id, status: existingOrder.status },
     });
-    if (existingOrder) {
-      logger.info(`↩️ Grocery idempotent verify hit — existing order ${existingOrder.orderId}`);
-      return res.status(200).json({
-        success: true,
-        idempotent: true,
-        data: { orderId: existingOrder.orderId, _id: existingOrder._id, status: existingOrder.status },
-      });
-    }
+  }
 
-    const { items, orderType, deliveryAddress, instructions, walletUsed = 0, totalAmount } = orderData;
-    const refundAmountInPaise = Math.round((totalAmount || 0) * 100);
-
-    // Shop-closed re-check (post-capture — refund required if reject)
-    const settings = await GrocerySettings.get();
-    if (!settings.isOpen) {
-      const refundResult = await refundRazorpayPayment(
-        razorpay_payment_id,
-        refundAmountInPaise,
-        `Grocery shop closed during verification. User ${userId}.`
-      );
-      return res.status(403).json({
-        success: false,
-        message: settings.closingMessage || 'Grocery shop is currently closed.',
-        paymentId: razorpay_payment_id,
-        refund: refundResult,
-      });
+  const { orderType, deliveryAddress, instructions, scheduledSlot, walletUsed = 0, totalAmount } = orderData;
+  const refundAmountInPaise = Math.round((totalAmount || 0) * 100);
+
+  // Scheduled slot re-check (post-capture — refund required if reject)
+  let scheduled = null;
+  if (scheduledSlot) {
+    try {
+      scheduled = await deliverySlotService.resolveSlot('grocery', scheduledSlot);
+    } catch (err) {
+      if (err.name !== 'SlotError') throw err;
+      const refundResult = await refundRazorpayPayment(razorpay_payment_id, refundAmountInPaise, `Grocery slot rejected at verify: ${err.message}. User ${userId}.`);
+      return done(err.status, { success: false, message: err.message, paymentId: razorpay_payment_id, refund: refundResult });
     }
+  }
+
+  // Shop-closed re-check (post-capture — refund required if reject).
+  // Scheduled orders were checked against opening hours at the slot time.
+  const settings = await GrocerySettings.get();
+  const openStatus = settings.getOpenStatus();
+  if (!scheduled && !openStatus.isOpen) {
+    const refundResult = await refundRazorpayPayment(
+      razorpay_payment_id,
+      refundAmountInPaise,
+      `Grocery shop closed during verification. User ${userId}.`
+    );
+    return done(403, {
+      success: false,
+      message: openStatus.message || 'Grocery shop is currently closed.',
+      paymentId: razorpay_payment_id,
+      refund: refundResult,
+    });
+  }
+
+  // Re-price the cart exactly as checkout did — items, delivery fee, bundle
+  // and coupon (post-capture — refund required if an item is gone or the
+  // coupon no longer applies)
+  let priced;
+  try {
+    priced = await priceCart(settings, { ...orderData, paymentMethod: 'RAZORPAY' }, userId);
+  } catch (err) {
+    const refundResult = await refundRazorpayPayment(razorpay_payment_id, refundAmountInPaise, `Grocery cart rejected at verify: ${err.message}. User ${userId}.`);
+    return done(err.name === 'CouponError' ? err.status : 400, { success: false, message: err.message, paymentId: razorpay_payment_id, refund: refundResult });
+  }
+  const { resolved, subtotal, tax, taxBreakdown, delivery, total, couponApplied, bundleApplied, area, minOrderValue } = priced;
+
+  // Delivery zone re-check (address may have dropped out of coverage since checkout)
+  if (orderType === 'DELIVERY' && !area?.serviceable) {
+    const refundResult = await refundRazorpayPayment(razorpay_payment_id, refundAmountInPaise, `Grocery address not serviceable at verify. User ${userId}.`);
+    return done(400, {
+      success: false,
+      message: area?.message || 'Delivery address required for delivery orders',
+      paymentId: razorpay_payment_id,
+      refund: refundResult,
+    });
+  }
+
+  // Min-order re-check (zone override, else settings default)
+  if (minOrderValue != null && subtotal < minOrderValue) {
+    const refundResult = await refundRazorpayPayment(razorpay_payment_id, refundAmountInPaise, `Grocery subtotal below min at verify. User ${userId}.`);
+    return done(400, {
+      success: false,
+      message: `Minimum order value is ₹${minOrderValue}.`,
+      paymentId: razorpay_payment_id,
+      refund: refundResult,
+    });
+  }
 
-    // Re-hydrate items (post-capture — refund required if item unavailable)
-    let resolved, subtotal;
+  const orderId = await generateOrderId();
+
+  // Claim a use of the coupon (its last use may have gone during payment);
+  // every failure below gives it back
+  if (couponApplied) {
     try {
-      ({ resolved, subtotal } = await resolveAndSnapshotItems(items));
+      await couponService.redeem(couponApplied, 'grocery', userId);
     } catch (err) {
-      const refundResult = await refundRazorpayPayment(razorpay_payment_id, refundAmountInPaise, `Grocery item unavailable: ${err.message}. User ${userId}.`);
-      return res.status(400).json({ success: false, message: err.message, paymentId: razorpay_payment_id, refund: refundResult });
+      if (err.name !== 'CouponError') throw err;
+      const refundResult = await refundRazorpayPayment(razorpay_payment_id, refundAmountInPaise, `Coupon fully redeemed at verify. User ${userId}.`);
+      return done(err.status, { success: false, message: err.message, paymentId: razorpay_payment_id, refund: refundResult });
     }
+  }
+  const releaseCoupon = () => couponApplied && couponService.release(couponApplied, 'grocery');
 
-    // Min-order re-check
-    if (settings.minOrderValue != null && subtotal < settings.minOrderValue) {
-      const refundResult = await refundRazorpayPayment(razorpay_payment_id, refundAmountInPaise, `Grocery subtotal below min at verify. User ${userId}.`);
-      return res.status(400).json({
-        success: false,
-        message: `Minimum order value is ₹${settings.minOrderValue}.`,
-        paymentId: razorpay_payment_id,
-        refund: refundResult,
-      });
+  // Stock reservation (post-capture — refund required if anything sold out meanwhile)
+  let reserved;
+  try {
+    reserved = await stockService.reserveItems(resolved, { orderId, userId });
+  } catch (err) {
+    await releaseCoupon();
+    if (err.name !== 'StockError') throw err;
+    const refundResult = await refundRazorpayPayment(razorpay_payment_id, refundAmountInPaise, `Grocery stock short at verify: ${err.message}. User ${userId}.`);
+    return done(err.status, { success: false, message: err.message, paymentId: razorpay_payment_id, refund: refundResult });
+  }
+
+  // Slot booking (post-capture — refund required if it filled up meanwhile)
+  if (scheduled) {
+    try {
+      await deliverySlotService.bookSlot(scheduled);
+    } catch (err) {
+      await stockService.releaseItems(reserved, { orderId, userId });
+      await releaseCoupon();
+      if (err.name !== 'SlotError') throw err;
+      const refundResult = await refundRazorpayPayment(razorpay_payment_id, refundAmountInPaise, `Grocery slot full at verify. User ${userId}.`);
+      return done(err.status, { success: false, message: err.message, paymentId: razorpay_payment_id, refund: refundResult });
     }
+  }
 
-    // Bill recomputation (authoritative — never trust client-provided totalAmount)
-    const { tax, delivery, total } = computeBill(settings, subtotal, orderType);
-
-    // Wallet debit if requested (post-capture — refund required if wallet fails)
-    let walletAmount = 0;
-    if (walletUsed && walletUsed > 0) {
-      try {
-        await walletService.validateWalletUsage(userId, walletUsed, total, config.maxWalletUsagePercent);
-        await walletService.debitWallet(userId, walletUsed, TRANSACTION_REASONS.ORDER_PAYMENT, {
-          description: 'Wallet part-payment for grocery order',
-          metadata: { section: 'grocery' },
-          section: 'grocery',
-        });
-        walletAmount = walletUsed;
-      } catch (err) {
-        const refundResult = await refundRazorpayPayment(razorpay_payment_id, refundAmountInPaise, `Wallet debit failed post-payment. User ${userId}.`);
-        return res.status(400).json({ success: false, message: err.message, paymentId: razorpay_payment_id, refund: refundResult });
-      }
+  // Wallet debit if requested (post-capture — refund required if wallet fails)
+  let walletAmount = 0;
+  if (walletUsed && walletUsed > 0) {
+    try {
+      await walletService.validateWalletUsage(userId, walletUsed, total, config.maxWalletUsagePercent);
+      await walletService.debitWallet(userId, walletUsed, TRANSACTION_REASONS.ORDER_PAYMENT, {
+        description: 'Wallet part-payment for grocery order',
+        metadata: { section: 'grocery' },
+        section: 'grocery',
+      });
+      walletAmount = walletUsed;
+    } catch (err) {
+      await stockService.releaseItems(reserved, { orderId, userId });
+      if (scheduled) await deliverySlotService.releaseSlot(scheduled.scheduledSlot);
+      await releaseCoupon();
+      const refundResult = await refundRazorpayPayment(razorpay_payment_id, refundAmountInPaise, `Wallet debit failed post-payment. User ${userId}.`);
+      return done(400, { success: false, message: err.message, paymentId: razorpay_payment_id, refund: refundResult });
     }
+  }
 
-    // Persist the order
-    const orderId = await generateOrderId();
-    const order = new GroceryOrder({
-      orderId,
-      user: userId,
-      items: resolved,
-      subtotal,
-      tax,
-      delivery,
-      totalAmount: total,
-      orderType,
-      deliveryAddress: orderType === 'DELIVERY' ? deliveryAddress : undefined,
-      paymentMethod: 'RAZORPAY',
-      paymentStatus: 'COMPLETED',
-      paymentDetails: { razorpayOrderId: razorpay_order_id, razorpayPaymentId: razorpay_payment_id, razorpaySignature: razorpay_signature },
-      walletUsed: walletAmount,
-      instructions: instructions || '',
-      status: GROCERY_ORDER_STATUS.RECEIVED,
-      statusHistory: [{ status: GROCERY_ORDER_STATUS.RECEIVED, timestamp: new Date(), updatedBy: userId }],
-    });
+  // Persist the order
+  const order = new GroceryOrder({
+    orderId,
+    user: userId,
+    items: resolved,
+    subtotal,
+    tax,
+    taxBreakdown,
+    delivery,
+    totalAmount: total,
+    orderType,
+    deliveryAddress: orderType === 'DELIVERY' ? deliveryAddress : undefined,
+    paymentMethod: 'RAZORPAY',
+    paymentStatus: 'COMPLETED',
+    paymentDetails: { razorpayOrderId: razorpay_order_id, razorpayPaymentId: razorpay_payment_id, razorpaySignature: razorpay_signature },
+    walletUsed: walletAmount,
+    stockReserved: reserved.length > 0,
+    instructions: instructions || '',
+    scheduledFor: scheduled ? scheduled.scheduledFor : null,
+    scheduledSlot: scheduled ? scheduled.scheduledSlot : undefined,
+    couponApplied: couponApplied || undefined,
+    bundleApplied: bundleApplied || undefined,
+    status: GROCERY_ORDER_STATUS.RECEIVED,
+    statusHistory: [{ status: GROCERY_ORDER_STATUS.RECEIVED, timestamp: new Date(), updatedBy: userId }],
+  });
 
-    try {
-      await order.save();
-    } catch (saveErr) {
-      // Race-loser path: a concurrent verify already wrote the order; the
-      // unique index on paymentDetails.razorpayPaymentId tripped E11000.
-      if (saveErr?.code === 11000 && /razorpayPaymentId/.test(saveErr?.message || '')) {
-        const winner = await GroceryOrder.findOne({ 'paymentDetails.razorpayPaymentId': razorpay_payment_id });
-        if (winner) {
-          if (walletAmount > 0) {
-            try { await walletService.refundToWallet(userId, walletAmount, winner._id, 'Grocery race-loser refund — duplicate verify', { section: 'grocery' }); }
-            catch (e) { logger.error('CRITICAL: race-loser wallet refund failed:', e); }
-          }
-          return res.status(200).json({
-            success: true,
-            idempotent: true,
-            data: { orderId: winner.orderId, _id: winner._id, status: winner.status },
-          });
+  try {
+    await order.save();
+  } catch (saveErr) {
+    // Whichever way this goes, this request's reservation, slot place and
+    // coupon use must go back — a race winner holds its own.
+    await stockService.releaseItems(reserved, { orderId, userId });
+    if (scheduled) await deliverySlotService.releaseSlot(scheduled.scheduledSlot);
+    await releaseCoupon();
+    // Race-loser path: a concurrent verify already wrote the order; the
+    // unique index on paymentDetails.razorpayPaymentId tripped E11000.
+    if (saveErr?.code === 11000 && /razorpayPaymentId/.test(saveErr?.message || '')) {
+      const winner = await GroceryOrder.findOne({ 'paymentDetails.razorpayPaymentId': razorpay_payment_id });
+      if (winner) {
+        if (walletAmount > 0) {
+          try { await walletService.refundToWallet(userId, walletAmount, winner._id, 'Grocery race-loser refund — duplicate verify', { section: 'grocery' }); }
+          catch (e) { logger.error('CRITICAL: race-loser wallet refund failed:', e); }
         }
+        return done(200, {
+          success: true,
+          idempotent: true,
+          data: { orderId: winner.orderId, _id: winner._id, status: winner.status },
+        });
       }
-      // Compensating refunds: wallet first (we debited just above), then Razorpay
-      if (walletAmount > 0) {
-        try { await walletService.refundToWallet(userId, walletAmount, null, 'Grocery order save failed — wallet auto-refund', { section: 'grocery' }); }
-        catch (refErr) { logger.error('CRITICAL: wallet refund after save fail', refErr); }
-      }
-      const refundResult = await refundRazorpayPayment(razorpay_payment_id, refundAmountInPaise, `Order save failed. User ${userId}.`);
-      return res.status(500).json({ success: false, message: 'Failed to save order', paymentId: razorpay_payment_id, refund: refundResult });
     }
+    // Compensating refunds: wallet first (we debited just above), then Razorpay
+    if (walletAmount > 0) {
+      try { await walletService.refundToWallet(userId, walletAmount, null, 'Grocery order save failed — wallet auto-refund', { section: 'grocery' }); }
+      catch (refErr) { logger.error('CRITICAL: wallet refund after save fail', refErr); }
+    }
+    const refundResult = await refundRazorpayPayment(razorpay_payment_id, refundAmountInPaise, `Order save failed. User ${userId}.`);
+    return done(500, { success: false, message: 'Failed to save order', paymentId: razorpay_payment_id, refund: refundResult });
+  }
 
-    logger.info(`✅ Grocery order created after Razorpay payment: ${orderId} for user ${userId}`);
-    res.json({
-      success: true,
-      message: 'Payment verified and grocery order created',
-      data: { orderId: order.orderId, order: { ...order.toObject(), id: order._id.toString() }, paymentId: razorpay_payment_id },
-    });
+  logger.info(`✅ Grocery order created after Razorpay payment: ${orderId} for user ${userId}`);
+  return done(200, {
+    success: true,
+    message: 'Payment verified and grocery order created',
+    data: { orderId: order.orderId, order: { ...order.toObject(), id: order._id.toString() }, paymentId: razorpay_payment_id },
+  });
+}
+
+/**
+ * settleCheckout, then mark the payment's checkout PAID or REJECTED. A
+ * thrown error leaves it CREATED, so the webhook can still settle it.
+ */
+async function settlePayment(userId, payment) {
+  const result = await settleCheckout(userId, payment);
+  try {
+    await PaymentCheckout.recordOutcome(payment.razorpay_order_id, payment.razorpay_payment_id, result.body);
   } catch (e) {
-    logger.error('grocery.payment.verifyPayment', e);
-    res.status(500).json({ success: false, message: 'Failed to verify payment' });
+    logger.error(`grocery.payment: could not record checkout outcome for payment ${payment.razorpay_payment_id}`, e);
   }
-};
+  return result;
+}
+
+// Also used by the payment webhook
+exports.settlePayment = settlePayment;
@@ -1,6 +1,7 @@
 const GroceryProduct = require('../models/GroceryProduct.model');
 const GroceryCategory = require('../models/GroceryCategory.model');
 const logger = require('../config/logger');
+const { isLowStock } = require('../services/groceryStock.service');
 
 const serialize = (p) => {
   const o = p.toObject();
@@ -14,7 +15,7 @@ const serialize = (p) => {
       o.category = o.category.toString();
     }
   }
-  o.variants = (o.variants || []).map(v => ({ ...v, id: v._id?.toString() }));
+  o.variants = (o.variants || []).map(v => ({ ...v, id: v._id?.toString(), isLowStock: isLowStock(v) }));
   return o;
 };
 
@@ -27,6 +28,20 @@ function parseVariants(raw) {
   return raw;
 }
 
+/**
+ * Stock counts are owned by the stock ledger (POST /:id/stock), so product
+ * edits never set them: existing variants keep their stock by id, new
+ * variants start untracked.
+ */
+function withLedgerStock(variants, existing = []) {
+  const byId = new Map(existing.map(v => [String(v._id), v]));
+  return variants.map(v => {
+    const { stock, soldOut, ...rest } = v;
+    const prev = byId.get(String(v._id || v.id));
+    return prev ? { ...rest, _id: prev._id, stock: prev.stock, soldOut: prev.soldOut } : rest;
+  });
+}
+
 const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 exports.list = async (req, res) => {
@@ -77,15 +92,15 @@ exports.get = async (req, res) => {
 
 exports.create = async (req, res) => {
   try {
-    const { name, brand = '', description = '', category, isAvailable = true, tags = {} } = req.body;
-    const variants = parseVariants(req.body.variants);
+    const { name, brand = '', description = '', category, isAvailable = true, tags = {}, hsnCode = '' } = req.body;
+    const variants = withLedgerStock(parseVariants(req.body.variants));
     if (!name || !category) return res.status(400).json({ success: false, message: 'name and category required' });
     if (!variants.length) return res.status(400).json({ success: false, message: 'At least one variant required' });
     const catExists = await GroceryCategory.findById(category);
     if (!catExists) return res.status(400).json({ success: false, message: 'Invalid category' });
     const image = req.file ? `/uploads/${req.file.filename}` : req.body.image;
     if (!image) return res.status(400).json({ success: false, message: 'image required' });
-    const p = await GroceryProduct.create({ name, brand, description, image, category, variants, isAvailable, tags });
+    const p = await GroceryProduct.create({ name, brand, description, image, category, variants, isAvailable, tags, hsnCode });
     res.status(201).json({ success: true, data: serialize(p) });
   } catch (e) {
     logger.error('grocery.product.create', e);
@@ -97,14 +112,15 @@ exports.update = async (req, res) => {
   try {
     const p = await GroceryProduct.findById(req.params.id);
     if (!p) return res.status(404).json({ success: false });
-    const { name, brand, description, category, isAvailable, tags } = req.body;
+    const { name, brand, description, category, isAvailable, tags, hsnCode } = req.body;
     if (name !== undefined) p.name = name;
     if (brand !== undefined) p.brand = brand;
     if (description !== undefined) p.description = description;
     if (category !== undefined) p.category = category;
     if (isAvailable !== undefined) p.isAvailable = isAvailable;
+    if (hsnCode !== undefined) p.hsnCode = hsnCode;
     if (tags !== undefined) p.tags = typeof tags === 'string' ? JSON.parse(tags) : tags;
-    if (req.body.variants !== undefined) p.variants = parseVariants(req.body.variants);
+    if (req.body.variants !== undefined) p.variants = withLedgerStock(parseVariants(req.body.variants), p.variants);
     if (req.file) p.image = `/uploads/${req.file.filename}`;
     else if (req.body.image !== undefined) p.image = req.body.image;
     await p.save();
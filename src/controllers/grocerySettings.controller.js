@@ -4,20 +4,27 @@ const logger = require('../config/logger');
 exports.get = async (_req, res) => {
   try {
     const s = await GrocerySettings.get();
-    res.json({ success: true, data: s });
+    res.json({ success: true, data: { ...s.toObject(), openStatus: s.getOpenStatus() } });
   } catch (e) { logger.error('grocerySettings.get', e); res.status(500).json({ success: false }); }
 };
 
 exports.update = async (req, res) => {
   try {
-    const allowed = ['isOpen','closingMessage','taxRate','deliveryFee','freeDeliveryThreshold','minOrderValue'];
+    // Delivery fees live in /api/admin/delivery-fees/grocery.
+    const allowed = ['closingMessage','weeklyHours','closures','taxRate','minOrderValue'];
     const s = await GrocerySettings.get();
     for (const k of allowed) {
       if (req.body[k] !== undefined) s[k] = req.body[k];
     }
+    // After the schedule, so the toggle knows whether it is an override.
+    // With a schedule it lapses at overrideUntil (default: next IST midnight).
+    if (req.body.clearOverride) s.clearManualOverride();
+    if (typeof req.body.isOpen === 'boolean') {
+      s.setManualStatus(req.body.isOpen, { until: req.body.overrideUntil, userId: req.user.userId });
+    }
     s.updatedBy = req.user.userId;
     await s.save();
-    res.json({ success: true, data: s });
+    res.json({ success: true, data: { ...s.toObject(), openStatus: s.getOpenStatus() } });
   } catch (e) {
     logger.error('grocerySettings.update', e);
     res.status(e.name === 'ValidationError' ? 400 : 500).json({ success: false, message: e.message });
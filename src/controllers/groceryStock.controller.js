@@ -0,0 +1,116 @@
+const GroceryProduct = require('../models/GroceryProduct.model');
+const { StockAdjustment, STOCK_REASONS } = require('../models/StockAdjustment.model');
+const stockService = require('../services/groceryStock.service');
+const logger = require('../config/logger');
+
+// Order reservations/releases are written by the order flow, never by hand.
+const ADMIN_REASONS = new Set([STOCK_REASONS.RESTOCK, STOCK_REASONS.DAMAGE, STOCK_REASONS.CORRECTION]);
+
+const serializeVariantStock = (v) => ({
+  id: v._id.toString(),
+  label: v.label,
+  isAvailable: v.isAvailable,
+  stock: v.stock ?? null,
+  lowStockThreshold: v.lowStockThreshold,
+  soldOut: !!v.soldOut,
+  isLowStock: stockService.isLowStock(v),
+});
+
+/** GET /api/admin/grocery/products/low-stock — tracked variants at or below their threshold. */
+exports.lowStock = async (_req, res) => {
+  try {
+    const products = await GroceryProduct.find(
+      { 'variants.stock': { $ne: null } },
+      { name: 1, brand: 1, image: 1, variants: 1 }
+    ).sort({ name: 1 });
+    const data = [];
+    for (const p of products) {
+      for (const v of p.variants) {
+        if (!stockService.isLowStock(v)) continue;
+        data.push({ productId: p._id.toString(), name: p.name, brand: p.brand, image: p.image, ...serializeVariantStock(v) });
+      }
+    }
+    data.sort((a, b) => a.stock - b.stock);
+    res.json({ success: true, data });
+  } catch (e) { logger.error('grocery.stock.lowStock', e); res.status(500).json({ success: false }); }
+};
+
+/** GET /api/admin/grocery/products/:id/stock — per-variant stock plus the most recent ledger entries. */
+exports.get = async (req, res) => {
+  try {
+    const p = await GroceryProduct.findById(req.params.id, { name: 1, variants: 1 });
+    if (!p) return res.status(404).json({ success: false, message: 'Product not found' });
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const ledger = await StockAdjustment.find({ product: p._id })
+      .populate('adjustedBy', 'name phone')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json({
+      success: true,
+      data: {
+        productId: p._id.toString(),
+        name: p.name,
+        variants: p.variants.map(serializeVariantStock),
+        ledger,
+      },
+    });
+  } catch (e) { logger.error('grocery.stock.get', e); res.status(500).json({ success: false }); }
+};
+
+/**
+ * POST /api/admin/grocery/products/:id/stock
+ * Body: { variantId, delta | setTo, reason: RESTOCK|DAMAGE|CORRECTION, note, lowStockThreshold }
+ * `setTo` sets an absolute count (and starts tracking an untracked variant);
+ * `delta` adds/removes units. Every change is written to the ledger.
+ */
+exports.adjust = async (req, res) => {
+  try {
+    const { variantId, delta, setTo, reason, note = '', lowStockThreshold } = req.body || {};
+    if (!variantId) return res.status(400).json({ success: false, message: 'variantId required' });
+    if (delta == null && setTo == null && lowStockThreshold == null) {
+      return res.status(400).json({ success: false, message: 'delta, setTo or lowStockThreshold required' });
+    }
+
+    if (lowStockThreshold != null) {
+      if (!Number.isInteger(lowStockThreshold) || lowStockThreshold < 0) {
+        return res.status(400).json({ success: false, message: 'lowStockThreshold must be a non-negative integer' });
+      }
+      const r = await GroceryProduct.updateOne(
+        { _id: req.params.id, 'variants._id': variantId },
+        { $set: { 'variants.$.lowStockThreshold': lowStockThreshold } }
+      );
+      if (!r.matchedCount) return res.status(404).json({ success: false, message: 'Variant not found' });
+    }
+
+    let entry = null;
+    if (delta != null || setTo != null) {
+      if (!ADMIN_REASONS.has(reason)) {
+        return res.status(400).json({ success: false, message: `reason must be one of ${[...ADMIN_REASONS].join(', ')}` });
+      }
+      entry = await stockService.adjustStock({
+        productId: req.params.id,
+        variantId,
+        delta,
+        setTo,
+        reason,
+        note: String(note).slice(0, 200),
+        adminId: req.user.userId,
+      });
+      logger.info(`Grocery stock adjusted: product ${req.params.id} variant ${variantId} ${entry.delta >= 0 ? '+' : ''}${entry.delta} (${reason}) by ${req.user.userId}`);
+    }
+
+    const p = await GroceryProduct.findById(req.params.id, { variants: 1 });
+    res.json({
+      success: true,
+      data: {
+        variant: serializeVariantStock(p.variants.id(variantId)),
+        adjustment: entry,
+      },
+    });
+  } catch (e) {
+    if (e.name === 'StockError') return res.status(e.status).json({ success: false, message: e.message });
+    logger.error('grocery.stock.adjust', e);
+    res.status(500).json({ success: false, message: 'Failed to adjust stock' });
+  }
+};
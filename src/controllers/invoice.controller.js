@@ -0,0 +1,35 @@
+const invoiceService = require('../services/invoice.service');
+const logger = require('../config/logger');
+const { canManageSection } = require('../middlewares/role.middleware');
+
+const fileName = (invoiceNumber) => `invoice-${invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+/**
+ * GET /api/orders/:id/invoice, /api/grocery/orders/:id/invoice
+ * ?gstin=&businessName= — optional, for a B2B invoice on first download.
+ */
+const downloadFor = (section) => async (req, res) => {
+  try {
+    const order = await invoiceService.findOrder(section, req.params.id);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    const orderUserId = order.user?._id?.toString() || order.user?.toString();
+    if (orderUserId !== String(req.user.userId) && !canManageSection(req, section)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const invoice = await invoiceService.issueInvoice(section, order, {
+      buyerGstin: req.query.gstin,
+      buyerName: req.query.businessName,
+    });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${fileName(invoice.invoiceNumber)}"`);
+    res.send(invoiceService.renderInvoices([invoice]));
+  } catch (e) {
+    if (e.name === 'InvoiceError') return res.status(e.status).json({ success: false, message: e.message });
+    logger.error(`invoice.download.${section}`, e);
+    res.status(500).json({ success: false });
+  }
+};
+
+exports.downloadFood = downloadFor('food');
+exports.downloadGrocery = downloadFor('grocery');
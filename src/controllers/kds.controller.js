@@ -0,0 +1,78 @@
+/**
+ * Kitchen Display Controller
+ * Restaurant kitchen screen: order board, item bumping and status steps
+ */
+
+const kdsService = require('../services/kds.service');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const { HTTP_STATUS } = require('../utils/constants');
+const logger = require('../config/logger');
+
+const handleKdsError = (res, error, fallbackMessage) => {
+  if (error.name === 'KdsError') {
+    return errorResponse(res, error.status, error.message);
+  }
+  logger.error(`${fallbackMessage}:`, error);
+  return errorResponse(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, fallbackMessage);
+};
+
+/**
+ * Get the kitchen board (Admin)
+ * GET /api/admin/kds
+ * Active orders grouped by status with per-item prep timers
+ */
+const getBoard = async (req, res) => {
+  try {
+    const board = await kdsService.getBoard();
+    return successResponse(res, HTTP_STATUS.OK, 'Kitchen board fetched successfully', board);
+  } catch (error) {
+    return handleKdsError(res, error, 'Failed to fetch kitchen board');
+  }
+};
+
+/**
+ * Advance an order one kitchen step (Admin)
+ * POST /api/admin/kds/orders/:id/advance
+ */
+const advanceOrder = async (req, res) => {
+  try {
+    const ticket = await kdsService.advanceOrder(req.params.id, req.user.userId);
+    return successResponse(res, HTTP_STATUS.OK, `Order is now ${ticket.status}`, ticket);
+  } catch (error) {
+    return handleKdsError(res, error, 'Failed to advance order');
+  }
+};
+
+/**
+ * Bump an order line as done (Admin)
+ * POST /api/admin/kds/orders/:id/items/:itemId/bump
+ * The order moves to READY once every line is bumped
+ */
+const bumpItem = async (req, res) => {
+  try {
+    const ticket = await kdsService.setItemBumped(req.params.id, req.params.itemId, req.user.userId);
+    return successResponse(res, HTTP_STATUS.OK, 'Item bumped', ticket);
+  } catch (error) {
+    return handleKdsError(res, error, 'Failed to bump item');
+  }
+};
+
+/**
+ * Undo a bump (Admin)
+ * DELETE /api/admin/kds/orders/:id/items/:itemId/bump
+ */
+const unbumpItem = async (req, res) => {
+  try {
+    const ticket = await kdsService.setItemBumped(req.params.id, req.params.itemId, req.user.userId, { bumped: false });
+    return successResponse(res, HTTP_STATUS.OK, 'Item bump undone', ticket);
+  } catch (error) {
+    return handleKdsError(res, error, 'Failed to undo bump');
+  }
+};
+
+module.exports = {
+  getBoard,
+  advanceOrder,
+  bumpItem,
+  unbumpItem
+};
@@ -0,0 +1,21 @@
+const loyaltyService = require('../services/loyalty.service');
+const logger = require('../config/logger');
+
+/** GET /api/loyalty — points, tier and perks, expiring points and recent history. */
+exports.summary = async (req, res) => {
+  try {
+    res.json({ success: true, data: await loyaltyService.summary(req.user.userId) });
+  } catch (e) { logger.error('loyalty.summary', e); res.status(500).json({ success: false }); }
+};
+
+/** POST /api/loyalty/redeem { points } — turn points into wallet credit. */
+exports.redeem = async (req, res) => {
+  try {
+    const data = await loyaltyService.redeemPoints(req.user.userId, req.body?.points);
+    res.json({ success: true, data });
+  } catch (e) {
+    if (e.name === 'LoyaltyError') return res.status(e.status).json({ success: false, message: e.message });
+    logger.error('loyalty.redeem', e);
+    res.status(500).json({ success: false });
+  }
+};
@@ -4,21 +4,35 @@
  */
 
 const Order = require('../models/Order.model');
-const MenuItem = require('../models/MenuItem.model');
 const User = require('../models/User.model');
 const Restaurant = require('../models/Restaurant.model');
 const logger = require('../config/logger');
 const walletService = require('../services/wallet.service');
+const orderService = require('../services/order.service');
+const couponService = require('../services/coupon.service');
+const deliveryZoneService = require('../services/deliveryZone.service');
+const deliveryFeeService = require('../services/deliveryFee.service');
+const deliverySlotService = require('../services/deliverySlot.service');
+const handoffService = require('../services/handoff.service');
+const cashService = require('../services/cashCollection.service');
+const refundService = require('../services/refund.service');
 const referralService = require('../services/referral.service');
 const { TRANSACTION_REASONS } = require('../models/WalletTransaction.model');
+const { REFUND_TYPES } = require('../models/Refund.model');
 const config = require('../config/env');
 const { validateStatusTransition, getAllowedNextStatuses } = require('../utils/orderStatusValidator');
-const { ORDER_STATUS } = require('../utils/constants');
+const { ORDER_STATUS, ORDER_TYPES } = require('../utils/constants');
 const { getCurrentISO, addTime } = require('../utils/dateFormatter');
 const { isCategoryOrderable } = require('../utils/categoryWindow');
+const { openEventStream } = require('../utils/sse');
+const { toPublicRider } = require('../utils/transformers');
+const { canManageSection } = require('../middlewares/role.middleware');
+const orderEvents = require('../services/orderEvents.service');
 
 /**
  * Create new order
+ * Body may carry `couponCode`, or `autoApplyBestOffer: true` to apply the
+ * best coupon when none is given.
  */
 exports.createOrder = async (req, res) => {
   try {
@@ -29,18 +43,33 @@ exports.createOrder = async (req, res) => {
       deliveryAddress,
       paymentMethod,
       specialInstructions,
-      itemTotal,
-      deliveryFee,
-      tax,
-      discount,
       walletUsed,
-      totalAmount
+      scheduledSlot,
+      couponCode,
+      autoApplyBestOffer,
+      totalAmount: clientTotal
     } = req.body;
 
+    // Scheduled orders are checked against opening hours at the slot time
+    // (in resolveSlot) rather than whether the restaurant is open right now
+    let scheduled = null;
+    if (scheduledSlot) {
+      try {
+        scheduled = await deliverySlotService.resolveSlot('food', scheduledSlot);
+      } catch (slotError) {
+        if (slotError.name !== 'SlotError') throw slotError;
+        return res.status(slotError.status).json({
+          success: false,
+          message: slotError.message
+        });
+      }
+    }
+
     // Check restaurant status - block orders if restaurant is closed
     const restaurant = await Restaurant.getRestaurant();
-    if (!restaurant.isOpen) {
-      const message = restaurant.closingMessage || 'Restaurant is currently closed. Please try again later.';
+    const openStatus = restaurant.getOpenStatus();
+    if (!scheduled && !openStatus.isOpen) {
+      const message = openStatus.message || 'Restaurant is currently closed. Please try again later.';
       logger.warn(`Order attempt blocked - Restaurant is closed. User: ${userId}`);
       return res.status(403).json({
         success: false,
@@ -56,6 +85,79 @@ exports.createOrder = async (req, res) => {
       });
     }
 
+    // Re-price every line against the menu. Client-supplied prices, tax,
+    // fees and totals are never trusted.
+    let orderItems, menuItemDocs;
+    try {
+      ({ items: orderItems, menuItems: menuItemDocs } = await orderService.resolveOrderItems(items));
+    } catch (pricingError) {
+      if (pricingError.name !== 'OrderPricingError') throw pricingError;
+      return res.status(pricingError.status).json({
+        success: false,
+        message: pricingError.message
+      });
+    }
+
+    // Enforce per-category ordering window (e.g. Lunch 10:00–12:00 IST) at
+    // the time the order will be fulfilled
+    const orderAt = scheduled ? scheduled.scheduledFor : new Date();
+    for (const mi of menuItemDocs) {
+      const cat = mi.category;
+      if (cat && cat.isTimeRestricted && !isCategoryOrderable(cat, orderAt)) {
+        logger.warn(`Order blocked — category "${cat.name}" outside window for user ${userId}`);
+        return res.status(403).json({
+          success: false,
+          message: `${cat.name} is only orderable between ${cat.availableFrom} and ${cat.availableTo} (IST).`
+        });
+      }
+    }
+
+    // Delivery orders must land inside a delivery zone, which may also
+    // override the delivery fee and set a minimum order value.
+    let area = null;
+    let feeContext = null;
+    if (orderType === ORDER_TYPES.DELIVERY) {
+      area = await deliveryZoneService.checkServiceability(deliveryAddress, 'food');
+      if (!area.serviceable) {
+        return res.status(400).json({
+          success: false,
+          message: area.message
+        });
+      }
+      feeContext = await deliveryFeeService.buildFeeContext('food', { address: deliveryAddress, area, userId });
+    }
+
+    let bill = orderService.computeOrderBill(orderItems, orderType, { feeContext });
+    try {
+      bill = await orderService.applyCoupon(bill, { couponCode, autoApplyBestOffer, userId, paymentMethod });
+    } catch (couponError) {
+      if (couponError.name !== 'CouponError') throw couponError;
+      return res.status(couponError.status).json({
+        success: false,
+        message: couponError.message
+      });
+    }
+    const totalAmount = bill.total;
+
+    if (area?.minOrderValue != null && bill.itemTotal < area.minOrderValue) {
+      return res.status(400).json({
+        success: false,
+        message: `Minimum order value for delivery to ${area.zone.name} is ₹${area.minOrderValue}. Your item total is ₹${bill.itemTotal}.`
+      });
+    }
+
+    // Bigger drift than rounding means the cart changed mid-flow (price
+    // update, discount ended) or someone is tampering — make the client
+    // re-confirm against the server bill.
+    if (orderService.hasPriceDrift(clientTotal, totalAmount)) {
+      logger.warn(`Price drift on order create: client=${clientTotal} server=${totalAmount} user=${userId}`);
+      return res.status(409).json({
+        success: false,
+        message: 'The total has changed since you started checkout. Please review your cart.',
+        bill
+      });
+    }
+
     // Prevent duplicate orders: Check if user placed an identical order within last 5 seconds
     const fiveSecondsAgo = new Date(Date.now() - 5000);
     const recentOrder = await Order.findOne({
@@ -63,16 +165,15 @@ exports.createOrder = async (req, res) => {
       createdAt: { $gte: fiveSecondsAgo },
       status: ORDER_STATUS.RECEIVED,
       totalAmount: totalAmount,
-      'items.0.menuItem': items[0]?.menuItem || items[0]?.id, // Check first item matches
+      'items.0.menuItem': orderItems[0].menuItem, // Check first item matches
     }).sort({ createdAt: -1 });
 
     if (recentOrder) {
       // Check if items are identical (same items, same quantities)
-      const itemsMatch = recentOrder.items.length === items.length &&
-        items.every((item, index) => {
+      const itemsMatch = recentOrder.items.length === orderItems.length &&
+        orderItems.every((item, index) => {
           const recentItem = recentOrder.items[index];
-          const menuItemId = item.menuItem || item.id;
-          return recentItem.menuItem?.toString() === menuItemId?.toString() &&
+          return recentItem.menuItem?.toString() === item.menuItem.toString() &&
                  recentItem.quantity === item.quantity;
         });
 
@@ -86,28 +187,32 @@ exports.createOrder = async (req, res) => {
       }
     }
 
-    // Validate each item has required fields
-    const invalidItems = items.filter(item => !item.menuItem || !item.quantity || !item.price);
-    if (invalidItems.length > 0) {
-      logger.error('Invalid order items:', invalidItems);
-      return res.status(400).json({
-        success: false,
-        message: 'All items must have menuItem ID, quantity, and price',
-        invalidItems
-      });
+    // Claim a use of the coupon against its global cap; every failure
+    // below gives it back
+    const { couponApplied } = bill;
+    if (couponApplied) {
+      try {
+        await couponService.redeem(couponApplied, 'food', userId);
+      } catch (couponError) {
+        if (couponError.name !== 'CouponError') throw couponError;
+        return res.status(couponError.status).json({
+          success: false,
+          message: couponError.message
+        });
+      }
     }
+    const releaseCoupon = () => couponApplied && couponService.release(couponApplied, 'food');
 
-    // Enforce per-category ordering window (e.g. Lunch 10:00–12:00 IST)
-    const itemIds = items.map(i => i.menuItem || i.id).filter(Boolean);
-    const menuItemDocs = await MenuItem.find({ _id: { $in: itemIds } }).populate('category');
-    const now = new Date();
-    for (const mi of menuItemDocs) {
-      const cat = mi.category;
-      if (cat && cat.isTimeRestricted && !isCategoryOrderable(cat, now)) {
-        logger.warn(`Order blocked — category "${cat.name}" outside window for user ${userId}`);
-        return res.status(403).json({
+    // Hold a place in the slot before taking any money
+    if (scheduled) {
+      try {
+        await deliverySlotService.bookSlot(scheduled);
+      } catch (slotError) {
+        await releaseCoupon();
+        if (slotError.name !== 'SlotError') throw slotError;
+        return res.status(slotError.status).json({
           success: false,
-          message: `${cat.name} is only orderable between ${cat.availableFrom} and ${cat.availableTo} (IST).`
+          message: slotError.message
         });
       }
     }
@@ -153,6 +258,8 @@ exports.createOrder = async (req, res) => {
         logger.info(`✅ Wallet payment processed: User ${userId}, Amount: ₹${walletUsed}, New Balance: ₹${debitResult.newBalance}`);
       } catch (walletError) {
         logger.error('❌ Wallet payment failed:', walletError);
+        if (scheduled) await deliverySlotService.releaseSlot(scheduled.scheduledSlot);
+        await releaseCoupon();
         return res.status(400).json({
           success: false,
           message: walletError.message || 'Wallet payment failed'
@@ -186,22 +293,21 @@ exports.createOrder = async (req, res) => {
     const order = new Order({
       orderId: orderId,
       user: userId,
-      items: items.map(item => ({
-        menuItem: item.menuItem || item.id,
-        name: item.name,
-        price: item.price,
-        quantity: item.quantity,
-        addons: item.addons || []
-      })),
+      items: orderItems,
       orderType: orderType || 'delivery',
       deliveryAddress: deliveryAddress || undefined,
       paymentMethod: paymentMethod || 'cash',
       instructions: specialInstructions || '',
-      subtotal: itemTotal || 0,
-      discount: discount || 0,
-      delivery: deliveryFee || 0,
-      tax: tax || 0,
-      totalAmount: totalAmount || 0,
+      subtotal: bill.itemTotal,
+      tax: bill.tax,
+      taxBreakdown: bill.taxBreakdown,
+      packaging: bill.packaging,
+      delivery: bill.delivery,
+      totalAmount: totalAmount,
+      couponApplied: couponApplied || undefined,
+      walletUsed: walletAmount,
+      scheduledFor: scheduled ? scheduled.scheduledFor : null,
+      scheduledSlot: scheduled ? scheduled.scheduledSlot : undefined,
       status: ORDER_STATUS.RECEIVED,
       estimatedTime: 45 // 45 mins
     });
@@ -209,6 +315,8 @@ exports.createOrder = async (req, res) => {
     try {
       await order.save();
     } catch (saveError) {
+      if (scheduled) await deliverySlotService.releaseSlot(scheduled.scheduledSlot);
+      await releaseCoupon();
       // Refund wallet if order save failed
       if (walletAmount > 0) {
         try {
@@ -260,6 +368,7 @@ exports.createOrder = async (req, res) => {
       message: 'Order placed successfully',
       data: {
         ...orderObj,
+        bill,
         paymentBreakdown: {
           total: totalAmount,
           walletUsed: walletAmount,
@@ -276,6 +385,123 @@ exports.createOrder = async (req, res) => {
   }
 };
 
+/**
+ * Quote a cart without placing an order
+ * POST /api/orders/quote
+ * Returns the exact bill createOrder would charge, plus the wallet cap,
+ * so the apps don't have to replicate pricing client-side. Takes the same
+ * `couponCode` / `autoApplyBestOffer` / `scheduledSlot` as createOrder.
+ */
+exports.quote = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const {
+      items, orderType, deliveryAddress, walletUsed, couponCode, autoApplyBestOffer, paymentMethod, scheduledSlot
+    } = req.body;
+
+    // As in createOrder, a scheduled cart is checked at its slot time
+    let scheduled = null;
+    if (scheduledSlot) {
+      try {
+        scheduled = await deliverySlotService.resolveSlot('food', scheduledSlot);
+      } catch (slotError) {
+        if (slotError.name !== 'SlotError') throw slotError;
+        return res.status(slotError.status).json({
+          success: false,
+          message: slotError.message
+        });
+      }
+    }
+
+    let orderItems, menuItemDocs;
+    try {
+      ({ items: orderItems, menuItems: menuItemDocs } = await orderService.resolveOrderItems(items));
+    } catch (pricingError) {
+      if (pricingError.name !== 'OrderPricingError') throw pricingError;
+      return res.status(pricingError.status).json({
+        success: false,
+        message: pricingError.message
+      });
+    }
+
+    const orderAt = scheduled ? scheduled.scheduledFor : new Date();
+    const unorderable = menuItemDocs
+      .map(mi => mi.category)
+      .find(cat => cat && cat.isTimeRestricted && !isCategoryOrderable(cat, orderAt));
+    if (unorderable) {
+      return res.status(403).json({
+        success: false,
+        message: `${unorderable.name} is only orderable between ${unorderable.availableFrom} and ${unorderable.availableTo} (IST).`
+      });
+    }
+
+    // Serviceability is reported rather than enforced so the cart can show
+    // why checkout will fail for the selected address.
+    let area = null;
+    let feeContext = null;
+    if (orderType === ORDER_TYPES.DELIVERY) {
+      if (deliveryAddress) {
+        area = await deliveryZoneService.checkServiceability(deliveryAddress, 'food');
+      }
+      feeContext = await deliveryFeeService.buildFeeContext('food', { address: deliveryAddress, area, userId });
+    }
+
+    // resolveSlot has already checked opening hours at the slot time
+    const openStatus = scheduled
+      ? { isOpen: true, message: '' }
+      : (await Restaurant.getRestaurant()).getOpenStatus();
+    let bill = orderService.computeOrderBill(orderItems, orderType, { feeContext });
+    try {
+      bill = await orderService.applyCoupon(bill, { couponCode, autoApplyBestOffer, userId, paymentMethod });
+    } catch (couponError) {
+      if (couponError.name !== 'CouponError') throw couponError;
+      return res.status(couponError.status).json({
+        success: false,
+        message: couponError.message
+      });
+    }
+    const wallet = await walletService.quoteWalletUsage(
+      userId,
+      walletUsed,
+      bill.total,
+      config.maxWalletUsagePercent
+    );
+
+    res.json({
+      success: true,
+      data: {
+        isOpen: openStatus.isOpen,
+        closingMessage: openStatus.message,
+        scheduledFor: scheduled ? scheduled.scheduledFor : null,
+        items: bill.lines,
+        subtotal: bill.itemTotal,
+        tax: bill.tax,
+        taxBreakdown: bill.taxBreakdown,
+        packaging: bill.packaging,
+        delivery: bill.delivery,
+        deliveryDetails: bill.deliveryDetails,
+        couponDiscount: bill.couponDiscount,
+        couponApplied: bill.couponApplied,
+        total: bill.total,
+        wallet,
+        payable: bill.total - wallet.applied,
+        serviceability: area && {
+          serviceable: area.serviceable,
+          zone: area.zone,
+          minOrderValue: area.minOrderValue,
+          message: area.message
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Quote order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to quote order'
+    });
+  }
+};
+
 /**
  * Get user's orders
  */
@@ -342,6 +568,7 @@ exports.getOrder = async (req, res) => {
     // Check if id looks like a MongoDB ObjectId (24 hex characters)
     if (id.match(/^[0-9a-fA-F]{24}$/)) {
       order = await Order.findById(id)
+      .select('+handoffCode')
       .populate('items.menuItem', 'name image')
       .populate('user', 'phone name');
     }
@@ -349,6 +576,7 @@ exports.getOrder = async (req, res) => {
     // If not found by _id, try finding by orderId
     if (!order) {
       order = await Order.findOne({ orderId: id })
+        .select('+handoffCode')
         .populate('items.menuItem', 'name image')
         .populate('user', 'phone name');
     }
@@ -393,6 +621,12 @@ exports.getOrder = async (req, res) => {
         id: orderObj.user._id.toString()
       };
     }
+    // Rider contact + last location, without internal ids
+    orderObj.rider = toPublicRider(order.rider);
+    // The customer reads this out at handoff (delivery / takeaway)
+    orderObj.handoffCode = order.handoffCode || null;
+    delete orderObj.handoffFailedAttempts;
+    orderObj.refunds = await refundService.listForOrder('food', order._id);
 
     res.json({
       success: true,
@@ -409,15 +643,20 @@ exports.getOrder = async (req, res) => {
 
 /**
  * Get all orders (Admin only)
+ * Query params: status, orderType, coupon (a code, or `any` for orders
+ * with a coupon), page, limit
  */
 exports.getAllOrders = async (req, res) => {
   try {
-    const { status, orderType, page = 1, limit = 20 } = req.query;
+    const { status, orderType, coupon, page = 1, limit = 20 } = req.query;
 
     // Build query
     const query = {};
     if (status) query.status = status;
     if (orderType) query.orderType = orderType;
+    if (coupon) {
+      query['couponApplied.code'] = coupon === 'any' ? { $exists: true, $ne: null } : String(coupon).toUpperCase();
+    }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const orders = await Order.find(query)
@@ -479,6 +718,58 @@ exports.getAllOrders = async (req, res) => {
   }
 };
 
+/**
+ * Stream order updates (Server-Sent Events)
+ * GET /api/orders/:id/events?token=<jwt>
+ *
+ * Sends a `snapshot` on connect, then `status`, `eta`, `payment` and
+ * `rider` events as the order changes. Clients re-fetch the order on
+ * reconnect.
+ */
+exports.streamOrderEvents = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const query = id.match(/^[0-9a-fA-F]{24}$/) ? { _id: id } : { orderId: id };
+    const order = await Order.findOne(query);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.user.toString() !== userId.toString() && !canManageSection(req, 'food')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const stream = openEventStream(req, res);
+    stream.send('snapshot', {
+      id: order._id.toString(),
+      orderId: order.orderId,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      estimatedTime: order.estimatedTime,
+      statusHistory: order.statusHistory,
+      rider: toPublicRider(order.rider)
+    });
+    stream.onClose(orderEvents.subscribeToOrder('food', order._id, stream.send));
+  } catch (error) {
+    logger.error('Stream order events error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to open order stream'
+      });
+    }
+  }
+};
+
 /**
  * Get order by ID (Admin)
  */
@@ -596,6 +887,26 @@ exports.updateOrderStatus = async (req, res) => {
       });
     }
 
+    // Handing the order over needs the customer's code or a photo, and
+    // cash orders are paid then (the admin marking it took the cash)
+    let proof = null;
+    try {
+      proof = await handoffService.confirmHandoff('food', order, newStatus, {
+        code: req.body.handoffCode,
+        photoUrl: req.file ? `/uploads/${req.file.filename}` : null
+      });
+      cashService.recordCollection('food', order, newStatus, {
+        amountCollected: req.body.cashCollected,
+        collectedBy: adminId
+      });
+    } catch (handoverError) {
+      if (handoverError.name !== 'HandoffError' && handoverError.name !== 'CashError') throw handoverError;
+      return res.status(handoverError.status).json({
+        success: false,
+        message: handoverError.message
+      });
+    }
+
     // Initialize statusHistory if not exists
     if (!order.statusHistory || order.statusHistory.length === 0) {
       // Get user ID (handle both populated and non-populated user)
@@ -610,17 +921,23 @@ exports.updateOrderStatus = async (req, res) => {
     // Update order status and add to history
     order.status = newStatus;
 
+    // Free the order's place in its delivery slot and its coupon use
+    if (newStatus === ORDER_STATUS.CANCELLED) {
+      await deliverySlotService.releaseOrderSlot(order);
+      await couponService.releaseOrderCoupon(order, 'food');
+    }
+
     // Refund wallet amount if order is cancelled and wallet was used
     if (newStatus === ORDER_STATUS.CANCELLED && order.walletUsed > 0) {
       try {
-        const orderUserId = order.user?._id || order.user;
-        await walletService.refundToWallet(
-          orderUserId,
-          order.walletUsed,
-          order._id,
-          `Refund for cancelled order #${order.orderId}`
-        );
-        logger.info(`Wallet refund processed for cancelled order ${order.orderId}: ₹${order.walletUsed}`);
+        await refundService.issueRefund({
+          section: 'food',
+          type: REFUND_TYPES.CANCELLATION,
+          order,
+          amount: order.walletUsed,
+          method: 'WALLET',
+          reason: `Refund for cancelled order #${order.orderId}`,
+        });
       } catch (refundError) {
         logger.error('Failed to refund wallet for cancelled order:', refundError);
       }
@@ -629,7 +946,8 @@ exports.updateOrderStatus = async (req, res) => {
     order.statusHistory.push({
       status: newStatus,
       timestamp: getCurrentISO(),
-      updatedBy: adminId
+      updatedBy: adminId,
+      ...(proof && { proof })
     });
     
     const updatedOrder = await order.save();
@@ -710,17 +1028,23 @@ exports.cancelMine = async (req, res) => {
 
     if (order.walletUsed > 0) {
       try {
-        await walletService.refundToWallet(
-          orderUserId,
-          order.walletUsed,
-          order._id,
-          `Refund for cancelled order #${order.orderId}`
-        );
+        await refundService.issueRefund({
+          section: 'food',
+          type: REFUND_TYPES.CANCELLATION,
+          order,
+          user: orderUserId,
+          amount: order.walletUsed,
+          method: 'WALLET',
+          reason: `Refund for cancelled order #${order.orderId}`,
+        });
       } catch (refundError) {
         logger.error('Failed to refund wallet on customer cancel:', refundError);
       }
     }
 
+    await deliverySlotService.releaseOrderSlot(order);
+    await couponService.releaseOrderCoupon(order, 'food');
+
     order.status = ORDER_STATUS.CANCELLED;
     order.cancelledAt = new Date();
     if (reason) order.cancellationReason = reason;
@@ -3,58 +3,54 @@
  * Handles Razorpay payment integration
  */
 
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const config = require('../config/env');
 const logger = require('../config/logger');
 const Order = require('../models/Order.model');
-const MenuItem = require('../models/MenuItem.model');
 const Restaurant = require('../models/Restaurant.model');
-const { ORDER_STATUS, BILLING } = require('../utils/constants');
+const { ORDER_STATUS } = require('../utils/constants');
 const walletService = require('../services/wallet.service');
+const orderService = require('../services/order.service');
+const couponService = require('../services/coupon.service');
+const deliveryZoneService = require('../services/deliveryZone.service');
+const deliveryFeeService = require('../services/deliveryFee.service');
+const deliverySlotService = require('../services/deliverySlot.service');
+const refundService = require('../services/refund.service');
+const { paymentProvider } = require('../services/paymentProvider.service');
 const { TRANSACTION_REASONS } = require('../models/WalletTransaction.model');
+const { REFUND_STATUS, REFUND_TYPES } = require('../models/Refund.model');
+const { PaymentCheckout } = require('../models/PaymentCheckout.model');
 const { isCategoryOrderable } = require('../utils/categoryWindow');
 
-// Tolerated rounding error between client-displayed total and authoritative
-// server-recomputed total. Anything bigger means the cart drifted (price
-// changed, item went unavailable) — treat as fraud-or-stale and refund.
-const PRICE_DRIFT_TOLERANCE = 1; // ₹1
-
+/**
+ * Refund a captured payment that was rejected at verify. Goes through the
+ * refund ledger, so a failed refund is retried rather than lost.
+ */
 async function refundRazorpayPayment(paymentId, amountInPaise, context) {
-  if (!razorpay) {
-    logger.error(`CRITICAL: Cannot auto-refund ${paymentId} — Razorpay not configured. ${context}`);
-    return { refunded: false, reason: 'razorpay_not_configured' };
-  }
   try {
-    const refund = await razorpay.payments.refund(paymentId, { amount: amountInPaise });
-    logger.info(`↩️ Razorpay auto-refund issued: ${refund.id} for payment ${paymentId}. ${context}`);
-    return { refunded: true, refundId: refund.id };
+    const refund = await refundService.issueRefund({
+      section: 'food',
+      type: REFUND_TYPES.PAYMENT_REJECTED,
+      amount: amountInPaise / 100,
+      razorpayPaymentId: paymentId,
+      reason: context,
+    });
+    return refund.status === REFUND_STATUS.PROCESSED
+      ? { refunded: true, refundId: refund.gatewayRefundId }
+      : { refunded: false, reason: refund.lastError || 'refund_api_error', queued: !!refund.nextAttemptAt };
   } catch (err) {
-    logger.error(`CRITICAL: Razorpay auto-refund FAILED for ${paymentId}. ${context}`, err);
+    logger.error(`CRITICAL: Razorpay auto-refund could not be recorded for ${paymentId}. ${context}`, err);
     return { refunded: false, reason: err.message || 'refund_api_error' };
   }
 }
 
-// Initialize Razorpay instance
-// Only initialize if keys are provided (to prevent errors in development)
-let razorpay;
-if (config.razorpayKeyId && config.razorpayKeySecret) {
-  razorpay = new Razorpay({
-    key_id: config.razorpayKeyId,
-    key_secret: config.razorpayKeySecret,
-  });
-} else {
-  logger.warn('⚠️ Razorpay keys not configured. Payment integration will not work.');
-}
-
 /**
  * Create Razorpay order
  * This creates a Razorpay order ID that will be used on the frontend
  */
 exports.createRazorpayOrder = async (req, res) => {
   try {
-    // Check if Razorpay is configured
-    if (!razorpay) {
+    // Check if the payment gateway is configured
+    if (!paymentProvider.isConfigured()) {
       return res.status(500).json({
         success: false,
         message: 'Razorpay is not configured. Please contact support.'
@@ -72,10 +68,12 @@ exports.createRazorpayOrder = async (req, res) => {
       });
     }
 
-    // Check restaurant status
+    // Check restaurant status (scheduled orders are validated at verify
+    // against opening hours at the slot time instead)
     const restaurant = await Restaurant.getRestaurant();
-    if (!restaurant.isOpen) {
-      const message = restaurant.closingMessage || 'Restaurant is currently closed. Please try again later.';
+    const openStatus = restaurant.getOpenStatus();
+    if (!orderData?.scheduledSlot && !openStatus.isOpen) {
+      const message = openStatus.message || 'Restaurant is currently closed. Please try again later.';
       return res.status(403).json({
         success: false,
         message: message
@@ -102,7 +100,9 @@ exports.createRazorpayOrder = async (req, res) => {
       }
     };
 
-    const razorpayOrder = await razorpay.orders.create(options);
+    const razorpayOrder = await paymentProvider.createOrder(options);
+
+    await PaymentCheckout.create({ razorpayOrderId: razorpayOrder.id, section: 'food', user: userId, amount, orderData });
 
     logger.info(`✅ Razorpay order created: ${razorpayOrder.id} for user ${userId}, amount: ₹${amount}`);
 
@@ -111,7 +111,8 @@ exports.createRazorpayOrder = async (req, res) => {
       id: razorpayOrder.id,
       amount: razorpayOrder.amount,
       currency: razorpayOrder.currency,
-      receipt: razorpayOrder.receipt
+      receipt: razorpayOrder.receipt,
+      provider: paymentProvider.name
     });
   } catch (error) {
     logger.error('❌ Failed to create Razorpay order:', error);
@@ -147,13 +148,13 @@ exports.verifyPayment = async (req, res) => {
     }
 
     // Verify payment signature
-    const text = `${razorpay_order_id}|${razorpay_payment_id}`;
-    const generatedSignature = crypto
-      .createHmac('sha256', config.razorpayKeySecret)
-      .update(text)
-      .digest('hex');
+    const signatureValid = paymentProvider.verifySignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
 
-    if (generatedSignature !== razorpay_signature) {
+    if (!signatureValid) {
       logger.error(`❌ Payment signature verification failed for order ${razorpay_order_id}`);
       return res.status(400).json({
         success: false,
@@ -163,311 +164,471 @@ exports.verifyPayment = async (req, res) => {
 
     logger.info(`✅ Payment verified: ${razorpay_payment_id} for order ${razorpay_order_id}`);
 
-    // Idempotency: a Razorpay payment maps to exactly one Order. If this
-    // verify endpoint is called twice (network retry, Razorpay handler
-    // re-fired, page refresh) the second call returns the existing order
-    // instead of creating a duplicate + double-debiting wallet.
-    const existingOrder = await Order.findOne({
-      'paymentDetails.razorpayPaymentId': razorpay_payment_id,
+    const { status, body } = await settlePayment(userId, { razorpay_order_id, razorpay_payment_id, razorpay_signature, orderData });
+    res.status(status).json(body);
+  } catch (error) {
+    logger.error('❌ Failed to verify payment and create order:', error);
+    res.status(500).json({
+      success: false,
+      message: config.nodeEnv === 'development' ? (error.message || 'Failed to verify payment') : 'Failed to verify payment'
+    });
+  }
+};
+
+const done = (status, body) => ({ status, body });
+
+/**
+ * Turn a captured Razorpay payment into an order: re-validate and re-price
+ * the cart, book the slot, debit the wallet and save the order, refunding
+ * the payment on any rejection. Returns { status, body } for the response.
+ *
+ * Shared by verify-payment (client signature already checked) and the
+ * payment webhook (checkout's stored orderData, no signature), so it must
+ * stay idempotent per razorpay_payment_id.
+ */
+async function settleCheckout(userId, { razorpay_order_id, razorpay_payment_id, razorpay_signature = null, orderData }) {
+  // Idempotency: a Razorpay payment maps to exactly one Order. If this
+  // verify endpoint is called twice (network retry, Razorpay handler
+  // re-fired, page refresh) the second call returns the existing order
+  // instead of creating a duplicate + double-debiting wallet.
+  const existingOrder = await Order.findOne({
+    'paymentDetails.razorpayPaymentId': razorpay_payment_id,
+  });
+  if (existingOrder) {
+    logger.info(`↩️ Idempotent verify hit — existing order ${existingOrder.orderId} for payment ${razorpay_payment_id}`);
+    return done(200, {
+      success: true,
+      idempotent: true,
+      data: { orderId: existingOrder.orderId, _id: existingOrder._id, status: existingOrder.status },
     });
-    if (existingOrder) {
-      logger.info(`↩️ Idempotent verify hit — existing order ${existingOrder.orderId} for payment ${razorpay_payment_id}`);
-      return res.status(200).json({
-        success: true,
-        idempotent: true,
-        data: { orderId: existingOrder.orderId, _id: existingOrder._id, status: existingOrder.status },
+  }
+
+  // Client-supplied order data is treated as a hint only. Items + addons
+  // come from the cart, but every price/tax/fee is recomputed below from
+  // the authoritative MenuItem records before we commit anything.
+  const {
+    items,
+    orderType,
+    deliveryAddress,
+    specialInstructions,
+    walletUsed,
+    scheduledSlot,
+    couponCode,
+    autoApplyBestOffer,
+    totalAmount: clientTotal,
+  } = orderData;
+
+  const refundAmountInPaise = Math.round((clientTotal || 0) * 100);
+
+  // Scheduled orders: the slot must still be bookable. They are checked
+  // against opening hours at the slot time instead of the live status.
+  let scheduled = null;
+  if (scheduledSlot) {
+    try {
+      scheduled = await deliverySlotService.resolveSlot('food', scheduledSlot);
+    } catch (slotError) {
+      if (slotError.name !== 'SlotError') throw slotError;
+      const refundResult = await refundRazorpayPayment(
+        razorpay_payment_id,
+        refundAmountInPaise,
+        `Delivery slot rejected at verification: ${slotError.message}. User ${userId}.`
+      );
+      return done(slotError.status, {
+        success: false,
+        message: `${slotError.message}. Your payment is being refunded.`,
+        paymentId: razorpay_payment_id,
+        refund: refundResult
       });
     }
+  }
 
-    // Client-supplied order data is treated as a hint only. Items + addons
-    // come from the cart, but every price/tax/fee is recomputed below from
-    // the authoritative MenuItem records before we commit anything.
-    const {
-      items,
-      orderType,
-      deliveryAddress,
-      specialInstructions,
-      walletUsed,
-      totalAmount: clientTotal,
-    } = orderData;
-
-    const refundAmountInPaise = Math.round((clientTotal || 0) * 100);
-
-    // Check restaurant status again (in case it closed during payment)
-    const restaurant = await Restaurant.getRestaurant();
-    if (!restaurant.isOpen) {
-      const message = restaurant.closingMessage || 'Restaurant is currently closed. Please try again later.';
+  // Check restaurant status again (in case it closed during payment)
+  const restaurant = await Restaurant.getRestaurant();
+  const openStatus = restaurant.getOpenStatus();
+  if (!scheduled && !openStatus.isOpen) {
+    const message = openStatus.message || 'Restaurant is currently closed. Please try again later.';
+    const refundResult = await refundRazorpayPayment(
+      razorpay_payment_id,
+      refundAmountInPaise,
+      `Restaurant closed during payment verification. User ${userId}.`
+    );
+    return done(403, {
+      success: false,
+      message,
+      paymentId: razorpay_payment_id,
+      refund: refundResult
+    });
+  }
+
+  // Validate items
+  if (!items || items.length === 0) {
+    return done(400, {
+      success: false,
+      message: 'Order must contain at least one item'
+    });
+  }
+
+  // Authoritative price recomputation. Never trust client-supplied prices,
+  // tax, delivery, or total. Build the order from MenuItem records on the
+  // server. If anything is missing/unavailable, refund and bail out.
+  let serverItems, menuItemDocs;
+  try {
+    ({ items: serverItems, menuItems: menuItemDocs } = await orderService.resolveOrderItems(items));
+  } catch (pricingError) {
+    if (pricingError.name !== 'OrderPricingError') throw pricingError;
+    const refundResult = await refundRazorpayPayment(
+      razorpay_payment_id,
+      refundAmountInPaise,
+      `${pricingError.message} at verify. User ${userId}.`,
+    );
+    return done(pricingError.status, {
+      success: false,
+      message: `${pricingError.message}. Your payment is being refunded.`,
+      paymentId: razorpay_payment_id,
+      refund: refundResult,
+    });
+  }
+
+  // Time-window enforcement: lunch (or any time-restricted category) must
+  // still be in its serving window at payment settlement, or at the slot
+  // time for scheduled orders.
+  const orderAt = scheduled ? scheduled.scheduledFor : new Date();
+  for (const mi of menuItemDocs) {
+    const cat = mi.category;
+    if (cat && cat.isTimeRestricted && !isCategoryOrderable(cat, orderAt)) {
+      logger.warn(`Razorpay order rejected — "${cat.name}" outside window for user ${userId}, payment ${razorpay_payment_id}`);
       const refundResult = await refundRazorpayPayment(
         razorpay_payment_id,
         refundAmountInPaise,
-        `Restaurant closed during payment verification. User ${userId}.`
+        `Category "${cat.name}" outside window at verification. User ${userId}.`
       );
-      return res.status(403).json({
+      return done(403, {
         success: false,
-        message,
+        message: `${cat.name} is only orderable between ${cat.availableFrom} and ${cat.availableTo} (IST). Your payment is being refunded.`,
         paymentId: razorpay_payment_id,
         refund: refundResult
       });
     }
+  }
 
-    // Validate items
-    if (!items || items.length === 0) {
-      return res.status(400).json({
+  // Delivery zone check — the address may have fallen out of coverage (or
+  // the zone been disabled) between checkout and payment.
+  let area = null;
+  let feeContext = null;
+  if (String(orderType).toUpperCase() === 'DELIVERY') {
+    area = await deliveryZoneService.checkServiceability(deliveryAddress, 'food');
+    if (!area.serviceable) {
+      logger.warn(`Razorpay order rejected — address not serviceable for user ${userId}, payment ${razorpay_payment_id}`);
+      const refundResult = await refundRazorpayPayment(
+        razorpay_payment_id,
+        refundAmountInPaise,
+        `Delivery address not serviceable at verification. User ${userId}.`
+      );
+      return done(400, {
         success: false,
-        message: 'Order must contain at least one item'
+        message: `${area.message} Your payment is being refunded.`,
+        paymentId: razorpay_payment_id,
+        refund: refundResult
       });
     }
+    feeContext = await deliveryFeeService.buildFeeContext('food', { address: deliveryAddress, area, userId });
+  }
 
-    // Fetch authoritative MenuItem records once and reuse for both the
-    // time-window check and the price recomputation below.
-    const itemIds = items.map(i => i.menuItem || i.id).filter(Boolean);
-    if (itemIds.length === 0) {
-      return res.status(400).json({ success: false, message: 'No valid menu item IDs in order' });
-    }
-    const menuItemDocs = await MenuItem.find({ _id: { $in: itemIds } }).populate('category');
-    const menuById = new Map(menuItemDocs.map(m => [m._id.toString(), m]));
-
-    // Time-window enforcement: lunch (or any time-restricted category) must
-    // still be in its serving window at payment settlement.
-    const now = new Date();
-    for (const mi of menuItemDocs) {
-      const cat = mi.category;
-      if (cat && cat.isTimeRestricted && !isCategoryOrderable(cat, now)) {
-        logger.warn(`Razorpay order rejected — "${cat.name}" outside window for user ${userId}, payment ${razorpay_payment_id}`);
-        const refundResult = await refundRazorpayPayment(
-          razorpay_payment_id,
-          refundAmountInPaise,
-          `Category "${cat.name}" outside window at verification. User ${userId}.`
-        );
-        return res.status(403).json({
-          success: false,
-          message: `${cat.name} is only orderable between ${cat.availableFrom} and ${cat.availableTo} (IST). Your payment is being refunded.`,
-          paymentId: razorpay_payment_id,
-          refund: refundResult
-        });
-      }
-    }
+  let bill = orderService.computeOrderBill(serverItems, orderType, { feeContext });
 
-    // Authoritative price recomputation. Never trust client-supplied prices,
-    // tax, delivery, or total. Build the order from MenuItem records on the
-    // server. If anything is missing/unavailable, refund and bail out.
-    const serverItems = [];
-    let serverItemTotal = 0;
-    for (const item of items) {
-      const mi = menuById.get(String(item.menuItem || item.id));
-      if (!mi) {
-        const refundResult = await refundRazorpayPayment(
-          razorpay_payment_id,
-          refundAmountInPaise,
-          `Unknown menu item in order at verify. User ${userId}.`,
-        );
-        return res.status(400).json({
-          success: false,
-          message: 'One or more items in your cart are no longer available. Your payment is being refunded.',
-          paymentId: razorpay_payment_id,
-          refund: refundResult,
-        });
-      }
-      if (mi.isAvailable === false) {
-        const refundResult = await refundRazorpayPayment(
-          razorpay_payment_id,
-          refundAmountInPaise,
-          `Item "${mi.name}" unavailable at verify. User ${userId}.`,
-        );
-        return res.status(400).json({
-          success: false,
-          message: `"${mi.name}" is currently unavailable. Your payment is being refunded.`,
-          paymentId: razorpay_payment_id,
-          refund: refundResult,
-        });
-      }
-      const qty = Math.max(1, Number(item.quantity) || 1);
-      const unitPrice = Number(mi.price) * (1 - (Number(mi.discount) || 0) / 100);
-      const lineTotal = Math.round(unitPrice * qty);
-      // Re-validate addons against MenuItem.addons (don't accept arbitrary client addons).
-      const validAddons = (mi.addons || []).map(a => ({ name: a.name, price: Number(a.price) || 0 }));
-      const validAddonNames = new Set(validAddons.map(a => a.name));
-      const orderAddons = (item.addons || [])
-        .filter(a => validAddonNames.has(a.name))
-        .map(a => validAddons.find(va => va.name === a.name));
-      const addonTotal = orderAddons.reduce((s, a) => s + a.price, 0) * qty;
-      serverItemTotal += lineTotal + addonTotal;
-      serverItems.push({
-        menuItem: mi._id,
-        name: mi.name,
-        price: Math.round(unitPrice),
-        quantity: qty,
-        addons: orderAddons,
+  // The coupon is validated again — it may have expired or run out while
+  // the customer paid.
+  try {
+    bill = await orderService.applyCoupon(bill, { couponCode, autoApplyBestOffer, userId, paymentMethod: 'RAZORPAY' });
+  } catch (couponError) {
+    if (couponError.name !== 'CouponError') throw couponError;
+    const refundResult = await refundRazorpayPayment(
+      razorpay_payment_id,
+      refundAmountInPaise,
+      `Coupon rejected at verification: ${couponError.message}. User ${userId}.`
+    );
+    return done(couponError.status, {
+      success: false,
+      message: `${couponError.message}. Your payment is being refunded.`,
+      paymentId: razorpay_payment_id,
+      refund: refundResult
+    });
+  }
+  const serverTotal = bill.total;
+
+  if (area?.minOrderValue != null && bill.itemTotal < area.minOrderValue) {
+    const refundResult = await refundRazorpayPayment(
+      razorpay_payment_id,
+      refundAmountInPaise,
+      `Below zone minimum order at verification. User ${userId}.`
+    );
+    return done(400, {
+      success: false,
+      message: `Minimum order value for delivery to ${area.zone.name} is ₹${area.minOrderValue}. Your payment is being refunded.`,
+      paymentId: razorpay_payment_id,
+      refund: refundResult
+    });
+  }
+
+  // Sanity-check: client total should be within ₹1 of server total. Bigger
+  // drift means the cart changed mid-flow (price update, item removed) or
+  // someone is tampering — refund either way.
+  if (orderService.hasPriceDrift(clientTotal, serverTotal)) {
+    logger.warn(`Price drift on payment verify: client=${clientTotal} server=${serverTotal} user=${userId} payment=${razorpay_payment_id}`);
+    const refundResult = await refundRazorpayPayment(
+      razorpay_payment_id,
+      Math.round(clientTotal * 100),
+      `Price mismatch — client ${clientTotal}, server ${serverTotal}. User ${userId}.`,
+    );
+    return done(409, {
+      success: false,
+      message: 'The total has changed since you started checkout. Your payment is being refunded — please re-add the items.',
+      paymentId: razorpay_payment_id,
+      refund: refundResult,
+      bill,
+    });
+  }
+
+  // Claim a use of the coupon (its last use may have gone during payment);
+  // every failure below gives it back
+  const { couponApplied } = bill;
+  if (couponApplied) {
+    try {
+      await couponService.redeem(couponApplied, 'food', userId);
+    } catch (couponError) {
+      if (couponError.name !== 'CouponError') throw couponError;
+      const refundResult = await refundRazorpayPayment(
+        razorpay_payment_id,
+        refundAmountInPaise,
+        `Coupon fully redeemed at verification. User ${userId}.`
+      );
+      return done(couponError.status, {
+        success: false,
+        message: `${couponError.message}. Your payment is being refunded.`,
+        paymentId: razorpay_payment_id,
+        refund: refundResult
       });
     }
+  }
+  const releaseCoupon = () => couponApplied && couponService.release(couponApplied, 'food');
 
-    const serverTax = Math.round(serverItemTotal * BILLING.TAX_RATE);
-    const serverDelivery = orderType?.toUpperCase() === 'DELIVERY' ? BILLING.DELIVERY_FEE : 0;
-    const serverPackaging = BILLING.PACKAGING_FEE || 0;
-    const serverTotal = serverItemTotal + serverTax + serverDelivery + serverPackaging;
+  // Hold a place in the slot (it may have filled up during payment)
+  if (scheduled) {
+    try {
+      await deliverySlotService.bookSlot(scheduled);
+    } catch (slotError) {
+      await releaseCoupon();
+      if (slotError.name !== 'SlotError') throw slotError;
+      const refundResult = await refundRazorpayPayment(
+        razorpay_payment_id,
+        refundAmountInPaise,
+        `Delivery slot full at verification. User ${userId}.`
+      );
+      return done(slotError.status, {
+        success: false,
+        message: `${slotError.message}. Your payment is being refunded.`,
+        paymentId: razorpay_payment_id,
+        refund: refundResult
+      });
+    }
+  }
 
-    // Sanity-check: client total should be within ₹1 of server total. Bigger
-    // drift means the cart changed mid-flow (price update, item removed) or
-    // someone is tampering — refund either way.
-    if (typeof clientTotal === 'number' && Math.abs(clientTotal - serverTotal) > PRICE_DRIFT_TOLERANCE) {
-      logger.warn(`Price drift on payment verify: client=${clientTotal} server=${serverTotal} user=${userId} payment=${razorpay_payment_id}`);
+  // Wallet usage — capped at MAX_WALLET_USAGE_PERCENT of server total.
+  let walletAmount = Math.max(0, Number(walletUsed) || 0);
+  let amountPayable = serverTotal;
+  if (walletAmount > 0) {
+    try {
+      await walletService.validateWalletUsage(
+        userId,
+        walletAmount,
+        serverTotal,
+        config.maxWalletUsagePercent,
+      );
+      const debitResult = await walletService.debitWallet(
+        userId,
+        walletAmount,
+        TRANSACTION_REASONS.ORDER_PAYMENT,
+        {
+          description: 'Payment for order',
+          metadata: { orderType, itemCount: items.length, source: 'restaurant' },
+        },
+      );
+      amountPayable = serverTotal - walletAmount;
+      logger.info(`✅ Wallet debited ₹${walletAmount}, new balance ₹${debitResult.newBalance}`);
+    } catch (walletError) {
+      logger.error('❌ Wallet payment failed:', walletError);
+      if (scheduled) await deliverySlotService.releaseSlot(scheduled.scheduledSlot);
+      await releaseCoupon();
       const refundResult = await refundRazorpayPayment(
         razorpay_payment_id,
-        Math.round(clientTotal * 100),
-        `Price mismatch — client ${clientTotal}, server ${serverTotal}. User ${userId}.`,
+        Math.round(serverTotal * 100),
+        `Wallet validation failed at verify. User ${userId}.`,
       );
-      return res.status(409).json({
+      return done(400, {
         success: false,
-        message: 'The total has changed since you started checkout. Your payment is being refunded — please re-add the items.',
+        message: walletError.message || 'Wallet payment failed',
         paymentId: razorpay_payment_id,
         refund: refundResult,
       });
     }
+  }
 
-    // Wallet usage — capped at MAX_WALLET_USAGE_PERCENT of server total.
-    let walletAmount = Math.max(0, Number(walletUsed) || 0);
-    let amountPayable = serverTotal;
-    if (walletAmount > 0) {
-      try {
-        await walletService.validateWalletUsage(
-          userId,
-          walletAmount,
-          serverTotal,
-          config.maxWalletUsagePercent,
-        );
-        const debitResult = await walletService.debitWallet(
-          userId,
-          walletAmount,
-          TRANSACTION_REASONS.ORDER_PAYMENT,
-          {
-            description: 'Payment for order',
-            metadata: { orderType, itemCount: items.length, source: 'restaurant' },
-          },
-        );
-        amountPayable = serverTotal - walletAmount;
-        logger.info(`✅ Wallet debited ₹${walletAmount}, new balance ₹${debitResult.newBalance}`);
-      } catch (walletError) {
-        logger.error('❌ Wallet payment failed:', walletError);
-        const refundResult = await refundRazorpayPayment(
-          razorpay_payment_id,
-          Math.round(serverTotal * 100),
-          `Wallet validation failed at verify. User ${userId}.`,
-        );
-        return res.status(400).json({
-          success: false,
-          message: walletError.message || 'Wallet payment failed',
-          paymentId: razorpay_payment_id,
-          refund: refundResult,
-        });
-      }
+  // Generate order ID
+  const today = new Date();
+  const todayDate = today.toISOString().split('T')[0].replace(/-/g, '');
+  
+  const startOfDay = new Date(today);
+  startOfDay.setHours(0, 0, 0, 0);
+  const endOfDay = new Date(today);
+  endOfDay.setHours(23, 59, 59, 999);
+  
+  const todayOrderCount = await Order.countDocuments({
+    createdAt: {
+      $gte: startOfDay,
+      $lte: endOfDay
     }
-
-    // Generate order ID
-    const today = new Date();
-    const todayDate = today.toISOString().split('T')[0].replace(/-/g, '');
-    
-    const startOfDay = new Date(today);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(today);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    const todayOrderCount = await Order.countDocuments({
-      createdAt: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      }
-    });
-    
-    const randomSuffix = require('crypto').randomInt(10, 99);
-    const orderId = `${todayDate}${String(todayOrderCount + 1).padStart(3, '0')}${randomSuffix}`;
-
-    // Create order using authoritative server-recomputed values.
-    const order = new Order({
-      orderId,
-      user: userId,
-      items: serverItems,
-      orderType: orderType.toUpperCase(),
-      deliveryAddress: orderType?.toUpperCase() === 'DELIVERY' && deliveryAddress ? {
-        street: deliveryAddress.street,
-        city: deliveryAddress.city,
-        state: deliveryAddress.state,
-        pincode: deliveryAddress.pincode
-      } : null,
-      paymentMethod: 'RAZORPAY',
-      paymentStatus: 'COMPLETED',
-      paymentDetails: {
-        razorpayOrderId: razorpay_order_id,
-        razorpayPaymentId: razorpay_payment_id,
-        razorpaySignature: razorpay_signature
-      },
-      subtotal: serverItemTotal,
-      tax: serverTax,
-      packaging: serverPackaging,
-      delivery: serverDelivery,
-      totalAmount: serverTotal,
-      walletUsed: walletAmount,
-      instructions: specialInstructions || '',
+  });
+  
+  const randomSuffix = require('crypto').randomInt(10, 99);
+  const orderId = `${todayDate}${String(todayOrderCount + 1).padStart(3, '0')}${randomSuffix}`;
+
+  // Create order using authoritative server-recomputed values.
+  const order = new Order({
+    orderId,
+    user: userId,
+    items: serverItems,
+    orderType: orderType.toUpperCase(),
+    deliveryAddress: orderType?.toUpperCase() === 'DELIVERY' && deliveryAddress ? {
+      street: deliveryAddress.street,
+      city: deliveryAddress.city,
+      state: deliveryAddress.state,
+      pincode: deliveryAddress.pincode,
+      coordinates: deliveryAddress.coordinates
+    } : null,
+    paymentMethod: 'RAZORPAY',
+    paymentStatus: 'COMPLETED',
+    paymentDetails: {
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+      razorpaySignature: razorpay_signature
+    },
+    subtotal: bill.itemTotal,
+    tax: bill.tax,
+    taxBreakdown: bill.taxBreakdown,
+    packaging: bill.packaging,
+    delivery: bill.delivery,
+    totalAmount: serverTotal,
+    couponApplied: couponApplied || undefined,
+    walletUsed: walletAmount,
+    instructions: specialInstructions || '',
+    scheduledFor: scheduled ? scheduled.scheduledFor : null,
+    scheduledSlot: scheduled ? scheduled.scheduledSlot : undefined,
+    status: ORDER_STATUS.RECEIVED,
+    statusHistory: [{
       status: ORDER_STATUS.RECEIVED,
-      statusHistory: [{
-        status: ORDER_STATUS.RECEIVED,
-        timestamp: new Date(),
-        updatedBy: userId
-      }]
-    });
+      timestamp: new Date(),
+      updatedBy: userId
+    }]
+  });
 
-    try {
-      await order.save();
-    } catch (saveError) {
-      // Race: a concurrent verify hit beat us to the save, the unique index
-      // on paymentDetails.razorpayPaymentId triggered E11000. Look up the
-      // winning order and return it instead of refunding.
-      if (saveError?.code === 11000 && /razorpayPaymentId/.test(saveError?.message || '')) {
-        const winner = await Order.findOne({ 'paymentDetails.razorpayPaymentId': razorpay_payment_id });
-        if (winner) {
-          logger.info(`↩️ Idempotent verify race — losing thread for payment ${razorpay_payment_id}, returning order ${winner.orderId}`);
-          // Wallet was already debited by the winning thread (or we just
-          // double-debited and need to refund our own debit).
-          if (walletAmount > 0) {
-            try {
-              await walletService.refundToWallet(userId, walletAmount, winner._id, 'Race-loser refund — duplicate verify');
-            } catch (e) {
-              logger.error('CRITICAL: Race-loser wallet refund failed:', e);
-            }
+  try {
+    await order.save();
+  } catch (saveError) {
+    if (scheduled) await deliverySlotService.releaseSlot(scheduled.scheduledSlot);
+    await releaseCoupon();
+    // Race: a concurrent verify hit beat us to the save, the unique index
+    // on paymentDetails.razorpayPaymentId triggered E11000. Look up the
+    // winning order and return it instead of refunding.
+    if (saveError?.code === 11000 && /razorpayPaymentId/.test(saveError?.message || '')) {
+      const winner = await Order.findOne({ 'paymentDetails.razorpayPaymentId': razorpay_payment_id });
+      if (winner) {
+        logger.info(`↩️ Idempotent verify race — losing thread for payment ${razorpay_payment_id}, returning order ${winner.orderId}`);
+        // Wallet was already debited by the winning thread (or we just
+        // double-debited and need to refund our own debit).
+        if (walletAmount > 0) {
+          try {
+            await walletService.refundToWallet(userId, walletAmount, winner._id, 'Race-loser refund — duplicate verify');
+          } catch (e) {
+            logger.error('CRITICAL: Race-loser wallet refund failed:', e);
           }
-          return res.status(200).json({
-            success: true,
-            idempotent: true,
-            data: { orderId: winner.orderId, _id: winner._id, status: winner.status },
-          });
         }
+        return done(200, {
+          success: true,
+          idempotent: true,
+          data: { orderId: winner.orderId, _id: winner._id, status: winner.status },
+        });
       }
-      if (walletAmount > 0) {
-        try {
-          await walletService.refundToWallet(userId, walletAmount, null, 'Order creation failed - automatic refund');
-          logger.info(`Wallet refund processed for failed order: User ${userId}, Amount: ₹${walletAmount}`);
-        } catch (refundError) {
-          logger.error('CRITICAL: Wallet refund failed after order creation failure:', refundError);
-        }
+    }
+    if (walletAmount > 0) {
+      try {
+        await walletService.refundToWallet(userId, walletAmount, null, 'Order creation failed - automatic refund');
+        logger.info(`Wallet refund processed for failed order: User ${userId}, Amount: ₹${walletAmount}`);
+      } catch (refundError) {
+        logger.error('CRITICAL: Wallet refund failed after order creation failure:', refundError);
       }
-      throw saveError;
     }
+    throw saveError;
+  }
 
-    logger.info(`✅ Order created after payment: ${orderId} for user ${userId}`);
+  logger.info(`✅ Order created after payment: ${orderId} for user ${userId}`);
 
+  return done(200, {
+    success: true,
+    message: 'Payment verified and order created successfully',
+    data: {
+      orderId: order.orderId,
+      order: order,
+      bill,
+      paymentId: razorpay_payment_id
+    }
+  });
+}
+
+/**
+ * settleCheckout, then mark the payment's checkout PAID or REJECTED. A
+ * thrown error leaves it CREATED, so the webhook can still settle it.
+ */
+async function settlePayment(userId, payment) {
+  const result = await settleCheckout(userId, payment);
+  try {
+    await PaymentCheckout.recordOutcome(payment.razorpay_order_id, payment.razorpay_payment_id, result.body);
+  } catch (e) {
+    logger.error(`payment: could not record checkout outcome for payment ${payment.razorpay_payment_id}`, e);
+  }
+  return result;
+}
+
+// Also used by the payment webhook
+exports.settlePayment = settlePayment;
+
+/**
+ * Complete a checkout on the mock gateway (PAYMENT_PROVIDER=mock only)
+ * This stands in for the Razorpay checkout widget in e2e runs; pass the
+ * result to verify-payment as usual. Works for food and grocery checkouts.
+ */
+exports.mockPay = async (req, res) => {
+  try {
+    const { razorpay_order_id } = req.body;
+    const checkout = await PaymentCheckout.findOne({ razorpayOrderId: razorpay_order_id, user: req.user.userId });
+    if (!checkout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment order not found'
+      });
+    }
+
+    const { orderId, paymentId, signature } = paymentProvider.pay(razorpay_order_id);
     res.json({
       success: true,
-      message: 'Payment verified and order created successfully',
-      data: {
-        orderId: order.orderId,
-        order: order,
-        paymentId: razorpay_payment_id
-      }
+      razorpay_order_id: orderId,
+      razorpay_payment_id: paymentId,
+      razorpay_signature: signature
     });
   } catch (error) {
-    logger.error('❌ Failed to verify payment and create order:', error);
-    res.status(500).json({
+    logger.error('❌ Mock payment failed:', error);
+    res.status(400).json({
       success: false,
-      message: config.nodeEnv === 'development' ? (error.message || 'Failed to verify payment') : 'Failed to verify payment'
+      message: error.message || 'Mock payment failed'
     });
   }
 };
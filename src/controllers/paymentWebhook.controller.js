@@ -0,0 +1,32 @@
+const config = require('../config/env');
+const logger = require('../config/logger');
+const { verifyWebhookSignature, handleWebhookEvent } = require('../services/paymentWebhook.service');
+const { settlePayment: settleFoodPayment } = require('./payment.controller');
+const { settlePayment: settleGroceryPayment } = require('./groceryPayment.controller');
+
+const SETTLERS = { food: settleFoodPayment, grocery: settleGroceryPayment };
+
+/**
+ * POST /api/payment/webhook — Razorpay events for both sections. Not
+ * authenticated; trusted only through the X-Razorpay-Signature header.
+ * Any non-2xx makes Razorpay redeliver, so only answer 500 when a retry
+ * could help.
+ */
+exports.handle = async (req, res) => {
+  if (!config.razorpayWebhookSecret) {
+    logger.error('CRITICAL: payment webhook received but RAZORPAY_WEBHOOK_SECRET is not set');
+    return res.status(503).json({ success: false });
+  }
+  if (!verifyWebhookSignature(req.rawBody, req.headers['x-razorpay-signature'], config.razorpayWebhookSecret)) {
+    logger.warn(`payment webhook: bad signature (event id ${req.headers['x-razorpay-event-id'] || '-'})`);
+    return res.status(400).json({ success: false, message: 'Invalid signature' });
+  }
+  try {
+    const outcome = await handleWebhookEvent(req.body, SETTLERS);
+    logger.info(`payment webhook: ${req.body?.event} → ${outcome.result}`);
+    res.json({ success: true, ...outcome });
+  } catch (e) {
+    logger.error(`payment webhook: ${req.body?.event} failed`, e);
+    res.status(500).json({ success: false });
+  }
+};
@@ -6,6 +6,7 @@
 const Restaurant = require('../models/Restaurant.model');
 const { successResponse, errorResponse } = require('../utils/helpers');
 const { HTTP_STATUS } = require('../utils/constants');
+const { describeOpenStatus } = require('../utils/openHours');
 const logger = require('../config/logger');
 
 /**
@@ -15,18 +16,12 @@ const logger = require('../config/logger');
 exports.getRestaurantStatus = async (req, res) => {
   try {
     const restaurant = await Restaurant.getRestaurant();
-    
-    const { transformEntity } = require('../utils/transformers');
-    const transformedRestaurant = transformEntity(restaurant);
 
     return successResponse(
       res,
       HTTP_STATUS.OK,
       'Restaurant status fetched successfully',
-      {
-        isOpen: transformedRestaurant.isOpen,
-        closingMessage: transformedRestaurant.closingMessage || ''
-      }
+      describeOpenStatus(restaurant)
     );
   } catch (error) {
     logger.error('Error fetching restaurant status:', error);
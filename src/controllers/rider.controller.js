@@ -0,0 +1,74 @@
+const riderService = require('../services/rider.service');
+const cashService = require('../services/cashCollection.service');
+const logger = require('../config/logger');
+
+const fail = (res, e, area) => {
+  if (['RiderError', 'HandoffError', 'CashError'].includes(e.name)) return res.status(e.status).json({ success: false, message: e.message });
+  logger.error(area, e);
+  return res.status(500).json({ success: false });
+};
+
+const withRider = (area, handler) => async (req, res) => {
+  try {
+    const rider = await riderService.getRiderForUser(req.user.userId);
+    await handler(req, res, rider);
+  } catch (e) { fail(res, e, area); }
+};
+
+const orderData = (order, section) => ({ ...order.toObject(), id: order._id.toString(), section });
+
+/** GET /api/rider/me */
+exports.me = withRider('rider.me', async (req, res, rider) => {
+  res.json({ success: true, data: rider });
+});
+
+/** PATCH /api/rider/me { isAvailable } — going on / off shift. */
+exports.setAvailability = withRider('rider.setAvailability', async (req, res, rider) => {
+  if (typeof req.body?.isAvailable !== 'boolean') {
+    return res.status(400).json({ success: false, message: 'isAvailable must be a boolean' });
+  }
+  rider.isAvailable = req.body.isAvailable;
+  await rider.save();
+  res.json({ success: true, data: rider });
+});
+
+/** GET /api/rider/orders — orders currently assigned to the caller. */
+exports.listOrders = withRider('rider.listOrders', async (req, res, rider) => {
+  res.json({ success: true, data: await riderService.listRiderOrders(rider) });
+});
+
+/** POST /api/rider/orders/:section/:id/accept */
+exports.accept = withRider('rider.accept', async (req, res, rider) => {
+  const order = await riderService.acceptOrder(rider, req.params.section, req.params.id);
+  res.json({ success: true, data: orderData(order, req.params.section) });
+});
+
+/** POST /api/rider/orders/:section/:id/pickup — order goes OUT_FOR_DELIVERY. */
+exports.pickUp = withRider('rider.pickUp', async (req, res, rider) => {
+  const order = await riderService.pickUpOrder(rider, req.params.section, req.params.id);
+  res.json({ success: true, data: orderData(order, req.params.section) });
+});
+
+/**
+ * POST /api/rider/orders/:section/:id/deliver — COMPLETED (food) / DELIVERED
+ * (grocery). Body `handoffCode`, or a multipart `proofPhoto`; `cashCollected`
+ * for cash orders when it isn't the exact amount due.
+ */
+exports.deliver = withRider('rider.deliver', async (req, res, rider) => {
+  const order = await riderService.deliverOrder(rider, req.params.section, req.params.id, {
+    code: req.body?.handoffCode,
+    photoUrl: req.file ? `/uploads/${req.file.filename}` : null,
+  }, { amountCollected: req.body?.cashCollected });
+  res.json({ success: true, data: orderData(order, req.params.section) });
+});
+
+/** GET /api/rider/cash?date=YYYY-MM-DD — cash the caller took that day and still holds. */
+exports.cash = withRider('rider.cash', async (req, res, rider) => {
+  const summary = await cashService.cashSummary({ date: req.query.date || undefined, collectedBy: rider.user });
+  res.json({ success: true, data: { date: summary.date, ...(summary.collectors[0] || { ordersToday: 0, collectedToday: 0, changeGivenToday: 0, unsettledOrders: 0, unsettledAmount: 0 }) } });
+});
+
+/** POST /api/rider/location { latitude, longitude } — periodic ping while on shift. */
+exports.ping = withRider('rider.ping', async (req, res, rider) => {
+  res.json({ success: true, data: await riderService.recordLocation(rider, req.body) });
+});
@@ -99,7 +99,19 @@ const optionalAuthenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * EventSource can't set headers, so event-stream routes accept the JWT as
+ * ?token= instead. Use only on those routes, ahead of authenticate.
+ */
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
 module.exports = {
   authenticate,
-  optionalAuthenticate
+  optionalAuthenticate,
+  tokenFromQuery
 };
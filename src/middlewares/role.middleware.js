@@ -35,4 +35,17 @@ const hasRole = (...roles) => {
  */
 const isAdmin = hasRole(ROLES.RESTAURANT_ADMIN);
 
-module.exports = { hasRole, isAdmin };
+/**
+ * Which admin role owns each section's settings. For routes shared by both
+ * admin roles (mounted with hasRole(RESTAURANT_ADMIN, GROCERY_ADMIN)) that
+ * still need per-section ownership checked against the request.
+ */
+const SECTION_ADMIN_ROLES = {
+  food: ROLES.RESTAURANT_ADMIN,
+  grocery: ROLES.GROCERY_ADMIN
+};
+
+const canManageSection = (req, section) =>
+  isSuperAdmin(req) || (!!SECTION_ADMIN_ROLES[section] && req.user?.role === SECTION_ADMIN_ROLES[section]);
+
+module.exports = { hasRole, isAdmin, canManageSection };
@@ -148,11 +148,41 @@ const handleUploadError = (err, req, res, next) => {
   next();
 };
 
+// CSV imports (e.g. payment settlement exports) are parsed in memory and never stored
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const allowedMimeTypes = ['text/csv', 'application/vnd.ms-excel', 'text/plain', 'application/octet-stream'];
+    if (allowedMimeTypes.includes(file.mimetype) && /\.csv$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV files are allowed.'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB max file size
+  }
+});
+
+const handleCsvUploadError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({
+      success: false,
+      message: 'File too large. Maximum size is 5MB.'
+    });
+  }
+  return handleUploadError(err, req, res, next);
+};
+
 module.exports = {
   upload,
   handleUploadError,
   uploadSingle: (fieldName) => [
     upload.single(fieldName),
     handleUploadError
+  ],
+  uploadCsv: (fieldName) => [
+    csvUpload.single(fieldName),
+    handleCsvUploadError
   ]
 };
@@ -4,7 +4,7 @@
 
 const Joi = require('joi');
 const { errorResponse } = require('../utils/helpers');
-const { HTTP_STATUS } = require('../utils/constants');
+const { HTTP_STATUS, TAX_CLASSES } = require('../utils/constants');
 
 /**
  * Generic validation middleware
@@ -99,7 +99,11 @@ const createOrderSchema = Joi.object({
       landmark: Joi.string().allow(''),
       city: Joi.string().required(),
       state: Joi.string().allow(''),
-      pincode: Joi.string().pattern(/^\d{6}$/).required()
+      pincode: Joi.string().pattern(/^\d{6}$/).required(),
+      coordinates: Joi.object({
+        latitude: Joi.number().min(-90).max(90),
+        longitude: Joi.number().min(-180).max(180)
+      })
     }).required(),
     otherwise: Joi.optional()
   }),
@@ -111,7 +115,65 @@ const createOrderSchema = Joi.object({
   tax: Joi.number().min(0),
   discount: Joi.number().min(0),
   walletUsed: Joi.number().min(0),
-  totalAmount: Joi.number().min(0)
+  totalAmount: Joi.number().min(0),
+
+  // Coupon to apply; without one, autoApplyBestOffer picks the best
+  couponCode: Joi.string().trim(),
+  autoApplyBestOffer: Joi.boolean(),
+
+  // Pre-order into a delivery slot; omit for ASAP
+  scheduledSlot: Joi.object({
+    slotId: Joi.string().required(),
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+  })
+});
+
+// Checkout quote schema — same cart shape as createOrderSchema, without
+// the fields only needed to actually place the order
+const quoteOrderSchema = Joi.object({
+  items: Joi.array()
+    .items(
+      Joi.object({
+        menuItem: Joi.string().required(),
+        quantity: Joi.number().min(1).required(),
+        addons: Joi.array().items(
+          Joi.object({
+            name: Joi.string(),
+            price: Joi.number()
+          })
+        )
+      })
+    )
+    .min(1)
+    .required()
+    .messages({
+      'array.min': 'At least one item is required'
+    }),
+
+  orderType: Joi.string()
+    .valid('DINE_IN', 'TAKEAWAY', 'DELIVERY')
+    .required(),
+
+  deliveryAddress: Joi.object({
+    pincode: Joi.string().pattern(/^\d{6}$/),
+    coordinates: Joi.object({
+      latitude: Joi.number(),
+      longitude: Joi.number()
+    })
+  }),
+
+  // Coupon checks that depend on it are skipped when omitted
+  paymentMethod: Joi.string()
+    .valid('UPI', 'CASH', 'CARD', 'RAZORPAY', 'WALLET'),
+
+  walletUsed: Joi.number().min(0),
+  couponCode: Joi.string().trim(),
+  autoApplyBestOffer: Joi.boolean(),
+
+  scheduledSlot: Joi.object({
+    slotId: Joi.string().required(),
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+  })
 });
 
 // Category schema (Admin)
@@ -148,6 +210,7 @@ const menuItemSchema = Joi.object({
     isSpecial: Joi.boolean()
   }),
   spiceLevel: Joi.string().valid('None', 'Low', 'Medium', 'High', 'Extra Hot'),
+  taxClass: Joi.string().valid(...Object.keys(TAX_CLASSES)).allow(null),
   prepTime: Joi.number().min(0),
   addons: Joi.array().items(
     Joi.object({
@@ -161,7 +224,42 @@ const menuItemSchema = Joi.object({
 const updateOrderStatusSchema = Joi.object({
   status: Joi.string()
     .valid('RECEIVED', 'CONFIRMED', 'PREPARING', 'READY', 'OUT_FOR_DELIVERY', 'COMPLETED', 'CANCELLED')
-    .required()
+    .required(),
+  // Customer's handoff code when completing a delivery/takeaway order
+  // (or upload a `proofPhoto` instead)
+  handoffCode: Joi.string().pattern(/^\d{4}$/),
+  // Cash taken at handoff for a CASH order (defaults to the amount due)
+  cashCollected: Joi.number().min(0)
+});
+
+// Weekly opening hours + holiday closures (Admin). Times are IST HH:mm;
+// a close before its open runs past midnight.
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const openingHoursSchema = Joi.object({
+  weeklyHours: Joi.array().items(
+    Joi.object({
+      day: Joi.number().integer().min(0).max(6).required(),
+      open: Joi.string().pattern(HHMM).required(),
+      close: Joi.string().pattern(HHMM).required()
+    })
+  ),
+  closures: Joi.array().items(
+    Joi.object({
+      from: Joi.string().pattern(ISO_DATE).required(),
+      to: Joi.string().pattern(ISO_DATE).allow(null),
+      message: Joi.string().max(200).allow('')
+    })
+  )
+}).or('weeklyHours', 'closures');
+
+// Restaurant open/close toggle (Admin). With a schedule configured this is a
+// temporary override; `until` defaults to the next midnight (IST).
+const restaurantStatusSchema = Joi.object({
+  isOpen: Joi.boolean().required(),
+  closingMessage: Joi.string().max(200).allow(''),
+  until: Joi.date().iso().greater('now')
 });
 
 module.exports = {
@@ -169,7 +267,10 @@ module.exports = {
   sendOTPSchema,
   verifyOTPSchema,
   createOrderSchema,
+  quoteOrderSchema,
   categorySchema,
   menuItemSchema,
-  updateOrderStatusSchema
+  updateOrderStatusSchema,
+  openingHoursSchema,
+  restaurantStatusSchema
 };
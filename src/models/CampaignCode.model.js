@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+/**
+ * One single-use code of a campaign coupon (Coupon.isCampaign). The code
+ * carries no rules of its own: validation uses the parent coupon, and the
+ * code is spent once, by anyone, when an order is placed with it.
+ */
+const campaignCodeSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  section: { type: String, enum: ['food', 'grocery'], required: true },
+  redeemedAt: { type: Date, default: null },
+  redeemedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+campaignCodeSchema.index({ coupon: 1, redeemedAt: 1 });
+
+module.exports = mongoose.model('CampaignCode', campaignCodeSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cash taken for a cash-on-delivery / pay-at-counter order, stored on
+ * Order / GroceryOrder when it is handed over. `amountDue` is what the
+ * order still owed after any wallet part-payment; the collector keeps
+ * amountCollected - changeGiven (= amountDue) until it is settled.
+ */
+const cashCollectionSchema = new mongoose.Schema({
+  amountDue: { type: Number, required: true, min: 0 },
+  amountCollected: { type: Number, required: true, min: 0 },
+  changeGiven: { type: Number, default: 0, min: 0 },
+  // Rider or admin who took the cash
+  collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rider: { type: mongoose.Schema.Types.ObjectId, ref: 'Rider', default: null },
+  collectedAt: { type: Date, required: true },
+  settlement: { type: mongoose.Schema.Types.ObjectId, ref: 'CashSettlement', default: null },
+}, { _id: false });
+
+/**
+ * A collector handing their cash in at day end. Covers every collection
+ * of theirs that wasn't settled yet; `difference` is received - expected
+ * (negative when cash is short).
+ */
+const cashSettlementSchema = new mongoose.Schema({
+  collector: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rider: { type: mongoose.Schema.Types.ObjectId, ref: 'Rider', default: null },
+  orders: [{
+    _id: false,
+    section: { type: String, enum: ['food', 'grocery'], required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, required: true },
+    orderId: String,
+    amount: Number,
+  }],
+  expectedAmount: { type: Number, required: true },
+  receivedAmount: { type: Number, required: true, min: 0 },
+  difference: { type: Number, required: true },
+  note: { type: String, default: '', trim: true, maxlength: 300 },
+  settledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+cashSettlementSchema.index({ collector: 1, createdAt: -1 });
+cashSettlementSchema.index({ createdAt: -1 });
+
+const CashSettlement = mongoose.model('CashSettlement', cashSettlementSchema);
+
+module.exports = { CashSettlement, cashCollectionSchema };
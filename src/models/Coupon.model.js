@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { PAYMENT_METHODS } = require('../utils/constants');
+
+const HHMM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 const couponSchema = new mongoose.Schema({
   code: { type: String, required: true, unique: true, uppercase: true, trim: true, minlength: 3, maxlength: 30 },
@@ -22,6 +25,43 @@ const couponSchema = new mongoose.Schema({
   /** Per-user usage cap. null = unlimited. */
   perUserLimit: { type: Number, default: null, min: 1 },
 
+  /**
+   * Global cap across all customers. null = unlimited. redemptionCount is
+   * only changed through coupon.service redeem / release.
+   */
+  maxRedemptions: { type: Number, default: null, min: 1 },
+  redemptionCount: { type: Number, default: 0, min: 0 },
+
+  /** Targeting: first order in this section / no orders in any section yet. */
+  firstOrderOnly: { type: Boolean, default: false },
+  newUserOnly: { type: Boolean, default: false },
+
+  /**
+   * Scope. When any list is set the discount is computed on the matching
+   * lines only: categories (Category / GroceryCategory), products (MenuItem /
+   * GroceryProduct) and, for grocery, brands. Empty = whole cart.
+   */
+  categories: [{ type: mongoose.Schema.Types.ObjectId }],
+  products: [{ type: mongoose.Schema.Types.ObjectId }],
+  brands: [{ type: String, trim: true }],
+
+  /** Payment methods it is valid with. Empty = any. */
+  paymentMethods: [{ type: String, enum: Object.values(PAYMENT_METHODS) }],
+
+  /** IST days (0 = Sun) and hours [from, to) it can be used; a window may cross midnight. */
+  daysOfWeek: [{ type: Number, min: 0, max: 6 }],
+  activeFrom: { type: String, default: null, match: HHMM_RE },
+  activeTo: { type: String, default: null, match: HHMM_RE },
+
+  /**
+   * Campaign: the coupon is a rule set for single-use CampaignCodes and
+   * can't be applied by its own code.
+   */
+  isCampaign: { type: Boolean, default: false },
+
+  /** With a bundle discount: ALLOW both, or EXCLUSIVE (coupon refused). */
+  bundleStacking: { type: String, enum: ['ALLOW', 'EXCLUSIVE'], default: 'ALLOW' },
+
   isActive: { type: Boolean, default: true, index: true },
 }, { timestamps: true });
 
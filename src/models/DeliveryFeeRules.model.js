@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { isValidHHmm } = require('../utils/categoryWindow');
+
+const FEE_SECTIONS = ['food', 'grocery'];
+
+/** Fee for deliveries up to `upToKm` from the store; null = no upper bound. */
+const distanceSlabSchema = new mongoose.Schema({
+  upToKm: { type: Number, default: null, min: 0 },
+  fee: { type: Number, required: true, min: 0 },
+}, { _id: false });
+
+/** Caps the fee at `fee` once the subtotal reaches `minSubtotal` (0 = free delivery). */
+const subtotalSlabSchema = new mongoose.Schema({
+  minSubtotal: { type: Number, required: true, min: 0 },
+  fee: { type: Number, required: true, min: 0 },
+}, { _id: false });
+
+/**
+ * Time-of-day surcharge in IST. Half-open [from, to); a window whose `to` is
+ * before `from` runs past midnight. `days` are 0=Sun..6=Sat, empty = every day.
+ */
+const surgeWindowSchema = new mongoose.Schema({
+  label: { type: String, default: '', trim: true, maxlength: 60 },
+  from: { type: String, required: true, validate: [isValidHHmm, 'from must be HH:mm'] },
+  to: { type: String, required: true, validate: [isValidHHmm, 'to must be HH:mm'] },
+  days: [{ type: Number, min: 0, max: 6 }],
+  multiplier: { type: Number, default: 1, min: 1 },
+  extraFee: { type: Number, default: 0, min: 0 },
+}, { _id: false });
+
+/**
+ * Delivery fee configuration, one document per section (`_id` is the
+ * section). See utils/deliveryFee.js for how the rules are applied.
+ */
+const deliveryFeeRulesSchema = new mongoose.Schema({
+  _id: { type: String, enum: FEE_SECTIONS },
+  baseFee: { type: Number, default: 40, min: 0 },
+  distanceSlabs: { type: [distanceSlabSchema], default: [] },
+  subtotalSlabs: { type: [subtotalSlabSchema], default: [] },
+  surgeWindows: { type: [surgeWindowSchema], default: [] },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true, _id: false });
+
+deliveryFeeRulesSchema.pre('validate', function (next) {
+  // Keep slabs ordered so the engine can take the first/last match.
+  this.distanceSlabs.sort((a, b) => (a.upToKm ?? Infinity) - (b.upToKm ?? Infinity));
+  this.subtotalSlabs.sort((a, b) => a.minSubtotal - b.minSubtotal);
+  const openEnded = this.distanceSlabs.filter(s => s.upToKm == null).length;
+  if (openEnded > 1) this.invalidate('distanceSlabs', 'Only one distance slab may be open-ended');
+  next();
+});
+
+/**
+ * Fetch a section's rules, creating them from `defaults` the first time so
+ * existing fee settings carry over. Upserts, so concurrent first requests
+ * don't race to insert the same section.
+ */
+deliveryFeeRulesSchema.statics.forSection = function (section, defaults = {}) {
+  return this.findOneAndUpdate(
+    { _id: section },
+    { $setOnInsert: defaults },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const DeliveryFeeRules = mongoose.model('DeliveryFeeRules', deliveryFeeRulesSchema);
+
+module.exports = { DeliveryFeeRules, FEE_SECTIONS };
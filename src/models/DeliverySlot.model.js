@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { isValidHHmm } = require('../utils/categoryWindow');
+
+const SLOT_SECTIONS = ['food', 'grocery'];
+
+/**
+ * A recurring time slot customers can schedule an order into, e.g.
+ * "Lunch 12:30–13:30" on weekdays. Times are IST. Each dated occurrence
+ * takes at most `capacity` orders (counted in SlotBooking).
+ */
+const deliverySlotSchema = new mongoose.Schema({
+  section: { type: String, enum: SLOT_SECTIONS, required: true },
+  label: { type: String, default: '', trim: true, maxlength: 60 },
+  startTime: { type: String, required: true, validate: [isValidHHmm, 'startTime must be HH:mm'] },
+  endTime: { type: String, required: true, validate: [isValidHHmm, 'endTime must be HH:mm'] },
+  /** 0=Sun..6=Sat; empty = every day. */
+  days: [{ type: Number, min: 0, max: 6 }],
+  capacity: { type: Number, required: true, min: 1 },
+  /** Booking closes this many minutes before the slot starts. */
+  cutoffMinutes: { type: Number, default: 60, min: 0 },
+  isActive: { type: Boolean, default: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+deliverySlotSchema.pre('validate', function (next) {
+  if (isValidHHmm(this.startTime) && isValidHHmm(this.endTime) && this.endTime <= this.startTime) {
+    this.invalidate('endTime', 'endTime must be after startTime');
+  }
+  next();
+});
+
+deliverySlotSchema.index({ section: 1, isActive: 1, startTime: 1 });
+
+const DeliverySlot = mongoose.model('DeliverySlot', deliverySlotSchema);
+
+module.exports = { DeliverySlot, SLOT_SECTIONS };
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const pointSchema = new mongoose.Schema({
+  latitude: { type: Number, required: true, min: -90, max: 90 },
+  longitude: { type: Number, required: true, min: -180, max: 180 },
+}, { _id: false });
+
+/**
+ * An area we deliver to. An address is inside the zone if it matches ANY of
+ * the configured criteria: pincode allowlist, radius around `center` (or the
+ * store location from config), or polygon. When zones overlap the lowest
+ * `priority` wins.
+ */
+const deliveryZoneSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 80 },
+  sections: {
+    type: [{ type: String, enum: ['food', 'grocery'] }],
+    default: ['food', 'grocery'],
+    validate: [v => v.length > 0, 'At least one section is required'],
+  },
+
+  pincodes: [{ type: String, match: [/^\d{6}$/, 'Pincode must be 6 digits'] }],
+  center: { type: pointSchema, default: null },
+  radiusKm: { type: Number, default: null, min: 0 },
+  polygon: { type: [pointSchema], default: [] },
+
+  /** Overrides for orders delivered into this zone. null = section default. */
+  deliveryFee: { type: Number, default: null, min: 0 },
+  minOrderValue: { type: Number, default: null, min: 0 },
+
+  priority: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true, index: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+deliveryZoneSchema.pre('validate', function (next) {
+  const hasPincodes = (this.pincodes || []).length > 0;
+  const hasRadius = this.radiusKm != null && this.radiusKm > 0;
+  const hasPolygon = (this.polygon || []).length > 0;
+  if (!hasPincodes && !hasRadius && !hasPolygon) {
+    this.invalidate('pincodes', 'Zone needs pincodes, a radius or a polygon');
+  }
+  if (hasPolygon && this.polygon.length < 3) {
+    this.invalidate('polygon', 'Zone polygon needs at least 3 points');
+  }
+  next();
+});
+
+deliveryZoneSchema.index({ isActive: 1, sections: 1, priority: 1 });
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 const { GROCERY_ORDER_STATUS } = require('../utils/groceryOrderStatusValidator');
 const { PAYMENT_METHODS } = require('../utils/constants');
+const orderEventsPlugin = require('./orderEvents.plugin');
+const loyaltyPlugin = require('./loyalty.plugin');
+const { riderAssignmentSchema } = require('./Rider.model');
+const { cashCollectionSchema } = require('./CashSettlement.model');
+const { PROOF_METHODS, requiresHandoffCode, newHandoffCode } = require('../utils/handoff');
 
 const orderItemSchema = new mongoose.Schema({
   product: { type: mongoose.Schema.Types.ObjectId, ref: 'GroceryProduct', required: true },
@@ -9,20 +14,46 @@ const orderItemSchema = new mongoose.Schema({
   variantLabel: String,
   mrp: Number,
   sellingPrice: Number,
-  quantity: { type: Number, required: true, min: 1 }
+  quantity: { type: Number, required: true, min: 1 },
+  // GST rate (fraction) and tax on this line
+  taxRate: Number,
+  tax: Number,
 }, { _id: false });
 
+/** Items removed or reduced by the store before packing (out of stock etc). */
+const adjustmentSchema = new mongoose.Schema({
+  items: [{
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'GroceryProduct' },
+    variantId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    variantLabel: String,
+    fromQuantity: Number,
+    toQuantity: Number,
+    _id: false,
+  }],
+  reason: { type: String, default: '', maxlength: 200 },
+  previousTotal: Number,
+  newTotal: Number,
+  // Refund ledger entries issued for this adjustment (wallet and/or card)
+  refunds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Refund' }],
+  adjustedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  adjustedAt: { type: Date, default: Date.now },
+});
+
 const groceryOrderSchema = new mongoose.Schema({
   orderId: { type: String, required: true, unique: true }, // "HG_YYYYMMDD_XXX..."
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   items: { type: [orderItemSchema], validate: [v => v.length > 0, 'At least one item required'] },
   subtotal: { type: Number, required: true, min: 0 },
   tax: { type: Number, default: 0, min: 0 },
+  // Tax per GST rate (rate as a fraction); see utils/tax.js
+  taxBreakdown: [{ _id: false, rate: Number, taxable: Number, tax: Number }],
   delivery: { type: Number, default: 0, min: 0 },
   totalAmount: { type: Number, required: true, min: 0 },
   orderType: { type: String, enum: ['DELIVERY', 'PICKUP'], required: true },
   deliveryAddress: {
-    street: String, city: String, state: String, pincode: String
+    street: String, city: String, state: String, pincode: String,
+    coordinates: { latitude: Number, longitude: Number },
   },
   paymentMethod: { type: String, enum: Object.values(PAYMENT_METHODS), required: true },
   paymentStatus: { type: String, enum: ['PENDING', 'COMPLETED', 'FAILED', 'REFUNDED'], default: 'PENDING' },
@@ -30,6 +61,8 @@ const groceryOrderSchema = new mongoose.Schema({
     razorpayOrderId: String, razorpayPaymentId: String, razorpaySignature: String
   },
   walletUsed: { type: Number, default: 0, min: 0 },
+  // True while the items hold a stock reservation; cleared when released on cancel.
+  stockReserved: { type: Boolean, default: false },
   status: {
     type: String,
     enum: Object.values(GROCERY_ORDER_STATUS),
@@ -38,20 +71,43 @@ const groceryOrderSchema = new mongoose.Schema({
   statusHistory: [{
     status: String,
     timestamp: Date,
-    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // How a handoff (DELIVERED / PICKED_UP) was confirmed
+    proof: { method: { type: String, enum: PROOF_METHODS }, photoUrl: String },
   }],
+  // Code the customer gives at handoff; hidden from admin/rider reads.
+  handoffCode: { type: String, default: null, select: false },
+  handoffFailedAttempts: { type: Number, default: 0 },
   instructions: { type: String, default: '', maxlength: 500 },
+  // Scheduled (pre-order) fulfilment — null for ASAP orders.
+  scheduledFor: { type: Date, default: null },
+  scheduledSlot: {
+    slot: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliverySlot' },
+    date: String, // IST calendar date, YYYY-MM-DD
+    label: String,
+    startTime: String,
+    endTime: String,
+    released: { type: Boolean, default: false }, // slot place given back on cancel
+  },
+  // Delivery rider, once assigned (delivery orders only).
+  rider: { type: riderAssignmentSchema, default: null },
+  // Cash taken at handoff (CASH orders); see services/cashCollection.service.js
+  cashCollection: { type: cashCollectionSchema, default: null },
   couponApplied: {
     code: String,
+    campaign: String, // parent coupon code, for campaign codes
     discount: { type: Number, default: 0 },
     freeDelivery: { type: Boolean, default: false },
     type: { type: String, enum: ['PERCENTAGE', 'FLAT', 'FREE_DELIVERY'] },
+    released: { type: Boolean, default: false }, // use given back on cancellation
   },
   bundleApplied: {
     slug: String,
     name: String,
     discount: { type: Number, default: 0 },
   },
+  // Partial refunds for lines changed before packing, oldest first.
+  adjustments: [adjustmentSchema],
   cancellationReason: { type: String, default: null, maxlength: 200 },
   cancelledAt: { type: Date, default: null },
   rating: {
@@ -62,14 +118,32 @@ const groceryOrderSchema = new mongoose.Schema({
   },
 }, { timestamps: true });
 
+groceryOrderSchema.pre('validate', function (next) {
+  if (this.isNew && !this.handoffCode && requiresHandoffCode('grocery', this.orderType)) {
+    this.handoffCode = newHandoffCode();
+  }
+  next();
+});
+
 groceryOrderSchema.index({ user: 1, createdAt: -1 });
 groceryOrderSchema.index({ user: 1, status: 1, createdAt: -1 });
 groceryOrderSchema.index({ status: 1 });
+groceryOrderSchema.index({ scheduledFor: 1 });
 groceryOrderSchema.index({ createdAt: -1 });
+groceryOrderSchema.index({ 'rider.rider': 1, status: 1 });
+groceryOrderSchema.index({ 'cashCollection.collectedBy': 1, 'cashCollection.settlement': 1 }, { sparse: true });
 // /grocery/payment/verify idempotency
 groceryOrderSchema.index(
   { 'paymentDetails.razorpayPaymentId': 1 },
   { unique: true, sparse: true, name: 'paymentDetails_razorpayPaymentId_unique' },
 );
+// Payment webhook lookups
+groceryOrderSchema.index({ 'paymentDetails.razorpayOrderId': 1 }, { sparse: true });
+
+// Push status / payment changes to open order streams
+groceryOrderSchema.plugin(orderEventsPlugin, { section: 'grocery' });
+
+// Loyalty points and tier cashback once the order is handed over
+groceryOrderSchema.plugin(loyaltyPlugin, { section: 'grocery' });
 
 module.exports = mongoose.model('GroceryOrder', groceryOrderSchema);
@@ -1,10 +1,21 @@
 const mongoose = require('mongoose');
+const { TAX_CLASSES } = require('../utils/constants');
 
 const variantSchema = new mongoose.Schema({
   label: { type: String, required: true, trim: true },       // "1 kg"
   mrp: { type: Number, required: true, min: 0 },
   sellingPrice: { type: Number, required: true, min: 0 },
-  isAvailable: { type: Boolean, default: true }
+  isAvailable: { type: Boolean, default: true },
+  // GST slab; null = the store default (GrocerySettings.taxRate)
+  taxClass: { type: String, enum: Object.keys(TAX_CLASSES), default: null },
+  // Units on hand. null = stock not tracked for this variant (always sellable
+  // while isAvailable). Only mutated through services/groceryStock.service.js
+  // so every change lands in the StockAdjustment ledger.
+  stock: { type: Number, default: null, min: 0 },
+  lowStockThreshold: { type: Number, default: 5, min: 0 },
+  // Set when the variant was auto-disabled by hitting zero stock, so a
+  // restock re-enables it without overriding a manual isAvailable=false.
+  soldOut: { type: Boolean, default: false }
 }, { _id: true });
 
 variantSchema.pre('validate', function (next) {
@@ -25,6 +36,8 @@ const groceryProductSchema = new mongoose.Schema({
     validate: [v => v.length > 0, 'At least one variant is required']
   },
   isAvailable: { type: Boolean, default: true },
+  // HSN code printed on GST invoices
+  hsnCode: { type: String, trim: true, default: '' },
   tags: {
     isBestseller: { type: Boolean, default: false },
     isNew: { type: Boolean, default: false }
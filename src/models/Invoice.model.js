@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  address: String,
+  phone: String,
+  gstin: { type: String, default: '' },
+  stateName: String,
+  stateCode: String,
+}, { _id: false });
+
+const lineSchema = new mongoose.Schema({
+  description: String,
+  hsn: String, // HSN (goods) or SAC (services) code
+  quantity: Number,
+  rate: Number,
+  amount: Number, // taxable value
+  taxRate: Number, // GST %, split equally into CGST and SGST
+}, { _id: false });
+
+/**
+ * A GST tax invoice for a completed order. Everything printed is
+ * snapshotted when the invoice is issued, so re-downloading it later
+ * always gives the same document. Numbers run per section and financial
+ * year: HW/26-27/000001 (food), HG/26-27/000001 (grocery).
+ */
+const invoiceSchema = new mongoose.Schema({
+  section: { type: String, enum: ['food', 'grocery'], required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, required: true },
+  orderId: String,
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Unset until the number is allocated (see invoice.service issueInvoice)
+  invoiceNumber: { type: String, default: null },
+  financialYear: String, // "2026-27"
+  invoiceDate: { type: Date, required: true },
+  seller: partySchema,
+  buyer: partySchema,
+  lines: [lineSchema],
+  itemTotal: Number,
+  // CGST / SGST per GST rate (rate in %); cgst / sgst are their totals
+  taxBreakdown: [{ _id: false, rate: Number, taxable: Number, cgst: Number, sgst: Number }],
+  cgst: Number,
+  sgst: Number,
+  // Order tax is charged to the rupee; the paise are shown as round-off
+  roundOff: { type: Number, default: 0 },
+  packaging: { type: Number, default: 0 },
+  delivery: { type: Number, default: 0 },
+  discounts: [{ _id: false, label: String, amount: Number }],
+  total: Number,
+  walletUsed: { type: Number, default: 0 },
+  paymentMethod: String,
+}, { timestamps: true });
+
+invoiceSchema.index({ section: 1, order: 1 }, { unique: true });
+invoiceSchema.index({ invoiceNumber: 1 }, { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } });
+invoiceSchema.index({ section: 1, invoiceDate: 1 });
+
+/** Last invoice sequence per series ("food:2026-27"). */
+const invoiceCounterSchema = new mongoose.Schema({
+  _id: String,
+  seq: { type: Number, default: 0 },
+});
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+const InvoiceCounter = mongoose.model('InvoiceCounter', invoiceCounterSchema);
+
+module.exports = { Invoice, InvoiceCounter };
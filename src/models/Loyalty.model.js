@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const TIER_NAMES = ['SILVER', 'GOLD', 'PLATINUM'];
+const ENTRY_TYPES = ['EARN', 'REDEEM'];
+
+const tierSchema = new mongoose.Schema({
+  name: { type: String, enum: TIER_NAMES, required: true },
+  // Spend over the rolling tier window (see loyalty.service) to reach the tier.
+  minSpend: { type: Number, required: true, min: 0 },
+  earnMultiplier: { type: Number, default: 1, min: 1 },
+  freeDelivery: { type: Boolean, default: false },
+  // Wallet cashback on completed orders, percent of what was paid.
+  cashbackPercent: { type: Number, default: 0, min: 0, max: 100 },
+}, { _id: false });
+
+const DEFAULT_TIERS = [
+  { name: 'SILVER', minSpend: 0, earnMultiplier: 1 },
+  { name: 'GOLD', minSpend: 5000, earnMultiplier: 1.25, cashbackPercent: 1 },
+  { name: 'PLATINUM', minSpend: 15000, earnMultiplier: 1.5, freeDelivery: true, cashbackPercent: 2 },
+];
+
+const loyaltySettingsSchema = new mongoose.Schema({
+  _id: { type: String, default: 'loyalty-settings' },
+  isEnabled: { type: Boolean, default: true },
+  // Points per rupee paid, before the tier multiplier; 0 stops earning in that section.
+  pointsPerRupee: {
+    food: { type: Number, default: 0.1, min: 0 },
+    grocery: { type: Number, default: 0.1, min: 0 },
+  },
+  rupeesPerPoint: { type: Number, default: 0.25, min: 0.01 },
+  minRedeemPoints: { type: Number, default: 100, min: 1 },
+  expiryDays: { type: Number, default: 365, min: 1 },
+  tiers: {
+    type: [tierSchema],
+    default: () => DEFAULT_TIERS,
+    validate: {
+      validator: (tiers) => tiers.length > 0 && new Set(tiers.map(t => t.name)).size === tiers.length,
+      message: 'tiers must be non-empty with one entry per tier name',
+    },
+  },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true, _id: false });
+
+loyaltySettingsSchema.statics.get = async function () {
+  let doc = await this.findById('loyalty-settings');
+  if (!doc) doc = await this.create({ _id: 'loyalty-settings' });
+  return doc;
+};
+
+/**
+ * Points ledger. An EARN entry is one completed order; its `remaining`
+ * points are spent oldest-expiry first by redemptions and lapse at
+ * `expiresAt`. A REDEEM entry records the points turned into wallet credit
+ * and the EARN entries (`lots`) they came from.
+ */
+const loyaltyEntrySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ENTRY_TYPES, required: true },
+  points: { type: Number, required: true, min: 0 },
+  section: { type: String, enum: ['food', 'grocery', null], default: null },
+  // EARN
+  order: { type: mongoose.Schema.Types.ObjectId, default: null },
+  orderId: { type: String, default: null },
+  spend: { type: Number, default: 0, min: 0 },
+  tier: { type: String, enum: [...TIER_NAMES, null], default: null },
+  cashback: { type: Number, default: 0, min: 0 },
+  remaining: { type: Number, default: 0, min: 0 },
+  expiresAt: { type: Date, default: null },
+  // REDEEM
+  amount: { type: Number, default: 0, min: 0 },
+  lots: [{
+    _id: false,
+    entry: { type: mongoose.Schema.Types.ObjectId, ref: 'LoyaltyEntry' },
+    points: Number,
+  }],
+}, { timestamps: true });
+
+loyaltyEntrySchema.index({ user: 1, createdAt: -1 });
+loyaltyEntrySchema.index({ user: 1, type: 1, expiresAt: 1 });
+// One EARN per order, however many times its handoff status is saved.
+loyaltyEntrySchema.index({ order: 1 }, { unique: true, partialFilterExpression: { type: 'EARN' } });
+
+const LoyaltySettings = mongoose.model('LoyaltySettings', loyaltySettingsSchema);
+const LoyaltyEntry = mongoose.model('LoyaltyEntry', loyaltyEntrySchema);
+
+module.exports = { LoyaltySettings, LoyaltyEntry, TIER_NAMES, ENTRY_TYPES };
@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const { TAX_CLASSES } = require('../utils/constants');
 
 const menuItemSchema = new mongoose.Schema({
   id: {
@@ -89,6 +90,13 @@ const menuItemSchema = new mongoose.Schema({
     max: [100, 'Discount cannot exceed 100%']
   },
   
+  // GST slab; null = the default TAX_RATE
+  taxClass: {
+    type: String,
+    enum: Object.keys(TAX_CLASSES),
+    default: null
+  },
+  
   // Preparation time in minutes
   prepTime: {
     type: Number,
@@ -5,6 +5,11 @@
 
 const mongoose = require('mongoose');
 const { ORDER_TYPES, ORDER_STATUS, PAYMENT_METHODS } = require('../utils/constants');
+const orderEventsPlugin = require('./orderEvents.plugin');
+const loyaltyPlugin = require('./loyalty.plugin');
+const { riderAssignmentSchema } = require('./Rider.model');
+const { cashCollectionSchema } = require('./CashSettlement.model');
+const { PROOF_METHODS, requiresHandoffCode, newHandoffCode } = require('../utils/handoff');
 
 const orderSchema = new mongoose.Schema({
   orderId: {
@@ -35,7 +40,20 @@ const orderSchema = new mongoose.Schema({
     addons: [{
       name: String,
       price: Number
-    }]
+    }],
+    // GST rate (fraction) and tax on this line, addons included
+    taxRate: Number,
+    tax: Number,
+    // Kitchen display: set when the line is marked done
+    bumpedAt: {
+      type: Date,
+      default: null
+    },
+    bumpedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
   }],
   
   // Pricing breakdown
@@ -51,6 +69,14 @@ const orderSchema = new mongoose.Schema({
     min: 0
   },
   
+  // Tax per GST rate (rate as a fraction); see utils/tax.js
+  taxBreakdown: [{
+    _id: false,
+    rate: Number,
+    taxable: Number,
+    tax: Number
+  }],
+  
   packaging: {
     type: Number,
     default: 0
@@ -94,6 +120,16 @@ const orderSchema = new mongoose.Schema({
     razorpaySignature: String
   },
   
+  // Coupon accepted at checkout; see services/coupon.service.js
+  couponApplied: {
+    code: String,
+    campaign: String, // parent coupon code, for campaign codes
+    discount: { type: Number, default: 0 },
+    freeDelivery: { type: Boolean, default: false },
+    type: { type: String, enum: ['PERCENTAGE', 'FLAT', 'FREE_DELIVERY'] },
+    released: { type: Boolean, default: false } // use given back on cancellation
+  },
+
   // Wallet usage
   walletUsed: {
     type: Number,
@@ -133,6 +169,46 @@ const orderSchema = new mongoose.Schema({
     default: 30
   },
   
+  // Scheduled (pre-order) fulfilment — null for ASAP orders
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+
+  scheduledSlot: {
+    slot: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliverySlot' },
+    date: String, // IST calendar date, YYYY-MM-DD
+    label: String,
+    startTime: String,
+    endTime: String,
+    released: { type: Boolean, default: false } // slot place given back on cancel
+  },
+  
+  // Code the customer gives at handoff (delivery / takeaway). Hidden from
+  // admin and rider reads; see services/handoff.service.js
+  handoffCode: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  handoffFailedAttempts: {
+    type: Number,
+    default: 0
+  },
+  
+  // Delivery rider, once assigned (delivery orders only)
+  rider: {
+    type: riderAssignmentSchema,
+    default: null
+  },
+
+  // Cash taken at handoff (CASH orders); see services/cashCollection.service.js
+  cashCollection: {
+    type: cashCollectionSchema,
+    default: null
+  },
+  
   preparedAt: Date,
   deliveredAt: Date,
   cancelledAt: Date,
@@ -169,6 +245,14 @@ const orderSchema = new mongoose.Schema({
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
+    },
+    // How a handoff (COMPLETED) was confirmed
+    proof: {
+      method: {
+        type: String,
+        enum: PROOF_METHODS
+      },
+      photoUrl: String
     }
   }]
 }, {
@@ -181,12 +265,25 @@ orderSchema.index({ user: 1, status: 1, createdAt: -1 });
 orderSchema.index({ orderId: 1 }, { unique: true });
 orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ scheduledFor: 1 });
+orderSchema.index({ 'rider.rider': 1, status: 1 });
+orderSchema.index({ 'cashCollection.collectedBy': 1, 'cashCollection.settlement': 1 }, { sparse: true });
 // Backstop for /payment/verify idempotency: a single Razorpay payment can
 // only ever back one Order. Sparse so older orders (wallet-only / cash) are exempt.
 orderSchema.index(
   { 'paymentDetails.razorpayPaymentId': 1 },
   { unique: true, sparse: true, name: 'paymentDetails_razorpayPaymentId_unique' },
 );
+// Payment webhook lookups
+orderSchema.index({ 'paymentDetails.razorpayOrderId': 1 }, { sparse: true });
+
+// Handoff code for orders collected by / delivered to the customer
+orderSchema.pre('validate', function(next) {
+  if (this.isNew && !this.handoffCode && requiresHandoffCode('food', this.orderType)) {
+    this.handoffCode = newHandoffCode();
+  }
+  next();
+});
 
 // Pre-save hook to ensure delivery address for delivery orders
 orderSchema.pre('save', function(next) {
@@ -196,4 +293,10 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+// Push status / ETA / payment changes to open order streams
+orderSchema.plugin(orderEventsPlugin, { section: 'food' });
+
+// Loyalty points and tier cashback once the order is handed over
+orderSchema.plugin(loyaltyPlugin, { section: 'food' });
+
 module.exports = mongoose.model('Order', orderSchema);
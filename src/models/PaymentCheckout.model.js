@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const CHECKOUT_STATUS = Object.freeze({
+  CREATED: 'CREATED',
+  PAID: 'PAID', // order created
+  REJECTED: 'REJECTED', // captured, then refunded at settlement
+  FAILED: 'FAILED', // payment failed at Razorpay
+});
+
+/**
+ * The cart behind a Razorpay order, saved when checkout starts so the
+ * payment webhook can still create the order if the app never calls
+ * verify (closed tab, lost connection after paying).
+ */
+const paymentCheckoutSchema = new mongoose.Schema({
+  razorpayOrderId: { type: String, required: true, unique: true },
+  section: { type: String, enum: ['food', 'grocery'], required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true },
+  orderData: { type: mongoose.Schema.Types.Mixed, default: null },
+  status: { type: String, enum: Object.values(CHECKOUT_STATUS), default: CHECKOUT_STATUS.CREATED },
+  razorpayPaymentId: { type: String, default: null },
+  order: { type: mongoose.Schema.Types.ObjectId, default: null },
+  failureReason: { type: String, default: null },
+}, { timestamps: true });
+
+/**
+ * Record how settling the captured payment ended — PAID with its order, or
+ * REJECTED (refunded or refused) — so a later webhook for the payment
+ * leaves it alone. `body` is the settle path's response body.
+ */
+paymentCheckoutSchema.statics.recordOutcome = function (razorpayOrderId, razorpayPaymentId, body) {
+  const outcome = body.success
+    ? { status: CHECKOUT_STATUS.PAID, order: body.data?._id || body.data?.order?._id || null, failureReason: null }
+    : { status: CHECKOUT_STATUS.REJECTED, failureReason: String(body.message || '').slice(0, 300) || null };
+  return this.updateOne({ razorpayOrderId }, { $set: { ...outcome, razorpayPaymentId } });
+};
+
+// Abandoned checkouts are only useful for a few weeks.
+paymentCheckoutSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 3600 });
+
+const PaymentCheckout = mongoose.model('PaymentCheckout', paymentCheckoutSchema);
+
+module.exports = { PaymentCheckout, CHECKOUT_STATUS };
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const REFUND_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  PROCESSED: 'PROCESSED',
+  FAILED: 'FAILED',
+  SETTLED_OFFLINE: 'SETTLED_OFFLINE',
+});
+
+const REFUND_TYPES = Object.freeze({
+  // Payment captured but the order was rejected at verify (no order saved)
+  PAYMENT_REJECTED: 'PAYMENT_REJECTED',
+  CANCELLATION: 'CANCELLATION',
+  ADJUSTMENT: 'ADJUSTMENT',
+});
+
+/**
+ * One refund owed to a customer. Written before the gateway is called so a
+ * failure is never lost: FAILED refunds are retried with backoff by
+ * scripts/retry-refunds.js (as are PENDING ones whose attempt was lost)
+ * until they go through, run out of attempts, or an admin settles them
+ * offline.
+ */
+const refundSchema = new mongoose.Schema({
+  section: { type: String, enum: ['food', 'grocery'], required: true },
+  type: { type: String, enum: Object.values(REFUND_TYPES), required: true },
+  // Null for PAYMENT_REJECTED — the order was never created.
+  order: { type: mongoose.Schema.Types.ObjectId, default: null },
+  orderId: { type: String, default: null }, // human-readable, for the admin list
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  amount: { type: Number, required: true, min: 0.01 },
+  method: { type: String, enum: ['RAZORPAY', 'WALLET'], required: true },
+  razorpayPaymentId: { type: String, default: null },
+  reason: { type: String, default: '', maxlength: 300 },
+
+  status: { type: String, enum: Object.values(REFUND_STATUS), default: REFUND_STATUS.PENDING },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  nextAttemptAt: { type: Date, default: null }, // null once retries are exhausted
+  gatewayRefundId: { type: String, default: null },
+  processedAt: { type: Date, default: null },
+
+  settledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  settledNote: { type: String, default: '', maxlength: 300 },
+}, { timestamps: true });
+
+refundSchema.index({ section: 1, order: 1 });
+refundSchema.index({ status: 1, nextAttemptAt: 1 });
+refundSchema.index({ createdAt: -1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+module.exports = { Refund, REFUND_STATUS, REFUND_TYPES };
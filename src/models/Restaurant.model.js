@@ -5,6 +5,7 @@
  */
 
 const mongoose = require('mongoose');
+const openingHoursPlugin = require('./openingHours.plugin');
 
 const restaurantSchema = new mongoose.Schema({
   // Fixed ID to ensure singleton pattern
@@ -36,6 +37,9 @@ const restaurantSchema = new mongoose.Schema({
   _id: false // Disable auto _id since we're using custom _id
 });
 
+// weeklyHours, closures and the expiring manual override; see utils/openHours.js
+restaurantSchema.plugin(openingHoursPlugin);
+
 // Ensure only one restaurant document exists
 restaurantSchema.statics.getRestaurant = async function() {
   let restaurant = await this.findById('restaurant');
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const pointSchema = new mongoose.Schema({
+  latitude: { type: Number, min: -90, max: 90, required: true },
+  longitude: { type: Number, min: -180, max: 180, required: true },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+/**
+ * A delivery rider. Logs in as a User with role RIDER; this holds the
+ * delivery-side profile. `isAvailable` is the rider's own on/off-shift
+ * toggle, `isActive` the admin's.
+ */
+const riderSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  name: { type: String, required: true, trim: true, maxlength: 80 },
+  phone: { type: String, required: true, trim: true },
+  vehicleNumber: { type: String, default: '', trim: true, uppercase: true, maxlength: 20 },
+  isActive: { type: Boolean, default: true },
+  isAvailable: { type: Boolean, default: false },
+  lastLocation: { type: pointSchema, default: null },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+riderSchema.index({ isActive: 1, isAvailable: 1 });
+
+/**
+ * Rider snapshot stored on Order / GroceryOrder. name/phone are copied so
+ * order detail can show them without a lookup; lastLocation is updated by
+ * the rider's location pings while the order is with them.
+ */
+const riderAssignmentSchema = new mongoose.Schema({
+  rider: { type: mongoose.Schema.Types.ObjectId, ref: 'Rider', required: true },
+  name: String,
+  phone: String,
+  vehicleNumber: String,
+  assignedAt: Date,
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  acceptedAt: { type: Date, default: null },
+  pickedUpAt: { type: Date, default: null },
+  deliveredAt: { type: Date, default: null },
+  lastLocation: { type: pointSchema, default: null },
+}, { _id: false });
+
+const Rider = mongoose.model('Rider', riderSchema);
+
+module.exports = { Rider, riderAssignmentSchema };
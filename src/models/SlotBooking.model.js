@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+/**
+ * Orders booked into one dated occurrence of a DeliverySlot. The unique
+ * (slot, date) index is what makes the capacity check atomic — see
+ * deliverySlot.service bookSlot.
+ */
+const slotBookingSchema = new mongoose.Schema({
+  slot: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliverySlot', required: true },
+  date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ }, // IST calendar date
+  booked: { type: Number, default: 0, min: 0 },
+}, { timestamps: true });
+
+slotBookingSchema.index({ slot: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlotBooking', slotBookingSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const STOCK_REASONS = Object.freeze({
+  RESTOCK: 'RESTOCK',
+  DAMAGE: 'DAMAGE',
+  CORRECTION: 'CORRECTION',
+  ORDER_RESERVED: 'ORDER_RESERVED',
+  ORDER_RELEASED: 'ORDER_RELEASED',
+});
+
+/**
+ * Append-only ledger of every change to a grocery variant's stock —
+ * admin adjustments plus order reservations and cancellation releases.
+ */
+const stockAdjustmentSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'GroceryProduct', required: true },
+  variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  delta: { type: Number, required: true },
+  stockAfter: { type: Number, required: true, min: 0 },
+  reason: { type: String, enum: Object.values(STOCK_REASONS), required: true },
+  orderId: { type: String, default: null },   // GroceryOrder.orderId for ORDER_* entries
+  note: { type: String, default: '', maxlength: 200 },
+  adjustedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+stockAdjustmentSchema.index({ product: 1, createdAt: -1 });
+stockAdjustmentSchema.index({ orderId: 1 });
+
+const StockAdjustment = mongoose.model('StockAdjustment', stockAdjustmentSchema);
+
+module.exports = { StockAdjustment, STOCK_REASONS };
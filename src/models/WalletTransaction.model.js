@@ -18,7 +18,8 @@ const TRANSACTION_REASONS = {
     CASHBACK: 'CASHBACK',
     ADMIN_CREDIT: 'ADMIN_CREDIT',
     ADMIN_DEBIT: 'ADMIN_DEBIT',
-    PROMOTIONAL_BONUS: 'PROMOTIONAL_BONUS'
+    PROMOTIONAL_BONUS: 'PROMOTIONAL_BONUS',
+    LOYALTY_REDEMPTION: 'LOYALTY_REDEMPTION'
 };
 
 const walletTransactionSchema = new mongoose.Schema({
@@ -0,0 +1,25 @@
+/**
+ * Loyalty schema plugin, shared by Order and GroceryOrder. Awards points
+ * once a save hands the order to the customer (utils/handoff statuses);
+ * see services/loyalty.service.js.
+ */
+
+const logger = require('../config/logger');
+const { isHandoffStatus } = require('../utils/handoff');
+const { awardForOrder } = require('../services/loyalty.service');
+
+function loyaltyPlugin(schema, { section }) {
+  schema.pre('save', function (next) {
+    this.$locals.handedOff = !this.isNew && this.isModified('status') && isHandoffStatus(section, this.status);
+    next();
+  });
+
+  schema.post('save', function (doc) {
+    if (!doc.$locals.handedOff) return;
+    // Awarding runs after the response path; a failure must never fail the save.
+    awardForOrder(section, doc).catch(e =>
+      logger.error(`loyalty: award failed for ${section} order ${doc.orderId}`, e));
+  });
+}
+
+module.exports = loyaltyPlugin;
@@ -0,0 +1,85 @@
+/**
+ * Opening hours schema plugin, shared by Restaurant and GrocerySettings.
+ * Adds the weekly schedule, holiday closures and the expiring manual
+ * override. Resolution lives in utils/openHours.js.
+ */
+
+const mongoose = require('mongoose');
+const { isValidHHmm, getIstDateString, istDateTime } = require('../utils/categoryWindow');
+const { hasSchedule, resolveOpenStatus } = require('../utils/openHours');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** One opening interval (IST). `close` before `open` runs past midnight. */
+const weeklyHoursSchema = new mongoose.Schema({
+  day: { type: Number, required: true, min: 0, max: 6 },
+  open: { type: String, required: true, validate: [isValidHHmm, 'open must be HH:mm'] },
+  close: { type: String, required: true, validate: [isValidHHmm, 'close must be HH:mm'] },
+}, { _id: false });
+
+/** Closed on every IST date from `from` to `to` inclusive (`to` null = one day). */
+const closureSchema = new mongoose.Schema({
+  from: { type: String, required: true, match: [DATE_RE, 'from must be YYYY-MM-DD'] },
+  to: { type: String, default: null, match: [DATE_RE, 'to must be YYYY-MM-DD'] },
+  message: { type: String, default: '', trim: true, maxlength: 200 },
+}, { _id: true });
+
+const manualOverrideSchema = new mongoose.Schema({
+  isOpen: { type: Boolean, required: true },
+  message: { type: String, default: '', trim: true, maxlength: 200 },
+  expiresAt: { type: Date, required: true },
+  setBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { _id: false });
+
+/** Start of the next IST day. */
+const nextIstMidnight = (now) => istDateTime(getIstDateString(new Date(now.getTime() + 86400000)), '00:00');
+
+function openingHoursPlugin(schema) {
+  schema.add({
+    weeklyHours: { type: [weeklyHoursSchema], default: [] },
+    closures: { type: [closureSchema], default: [] },
+    manualOverride: { type: manualOverrideSchema, default: null },
+  });
+
+  schema.pre('validate', function (next) {
+    if ((this.weeklyHours || []).some(h => h.open === h.close)) {
+      this.invalidate('weeklyHours', 'Opening and closing times must differ');
+    }
+    if ((this.closures || []).some(c => c.to && c.to < c.from)) {
+      this.invalidate('closures', 'Closure end date cannot be before its start date');
+    }
+    next();
+  });
+
+  /** Resolved open/closed status; see utils/openHours.resolveOpenStatus. */
+  schema.methods.getOpenStatus = function (at = new Date()) {
+    return resolveOpenStatus(this, at);
+  };
+
+  /**
+   * The admin open/close toggle. With a schedule (or closures) configured it
+   * becomes an override that lapses at `until`, default the next IST
+   * midnight, so the schedule takes back over. Without one it sets isOpen
+   * directly, as before. The caller saves the document.
+   */
+  schema.methods.setManualStatus = function (isOpen, { message, until = null, userId = null, now = new Date() } = {}) {
+    this.isOpen = isOpen;
+    if (!hasSchedule(this)) {
+      if (message !== undefined) this.closingMessage = message;
+      this.manualOverride = null;
+      return;
+    }
+    this.manualOverride = {
+      isOpen,
+      message: message || '',
+      expiresAt: until ? new Date(until) : nextIstMidnight(now),
+      setBy: userId,
+    };
+  };
+
+  schema.methods.clearManualOverride = function () {
+    this.manualOverride = null;
+  };
+}
+
+module.exports = openingHoursPlugin;
@@ -0,0 +1,27 @@
+/**
+ * Order change events schema plugin, shared by Order and GroceryOrder.
+ * Records what a save changes and publishes it once the save succeeds;
+ * see services/orderEvents.service.js.
+ */
+
+const { publishOrderChanges } = require('../services/orderEvents.service');
+
+function orderEventsPlugin(schema, { section }) {
+  schema.pre('save', function (next) {
+    this.$locals.orderChanges = {
+      created: this.isNew,
+      status: !this.isNew && (this.isModified('statusHistory') || this.isModified('status')),
+      eta: !this.isNew && this.isModified('estimatedTime'),
+      payment: !this.isNew && this.isModified('paymentStatus'),
+      rider: !this.isNew && this.isModified('rider'),
+      adjustment: !this.isNew && this.isModified('adjustments'),
+    };
+    next();
+  });
+
+  schema.post('save', function (doc) {
+    publishOrderChanges(section, doc, doc.$locals.orderChanges);
+  });
+}
+
+module.exports = orderEventsPlugin;
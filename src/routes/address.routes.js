@@ -26,4 +26,7 @@ router.delete('/:id', addressController.deleteAddress);
 // Set default address
 router.patch('/:id/default', addressController.setDefaultAddress);
 
+// Check delivery zone coverage for an address
+router.get('/:id/serviceability', addressController.getServiceability);
+
 module.exports = router;
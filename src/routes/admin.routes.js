@@ -10,6 +10,7 @@ const categoryController = require('../controllers/category.controller');
 const menuController = require('../controllers/menu.controller');
 const orderController = require('../controllers/order.controller');
 const photoController = require('../controllers/photo.controller');
+const kdsController = require('../controllers/kds.controller');
 const { authenticate } = require('../middlewares/auth.middleware');
 const { isAdmin } = require('../middlewares/role.middleware');
 const { upload } = require('../middlewares/upload.middleware');
@@ -17,7 +18,9 @@ const {
   validate,
   categorySchema,
   menuItemSchema,
-  updateOrderStatusSchema
+  updateOrderStatusSchema,
+  openingHoursSchema,
+  restaurantStatusSchema
 } = require('../middlewares/validate.middleware');
 
 // All admin routes require authentication and admin role
@@ -40,7 +43,13 @@ router.patch('/menu/:id/availability', menuController.toggleAvailability);
 // ==================== ORDER MANAGEMENT ====================
 router.get('/orders', orderController.getAllOrders);
 router.get('/orders/:id', orderController.getOrderById);
-router.patch('/orders/:id/status', validate(updateOrderStatusSchema), orderController.updateOrderStatus);
+router.patch('/orders/:id/status', upload.single('proofPhoto'), validate(updateOrderStatusSchema), orderController.updateOrderStatus);
+
+// ==================== KITCHEN DISPLAY (KDS) ====================
+router.get('/kds', kdsController.getBoard);
+router.post('/kds/orders/:id/advance', kdsController.advanceOrder);
+router.post('/kds/orders/:id/items/:itemId/bump', kdsController.bumpItem);
+router.delete('/kds/orders/:id/items/:itemId/bump', kdsController.unbumpItem);
 
 // ==================== WALLET MANAGEMENT ====================
 router.post('/wallet/credit', adminController.creditUserWallet);
@@ -59,7 +68,9 @@ router.get('/dashboard/customer-analytics', adminController.getCustomerAnalytics
 
 // ==================== RESTAURANT MANAGEMENT ====================
 router.get('/restaurant/status', adminController.getRestaurantStatus);
-router.patch('/restaurant/status', adminController.updateRestaurantStatus);
+router.patch('/restaurant/status', validate(restaurantStatusSchema), adminController.updateRestaurantStatus);
+router.delete('/restaurant/status/override', adminController.clearRestaurantOverride);
+router.put('/restaurant/hours', validate(openingHoursSchema), adminController.updateRestaurantHours);
 
 // ==================== PHOTO LIBRARY MANAGEMENT ====================
 router.get('/photos', photoController.getAllPhotos);
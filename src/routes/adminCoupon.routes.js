@@ -9,6 +9,10 @@ router.use(authenticate);
 router.use(hasRole(ROLES.GROCERY_ADMIN));
 
 router.get('/', ctl.list);
+router.get('/report', ctl.report);
+router.get('/:id/stats', ctl.stats);
+router.get('/:id/codes', ctl.listCodes);
+router.post('/:id/codes', ctl.generateCodes);
 router.post('/', ctl.create);
 router.patch('/:id', ctl.update);
 router.patch('/:id/toggle', ctl.toggle);
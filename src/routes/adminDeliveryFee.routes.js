@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth.middleware');
+const { hasRole } = require('../middlewares/role.middleware');
+const { ROLES } = require('../utils/constants');
+const ctl = require('../controllers/adminDeliveryFee.controller');
+
+// Per-section ownership is checked in the controller.
+router.use(authenticate, hasRole(ROLES.RESTAURANT_ADMIN, ROLES.GROCERY_ADMIN));
+
+router.get('/', ctl.list);
+router.get('/:section', ctl.get);
+router.put('/:section', ctl.update);
+router.post('/:section/preview', ctl.preview);
+
+module.exports = router;
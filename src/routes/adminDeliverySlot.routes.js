@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth.middleware');
+const { hasRole } = require('../middlewares/role.middleware');
+const { ROLES } = require('../utils/constants');
+const ctl = require('../controllers/adminDeliverySlot.controller');
+
+// Per-section ownership is checked in the controller.
+router.use(authenticate, hasRole(ROLES.RESTAURANT_ADMIN, ROLES.GROCERY_ADMIN));
+
+router.get('/', ctl.list);
+router.get('/upcoming', ctl.upcoming);
+router.post('/', ctl.create);
+router.patch('/:id', ctl.update);
+router.delete('/:id', ctl.remove);
+
+module.exports = router;
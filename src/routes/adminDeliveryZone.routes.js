@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth.middleware');
+const { hasRole } = require('../middlewares/role.middleware');
+const { ROLES } = require('../utils/constants');
+const ctl = require('../controllers/adminDeliveryZone.controller');
+
+// Zones are shared by both sections, so either section's admin may manage them.
+router.use(authenticate, hasRole(ROLES.RESTAURANT_ADMIN, ROLES.GROCERY_ADMIN));
+
+router.get('/', ctl.list);
+router.post('/', ctl.create);
+router.patch('/:id', ctl.update);
+router.patch('/:id/toggle', ctl.toggle);
+router.delete('/:id', ctl.remove);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth.middleware');
+const { hasRole } = require('../middlewares/role.middleware');
+const ctl = require('../controllers/adminLoyalty.controller');
+
+// One program across both sections, so only SUPER_ADMIN edits it.
+router.use(authenticate, hasRole());
+
+router.get('/', ctl.get);
+router.put('/', ctl.update);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, tokenFromQuery } = require('../middlewares/auth.middleware');
+const { hasRole } = require('../middlewares/role.middleware');
+const { ROLES } = require('../utils/constants');
+const ctl = require('../controllers/adminOrderEvents.controller');
+
+// EventSource can't send headers, so the JWT may come as ?token=.
+// Per-section ownership is checked in the controller.
+router.use(tokenFromQuery, authenticate, hasRole(ROLES.RESTAURANT_ADMIN, ROLES.GROCERY_ADMIN));
+
+router.get('/', ctl.stream);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth.middleware');
+const { hasRole } = require('../middlewares/role.middleware');
+const { uploadCsv } = require('../middlewares/upload.middleware');
+const { ROLES } = require('../utils/constants');
+const ctl = require('../controllers/adminReconciliation.controller');
+
+// Shared by both sections; the controller limits each admin to their own.
+router.use(authenticate, hasRole(ROLES.RESTAURANT_ADMIN, ROLES.GROCERY_ADMIN));
+
+router.post('/', uploadCsv('settlement'), ctl.reconcile);
+
+module.exports = router;
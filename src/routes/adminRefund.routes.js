@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth.middleware');
+const { hasRole } = require('../middlewares/role.middleware');
+const { ROLES } = require('../utils/constants');
+const ctl = require('../controllers/adminRefund.controller');
+
+// Shared by both sections; the controller limits each admin to their own.
+router.use(authenticate, hasRole(ROLES.RESTAURANT_ADMIN, ROLES.GROCERY_ADMIN));
+
+router.get('/', ctl.list);
+router.post('/:id/retry', ctl.retry);
+router.post('/:id/settle', ctl.settle);
+
+module.exports = router;
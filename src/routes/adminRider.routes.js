@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth.middleware');
+const { hasRole } = require('../middlewares/role.middleware');
+const { ROLES } = require('../utils/constants');
+const ctl = require('../controllers/adminRider.controller');
+
+// Riders are shared by both sections; assignments check section ownership
+// in the controller.
+router.use(authenticate, hasRole(ROLES.RESTAURANT_ADMIN, ROLES.GROCERY_ADMIN));
+
+router.get('/', ctl.list);
+router.post('/', ctl.create);
+router.patch('/:id', ctl.update);
+router.post('/assignments', ctl.assign);
+router.delete('/assignments/:section/:orderId', ctl.unassign);
+
+module.exports = router;
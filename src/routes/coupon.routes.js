@@ -6,6 +6,7 @@ const ctl = require('../controllers/coupon.controller');
 router.use(authenticate);
 
 router.get('/', ctl.listAvailable);
+router.get('/best', ctl.bestGrocery);
 router.post('/apply', ctl.apply);
 
 module.exports = router;
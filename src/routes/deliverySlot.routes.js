@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const ctl = require('../controllers/deliverySlot.controller');
+
+// Public, like /api/restaurant/status — shown before login on the cart screen.
+router.get('/', ctl.list);
+
+module.exports = router;
@@ -3,12 +3,15 @@ const router = express.Router();
 const { authenticate } = require('../middlewares/auth.middleware');
 const { hasRole } = require('../middlewares/role.middleware');
 const { ROLES } = require('../utils/constants');
+const { upload } = require('../middlewares/upload.middleware');
 const ctl = require('../controllers/groceryOrder.controller');
 
 router.use(authenticate, hasRole(ROLES.GROCERY_ADMIN));
 
 router.get('/', ctl.adminList);
 router.get('/:id', ctl.adminGet);
-router.patch('/:id/status', ctl.adminUpdateStatus);
+// multipart when a handoff photo (`proofPhoto`) is attached
+router.patch('/:id/status', upload.single('proofPhoto'), ctl.adminUpdateStatus);
+router.patch('/:id/items', ctl.adminAdjustItems);
 
 module.exports = router;
@@ -1,18 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middlewares/auth.middleware');
+const { authenticate, tokenFromQuery } = require('../middlewares/auth.middleware');
 const ctl = require('../controllers/groceryOrderCustomer.controller');
 
+// SSE; EventSource can't send headers, so ?token= is accepted here only.
+router.get('/:id/events', tokenFromQuery, authenticate, ctl.streamMine);
+
 router.use(authenticate);
 
 const ratingCtl = require('../controllers/orderRating.controller');
 const reorderCtl = require('../controllers/groceryReorder.controller');
+const invoiceCtl = require('../controllers/invoice.controller');
 
 router.post('/', ctl.createOrder);
+router.post('/quote', ctl.quote);
 router.get('/', ctl.listMine);
 router.get('/:id', ctl.getMine);
 router.post('/:id/cancel', ctl.cancelMine);
 router.post('/:id/rating', ratingCtl.submitGrocery);
 router.post('/:id/reorder', reorderCtl.reorder);
+router.get('/:id/invoice', invoiceCtl.downloadGrocery);
 
 module.exports = router;
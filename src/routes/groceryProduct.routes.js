@@ -5,14 +5,18 @@ const { hasRole } = require('../middlewares/role.middleware');
 const { ROLES } = require('../utils/constants');
 const { upload } = require('../middlewares/upload.middleware');
 const ctl = require('../controllers/groceryProduct.controller');
+const stockCtl = require('../controllers/groceryStock.controller');
 
 router.use(authenticate, hasRole(ROLES.GROCERY_ADMIN));
 
 router.get('/', ctl.list);
+router.get('/low-stock', stockCtl.lowStock);
 router.get('/:id', ctl.get);
 router.post('/', upload.single('image'), ctl.create);
 router.patch('/:id', upload.single('image'), ctl.update);
 router.delete('/:id', ctl.remove);
 router.patch('/:id/toggle', ctl.toggle);
+router.get('/:id/stock', stockCtl.get);
+router.post('/:id/stock', stockCtl.adjust);
 
 module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth.middleware');
+const ctl = require('../controllers/loyalty.controller');
+
+router.use(authenticate);
+
+router.get('/', ctl.summary);
+router.post('/redeem', ctl.redeem);
+
+module.exports = router;
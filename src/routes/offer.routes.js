@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth.middleware');
+const ctl = require('../controllers/coupon.controller');
+
+router.use(authenticate);
+
+router.get('/best', ctl.best);
+
+module.exports = router;
@@ -6,8 +6,12 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/order.controller');
-const { authenticate } = require('../middlewares/auth.middleware');
-const { validate, createOrderSchema } = require('../middlewares/validate.middleware');
+const { authenticate, tokenFromQuery } = require('../middlewares/auth.middleware');
+const { validate, createOrderSchema, quoteOrderSchema } = require('../middlewares/validate.middleware');
+
+// Live order updates (SSE). EventSource can't send headers, so the JWT may
+// come as ?token= — registered ahead of the header-only guard below.
+router.get('/:id/events', tokenFromQuery, authenticate, orderController.streamOrderEvents);
 
 // All order routes require authentication
 router.use(authenticate);
@@ -15,6 +19,9 @@ router.use(authenticate);
 // Create new order
 router.post('/', validate(createOrderSchema), orderController.createOrder);
 
+// Price a cart without placing an order
+router.post('/quote', validate(quoteOrderSchema), orderController.quote);
+
 // Get user's orders
 router.get('/my', orderController.getMyOrders);
 
@@ -28,4 +35,8 @@ router.post('/:id/cancel', orderController.cancelMine);
 const ratingCtl = require('../controllers/orderRating.controller');
 router.post('/:id/rating', ratingCtl.submitFood);
 
+// GST invoice PDF for a completed order
+const invoiceCtl = require('../controllers/invoice.controller');
+router.get('/:id/invoice', invoiceCtl.downloadFood);
+
 module.exports = router;
@@ -6,9 +6,14 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/payment.controller');
+const webhookController = require('../controllers/paymentWebhook.controller');
 const { authenticate } = require('../middlewares/auth.middleware');
+const config = require('../config/env');
 
-// All payment routes require authentication
+// Razorpay webhook (both sections) — signed, not authenticated
+router.post('/webhook', webhookController.handle);
+
+// All other payment routes require authentication
 router.use(authenticate);
 
 // Create Razorpay order
@@ -17,4 +22,9 @@ router.post('/create-order', paymentController.createRazorpayOrder);
 // Verify payment and create order
 router.post('/verify-payment', paymentController.verifyPayment);
 
+// Mock gateway "checkout widget" for e2e runs (food and grocery)
+if (config.paymentProvider === 'mock') {
+  router.post('/mock/pay', paymentController.mockPay);
+}
+
 module.exports = router;
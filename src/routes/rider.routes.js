@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth.middleware');
+const { hasRole } = require('../middlewares/role.middleware');
+const { ROLES } = require('../utils/constants');
+const { upload } = require('../middlewares/upload.middleware');
+const ctl = require('../controllers/rider.controller');
+
+router.use(authenticate, hasRole(ROLES.RIDER));
+
+router.get('/me', ctl.me);
+router.patch('/me', ctl.setAvailability);
+router.get('/orders', ctl.listOrders);
+router.post('/orders/:section/:id/accept', ctl.accept);
+router.post('/orders/:section/:id/pickup', ctl.pickUp);
+router.post('/orders/:section/:id/deliver', upload.single('proofPhoto'), ctl.deliver);
+router.post('/location', ctl.ping);
+router.get('/cash', ctl.cash);
+
+module.exports = router;
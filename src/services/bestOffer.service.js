@@ -0,0 +1,115 @@
+const Coupon = require('../models/Coupon.model');
+const GroceryBundle = require('../models/GroceryBundle.model');
+const couponService = require('./coupon.service');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Can the cart claim this bundle? Every bundle item must be in the cart (same
+ * variant) at least at the bundle quantity. Returns the names still missing.
+ */
+function missingBundleItems(bundle, lines) {
+  const inCart = new Map();
+  for (const l of lines) {
+    const key = `${l.id}:${l.variantId}`;
+    inCart.set(key, (inCart.get(key) || 0) + l.quantity);
+  }
+  return bundle.items
+    .filter(i => (inCart.get(`${i.product?._id || i.product}:${i.variantId}`) || 0) < i.quantity)
+    .map(i => i.product?.name || 'an item');
+}
+
+async function rankCoupons(ctx) {
+  const coupons = await Coupon.find({
+    section: ctx.section,
+    isActive: true,
+    validFrom: { $lte: ctx.now },
+    validTo: { $gte: ctx.now },
+    isCampaign: { $ne: true }, // their codes are handed out, not suggested
+    ...couponService.HAS_USES_LEFT,
+  }).lean();
+
+  return Promise.all(coupons.map(async (c) => {
+    const offer = {
+      type: 'COUPON',
+      code: c.code,
+      description: c.description,
+      theme: c.theme,
+      stacksWithBundle: c.bundleStacking !== 'EXCLUSIVE',
+    };
+    try {
+      const { discount } = await couponService.validateAndCompute({ ...ctx, code: c.code, coupon: c });
+      return { ...offer, eligible: true, savings: discount, reason: null };
+    } catch (e) {
+      if (e.name !== 'CouponError') throw e;
+      return { ...offer, eligible: false, savings: 0, reason: e.message, shortfall: e.shortfall };
+    }
+  }));
+}
+
+async function rankBundles(lines) {
+  const bundles = await GroceryBundle.find({ isActive: true }).populate('items.product', 'name').lean();
+  return bundles
+    .filter(b => b.regularPrice > b.bundlePrice)
+    .map((b) => {
+      const missing = missingBundleItems(b, lines);
+      return {
+        type: 'BUNDLE',
+        slug: b.slug,
+        name: b.name,
+        theme: b.theme,
+        eligible: missing.length === 0,
+        savings: missing.length ? 0 : round2(b.regularPrice - b.bundlePrice),
+        reason: missing.length ? `Add ${missing.join(', ')} to get this bundle` : null,
+      };
+    });
+}
+
+/**
+ * Rank every live coupon — and, for grocery, every bundle — against a priced
+ * cart, for checkout to suggest or auto-apply the biggest saving.
+ *
+ * Inputs:
+ *   section       - 'food' | 'grocery'
+ *   userId        - for coupon targeting and per-user limits
+ *   subtotal      - item total before tax / delivery
+ *   deliveryFee   - delivery fee the cart would pay
+ *   lines         - [{ id, variantId, quantity, amount }] priced cart lines
+ *   paymentMethod - optional, checked against coupon restrictions
+ *
+ * Returns { offers, best }:
+ *   offers - eligible offers by savings, then ineligible ones (closest
+ *            minimum order first), each with the reason it doesn't apply
+ *   best   - { couponCode, bundleSlug, savings } for the best combination
+ *            (one coupon, one bundle, honouring EXCLUSIVE coupons), or null
+ */
+async function rankOffers({ section, userId, subtotal, deliveryFee = 0, lines, paymentMethod = null, now = new Date() }) {
+  const ctx = {
+    section, userId, subtotal, deliveryFee, paymentMethod, now,
+    items: lines.map(l => ({ id: l.id, amount: l.amount })),
+  };
+  const [coupons, bundles] = await Promise.all([
+    rankCoupons(ctx),
+    section === 'grocery' ? rankBundles(lines) : [],
+  ]);
+
+  const offers = [...coupons, ...bundles].sort((a, b) =>
+    (b.eligible - a.eligible)
+    || (b.savings - a.savings)
+    || ((a.shortfall ?? Infinity) - (b.shortfall ?? Infinity)));
+
+  const usable = offers.filter(o => o.eligible && o.savings > 0);
+  const bestCoupon = usable.find(o => o.type === 'COUPON');
+  const bestBundle = usable.find(o => o.type === 'BUNDLE');
+  const stacking = usable.find(o => o.type === 'COUPON' && o.stacksWithBundle);
+
+  const combos = [
+    { couponCode: bestCoupon?.code || null, bundleSlug: null, savings: bestCoupon?.savings || 0 },
+    { couponCode: stacking?.code || null, bundleSlug: bestBundle?.slug || null, savings: (bestBundle?.savings || 0) + (stacking?.savings || 0) },
+  ].filter(c => c.savings > 0);
+  const best = combos.sort((a, b) => b.savings - a.savings)[0] || null;
+
+  return { offers, best: best && { ...best, savings: round2(best.savings) } };
+}
+
+module.exports = { rankOffers, missingBundleItems };
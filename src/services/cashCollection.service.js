@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order.model');
+const GroceryOrder = require('../models/GroceryOrder.model');
+const User = require('../models/User.model');
+const { CashSettlement } = require('../models/CashSettlement.model');
+const logger = require('../config/logger');
+const { PAYMENT_METHODS } = require('../utils/constants');
+const { isHandoffStatus } = require('../utils/handoff');
+const { getIstDateString, istDateTime } = require('../utils/categoryWindow');
+
+const MODELS = { food: Order, grocery: GroceryOrder };
+const SECTIONS = Object.keys(MODELS);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+class CashError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+    this.name = 'CashError';
+  }
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Record the cash taken when a CASH order is handed over (see
+ * utils/handoff statuses) and mark the order paid. `amountCollected`
+ * defaults to exactly what is due; anything above it was given back as
+ * change. Sets order.cashCollection and paymentStatus — the caller saves.
+ * Returns the collection, or null when the order / status takes no cash.
+ * Throws CashError.
+ */
+function recordCollection(section, order, nextStatus, { amountCollected, collectedBy, rider = null }, now = new Date()) {
+  if (order.paymentMethod !== PAYMENT_METHODS.CASH || !isHandoffStatus(section, nextStatus)) return null;
+  if (order.cashCollection) return order.cashCollection;
+
+  const due = round2(Math.max(0, order.totalAmount - (order.walletUsed || 0)));
+  const collected = amountCollected == null || amountCollected === '' ? due : Number(amountCollected);
+  if (!Number.isFinite(collected) || collected < due - 0.005) {
+    throw new CashError(`Collect ₹${due} for this order`);
+  }
+
+  order.cashCollection = {
+    amountDue: due,
+    amountCollected: round2(collected),
+    changeGiven: round2(collected - due),
+    collectedBy,
+    rider,
+    collectedAt: now,
+    settlement: null,
+  };
+  order.paymentStatus = 'COMPLETED';
+  return order.cashCollection;
+}
+
+function dayRange(date) {
+  if (!DATE_RE.test(date || '')) throw new CashError('date must be YYYY-MM-DD');
+  const start = istDateTime(date, '00:00');
+  if (Number.isNaN(start.getTime())) throw new CashError('date must be YYYY-MM-DD');
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+}
+
+/**
+ * Cash in hand per collector (rider or admin) for an IST `date`: what they
+ * took that day, and everything they still hold — collections up to the
+ * end of the day that haven't been settled.
+ */
+async function cashSummary({ date = getIstDateString(), sections = SECTIONS, collectedBy = null } = {}) {
+  const { start, end } = dayRange(date);
+  const q = {
+    'cashCollection.collectedAt': { $lt: end },
+    $or: [{ 'cashCollection.settlement': null }, { 'cashCollection.collectedAt': { $gte: start } }],
+  };
+  if (collectedBy) q['cashCollection.collectedBy'] = collectedBy;
+
+  const byCollector = new Map();
+  for (const section of sections) {
+    const orders = await MODELS[section].find(q).select('orderId cashCollection').lean();
+    for (const { cashCollection: c } of orders) {
+      const key = c.collectedBy.toString();
+      const row = byCollector.get(key) || {
+        collector: key,
+        rider: null,
+        ordersToday: 0,
+        collectedToday: 0,
+        changeGivenToday: 0,
+        unsettledOrders: 0,
+        unsettledAmount: 0,
+      };
+      if (c.rider) row.rider = c.rider.toString();
+      if (c.collectedAt >= start) {
+        row.ordersToday += 1;
+        row.collectedToday = round2(row.collectedToday + c.amountDue);
+        row.changeGivenToday = round2(row.changeGivenToday + c.changeGiven);
+      }
+      if (!c.settlement) {
+        row.unsettledOrders += 1;
+        row.unsettledAmount = round2(row.unsettledAmount + c.amountDue);
+      }
+      byCollector.set(key, row);
+    }
+  }
+
+  const users = await User.find({ _id: { $in: [...byCollector.keys()] } }).select('name phone role').lean();
+  const names = new Map(users.map(u => [u._id.toString(), u]));
+  const collectors = [...byCollector.values()]
+    .map(row => ({ ...row, name: names.get(row.collector)?.name || '', phone: names.get(row.collector)?.phone || '', role: names.get(row.collector)?.role || null }))
+    .sort((a, b) => b.unsettledAmount - a.unsettledAmount);
+
+  return {
+    date,
+    collectors,
+    totals: {
+      collectedToday: round2(collectors.reduce((s, r) => s + r.collectedToday, 0)),
+      unsettledAmount: round2(collectors.reduce((s, r) => s + r.unsettledAmount, 0)),
+    },
+  };
+}
+
+/**
+ * A collector hands in their cash. Claims every unsettled collection of
+ * theirs (in `sections`, taken before now) for a new settlement, so
+ * nothing is settled twice, and records what was received against what
+ * was expected. Throws CashError.
+ */
+async function settleCash({ collectorId, receivedAmount, note = '', sections = SECTIONS }, adminId, now = new Date()) {
+  if (!mongoose.isValidObjectId(collectorId)) throw new CashError('collectorId is required');
+  const received = Number(receivedAmount);
+  if (receivedAmount == null || receivedAmount === '' || !Number.isFinite(received) || received < 0) {
+    throw new CashError('receivedAmount must be zero or more');
+  }
+
+  const settlementId = new mongoose.Types.ObjectId();
+  const claim = {
+    'cashCollection.collectedBy': collectorId,
+    'cashCollection.settlement': null,
+    'cashCollection.collectedAt': { $lte: now },
+  };
+  for (const section of sections) {
+    await MODELS[section].updateMany(claim, { $set: { 'cashCollection.settlement': settlementId } });
+  }
+
+  const orders = [];
+  let rider = null;
+  for (const section of sections) {
+    const claimed = await MODELS[section].find({ 'cashCollection.settlement': settlementId }).select('orderId cashCollection').lean();
+    for (const o of claimed) {
+      orders.push({ section, order: o._id, orderId: o.orderId, amount: o.cashCollection.amountDue });
+      rider = rider || o.cashCollection.rider || null;
+    }
+  }
+  if (!orders.length) throw new CashError('No unsettled cash for this collector', 404);
+
+  const expected = round2(orders.reduce((s, o) => s + o.amount, 0));
+  try {
+    const settlement = await CashSettlement.create({
+      _id: settlementId,
+      collector: collectorId,
+      rider,
+      orders,
+      expectedAmount: expected,
+      receivedAmount: round2(received),
+      difference: round2(received - expected),
+      note: String(note || '').slice(0, 300),
+      settledBy: adminId,
+    });
+    logger.info(`cash: settled ₹${received} of ₹${expected} (${orders.length} orders) from ${collectorId} by ${adminId}`);
+    return settlement;
+  } catch (e) {
+    // Give the collections back so they can be settled again.
+    for (const section of sections) {
+      await MODELS[section].updateMany({ 'cashCollection.settlement': settlementId }, { $set: { 'cashCollection.settlement': null } });
+    }
+    throw e;
+  }
+}
+
+/** Settlements touching `sections`, newest first. */
+async function listSettlements({ sections = SECTIONS, collectorId, page = 1, limit = 20 } = {}) {
+  const q = { 'orders.section': { $in: sections } };
+  if (collectorId) q.collector = collectorId;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [settlements, total] = await Promise.all([
+    CashSettlement.find(q)
+      .populate('collector', 'name phone role')
+      .populate('settledBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    CashSettlement.countDocuments(q),
+  ]);
+  return {
+    data: settlements.map(s => ({ ...s, id: s._id.toString() })),
+    pagination: { total, page: parseInt(page), limit: parseInt(limit), pages: Math.ceil(total / limit) },
+  };
+}
+
+module.exports = {
+  CashError,
+  recordCollection,
+  cashSummary,
+  settleCash,
+  listSettlements,
+};
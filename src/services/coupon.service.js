@@ -1,7 +1,16 @@
 const mongoose = require('mongoose');
 const Coupon = require('../models/Coupon.model');
+const CampaignCode = require('../models/CampaignCode.model');
 const Order = require('../models/Order.model');
 const GroceryOrder = require('../models/GroceryOrder.model');
+const MenuItem = require('../models/MenuItem.model');
+const GroceryProduct = require('../models/GroceryProduct.model');
+const logger = require('../config/logger');
+const { getCurrentIstHHmm, getIstWeekday } = require('../utils/categoryWindow');
+
+const ORDER_MODELS = { food: Order, grocery: GroceryOrder };
+const CATALOG_MODELS = { food: MenuItem, grocery: GroceryProduct };
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
 class CouponError extends Error {
   constructor(message, status = 400) {
@@ -11,57 +20,170 @@ class CouponError extends Error {
   }
 }
 
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// A fully redeemed coupon has no uses left.
+const HAS_USES_LEFT = { $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }] };
+
+/** Is `now` inside the coupon's IST days / hours? Windows may cross midnight. */
+function checkSchedule(c, now) {
+  if (c.daysOfWeek?.length && !c.daysOfWeek.includes(getIstWeekday(now))) {
+    const days = [...c.daysOfWeek].sort().map(d => WEEKDAYS[d]).join(', ');
+    throw new CouponError(`This coupon is valid on ${days} only`);
+  }
+  if (c.activeFrom && c.activeTo) {
+    const hhmm = getCurrentIstHHmm(now);
+    const inside = c.activeFrom <= c.activeTo
+      ? hhmm >= c.activeFrom && hhmm < c.activeTo
+      : hhmm >= c.activeFrom || hhmm < c.activeTo;
+    if (!inside) throw new CouponError(`This coupon is valid between ${c.activeFrom} and ${c.activeTo} only`);
+  }
+}
+
+/**
+ * Total of the cart lines a scoped coupon covers, or null when it covers
+ * the whole cart. A line is covered when its product, category or (grocery)
+ * brand is listed. `items` are [{ id, amount }] — MenuItem / GroceryProduct
+ * id and line total.
+ */
+async function eligibleSubtotal(c, section, items) {
+  const products = new Set((c.products || []).map(String));
+  const categories = new Set((c.categories || []).map(String));
+  const brands = new Set((c.brands || []).map(b => b.toLowerCase()));
+  if (!products.size && !categories.size && !brands.size) return null;
+
+  const ids = [...new Set(items.map(i => String(i.id)))];
+  const catalog = await CATALOG_MODELS[section].find({ _id: { $in: ids } }).select('category brand').lean();
+  const byId = new Map(catalog.map(p => [p._id.toString(), p]));
+  const covered = (id) => {
+    const p = byId.get(String(id));
+    return products.has(String(id))
+      || (!!p && (categories.has(String(p.category)) || (!!p.brand && brands.has(p.brand.toLowerCase()))));
+  };
+  return round2(items.filter(i => covered(i.id)).reduce((sum, i) => sum + i.amount, 0));
+}
+
+/**
+ * The coupon a code applies: a Coupon by its own code, or the parent of a
+ * campaign code. Campaign coupons only apply through their codes.
+ * Returns { c, campaignCode } or throws CouponError.
+ */
+async function resolveCode(code, section) {
+  const normalized = String(code).toUpperCase().trim();
+  const c = await Coupon.findOne({ code: normalized, section, isActive: true }).lean();
+  if (c && !c.isCampaign) return { c, campaignCode: null };
+
+  const campaignCode = c ? null : await CampaignCode.findOne({ code: normalized, section }).lean();
+  const parent = campaignCode && await Coupon.findOne({ _id: campaignCode.coupon, isActive: true }).lean();
+  if (!parent) throw new CouponError('Invalid coupon code', 404);
+  if (campaignCode.redeemedAt) throw new CouponError('This code has already been used');
+  return { c: parent, campaignCode };
+}
+
 /**
  * Validate a coupon code against the request context and compute the
- * resulting discount. Pure (no side effects, no order mutations).
+ * resulting discount. Pure (no side effects, no order mutations); a use is
+ * claimed with redeem() when the order is placed.
  *
  * Inputs:
- *   code         - string (case-insensitive)
- *   subtotal     - number, item-total before tax/delivery
- *   deliveryFee  - number, delivery fee that would otherwise apply
- *   userId       - ObjectId or string, used for per-user limit check
- *   section      - 'food' | 'grocery'
+ *   code          - string (case-insensitive); a coupon or campaign code
+ *   subtotal      - number, item-total before tax/delivery
+ *   deliveryFee   - number, delivery fee that would otherwise apply
+ *   userId        - ObjectId or string, used for targeting and the per-user limit
+ *   section       - 'food' | 'grocery'
+ *   items         - [{ id, amount }] cart lines, for scoped coupons
+ *   paymentMethod - checked against the coupon's paymentMethods
+ *   bundleApplied - whether a bundle discount is on the cart
+ *   coupon        - the Coupon document, when the caller already loaded it
+ *
+ * Checks that need context the caller doesn't have yet (items, payment
+ * method) are skipped, so the apply preview works on a subtotal alone;
+ * checkout passes the full cart.
  *
  * Returns:
- *   { code, discount, freeDelivery, type, theme }
+ *   { code, discount, freeDelivery, type, theme }, plus `campaign` (the
+ *   parent coupon's code) for a campaign code
  *   discount = rupees off the bill (excluding delivery)
  *   freeDelivery = true when the coupon waives the delivery fee instead
  *
- * Throws CouponError with status code on any validation failure.
+ * Throws CouponError with status code on any validation failure; below the
+ * minimum order it also carries `shortfall`, the rupees still to add.
  */
-async function validateAndCompute({ code, subtotal, deliveryFee = 0, userId, section }) {
+async function validateAndCompute({
+  code, subtotal, deliveryFee = 0, userId, section,
+  items = null, paymentMethod = null, bundleApplied = false, coupon = null, now = new Date(),
+}) {
   if (!code) throw new CouponError('Coupon code required');
   if (!section) throw new CouponError('Section required');
 
-  const c = await Coupon.findOne({
-    code: String(code).toUpperCase().trim(),
-    section,
-    isActive: true,
-  }).lean();
-  if (!c) throw new CouponError('Invalid coupon code', 404);
+  const { c, campaignCode } = coupon ? { c: coupon, campaignCode: null } : await resolveCode(code, section);
 
-  const now = new Date();
   if (c.validFrom && now < new Date(c.validFrom)) {
     throw new CouponError('Coupon is not yet active');
   }
   if (now > new Date(c.validTo)) {
     throw new CouponError('Coupon has expired');
   }
+  if (c.maxRedemptions != null && (c.redemptionCount || 0) >= c.maxRedemptions) {
+    throw new CouponError('This coupon has been fully redeemed');
+  }
+  checkSchedule(c, now);
+  if (paymentMethod && c.paymentMethods?.length && !c.paymentMethods.includes(paymentMethod)) {
+    throw new CouponError(`This coupon is valid only with ${c.paymentMethods.join(' / ')} payments`);
+  }
+  if (bundleApplied && c.bundleStacking === 'EXCLUSIVE') {
+    throw new CouponError('This coupon cannot be combined with a bundle offer');
+  }
   if (c.minOrderValue && subtotal < c.minOrderValue) {
-    throw new CouponError(`Minimum order value of ₹${c.minOrderValue} required`);
+    const shortfall = round2(c.minOrderValue - subtotal);
+    const err = new CouponError(`Add ₹${shortfall} more to use this coupon (minimum order ₹${c.minOrderValue})`);
+    err.shortfall = shortfall;
+    throw err;
+  }
+
+  let discountBase = subtotal;
+  if (items) {
+    const eligible = await eligibleSubtotal(c, section, items);
+    if (eligible === 0) throw new CouponError('This coupon does not apply to any item in your cart');
+    if (eligible != null) discountBase = eligible;
   }
 
-  if (c.perUserLimit && userId) {
-    const Model = section === 'grocery' ? GroceryOrder : Order;
-    const used = await Model.countDocuments({
-      user: new mongoose.Types.ObjectId(String(userId)),
-      'couponApplied.code': c.code,
-    });
-    if (used >= c.perUserLimit) {
-      throw new CouponError('You have already used this coupon');
+  if ((c.newUserOnly || c.firstOrderOnly || c.perUserLimit) && userId) {
+    const user = new mongoose.Types.ObjectId(String(userId));
+    const placed = { user, status: { $ne: 'CANCELLED' } };
+    if (c.newUserOnly) {
+      const ordered = await Promise.all(Object.values(ORDER_MODELS).map(M => M.exists(placed)));
+      if (ordered.some(Boolean)) throw new CouponError('This coupon is for new customers only');
+    }
+    if (c.firstOrderOnly && await ORDER_MODELS[section].exists(placed)) {
+      throw new CouponError('This coupon is valid on your first order only');
+    }
+    if (c.perUserLimit) {
+      const used = await ORDER_MODELS[section].countDocuments({
+        ...placed,
+        [c.isCampaign ? 'couponApplied.campaign' : 'couponApplied.code']: c.code,
+      });
+      if (used >= c.perUserLimit) {
+        throw new CouponError('You have already used this coupon');
+      }
     }
   }
 
+  return {
+    code: campaignCode ? campaignCode.code : c.code,
+    ...(campaignCode && { campaign: c.code }),
+    ...computeDiscount(c, { subtotal: discountBase, deliveryFee }),
+    type: c.type,
+    theme: c.theme,
+  };
+}
+
+/**
+ * The discount mechanics alone, no eligibility checks — also used to
+ * re-price an order whose coupon was already accepted at checkout.
+ * Returns { discount, freeDelivery }.
+ */
+function computeDiscount(c, { subtotal, deliveryFee = 0 }) {
   let discount = 0;
   let freeDelivery = false;
 
@@ -75,13 +197,64 @@ async function validateAndCompute({ code, subtotal, deliveryFee = 0, userId, sec
     discount = deliveryFee;
   }
 
-  return {
-    code: c.code,
-    discount: Math.round(discount * 100) / 100,
-    freeDelivery,
-    type: c.type,
-    theme: c.theme,
-  };
+  return { discount: Math.round(discount * 100) / 100, freeDelivery };
+}
+
+const unspend = (code, section) =>
+  CampaignCode.updateOne({ code, section }, { $set: { redeemedAt: null, redeemedBy: null } });
+
+/**
+ * Claim one use of an applied coupon ({ code, campaign } as returned by
+ * validateAndCompute) for an order being placed. Atomic against the global
+ * cap — and for a campaign code against its single use — so concurrent
+ * checkouts can't overshoot either. Throws CouponError when the last use
+ * was taken meanwhile.
+ */
+async function redeem({ code, campaign = null }, section, userId = null) {
+  if (campaign) {
+    const spent = await CampaignCode.findOneAndUpdate(
+      { code, section, redeemedAt: null },
+      { $set: { redeemedAt: new Date(), redeemedBy: userId } },
+      { new: true }
+    );
+    if (!spent) throw new CouponError('This code has already been used', 409);
+  }
+  const claimed = await Coupon.findOneAndUpdate(
+    { code: campaign || code, section, ...HAS_USES_LEFT },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    if (campaign) await unspend(code, section);
+    throw new CouponError('This coupon has been fully redeemed', 409);
+  }
+  return claimed;
+}
+
+/**
+ * Give back a use claimed for an order that was not placed after all, or
+ * was cancelled. A campaign code becomes usable again.
+ */
+async function release({ code, campaign = null }, section) {
+  if (campaign) await unspend(code, section);
+  await Coupon.updateOne({ code: campaign || code, section, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+}
+
+/**
+ * Give back the coupon use of a cancelled order. Idempotent via
+ * couponApplied.released — the caller is responsible for saving the order.
+ */
+async function releaseOrderCoupon(order, section) {
+  const applied = order.couponApplied;
+  if (!applied?.code || applied.released) return;
+  try {
+    await release(applied, section);
+    applied.released = true;
+  } catch (e) {
+    logger.error(`coupon: release failed for cancelled order ${order.orderId}`, e);
+  }
 }
 
-module.exports = { validateAndCompute, CouponError };
+module.exports = {
+  validateAndCompute, computeDiscount, redeem, release, releaseOrderCoupon, HAS_USES_LEFT, CouponError,
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const Coupon = require('../models/Coupon.model');
+const CampaignCode = require('../models/CampaignCode.model');
+const { toCsv } = require('../utils/csv');
+const { getIstDateString } = require('../utils/categoryWindow');
+
+// No 0/O or 1/I — codes are read off flyers and typed from SMS.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const MAX_PREFIX_LENGTH = 12;
+const MAX_CODES_PER_RUN = 5000;
+const MAX_ATTEMPTS = 5;
+const CSV_COLUMNS = ['code', 'status', 'redeemedAt', 'redeemedBy'];
+
+class CampaignError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+    this.name = 'CampaignError';
+  }
+}
+
+const randomPart = () =>
+  Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+
+/** Letters and digits of the requested prefix (the coupon code by default), upper-cased and capped. */
+const normalizePrefix = (prefix, coupon) =>
+  String(prefix || coupon.code).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, MAX_PREFIX_LENGTH);
+
+/**
+ * Add `count` unique codes (PREFIX-XXXXXXXX) to a campaign coupon. Codes
+ * that already exist — as campaign codes or coupons — are drawn again.
+ * Returns { created, total } for the campaign.
+ */
+async function generateCodes(coupon, { count, prefix } = {}) {
+  if (!coupon.isCampaign) throw new CampaignError('Codes can only be generated for a campaign coupon');
+  const n = Number(count);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_CODES_PER_RUN) {
+    throw new CampaignError(`count must be between 1 and ${MAX_CODES_PER_RUN}`);
+  }
+  const head = normalizePrefix(prefix, coupon);
+  if (!head) throw new CampaignError('prefix must contain letters or digits');
+
+  const before = await CampaignCode.countDocuments({ coupon: coupon._id });
+  let created = 0;
+  for (let attempt = 0; created < n && attempt < MAX_ATTEMPTS; attempt++) {
+    const batch = new Set();
+    while (batch.size < n - created) batch.add(`${head}-${randomPart()}`);
+    const taken = await Coupon.find({ code: { $in: [...batch] } }).select('code').lean();
+    taken.forEach(t => batch.delete(t.code));
+
+    try {
+      await CampaignCode.insertMany(
+        [...batch].map(code => ({ code, coupon: coupon._id, section: coupon.section })),
+        { ordered: false }
+      );
+    } catch (e) {
+      // Duplicate codes are skipped; the rest of the batch is still inserted.
+      if (e.code !== 11000 && !e.writeErrors) throw e;
+    }
+    created = await CampaignCode.countDocuments({ coupon: coupon._id }) - before;
+  }
+  if (created < n) throw new CampaignError(`Only ${created} of ${n} codes could be generated`, 409);
+  return { created, total: before + created };
+}
+
+/** A campaign's codes, oldest first, with how many are spent. */
+async function listCodes(coupon) {
+  const codes = await CampaignCode.find({ coupon: coupon._id })
+    .sort({ createdAt: 1, code: 1 })
+    .populate('redeemedBy', 'phone')
+    .lean();
+  return {
+    total: codes.length,
+    redeemed: codes.filter(c => c.redeemedAt).length,
+    codes,
+  };
+}
+
+/** One CSV row per code, for the SMS / print vendor and for checking redemptions. */
+function codesToCsv(codes) {
+  return toCsv(codes.map(c => ({
+    code: c.code,
+    status: c.redeemedAt ? 'REDEEMED' : 'UNUSED',
+    redeemedAt: c.redeemedAt ? getIstDateString(c.redeemedAt) : '',
+    redeemedBy: c.redeemedBy?.phone || '',
+  })), CSV_COLUMNS);
+}
+
+module.exports = { generateCodes, listCodes, codesToCsv, normalizePrefix, CampaignError, MAX_CODES_PER_RUN };
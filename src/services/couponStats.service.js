@@ -0,0 +1,185 @@
+const Order = require('../models/Order.model');
+const GroceryOrder = require('../models/GroceryOrder.model');
+const User = require('../models/User.model');
+const { istDateTime, getIstDateString } = require('../utils/categoryWindow');
+
+const ORDER_MODELS = { food: Order, grocery: GroceryOrder };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const TOP_REDEEMERS = 10;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+class CouponStatsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+    this.name = 'CouponStatsError';
+  }
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const average = (total, count) => (count ? round2(total / count) : 0);
+
+/**
+ * [start, end) of an inclusive IST date range; the last 30 days when
+ * neither date is given. Throws CouponStatsError.
+ */
+function dateRange(from, to, now = new Date()) {
+  const toDate = to || getIstDateString(now);
+  const fromDate = from || getIstDateString(new Date(istDateTime(toDate, '00:00').getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS));
+  if (!DATE_RE.test(fromDate) || !DATE_RE.test(toDate)) {
+    throw new CouponStatsError('from and to must be dates (YYYY-MM-DD)');
+  }
+  const start = istDateTime(fromDate, '00:00');
+  const end = new Date(istDateTime(toDate, '00:00').getTime() + DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new CouponStatsError('from and to must be dates (YYYY-MM-DD)');
+  }
+  if (end <= start) throw new CouponStatsError('from must not be after to');
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw new CouponStatsError(`Report on at most ${MAX_RANGE_DAYS} days at a time`);
+  }
+  return { from: fromDate, to: toDate, start, end };
+}
+
+const redemptionTotals = {
+  redemptions: { $sum: 1 },
+  discount: { $sum: '$couponApplied.discount' },
+  gmv: { $sum: '$totalAmount' },
+};
+
+/**
+ * One pass over a section's non-cancelled orders in range: the coupon
+ * orders (of `coupon`, or any coupon when null) totalled, per IST day, per
+ * customer (and per coupon, for the report), plus the orders without a
+ * coupon for comparison. Campaign codes count towards their campaign.
+ */
+function statsPipeline(range, coupon) {
+  const redeemed = {
+    $match: coupon
+      ? { [coupon.isCampaign ? 'couponApplied.campaign' : 'couponApplied.code']: coupon.code }
+      : { 'couponApplied.code': { $ne: null } },
+  };
+  return [
+    { $match: { status: { $ne: 'CANCELLED' }, createdAt: { $gte: range.start, $lt: range.end } } },
+    {
+      $facet: {
+        totals: [redeemed, { $group: { _id: null, ...redemptionTotals, users: { $addToSet: '$user' } } }],
+        withoutCoupon: [
+          { $match: { 'couponApplied.code': null } },
+          { $group: { _id: null, orders: { $sum: 1 }, gmv: { $sum: '$totalAmount' } } },
+        ],
+        overTime: [
+          redeemed,
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'Asia/Kolkata' } },
+              ...redemptionTotals,
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        topRedeemers: [
+          redeemed,
+          { $group: { _id: '$user', ...redemptionTotals } },
+          { $sort: { redemptions: -1, discount: -1 } },
+          { $limit: TOP_REDEEMERS },
+        ],
+        ...(coupon ? {} : {
+          byCode: [
+            redeemed,
+            {
+              $group: {
+                _id: { $ifNull: ['$couponApplied.campaign', '$couponApplied.code'] },
+                ...redemptionTotals,
+                users: { $addToSet: '$user' },
+                lastRedeemedAt: { $max: '$createdAt' },
+              },
+            },
+          ],
+        }),
+      },
+    },
+  ];
+}
+
+const summary = (row) => ({
+  redemptions: row?.redemptions || 0,
+  uniqueUsers: row?.users?.length || 0,
+  discountGiven: round2(row?.discount || 0),
+  gmv: round2(row?.gmv || 0),
+  averageOrderValue: average(row?.gmv || 0, row?.redemptions || 0),
+});
+
+/** Shape the facet output, naming the top redeemers. */
+async function shapeStats(facets) {
+  const [totals] = facets.totals;
+  const [plain] = facets.withoutCoupon;
+  const users = await User.find({ _id: { $in: facets.topRedeemers.map(r => r._id) } }).select('name phone').lean();
+  const userById = new Map(users.map(u => [u._id.toString(), u]));
+
+  return {
+    ...summary(totals),
+    withoutCoupon: { orders: plain?.orders || 0, averageOrderValue: average(plain?.gmv || 0, plain?.orders || 0) },
+    overTime: facets.overTime.map(d => ({
+      date: d._id,
+      redemptions: d.redemptions,
+      discountGiven: round2(d.discount),
+      gmv: round2(d.gmv),
+    })),
+    topRedeemers: facets.topRedeemers.map(r => ({
+      user: r._id,
+      name: userById.get(String(r._id))?.name || null,
+      phone: userById.get(String(r._id))?.phone || null,
+      redemptions: r.redemptions,
+      discountGiven: round2(r.discount),
+      gmv: round2(r.gmv),
+    })),
+  };
+}
+
+/**
+ * Redemption stats for one coupon over an IST date range, from the
+ * couponApplied snapshot on its section's orders. Cancelled orders don't
+ * count. Average order value is compared with orders that used no coupon.
+ */
+async function couponStats(coupon, { from, to } = {}) {
+  const range = dateRange(from, to);
+  const [facets] = await ORDER_MODELS[coupon.section].aggregate(statsPipeline(range, coupon));
+  return {
+    coupon: { id: coupon._id, code: coupon.code, section: coupon.section, isActive: coupon.isActive },
+    range: { from: range.from, to: range.to },
+    ...await shapeStats(facets),
+  };
+}
+
+/**
+ * Section-wide coupon report over an IST date range: the stats above for
+ * all coupon orders, and a row per code — codes that were never redeemed
+ * included, for deciding which to retire.
+ */
+async function sectionReport(section, coupons, { from, to } = {}) {
+  if (!ORDER_MODELS[section]) throw new CouponStatsError('section must be food or grocery');
+  const range = dateRange(from, to);
+  const [facets] = await ORDER_MODELS[section].aggregate(statsPipeline(range, null));
+  const rowByCode = new Map(facets.byCode.map(row => [row._id, row]));
+  const codes = [...new Set([...coupons.map(c => c.code), ...rowByCode.keys()])];
+  const couponByCode = new Map(coupons.map(c => [c.code, c]));
+  return {
+    section,
+    range: { from: range.from, to: range.to },
+    ...await shapeStats(facets),
+    coupons: codes
+      .map(code => ({
+        code,
+        id: couponByCode.get(code)?._id || null,
+        isActive: couponByCode.get(code)?.isActive ?? null,
+        ...summary(rowByCode.get(code)),
+        lastRedeemedAt: rowByCode.get(code)?.lastRedeemedAt || null,
+      }))
+      .sort((a, b) => b.redemptions - a.redemptions || a.code.localeCompare(b.code)),
+  };
+}
+
+module.exports = { couponStats, sectionReport, dateRange, CouponStatsError };
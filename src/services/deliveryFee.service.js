@@ -0,0 +1,59 @@
+const { DeliveryFeeRules } = require('../models/DeliveryFeeRules.model');
+const GrocerySettings = require('../models/GrocerySettings.model');
+const config = require('../config/env');
+const { DELIVERY_FEE } = require('../utils/constants');
+const { isValidPoint, distanceKm } = require('../utils/geo');
+const { computeDeliveryFee } = require('../utils/deliveryFee');
+const loyaltyService = require('./loyalty.service');
+
+/**
+ * Seed for a section's first rules document, carried over from the flat fee
+ * settings the engine replaced (DELIVERY_FEE for food; GrocerySettings
+ * deliveryFee + freeDeliveryThreshold for grocery).
+ */
+async function legacyDefaults(section) {
+  if (section !== 'grocery') return { baseFee: DELIVERY_FEE };
+  const s = await GrocerySettings.get();
+  return {
+    baseFee: s.deliveryFee != null ? s.deliveryFee : DELIVERY_FEE,
+    subtotalSlabs: s.freeDeliveryThreshold != null ? [{ minSubtotal: s.freeDeliveryThreshold, fee: 0 }] : [],
+  };
+}
+
+/** Current fee rules for a section (plain object). */
+async function getRules(section) {
+  const existing = await DeliveryFeeRules.findById(section).lean();
+  if (existing) return existing;
+  const created = await DeliveryFeeRules.forSection(section, await legacyDefaults(section));
+  return created.toObject();
+}
+
+/**
+ * Everything the engine needs besides the subtotal: the section's rules,
+ * distance from the store (when the address has coordinates and the store
+ * location is configured) and the delivery zone's fee override.
+ *
+ * `area` is the result of deliveryZoneService.checkServiceability, if any.
+ * With `userId`, a loyalty tier with free delivery waives the fee.
+ */
+async function buildFeeContext(section, { address = null, area = null, userId = null, now = new Date() } = {}) {
+  const rules = await getRules(section);
+  const point = address?.coordinates;
+  const distance = config.storeLocation && isValidPoint(point)
+    ? distanceKm(config.storeLocation, point)
+    : null;
+  return {
+    rules,
+    distanceKm: distance,
+    zoneFee: area?.deliveryFee != null ? area.deliveryFee : null,
+    freeDeliveryTier: await loyaltyService.freeDeliveryTier(userId, now),
+    now,
+  };
+}
+
+/** Fee breakdown for a subtotal under a context from buildFeeContext. */
+function quoteFee(context, subtotal) {
+  return computeDeliveryFee(context.rules, { ...context, subtotal });
+}
+
+module.exports = { getRules, buildFeeContext, quoteFee };
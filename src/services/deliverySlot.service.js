@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const { DeliverySlot } = require('../models/DeliverySlot.model');
+const SlotBooking = require('../models/SlotBooking.model');
+const Restaurant = require('../models/Restaurant.model');
+const GrocerySettings = require('../models/GrocerySettings.model');
+const Order = require('../models/Order.model');
+const GroceryOrder = require('../models/GroceryOrder.model');
+const logger = require('../config/logger');
+const { getIstWeekday, getIstDateString, istDateTime } = require('../utils/categoryWindow');
+const { isWithinOpenHours } = require('../utils/openHours');
+
+/** How far ahead customers may schedule, in days (today = 0). */
+const MAX_DAYS_AHEAD = 7;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+class SlotError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+    this.name = 'SlotError';
+  }
+}
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+const offeredOn = (slot, date) =>
+  !slot.days || slot.days.length === 0 || slot.days.includes(getIstWeekday(istDateTime(date, '12:00')));
+
+function getStoreSettings(section) {
+  return section === 'grocery' ? GrocerySettings.get() : Restaurant.getRestaurant();
+}
+
+/** Why this dated slot can't be booked (capacity aside), or null if it can. */
+function unavailableReason(slot, date, store, now) {
+  if (!slot.isActive) return 'This slot is no longer offered';
+  if (!offeredOn(slot, date)) return 'This slot is not offered on that day';
+  const ahead = daysBetween(getIstDateString(now), date);
+  if (ahead > MAX_DAYS_AHEAD) return `Orders can be scheduled at most ${MAX_DAYS_AHEAD} days ahead`;
+  const start = istDateTime(date, slot.startTime);
+  if (start.getTime() - slot.cutoffMinutes * 60000 <= now.getTime()) return 'Booking for this slot has closed';
+  if (!isWithinOpenHours(store, start)) return "We're closed at that time";
+  return null;
+}
+
+/**
+ * Slots offered on an IST date with remaining capacity.
+ * Returns [{ id, label, startTime, endTime, scheduledFor, capacity, remaining, available, reason }]
+ */
+async function listAvailability(section, date, now = new Date()) {
+  if (!DATE_RE.test(date || '')) throw new SlotError('date must be YYYY-MM-DD');
+  const [slots, store] = await Promise.all([
+    DeliverySlot.find({ section, isActive: true }).sort({ startTime: 1 }).lean(),
+    getStoreSettings(section),
+  ]);
+  const offered = slots.filter(s => offeredOn(s, date));
+  const bookings = await SlotBooking.find({ slot: { $in: offered.map(s => s._id) }, date }).lean();
+  const bookedBySlot = new Map(bookings.map(b => [String(b.slot), b.booked]));
+
+  return offered.map(s => {
+    const remaining = Math.max(0, s.capacity - (bookedBySlot.get(String(s._id)) || 0));
+    const reason = unavailableReason(s, date, store, now) || (remaining === 0 ? 'This slot is full' : null);
+    return {
+      id: s._id.toString(),
+      label: s.label,
+      startTime: s.startTime,
+      endTime: s.endTime,
+      scheduledFor: istDateTime(date, s.startTime),
+      capacity: s.capacity,
+      remaining,
+      available: !reason,
+      reason,
+    };
+  });
+}
+
+/**
+ * Validate a customer's { slotId, date } choice. Does not book it.
+ * Returns { scheduledFor, scheduledSlot, capacity } — scheduledSlot is the
+ * snapshot stored on the order. Throws SlotError.
+ */
+async function resolveSlot(section, { slotId, date } = {}, now = new Date()) {
+  if (!slotId || !DATE_RE.test(date || '')) {
+    throw new SlotError('A slot id and date (YYYY-MM-DD) are required to schedule an order');
+  }
+  const slot = mongoose.isValidObjectId(slotId) ? await DeliverySlot.findById(slotId).lean() : null;
+  if (!slot || slot.section !== section) throw new SlotError('Delivery slot not found', 404);
+
+  const reason = unavailableReason(slot, date, await getStoreSettings(section), now);
+  if (reason) throw new SlotError(reason);
+
+  return {
+    scheduledFor: istDateTime(date, slot.startTime),
+    scheduledSlot: {
+      slot: slot._id,
+      date,
+      label: slot.label,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+    },
+    capacity: slot.capacity,
+  };
+}
+
+/**
+ * Take one place in a resolved slot. Atomic: the filter only matches while
+ * there is room, and when the slot is full the upsert collides with the
+ * unique (slot, date) index instead of creating a second counter.
+ */
+async function bookSlot({ scheduledSlot, capacity }) {
+  try {
+    await SlotBooking.findOneAndUpdate(
+      { slot: scheduledSlot.slot, date: scheduledSlot.date, booked: { $lt: capacity } },
+      { $inc: { booked: 1 } },
+      { upsert: true }
+    );
+  } catch (e) {
+    if (e.code === 11000) throw new SlotError('This slot just filled up — please pick another', 409);
+    throw e;
+  }
+}
+
+/** Give a place back (cancellation, or unwinding a failed order). */
+async function releaseSlot(scheduledSlot) {
+  if (!scheduledSlot?.slot) return;
+  try {
+    await SlotBooking.updateOne(
+      { slot: scheduledSlot.slot, date: scheduledSlot.date, booked: { $gt: 0 } },
+      { $inc: { booked: -1 } }
+    );
+  } catch (e) {
+    logger.error(`delivery slot: release failed for ${scheduledSlot.slot} on ${scheduledSlot.date}`, e);
+  }
+}
+
+/**
+ * Release a cancelled order's slot place. Idempotent via
+ * scheduledSlot.released — the caller is responsible for saving the order.
+ */
+async function releaseOrderSlot(order) {
+  const s = order.scheduledSlot;
+  if (!s?.slot || s.released) return;
+  await releaseSlot(s);
+  s.released = true;
+}
+
+const UPCOMING_SOURCES = {
+  food: { model: Order, done: ['COMPLETED', 'CANCELLED'] },
+  grocery: { model: GroceryOrder, done: ['DELIVERED', 'PICKED_UP', 'CANCELLED'] },
+};
+
+/**
+ * Open scheduled orders from the start of today (IST) through `days` ahead,
+ * grouped by dated slot in time order.
+ */
+async function listUpcoming(section, { days = MAX_DAYS_AHEAD, now = new Date() } = {}) {
+  const { model, done } = UPCOMING_SOURCES[section];
+  const today = getIstDateString(now);
+  const until = new Date(istDateTime(today, '00:00').getTime() + (days + 1) * 86400000);
+  const orders = await model.find({
+    scheduledFor: { $gte: istDateTime(today, '00:00'), $lt: until },
+    status: { $nin: done },
+  })
+    .sort({ scheduledFor: 1, createdAt: 1 })
+    .populate('user', 'phone name');
+
+  const groups = new Map();
+  for (const o of orders) {
+    const s = o.scheduledSlot || {};
+    const key = `${s.date}|${s.startTime}|${s.slot}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        date: s.date,
+        slotId: s.slot ? s.slot.toString() : null,
+        label: s.label,
+        startTime: s.startTime,
+        endTime: s.endTime,
+        scheduledFor: o.scheduledFor,
+        orders: [],
+      });
+    }
+    groups.get(key).orders.push({ ...o.toObject(), id: o._id.toString() });
+  }
+  return [...groups.values()];
+}
+
+module.exports = {
+  SlotError,
+  MAX_DAYS_AHEAD,
+  listAvailability,
+  resolveSlot,
+  bookSlot,
+  releaseSlot,
+  releaseOrderSlot,
+  listUpcoming,
+};
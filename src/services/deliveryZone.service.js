@@ -0,0 +1,57 @@
+const DeliveryZone = require('../models/DeliveryZone.model');
+const config = require('../config/env');
+const logger = require('../config/logger');
+const { isValidPoint, distanceKm, isPointInPolygon } = require('../utils/geo');
+
+const NOT_SERVICEABLE_MESSAGE = "Sorry, we don't deliver to this address yet.";
+
+/** Does the address fall inside the zone by pincode, radius or polygon? */
+function zoneMatches(zone, address) {
+  const pincode = address?.pincode ? String(address.pincode).trim() : null;
+  if (pincode && (zone.pincodes || []).includes(pincode)) return true;
+
+  const point = address?.coordinates;
+  if (!isValidPoint(point)) return false;
+
+  if (zone.radiusKm) {
+    const center = zone.center || config.storeLocation;
+    if (!center) {
+      logger.warn(`Delivery zone "${zone.name}" has a radius but no center and STORE_LATITUDE/LONGITUDE are unset`);
+    } else if (distanceKm(center, point) <= zone.radiusKm) {
+      return true;
+    }
+  }
+  return isPointInPolygon(point, zone.polygon);
+}
+
+/**
+ * Resolve which delivery zone (if any) serves an address for a section.
+ *
+ * Returns { serviceable, zone, deliveryFee, minOrderValue, message }
+ *   deliveryFee / minOrderValue are the zone's overrides (null = use the
+ *   section default).
+ *
+ * With no active zones configured for the section every address is
+ * serviceable — zones are opt-in.
+ */
+async function checkServiceability(address, section) {
+  const zones = await DeliveryZone.find({ isActive: true, sections: section })
+    .sort({ priority: 1, createdAt: 1 })
+    .lean();
+  if (zones.length === 0) {
+    return { serviceable: true, zone: null, deliveryFee: null, minOrderValue: null, message: null };
+  }
+  const zone = zones.find(z => zoneMatches(z, address));
+  if (!zone) {
+    return { serviceable: false, zone: null, deliveryFee: null, minOrderValue: null, message: NOT_SERVICEABLE_MESSAGE };
+  }
+  return {
+    serviceable: true,
+    zone: { id: zone._id.toString(), name: zone.name },
+    deliveryFee: zone.deliveryFee,
+    minOrderValue: zone.minOrderValue,
+    message: null,
+  };
+}
+
+module.exports = { checkServiceability, zoneMatches, NOT_SERVICEABLE_MESSAGE };
@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const GroceryOrder = require('../models/GroceryOrder.model');
+const GrocerySettings = require('../models/GrocerySettings.model');
+const GroceryBundle = require('../models/GroceryBundle.model');
+const Coupon = require('../models/Coupon.model');
+const refundService = require('./refund.service');
+const stockService = require('./groceryStock.service');
+const { computeDiscount } = require('./coupon.service');
+const logger = require('../config/logger');
+const { REFUND_TYPES } = require('../models/Refund.model');
+const { GROCERY_ORDER_STATUS } = require('../utils/groceryOrderStatusValidator');
+const { lineTax, summarizeTax } = require('../utils/tax');
+
+/** Lines can only change until the order is packed. */
+const ADJUSTABLE_STATUSES = [GROCERY_ORDER_STATUS.RECEIVED];
+
+class AdjustmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+    this.name = 'AdjustmentError';
+  }
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Apply `changes` ([{ variantId, quantity }], quantity 0 = remove) to the
+ * order's lines and price the result the way checkout did: each line taxed
+ * at the rate it was sold at (`taxRate` for lines from before per-line
+ * rates), delivery as charged, coupon re-computed on the new subtotal
+ * (its minimum isn't re-checked — the shortfall is the store's), the bundle
+ * discount dropped once one of its lines is short. Never more than the
+ * customer was charged. Pure; the order is not touched.
+ *
+ * Returns { items, changed, subtotal, tax, taxBreakdown, couponDiscount, bundleDiscount, total }.
+ */
+function repriceOrder(order, changes, { taxRate = 0, coupon = null, bundle = null } = {}) {
+  if (!Array.isArray(changes) || changes.length === 0) throw new AdjustmentError('items are required');
+
+  const items = order.items.map(i => ({ ...(i.toObject ? i.toObject() : i) }));
+  const changed = [];
+  for (const { variantId, quantity } of changes) {
+    const line = items.find(i => String(i.variantId) === String(variantId));
+    if (!line) throw new AdjustmentError(`Item ${variantId} is not on this order`);
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity >= line.quantity) {
+      throw new AdjustmentError(`Quantity for "${line.name}" can only be reduced (currently ${line.quantity})`);
+    }
+    if (changed.some(c => String(c.variantId) === String(variantId))) {
+      throw new AdjustmentError(`"${line.name}" is listed twice`);
+    }
+    changed.push({
+      product: line.product,
+      variantId: line.variantId,
+      name: line.name,
+      variantLabel: line.variantLabel,
+      fromQuantity: line.quantity,
+      toQuantity: quantity,
+    });
+    line.quantity = quantity;
+  }
+  const remaining = items.filter(i => i.quantity > 0);
+  if (remaining.length === 0) throw new AdjustmentError('Cannot remove every item — cancel the order instead');
+  for (const line of remaining) {
+    line.taxRate = line.taxRate ?? taxRate;
+    line.tax = lineTax(line.sellingPrice * line.quantity, line.taxRate);
+  }
+
+  const subtotal = remaining.reduce((sum, i) => sum + i.sellingPrice * i.quantity, 0);
+  const { tax, breakdown: taxBreakdown } = summarizeTax(
+    remaining.map(i => ({ amount: i.sellingPrice * i.quantity, taxRate: i.taxRate }))
+  );
+  const delivery = order.delivery || 0;
+
+  let couponDiscount = 0;
+  const applied = order.couponApplied;
+  if (applied?.code && !applied.freeDelivery) {
+    couponDiscount = coupon
+      ? Math.min(applied.discount, computeDiscount(coupon, { subtotal }).discount)
+      : Math.min(applied.discount, subtotal);
+  }
+
+  let bundleDiscount = order.bundleApplied?.discount || 0;
+  if (bundleDiscount && bundle) {
+    const complete = bundle.items.every(b => remaining.some(i =>
+      String(i.variantId) === String(b.variantId) && i.quantity >= b.quantity));
+    if (!complete) bundleDiscount = 0;
+  }
+
+  const total = Math.min(
+    order.totalAmount,
+    round2(Math.max(0, subtotal + tax + delivery - bundleDiscount - couponDiscount))
+  );
+  return { items: remaining, changed, subtotal, tax, taxBreakdown, couponDiscount, bundleDiscount, total };
+}
+
+/**
+ * Where the money for a reduction of `amount` goes back. The online part of
+ * a paid Razorpay order is refunded to the card first, then the wallet part.
+ * Cash orders just collect less, unless the new total drops below what was
+ * paid from the wallet.
+ */
+function splitRefund(order, newTotal) {
+  const walletUsed = order.walletUsed || 0;
+  const paidOnline = order.paymentMethod === 'RAZORPAY'
+    && order.paymentStatus === 'COMPLETED'
+    && order.paymentDetails?.razorpayPaymentId
+    ? Math.max(0, order.totalAmount - walletUsed)
+    : 0;
+
+  if (paidOnline > 0) {
+    const amount = round2(order.totalAmount - newTotal);
+    const razorpay = Math.min(amount, paidOnline);
+    return { razorpay, wallet: round2(amount - razorpay) };
+  }
+  return { razorpay: 0, wallet: round2(Math.max(0, walletUsed - newTotal)) };
+}
+
+/**
+ * Remove or reduce lines of a grocery order before it is packed, re-price it
+ * and refund the difference. The refunds are recorded in the refund ledger
+ * and linked to the adjustment before the order is saved (guarded on status
+ * so it can't race packing), then sent. Returns the order. Throws AdjustmentError.
+ */
+async function adjustOrderItems(orderId, { items: changes, reason = '' } = {}, adminId) {
+  const order = mongoose.isValidObjectId(orderId) ? await GroceryOrder.findById(orderId) : null;
+  if (!order) throw new AdjustmentError('Order not found', 404);
+  if (!ADJUSTABLE_STATUSES.includes(order.status)) {
+    throw new AdjustmentError(`Items can't be changed once the order is ${order.status}`, 409);
+  }
+
+  const [settings, coupon, bundle] = await Promise.all([
+    GrocerySettings.get(),
+    order.couponApplied?.code
+      ? Coupon.findOne({ code: order.couponApplied.campaign || order.couponApplied.code, section: 'grocery' }).lean()
+      : null,
+    order.bundleApplied?.slug ? GroceryBundle.findOne({ slug: order.bundleApplied.slug }).lean() : null,
+  ]);
+  const priced = repriceOrder(order, changes, { taxRate: settings.taxRate || 0, coupon, bundle });
+  const split = splitRefund(order, priced.total);
+  const previousTotal = order.totalAmount;
+
+  // The refunds are recorded before the save so the adjustment is published
+  // with them, and sent once it is saved.
+  const legs = [
+    { method: 'RAZORPAY', amount: split.razorpay, razorpayPaymentId: order.paymentDetails?.razorpayPaymentId },
+    { method: 'WALLET', amount: split.wallet },
+  ].filter(l => l.amount > 0);
+  const refunds = [];
+  const discard = () => refundService.discardRefunds(refunds).catch(err =>
+    logger.error(`CRITICAL: refunds for unsaved adjustment of grocery order ${order.orderId} were not discarded`, err));
+  try {
+    for (const leg of legs) {
+      refunds.push(await refundService.recordRefund({
+        section: 'grocery',
+        type: REFUND_TYPES.ADJUSTMENT,
+        order,
+        reason: `Refund for items removed from grocery order #${order.orderId}`,
+        ...leg,
+      }));
+    }
+  } catch (e) {
+    await discard();
+    throw e;
+  }
+
+  order.items = priced.items;
+  order.subtotal = priced.subtotal;
+  order.tax = priced.tax;
+  order.taxBreakdown = priced.taxBreakdown;
+  order.totalAmount = priced.total;
+  order.walletUsed = round2((order.walletUsed || 0) - split.wallet);
+  if (order.couponApplied?.code && !order.couponApplied.freeDelivery) order.couponApplied.discount = priced.couponDiscount;
+  if (order.bundleApplied?.slug) order.bundleApplied.discount = priced.bundleDiscount;
+  order.adjustments.push({
+    items: priced.changed,
+    reason: String(reason).trim().slice(0, 200),
+    previousTotal,
+    newTotal: priced.total,
+    adjustedBy: adminId,
+    refunds: refunds.map(r => r._id),
+  });
+
+  order.$where = { status: order.status };
+  try {
+    await order.save();
+  } catch (e) {
+    await discard();
+    if (e.name === 'DocumentNotFoundError') {
+      throw new AdjustmentError('Order was updated meanwhile — refresh and try again', 409);
+    }
+    throw e;
+  }
+
+  if (order.stockReserved) {
+    const released = priced.changed.map(c => ({ product: c.product, variantId: c.variantId, quantity: c.fromQuantity - c.toQuantity }));
+    await stockService.releaseItems(released, { orderId: order.orderId, userId: adminId });
+  }
+
+  // A failed attempt is retried by the refund ledger; one that never
+  // records its outcome is reclaimed once its lease runs out.
+  for (const refund of refunds) {
+    try {
+      await refundService.attemptRefund(refund);
+    } catch (e) {
+      logger.error(`grocery adjust: refund ${refund._id} for order ${order.orderId} left pending for retry`, e);
+    }
+  }
+
+  logger.info(`grocery adjust: order ${order.orderId} ₹${previousTotal} -> ₹${priced.total} by ${adminId}`);
+  return order;
+}
+
+module.exports = {
+  AdjustmentError,
+  ADJUSTABLE_STATUSES,
+  repriceOrder,
+  splitRefund,
+  adjustOrderItems,
+};
@@ -1,23 +1,39 @@
-const walletService = require('./wallet.service');
+const stockService = require('./groceryStock.service');
+const deliverySlotService = require('./deliverySlot.service');
+const refundService = require('./refund.service');
+const couponService = require('./coupon.service');
+const { REFUND_STATUS, REFUND_TYPES } = require('../models/Refund.model');
 const logger = require('../config/logger');
 
 /**
- * Issue wallet + Razorpay refunds for a cancelled grocery order, then
- * mark its payment status as REFUNDED if applicable.
+ * Issue wallet + Razorpay refunds (via the refund ledger) for a cancelled
+ * grocery order, return its reserved stock, delivery-slot place and coupon
+ * use, then mark its payment status as REFUNDED if the gateway refund went
+ * through.
  *
  * Idempotent if the caller has already saved status=CANCELLED — this only
- * deals with refunds and payment-status mutation.
+ * deals with refunds, stock/slot/coupon release and payment-status mutation.
  */
 async function refundCancelledOrder(order) {
+  try {
+    await stockService.releaseOrder(order);
+  } catch (e) {
+    logger.error(`grocery cancel: stock release failed for ${order.orderId}`, e);
+  }
+
+  await deliverySlotService.releaseOrderSlot(order);
+  await couponService.releaseOrderCoupon(order, 'grocery');
+
   if (order.walletUsed > 0) {
     try {
-      await walletService.refundToWallet(
-        order.user,
-        order.walletUsed,
-        order._id,
-        `Refund for cancelled grocery order #${order.orderId}`,
-        { section: 'grocery' }
-      );
+      await refundService.issueRefund({
+        section: 'grocery',
+        type: REFUND_TYPES.CANCELLATION,
+        order,
+        amount: order.walletUsed,
+        method: 'WALLET',
+        reason: `Refund for cancelled grocery order #${order.orderId}`,
+      });
     } catch (e) {
       logger.error('grocery cancel: wallet refund failed', e);
     }
@@ -31,24 +47,18 @@ async function refundCancelledOrder(order) {
     const paidViaRazorpay = order.totalAmount - (order.walletUsed || 0);
     if (paidViaRazorpay > 0) {
       try {
-        const Razorpay = require('razorpay');
-        const config = require('../config/env');
-        if (config.razorpayKeyId && config.razorpayKeySecret) {
-          const rp = new Razorpay({
-            key_id: config.razorpayKeyId,
-            key_secret: config.razorpayKeySecret,
-          });
-          const refund = await rp.payments.refund(
-            order.paymentDetails.razorpayPaymentId,
-            { amount: Math.round(paidViaRazorpay * 100) }
-          );
-          logger.info(`↩️ Razorpay refund on cancel: ${refund.id} for grocery order ${order.orderId}`);
-          order.paymentStatus = 'REFUNDED';
-        } else {
-          logger.error(`CRITICAL: Cannot refund grocery order ${order.orderId} — Razorpay not configured`);
-        }
+        const refund = await refundService.issueRefund({
+          section: 'grocery',
+          type: REFUND_TYPES.CANCELLATION,
+          order,
+          amount: paidViaRazorpay,
+          razorpayPaymentId: order.paymentDetails.razorpayPaymentId,
+          reason: `Refund for cancelled grocery order #${order.orderId}`,
+        });
+        // Otherwise the retry script marks it REFUNDED once the refund lands.
+        if (refund.status === REFUND_STATUS.PROCESSED) order.paymentStatus = 'REFUNDED';
       } catch (refErr) {
-        logger.error(`CRITICAL: Razorpay refund failed for cancelled grocery order ${order.orderId}`, refErr);
+        logger.error(`CRITICAL: Razorpay refund could not be recorded for cancelled grocery order ${order.orderId}`, refErr);
       }
     }
   }
@@ -0,0 +1,185 @@
+const GroceryProduct = require('../models/GroceryProduct.model');
+const GroceryOrder = require('../models/GroceryOrder.model');
+const { StockAdjustment, STOCK_REASONS } = require('../models/StockAdjustment.model');
+const logger = require('../config/logger');
+
+class StockError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.status = status;
+    this.name = 'StockError';
+  }
+}
+
+const isLowStock = (v) => v.stock != null && v.stock <= (v.lowStockThreshold || 0);
+
+/**
+ * Keep isAvailable in step with stock: a variant that reaches zero is
+ * disabled and flagged soldOut; a soldOut variant that gets stock back is
+ * re-enabled. Variants disabled by hand (soldOut=false) are left alone.
+ */
+async function syncAvailability(productId, variantId) {
+  await GroceryProduct.updateOne(
+    { _id: productId },
+    { $set: { 'variants.$[v].isAvailable': false, 'variants.$[v].soldOut': true } },
+    { arrayFilters: [{ 'v._id': variantId, 'v.stock': { $lte: 0 } }] }
+  );
+  await GroceryProduct.updateOne(
+    { _id: productId },
+    { $set: { 'variants.$[v].isAvailable': true, 'variants.$[v].soldOut': false } },
+    { arrayFilters: [{ 'v._id': variantId, 'v.stock': { $gt: 0 }, 'v.soldOut': true }] }
+  );
+}
+
+/**
+ * Atomically add `delta` to a tracked variant's stock. Decrements only
+ * succeed when enough stock is on hand. Returns the new stock, or null when
+ * the variant is untracked (stock=null) or short.
+ */
+async function applyDelta(productId, variantId, delta) {
+  const stockMatch = delta < 0 ? { $gte: -delta } : { $ne: null };
+  const p = await GroceryProduct.findOneAndUpdate(
+    { _id: productId, variants: { $elemMatch: { _id: variantId, stock: stockMatch } } },
+    { $inc: { 'variants.$.stock': delta } },
+    { new: true }
+  );
+  if (!p) return null;
+  await syncAvailability(productId, variantId);
+  return p.variants.id(variantId).stock;
+}
+
+/**
+ * Return previously reserved lines to stock. Used on cancellation and to
+ * unwind a reservation when order creation fails further down.
+ *
+ * lines: [{ product, variantId, quantity }]
+ */
+async function releaseItems(lines, { orderId = null, userId = null } = {}) {
+  const entries = [];
+  for (const line of lines) {
+    try {
+      const stockAfter = await applyDelta(line.product, line.variantId, line.quantity);
+      if (stockAfter == null) continue; // tracking switched off since reservation
+      entries.push({
+        product: line.product,
+        variantId: line.variantId,
+        delta: line.quantity,
+        stockAfter,
+        reason: STOCK_REASONS.ORDER_RELEASED,
+        orderId,
+        adjustedBy: userId,
+      });
+    } catch (e) {
+      logger.error(`grocery stock: release failed for order ${orderId}`, e);
+    }
+  }
+  if (entries.length) await StockAdjustment.insertMany(entries);
+}
+
+/**
+ * Reserve stock for resolved order items (output of resolveAndSnapshotItems).
+ * All-or-nothing: if any tracked variant is short, everything reserved so far
+ * is released and a StockError is thrown. Untracked variants are skipped.
+ *
+ * Returns the reserved lines (pass to releaseItems to undo).
+ */
+async function reserveItems(items, { orderId, userId = null }) {
+  const reserved = [];
+  const entries = [];
+  for (const item of items) {
+    const stockAfter = await applyDelta(item.product, item.variantId, -item.quantity);
+    if (stockAfter == null) {
+      const p = await GroceryProduct.findById(item.product, { variants: 1 });
+      const v = p?.variants.id(item.variantId);
+      if (!v || v.stock == null) continue; // untracked — always sellable
+      if (entries.length) await StockAdjustment.insertMany(entries);
+      await releaseItems(reserved, { orderId, userId });
+      throw new StockError(
+        v.stock > 0
+          ? `Only ${v.stock} left of "${item.name}" (${item.variantLabel})`
+          : `"${item.name}" (${item.variantLabel}) is out of stock`
+      );
+    }
+    reserved.push({ product: item.product, variantId: item.variantId, quantity: item.quantity });
+    entries.push({
+      product: item.product,
+      variantId: item.variantId,
+      delta: -item.quantity,
+      stockAfter,
+      reason: STOCK_REASONS.ORDER_RESERVED,
+      orderId,
+      adjustedBy: userId,
+    });
+  }
+  if (entries.length) await StockAdjustment.insertMany(entries);
+  return reserved;
+}
+
+/**
+ * Release an order's reservation (cancellation). Idempotent via
+ * order.stockReserved, which is cleared atomically first so concurrent
+ * cancels return the stock once.
+ */
+async function releaseOrder(order, userId = null) {
+  if (!order.stockReserved) return;
+  const res = await GroceryOrder.updateOne(
+    { _id: order._id, stockReserved: true },
+    { $set: { stockReserved: false } }
+  );
+  order.stockReserved = false;
+  if (!res.modifiedCount) return; // another cancel got there first
+  await releaseItems(order.items, { orderId: order.orderId, userId });
+}
+
+/**
+ * Admin stock adjustment. Either `delta` (relative) or `setTo` (absolute
+ * count — also how tracking is switched on for a variant) must be given.
+ * Returns the ledger entry.
+ */
+async function adjustStock({ productId, variantId, delta, setTo, reason, note = '', adminId }) {
+  const p = await GroceryProduct.findById(productId);
+  if (!p) throw new StockError('Product not found', 404);
+  const v = p.variants.id(variantId);
+  if (!v) throw new StockError('Variant not found', 404);
+
+  let stockAfter;
+  let appliedDelta;
+  if (setTo != null) {
+    if (!Number.isInteger(setTo) || setTo < 0) throw new StockError('setTo must be a non-negative integer', 400);
+    // Optimistic: only overwrite if nobody reserved/adjusted since we read it.
+    const updated = await GroceryProduct.findOneAndUpdate(
+      { _id: productId, variants: { $elemMatch: { _id: variantId, stock: v.stock } } },
+      { $set: { 'variants.$.stock': setTo } },
+      { new: true }
+    );
+    if (!updated) throw new StockError('Stock changed while adjusting — please retry');
+    await syncAvailability(productId, variantId);
+    stockAfter = setTo;
+    appliedDelta = setTo - (v.stock || 0);
+  } else {
+    if (!Number.isInteger(delta) || delta === 0) throw new StockError('delta must be a non-zero integer', 400);
+    if (v.stock == null) throw new StockError('Stock is not tracked for this variant — set an absolute count first', 400);
+    stockAfter = await applyDelta(productId, variantId, delta);
+    if (stockAfter == null) throw new StockError(`Cannot remove ${-delta}; only ${v.stock} in stock`);
+    appliedDelta = delta;
+  }
+
+  return StockAdjustment.create({
+    product: productId,
+    variantId,
+    delta: appliedDelta,
+    stockAfter,
+    reason,
+    note,
+    adjustedBy: adminId,
+  });
+}
+
+module.exports = {
+  StockError,
+  isLowStock,
+  reserveItems,
+  releaseItems,
+  releaseOrder,
+  adjustStock,
+};
@@ -0,0 +1,51 @@
+const Order = require('../models/Order.model');
+const GroceryOrder = require('../models/GroceryOrder.model');
+const logger = require('../config/logger');
+const { requiresHandoffCode, isHandoffStatus } = require('../utils/handoff');
+
+/** Wrong codes allowed before only a photo will do. */
+const MAX_CODE_ATTEMPTS = 5;
+
+const MODELS = { food: Order, grocery: GroceryOrder };
+
+class HandoffError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+    this.name = 'HandoffError';
+  }
+}
+
+/**
+ * Check the proof for handing `order` to the customer and return what to
+ * record on the statusHistory entry ({ method, photoUrl }), or null when no
+ * proof is needed (not a handoff status, dine-in, or an order from before
+ * handoff codes). Throws HandoffError.
+ *
+ * `code` is what the customer read out; `photoUrl` an uploaded photo of the
+ * handoff, accepted instead of the code (customer unreachable, lost code).
+ */
+async function confirmHandoff(section, order, nextStatus, { code, photoUrl } = {}) {
+  if (!isHandoffStatus(section, nextStatus) || !requiresHandoffCode(section, order.orderType)) return null;
+
+  const stored = await MODELS[section].findById(order._id).select('+handoffCode handoffFailedAttempts').lean();
+  if (!stored?.handoffCode) return null;
+
+  if (photoUrl) return { method: 'PHOTO', photoUrl };
+  if (!code) throw new HandoffError('The customer\'s handoff code (or a delivery photo) is required');
+  if ((stored.handoffFailedAttempts || 0) >= MAX_CODE_ATTEMPTS) {
+    throw new HandoffError('Too many wrong codes — attach a delivery photo instead', 429);
+  }
+  if (String(code).trim() !== stored.handoffCode) {
+    await MODELS[section].updateOne({ _id: order._id }, { $inc: { handoffFailedAttempts: 1 } });
+    logger.warn(`handoff: wrong code for ${section} order ${order.orderId}`);
+    throw new HandoffError('Incorrect handoff code');
+  }
+  return { method: 'OTP' };
+}
+
+module.exports = {
+  HandoffError,
+  MAX_CODE_ATTEMPTS,
+  confirmHandoff,
+};
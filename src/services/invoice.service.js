@@ -0,0 +1,399 @@
+const Order = require('../models/Order.model');
+const GroceryOrder = require('../models/GroceryOrder.model');
+const GroceryProduct = require('../models/GroceryProduct.model');
+const User = require('../models/User.model');
+const { Invoice, InvoiceCounter } = require('../models/Invoice.model');
+const config = require('../config/env');
+const logger = require('../config/logger');
+const { HANDOFF_STATUSES, isHandoffStatus } = require('../utils/handoff');
+const { getIstDateString, istDateTime } = require('../utils/categoryWindow');
+const { PdfDocument, wrapText } = require('../utils/pdf');
+const { toCsv } = require('../utils/csv');
+
+const MODELS = { food: Order, grocery: GroceryOrder };
+const SERIES = { food: 'HW', grocery: 'HG' };
+// SAC 996331: services by restaurants (food served / delivered).
+const RESTAURANT_SAC = '996331';
+const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+const GSTIN_RE = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const NUMBERING_GRACE_MS = 30 * 1000;
+
+class InvoiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+    this.name = 'InvoiceError';
+  }
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const percent = (rate) => Math.round(rate * 1000) / 10;
+const money = (n) => Number(n || 0).toFixed(2);
+
+/** Indian financial year (April–March, IST) containing `date`, e.g. "2026-27". */
+function financialYear(date) {
+  const [year, month] = getIstDateString(date).split('-').map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+/** HW/26-27/000042 */
+const formatInvoiceNumber = (section, fy, seq) =>
+  `${SERIES[section]}/${fy.slice(2)}/${String(seq).padStart(6, '0')}`;
+
+/** When the order was handed over — the date of supply. */
+function completedAt(section, order) {
+  const handoff = [...(order.statusHistory || [])].reverse().find(h => isHandoffStatus(section, h.status));
+  return new Date(handoff?.timestamp || order.updatedAt || Date.now());
+}
+
+const formatAddress = (a) =>
+  a ? [a.street, a.landmark, a.city, a.state, a.pincode].filter(Boolean).join(', ') : '';
+
+const sellerFor = (section) => ({
+  name: config.invoiceLegalName,
+  address: config.invoiceAddress,
+  phone: config.restaurantPhone,
+  gstin: section === 'food' ? config.gstinFood : config.gstinGrocery,
+  stateName: config.invoiceStateName,
+  stateCode: config.invoiceStateCode,
+});
+
+/**
+ * Invoice content for a completed order. Tax is listed per GST rate from
+ * the order's taxBreakdown (orders from before per-line rates have one
+ * rate, implied by tax / subtotal); being an intra-state supply each is
+ * split equally into CGST and SGST (SGST takes the odd paisa). Pure — no I/O.
+ */
+function buildInvoice(section, order, { user = null, hsnByProduct = new Map(), buyerGstin = '', buyerName = '' } = {}) {
+  const lines = section === 'food'
+    ? order.items.map(i => {
+      const addons = i.addons || [];
+      const rate = (i.price || 0) + addons.reduce((s, a) => s + (a.price || 0), 0);
+      const description = addons.length ? `${i.name} (+ ${addons.map(a => a.name).join(', ')})` : i.name;
+      return { description, hsn: RESTAURANT_SAC, quantity: i.quantity, rate, amount: round2(rate * i.quantity), taxRate: i.taxRate };
+    })
+    : order.items.map(i => ({
+      description: [i.name, i.variantLabel].filter(Boolean).join(' - '),
+      hsn: hsnByProduct.get(String(i.product)) || '',
+      quantity: i.quantity,
+      rate: i.sellingPrice,
+      amount: round2(i.sellingPrice * i.quantity),
+      taxRate: i.taxRate,
+    }));
+
+  const itemTotal = order.subtotal;
+  const tax = order.tax || 0;
+  const impliedRate = itemTotal > 0 ? tax / itemTotal : 0;
+  lines.forEach(l => { l.taxRate = percent(l.taxRate ?? impliedRate); });
+  const groups = order.taxBreakdown?.length ? order.taxBreakdown : [{ rate: impliedRate, taxable: itemTotal, tax }];
+  const taxBreakdown = groups.map(g => {
+    const half = round2(g.tax / 2);
+    return { rate: percent(g.rate), taxable: g.taxable, cgst: half, sgst: round2(g.tax - half) };
+  });
+  const cgst = round2(taxBreakdown.reduce((s, g) => s + g.cgst, 0));
+  const sgst = round2(taxBreakdown.reduce((s, g) => s + g.sgst, 0));
+
+  const discounts = [];
+  if (order.bundleApplied?.discount > 0) {
+    discounts.push({ label: `Bundle: ${order.bundleApplied.name || order.bundleApplied.slug}`, amount: order.bundleApplied.discount });
+  }
+  // A free-delivery coupon already shows as delivery 0; its discount is the waived fee.
+  if (order.couponApplied?.discount > 0 && !order.couponApplied.freeDelivery) {
+    discounts.push({ label: `Coupon ${order.couponApplied.code}`, amount: order.couponApplied.discount });
+  }
+
+  return {
+    section,
+    order: order._id,
+    orderId: order.orderId,
+    user: user?._id || order.user?._id || order.user,
+    invoiceDate: completedAt(section, order),
+    seller: sellerFor(section),
+    buyer: {
+      name: buyerName || user?.name || 'Customer',
+      address: formatAddress(order.deliveryAddress),
+      phone: user?.phone || '',
+      gstin: buyerGstin,
+      stateName: buyerGstin ? '' : config.invoiceStateName,
+      stateCode: buyerGstin ? buyerGstin.slice(0, 2) : config.invoiceStateCode,
+    },
+    lines,
+    itemTotal,
+    taxBreakdown,
+    cgst,
+    sgst,
+    roundOff: round2(tax - cgst - sgst),
+    packaging: order.packaging || 0,
+    delivery: order.delivery || 0,
+    discounts,
+    total: order.totalAmount,
+    walletUsed: order.walletUsed || 0,
+    paymentMethod: order.paymentMethod,
+  };
+}
+
+/** Find an order by _id or orderId. */
+async function findOrder(section, id) {
+  const query = /^[0-9a-fA-F]{24}$/.test(id) ? { _id: id } : { orderId: id };
+  return MODELS[section].findOne(query).populate('user', 'name phone').lean();
+}
+
+/**
+ * The invoice for a completed order, issuing it on first request. The
+ * content is snapshotted then; the number is allocated from the section's
+ * counter for the financial year of the handoff, so numbers are gapless
+ * unless an allocation fails half-way. `buyerGstin` / `buyerName` (B2B)
+ * only apply to the first issue. Throws InvoiceError.
+ */
+async function issueInvoice(section, order, { buyerGstin = '', buyerName = '' } = {}) {
+  if (!isHandoffStatus(section, order.status)) {
+    throw new InvoiceError('The invoice is available once the order is completed', 409);
+  }
+  let invoice = await Invoice.findOne({ section, order: order._id });
+  if (invoice?.invoiceNumber) return invoice;
+  // Another request is numbering it; an older draft was left by a failed
+  // allocation and is numbered here.
+  if (invoice && Date.now() - invoice.createdAt < NUMBERING_GRACE_MS) {
+    throw new InvoiceError('The invoice is being generated — try again shortly', 409);
+  }
+
+  if (!invoice) {
+    const gstin = String(buyerGstin || '').trim().toUpperCase();
+    if (gstin && !GSTIN_RE.test(gstin)) throw new InvoiceError('Invalid GSTIN');
+
+    const user = order.user?.name !== undefined
+      ? order.user
+      : await User.findById(order.user).select('name phone').lean();
+    let hsnByProduct = new Map();
+    if (section === 'grocery') {
+      const products = await GroceryProduct.find({ _id: { $in: order.items.map(i => i.product) } }).select('hsnCode').lean();
+      hsnByProduct = new Map(products.map(p => [p._id.toString(), p.hsnCode]));
+    }
+    const content = buildInvoice(section, order, {
+      user, hsnByProduct, buyerGstin: gstin, buyerName: String(buyerName || '').trim().slice(0, 100),
+    });
+    try {
+      invoice = await Invoice.create(content);
+    } catch (e) {
+      if (e.code !== 11000) throw e;
+      // Issued by a concurrent request.
+      invoice = await Invoice.findOne({ section, order: order._id });
+      if (invoice?.invoiceNumber) return invoice;
+      throw new InvoiceError('The invoice is being generated — try again shortly', 409);
+    }
+  }
+
+  const fy = financialYear(invoice.invoiceDate);
+  const counter = await InvoiceCounter.findOneAndUpdate(
+    { _id: `${section}:${fy}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  const invoiceNumber = formatInvoiceNumber(section, fy, counter.seq);
+  const numbered = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, invoiceNumber: null },
+    { $set: { invoiceNumber, financialYear: fy } },
+    { new: true }
+  );
+  if (numbered) logger.info(`invoice: ${invoiceNumber} issued for ${section} order ${order.orderId}`);
+  return numbered || Invoice.findById(invoice._id);
+}
+
+function monthRange(month) {
+  if (!MONTH_RE.test(month || '')) throw new InvoiceError('month must be YYYY-MM');
+  const [year, m] = month.split('-').map(Number);
+  const next = m === 12 ? `${year + 1}-01` : `${year}-${String(m + 1).padStart(2, '0')}`;
+  return { start: istDateTime(`${month}-01`, '00:00'), end: istDateTime(`${next}-01`, '00:00') };
+}
+
+/**
+ * Every invoice for orders of `section` completed in an IST `month`
+ * (YYYY-MM), issuing any that haven't been requested yet in the order the
+ * orders were completed. Sorted by invoice number.
+ */
+async function monthInvoices(section, month) {
+  const { start, end } = monthRange(month);
+  const statuses = HANDOFF_STATUSES[section];
+  const orders = await MODELS[section].find({
+    status: { $in: statuses },
+    statusHistory: { $elemMatch: { status: { $in: statuses }, timestamp: { $gte: start, $lt: end } } },
+  }).populate('user', 'name phone').lean();
+
+  const issued = new Set(
+    (await Invoice.find({ section, order: { $in: orders.map(o => o._id) }, invoiceNumber: { $type: 'string' } })
+      .select('order').lean()).map(i => i.order.toString())
+  );
+  const pending = orders
+    .filter(o => !issued.has(o._id.toString()))
+    .map(o => ({ order: o, at: completedAt(section, o) }))
+    .filter(({ at }) => at >= start && at < end)
+    .sort((a, b) => a.at - b.at);
+  for (const { order } of pending) await issueInvoice(section, order);
+
+  return Invoice.find({ section, invoiceDate: { $gte: start, $lt: end }, invoiceNumber: { $type: 'string' } })
+    .sort({ invoiceNumber: 1 })
+    .lean();
+}
+
+const istDate = (date) => getIstDateString(date).split('-').reverse().join('-');
+
+const MARGIN = 40;
+const COLUMNS = [
+  { key: 'no', label: '#', x: 40, width: 20 },
+  { key: 'description', label: 'Description', x: 60, width: 235 },
+  { key: 'hsn', label: 'HSN/SAC', x: 300, width: 60 },
+  { key: 'quantity', label: 'Qty', x: 360, width: 35, align: 'right' },
+  { key: 'rate', label: 'Rate', x: 400, width: 70, align: 'right' },
+  { key: 'amount', label: 'Amount (Rs.)', x: 470, width: 85, align: 'right' },
+];
+
+function drawInvoice(doc, inv) {
+  const right = doc.width - MARGIN;
+  let y = MARGIN;
+  const newPage = () => {
+    doc.addPage();
+    y = MARGIN;
+    doc.text(`${inv.invoiceNumber} (continued)`, MARGIN, y, { size: 8 });
+    y += 16;
+  };
+  const ensure = (height, onNewPage) => {
+    if (y + height <= doc.height - MARGIN) return;
+    newPage();
+    if (onNewPage) onNewPage();
+  };
+
+  doc.text('TAX INVOICE', MARGIN, y, { size: 16, bold: true, align: 'center', width: right - MARGIN });
+  y += 30;
+
+  // Seller (left) and invoice details (right)
+  const top = y;
+  const { seller, buyer } = inv;
+  doc.text(seller.name, MARGIN, y, { size: 12, bold: true });
+  y += 16;
+  for (const line of wrapText(seller.address, 260, 9)) { doc.text(line, MARGIN, y, { size: 9 }); y += 12; }
+  if (seller.gstin) { doc.text(`GSTIN: ${seller.gstin}`, MARGIN, y, { size: 9 }); y += 12; }
+  doc.text(`State: ${seller.stateName} (${seller.stateCode})`, MARGIN, y, { size: 9 });
+  y += 12;
+  if (seller.phone) { doc.text(`Phone: ${seller.phone}`, MARGIN, y, { size: 9 }); y += 12; }
+
+  let ry = top;
+  for (const [label, value] of [
+    ['Invoice No.', inv.invoiceNumber],
+    ['Invoice Date', istDate(inv.invoiceDate)],
+    ['Order', inv.orderId],
+    ['Place of Supply', `${seller.stateName} (${seller.stateCode})`],
+  ]) {
+    doc.text(label, 340, ry, { size: 9, bold: true });
+    doc.text(value, 430, ry, { size: 9 });
+    ry += 14;
+  }
+  y = Math.max(y, ry) + 8;
+  doc.line(MARGIN, y, right, y);
+  y += 8;
+
+  // Buyer
+  doc.text('Bill To', MARGIN, y, { size: 9, bold: true });
+  y += 13;
+  doc.text(buyer.name, MARGIN, y, { size: 10, bold: true });
+  y += 13;
+  for (const line of buyer.address ? wrapText(buyer.address, 400, 9) : []) { doc.text(line, MARGIN, y, { size: 9 }); y += 12; }
+  if (buyer.phone) { doc.text(`Phone: ${buyer.phone}`, MARGIN, y, { size: 9 }); y += 12; }
+  if (buyer.gstin) { doc.text(`GSTIN: ${buyer.gstin}`, MARGIN, y, { size: 9 }); y += 12; }
+  y += 10;
+
+  // Lines
+  const header = () => {
+    doc.line(MARGIN, y, right, y);
+    y += 5;
+    for (const c of COLUMNS) doc.text(c.label, c.x, y, { size: 9, bold: true, align: c.align, width: c.width });
+    y += 14;
+    doc.line(MARGIN, y, right, y);
+    y += 5;
+  };
+  header();
+  inv.lines.forEach((l, i) => {
+    const description = wrapText(l.description, COLUMNS[1].width, 9);
+    ensure(description.length * 12 + 4, header);
+    const cells = { no: i + 1, hsn: l.hsn, quantity: l.quantity, rate: money(l.rate), amount: money(l.amount) };
+    for (const c of COLUMNS) {
+      if (c.key !== 'description') doc.text(cells[c.key], c.x, y, { size: 9, align: c.align, width: c.width });
+    }
+    description.forEach((text, n) => doc.text(text, COLUMNS[1].x, y + n * 12, { size: 9 }));
+    y += description.length * 12 + 4;
+  });
+  doc.line(MARGIN, y, right, y);
+  y += 8;
+
+  // Summary
+  const rows = [['Taxable value', money(inv.itemTotal)]];
+  for (const g of inv.taxBreakdown) {
+    rows.push([`CGST @ ${g.rate / 2}% on ${money(g.taxable)}`, money(g.cgst)]);
+    rows.push([`SGST @ ${g.rate / 2}% on ${money(g.taxable)}`, money(g.sgst)]);
+  }
+  if (inv.roundOff) rows.push(['Round off', money(inv.roundOff)]);
+  if (inv.packaging) rows.push(['Packaging', money(inv.packaging)]);
+  if (inv.delivery) rows.push(['Delivery', money(inv.delivery)]);
+  for (const d of inv.discounts) rows.push([`Less: ${d.label}`, `-${money(d.amount)}`]);
+  rows.push(['Invoice Total', money(inv.total), true]);
+  if (inv.walletUsed) rows.push(['Paid from wallet', money(inv.walletUsed)]);
+  rows.push([`Paid by ${inv.paymentMethod}`, money(round2(inv.total - inv.walletUsed))]);
+
+  ensure(rows.length * 14 + 40);
+  for (const [label, value, bold] of rows) {
+    doc.text(label, 300, y, { size: 9, bold, align: 'right', width: 160 });
+    doc.text(value, 470, y, { size: 9, bold, align: 'right', width: 85 });
+    y += 14;
+  }
+  y += 16;
+  doc.text('This is a computer-generated invoice and does not require a signature.', MARGIN, y, { size: 8 });
+}
+
+/** Render invoices into one PDF, each starting on a new page. */
+function renderInvoices(invoices) {
+  const doc = new PdfDocument();
+  invoices.forEach((inv, i) => {
+    if (i) doc.addPage();
+    drawInvoice(doc, inv);
+  });
+  return doc.toBuffer();
+}
+
+const REGISTER_COLUMNS = [
+  'invoiceNumber', 'invoiceDate', 'orderId', 'buyerName', 'buyerGstin', 'hsn', 'taxableValue',
+  'cgst', 'sgst', 'roundOff', 'packaging', 'delivery', 'discount', 'total', 'walletUsed', 'paymentMethod',
+];
+
+/** Invoice register (one row per invoice) for GST filing. */
+function registerToCsv(invoices) {
+  return toCsv(invoices.map(inv => ({
+    invoiceNumber: inv.invoiceNumber,
+    invoiceDate: getIstDateString(inv.invoiceDate),
+    orderId: inv.orderId,
+    buyerName: inv.buyer?.name,
+    buyerGstin: inv.buyer?.gstin,
+    hsn: [...new Set(inv.lines.map(l => l.hsn).filter(Boolean))].join(' '),
+    taxableValue: inv.itemTotal,
+    cgst: inv.cgst,
+    sgst: inv.sgst,
+    roundOff: inv.roundOff,
+    packaging: inv.packaging,
+    delivery: inv.delivery,
+    discount: round2(inv.discounts.reduce((s, d) => s + d.amount, 0)),
+    total: inv.total,
+    walletUsed: inv.walletUsed,
+    paymentMethod: inv.paymentMethod,
+  })), REGISTER_COLUMNS);
+}
+
+module.exports = {
+  InvoiceError,
+  financialYear,
+  formatInvoiceNumber,
+  buildInvoice,
+  findOrder,
+  issueInvoice,
+  monthInvoices,
+  renderInvoices,
+  registerToCsv,
+};
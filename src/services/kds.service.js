@@ -0,0 +1,190 @@
+/**
+ * Kitchen Display System
+ * Board of active restaurant orders, per-item prep timers and item bumping.
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order.model');
+const logger = require('../config/logger');
+const { ORDER_STATUS } = require('../utils/constants');
+const { validateStatusTransition, getAllowedNextStatuses } = require('../utils/orderStatusValidator');
+
+/** Board columns, in kitchen order. */
+const KDS_STATUSES = [
+  ORDER_STATUS.RECEIVED,
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PREPARING,
+  ORDER_STATUS.READY
+];
+
+/** The kitchen's next step from each column; READY leaves via dispatch. */
+const KITCHEN_NEXT = {
+  [ORDER_STATUS.RECEIVED]: ORDER_STATUS.CONFIRMED,
+  [ORDER_STATUS.CONFIRMED]: ORDER_STATUS.PREPARING,
+  [ORDER_STATUS.PREPARING]: ORDER_STATUS.READY
+};
+
+/** Scheduled orders show up this long before their slot starts. */
+const SCHEDULED_LEAD_MINUTES = 60;
+
+/** MenuItem.prepTime default, for lines whose menu item was deleted. */
+const DEFAULT_PREP_MINUTES = 15;
+
+class KdsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+    this.name = 'KdsError';
+  }
+}
+
+/** When the order last entered a status, from statusHistory. */
+const enteredAt = (order, status) => {
+  const entries = (order.statusHistory || []).filter(h => h.status === status);
+  return entries.length > 0 ? new Date(entries[entries.length - 1].timestamp) : null;
+};
+
+/**
+ * Shape an order for the board. Prep timers start when the order enters
+ * PREPARING; each line is due `prepTime` minutes after that.
+ */
+const toTicket = (order, now = new Date()) => {
+  const startedAt = enteredAt(order, ORDER_STATUS.PREPARING);
+  const items = order.items.map(item => {
+    const prepTime = item.menuItem?.prepTime ?? DEFAULT_PREP_MINUTES;
+    const dueAt = startedAt ? new Date(startedAt.getTime() + prepTime * 60000) : null;
+    const remainingSeconds = dueAt && !item.bumpedAt
+      ? Math.round((dueAt.getTime() - now.getTime()) / 1000)
+      : null;
+    return {
+      id: item._id.toString(),
+      name: item.name || item.menuItem?.name,
+      quantity: item.quantity,
+      addons: (item.addons || []).map(a => a.name),
+      prepTime,
+      dueAt,
+      remainingSeconds,
+      overdue: remainingSeconds != null && remainingSeconds < 0,
+      bumpedAt: item.bumpedAt || null
+    };
+  });
+
+  return {
+    id: order._id.toString(),
+    orderId: order.orderId,
+    status: order.status,
+    orderType: order.orderType,
+    instructions: order.instructions || '',
+    scheduledFor: order.scheduledFor || null,
+    createdAt: order.createdAt,
+    ageSeconds: Math.round((now.getTime() - new Date(order.createdAt).getTime()) / 1000),
+    startedAt,
+    items,
+    bumpedCount: items.filter(i => i.bumpedAt).length,
+    allowedNextStatuses: getAllowedNextStatuses(order.status)
+  };
+};
+
+/**
+ * Active orders grouped by status, oldest first. Scheduled orders stay off
+ * the board until SCHEDULED_LEAD_MINUTES before their slot.
+ */
+const getBoard = async (now = new Date()) => {
+  const showScheduledUntil = new Date(now.getTime() + SCHEDULED_LEAD_MINUTES * 60000);
+  const orders = await Order.find({
+    status: { $in: KDS_STATUSES },
+    $or: [{ scheduledFor: null }, { scheduledFor: { $lte: showScheduledUntil } }]
+  })
+    .populate('items.menuItem', 'name prepTime')
+    .sort({ createdAt: 1 });
+
+  const columns = Object.fromEntries(KDS_STATUSES.map(s => [s, []]));
+  for (const order of orders) columns[order.status].push(toTicket(order, now));
+
+  return { columns, generatedAt: now };
+};
+
+const findOrder = async (id) => {
+  const query = mongoose.isValidObjectId(id) ? { _id: id } : { orderId: id };
+  const order = await Order.findOne(query).populate('items.menuItem', 'name prepTime');
+  if (!order) throw new KdsError('Order not found', 404);
+  return order;
+};
+
+/**
+ * Move an order to `status`, recording it in statusHistory. The save only
+ * matches while the order is still in its current status, so two screens
+ * advancing at once can't both win. Returns false if the order moved.
+ */
+const applyStatus = async (order, status, adminId) => {
+  const from = order.status;
+  if (!validateStatusTransition(from, status)) {
+    throw new KdsError(`Invalid status transition from ${from} to ${status}`, 409);
+  }
+  order.status = status;
+  if (status === ORDER_STATUS.READY) order.preparedAt = new Date();
+  order.statusHistory.push({ status, timestamp: new Date(), updatedBy: adminId });
+  order.$where = { status: from };
+  try {
+    await order.save();
+  } catch (e) {
+    if (e.name === 'DocumentNotFoundError') return false;
+    throw e;
+  }
+  logger.info(`KDS: order ${order.orderId} ${from} -> ${status} by admin ${adminId}`);
+  return true;
+};
+
+/**
+ * Advance an order one kitchen step (RECEIVED -> CONFIRMED -> PREPARING ->
+ * READY). Cancelling goes through the regular order status endpoint, which
+ * handles refunds.
+ */
+const advanceOrder = async (id, adminId, now = new Date()) => {
+  const order = await findOrder(id);
+  const next = KITCHEN_NEXT[order.status];
+  if (!next) throw new KdsError(`Order is ${order.status}; the kitchen has nothing left to do`, 409);
+  if (!(await applyStatus(order, next, adminId))) {
+    throw new KdsError('Order was updated from another screen — refresh and try again', 409);
+  }
+  return toTicket(order, now);
+};
+
+/**
+ * Mark one line done (or not done, with `bumped = false`). Only while the
+ * order is PREPARING. When the last line is bumped the order advances to
+ * READY on its own.
+ */
+const setItemBumped = async (id, itemId, adminId, { bumped = true, now = new Date() } = {}) => {
+  let order = await findOrder(id);
+  if (order.status !== ORDER_STATUS.PREPARING) {
+    throw new KdsError('Items can only be bumped while the order is PREPARING', 409);
+  }
+  if (!mongoose.isValidObjectId(itemId) || !order.items.id(itemId)) {
+    throw new KdsError('Order item not found', 404);
+  }
+
+  // Atomic per line, so bumps from different screens don't overwrite each other.
+  await Order.updateOne(
+    { _id: order._id, status: ORDER_STATUS.PREPARING, 'items._id': itemId },
+    { $set: { 'items.$.bumpedAt': bumped ? now : null, 'items.$.bumpedBy': bumped ? adminId : null } }
+  );
+  order = await findOrder(order._id);
+
+  const allBumped = order.items.every(i => i.bumpedAt);
+  if (bumped && allBumped && order.status === ORDER_STATUS.PREPARING) {
+    // Losing this race just means another screen already advanced it.
+    await applyStatus(order, ORDER_STATUS.READY, adminId);
+    order = await findOrder(order._id);
+  }
+  return toTicket(order, now);
+};
+
+module.exports = {
+  KdsError,
+  KDS_STATUSES,
+  toTicket,
+  getBoard,
+  advanceOrder,
+  setItemBumped
+};
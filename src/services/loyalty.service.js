@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+const { LoyaltySettings, LoyaltyEntry } = require('../models/Loyalty.model');
+const { TRANSACTION_REASONS } = require('../models/WalletTransaction.model');
+const walletService = require('./wallet.service');
+const { getIstDateString } = require('../utils/categoryWindow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIER_WINDOW_DAYS = 90;
+const EXPIRY_NOTICE_DAYS = 30;
+const HISTORY_ENTRIES = 20;
+
+class LoyaltyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+    this.name = 'LoyaltyError';
+  }
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const byMinSpend = (tiers) => [...tiers].sort((a, b) => a.minSpend - b.minSpend);
+
+/** The highest tier `spend` reaches, or null below the lowest. */
+function tierFor(tiers, spend) {
+  return byMinSpend(tiers).filter(t => spend >= t.minSpend).pop() || null;
+}
+
+/** The next tier up from `spend`, or null at the top. */
+function nextTierFor(tiers, spend) {
+  return byMinSpend(tiers).find(t => spend < t.minSpend) || null;
+}
+
+const perks = (t) => ({
+  name: t.name,
+  minSpend: t.minSpend,
+  earnMultiplier: t.earnMultiplier,
+  freeDelivery: t.freeDelivery,
+  cashbackPercent: t.cashbackPercent,
+});
+
+/** What the customer paid across both sections over the rolling tier window. */
+async function rollingSpend(userId, now = new Date()) {
+  const [row] = await LoyaltyEntry.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(String(userId)),
+        type: 'EARN',
+        createdAt: { $gt: new Date(now.getTime() - TIER_WINDOW_DAYS * DAY_MS) },
+      },
+    },
+    { $group: { _id: null, spend: { $sum: '$spend' } } },
+  ]);
+  return round2(row?.spend || 0);
+}
+
+/** EARN entries with points left that have not lapsed, soonest expiry first. */
+const openLots = (userId, now) =>
+  LoyaltyEntry.find({ user: userId, type: 'EARN', remaining: { $gt: 0 }, expiresAt: { $gt: now } })
+    .sort({ expiresAt: 1, createdAt: 1 })
+    .select('remaining expiresAt')
+    .lean();
+
+const sumRemaining = (lots) => lots.reduce((sum, l) => sum + l.remaining, 0);
+
+/**
+ * Award points (and the tier's cashback) for an order handed to the
+ * customer. Points are on what was paid — the total less wallet money —
+ * at the section's rate times the multiplier of the tier held before this
+ * order. Idempotent per order. Returns the EARN entry, or null when nothing
+ * was awarded.
+ */
+async function awardForOrder(section, order, now = new Date()) {
+  const settings = await LoyaltySettings.get();
+  if (!settings.isEnabled) return null;
+
+  const userId = order.user?._id || order.user;
+  const spend = round2(Math.max(0, (order.totalAmount || 0) - (order.walletUsed || 0)));
+  if (!userId || spend <= 0) return null;
+
+  const tier = tierFor(settings.tiers, await rollingSpend(userId, now));
+  const points = Math.floor(spend * (settings.pointsPerRupee?.[section] || 0) * (tier?.earnMultiplier || 1));
+  const cashback = tier?.cashbackPercent ? round2((spend * tier.cashbackPercent) / 100) : 0;
+
+  let entry;
+  try {
+    entry = await LoyaltyEntry.create({
+      user: userId,
+      type: 'EARN',
+      section,
+      order: order._id,
+      orderId: order.orderId,
+      spend,
+      tier: tier?.name || null,
+      points,
+      remaining: points,
+      cashback,
+      expiresAt: new Date(now.getTime() + settings.expiryDays * DAY_MS),
+    });
+  } catch (e) {
+    if (e.code === 11000) return null; // already awarded
+    throw e;
+  }
+
+  if (cashback > 0) {
+    await walletService.creditWallet(userId, cashback, TRANSACTION_REASONS.CASHBACK, {
+      orderId: order.orderId,
+      section,
+      description: `${tier.name} tier cashback on order ${order.orderId}`,
+      metadata: { tier: tier.name, cashbackPercent: tier.cashbackPercent },
+    });
+  }
+  return entry;
+}
+
+/**
+ * The tier whose perks waive delivery for this customer, or null. Used by
+ * deliveryFee.service when pricing a checkout.
+ */
+async function freeDeliveryTier(userId, now = new Date()) {
+  if (!userId) return null;
+  const settings = await LoyaltySettings.get();
+  if (!settings.isEnabled || !settings.tiers.some(t => t.freeDelivery)) return null;
+  const tier = tierFor(settings.tiers, await rollingSpend(userId, now));
+  return tier?.freeDelivery ? tier.name : null;
+}
+
+const giveBack = (taken) =>
+  Promise.all(taken.map(t => LoyaltyEntry.updateOne({ _id: t.entry }, { $inc: { remaining: t.points } })));
+
+/**
+ * Turn `points` into wallet credit at the configured rate, spending the
+ * points that expire soonest first. Each lot is taken atomically, so two
+ * redemptions racing for the same points can't both succeed. Throws
+ * LoyaltyError.
+ */
+async function redeemPoints(userId, points, now = new Date()) {
+  const settings = await LoyaltySettings.get();
+  if (!settings.isEnabled) throw new LoyaltyError('Loyalty points cannot be redeemed right now', 409);
+  const n = Number(points);
+  if (!Number.isInteger(n) || n < 1) throw new LoyaltyError('points must be a whole number');
+  if (n < settings.minRedeemPoints) throw new LoyaltyError(`Redeem at least ${settings.minRedeemPoints} points`);
+
+  const lots = await openLots(userId, now);
+  const available = sumRemaining(lots);
+  if (n > available) throw new LoyaltyError(`You have ${available} points to redeem`);
+
+  const taken = [];
+  let left = n;
+  for (const lot of lots) {
+    if (!left) break;
+    const take = Math.min(left, lot.remaining);
+    const res = await LoyaltyEntry.updateOne(
+      { _id: lot._id, remaining: { $gte: take }, expiresAt: { $gt: now } },
+      { $inc: { remaining: -take } }
+    );
+    if (res.modifiedCount) {
+      taken.push({ entry: lot._id, points: take });
+      left -= take;
+    }
+  }
+  if (left > 0) {
+    await giveBack(taken);
+    throw new LoyaltyError('Your points balance changed, please try again', 409);
+  }
+
+  const amount = round2(n * settings.rupeesPerPoint);
+  let entry = null;
+  try {
+    entry = await LoyaltyEntry.create({ user: userId, type: 'REDEEM', points: n, amount, lots: taken });
+    const credit = await walletService.creditWallet(userId, amount, TRANSACTION_REASONS.LOYALTY_REDEMPTION, {
+      description: `Redeemed ${n} loyalty points`,
+      metadata: { points: n, loyaltyEntry: entry._id },
+    });
+    return { points: n, amount, pointsLeft: available - n, walletBalance: credit.newBalance };
+  } catch (e) {
+    await giveBack(taken);
+    if (entry) await LoyaltyEntry.deleteOne({ _id: entry._id });
+    throw e;
+  }
+}
+
+/** One ledger entry as the customer sees it; lapsed points are reported on their EARN entry. */
+const historyEntry = (e, now) => ({
+  type: e.type,
+  points: e.points,
+  section: e.section,
+  orderId: e.orderId,
+  tier: e.tier,
+  cashback: e.cashback,
+  amount: e.amount,
+  expiresAt: e.expiresAt,
+  expiredPoints: e.type === 'EARN' && e.expiresAt && e.expiresAt <= now ? e.remaining : 0,
+  createdAt: e.createdAt,
+});
+
+/**
+ * The customer's loyalty summary: points and their wallet value, current
+ * and next tier, points lapsing within the notice period, the program's
+ * rates and tiers, and recent ledger entries.
+ */
+async function summary(userId, now = new Date()) {
+  const settings = await LoyaltySettings.get();
+  const [lots, spend, recent] = await Promise.all([
+    openLots(userId, now),
+    rollingSpend(userId, now),
+    LoyaltyEntry.find({ user: userId }).sort({ createdAt: -1 }).limit(HISTORY_ENTRIES).lean(),
+  ]);
+  const points = sumRemaining(lots);
+  const expiring = lots.filter(l => l.expiresAt <= new Date(now.getTime() + EXPIRY_NOTICE_DAYS * DAY_MS));
+  const tier = tierFor(settings.tiers, spend);
+  const next = nextTierFor(settings.tiers, spend);
+
+  return {
+    enabled: settings.isEnabled,
+    points,
+    pointsValue: round2(points * settings.rupeesPerPoint),
+    tier: tier && perks(tier),
+    rollingSpend: spend,
+    tierWindowDays: TIER_WINDOW_DAYS,
+    nextTier: next && { name: next.name, spendNeeded: round2(next.minSpend - spend) },
+    expiringSoon: expiring.length
+      ? { points: sumRemaining(expiring), firstOn: getIstDateString(expiring[0].expiresAt) }
+      : null,
+    earnRates: { food: settings.pointsPerRupee.food, grocery: settings.pointsPerRupee.grocery },
+    redemption: { rupeesPerPoint: settings.rupeesPerPoint, minPoints: settings.minRedeemPoints },
+    tiers: byMinSpend(settings.tiers).map(perks),
+    history: recent.map(e => historyEntry(e, now)),
+  };
+}
+
+module.exports = {
+  awardForOrder,
+  freeDeliveryTier,
+  redeemPoints,
+  summary,
+  tierFor,
+  LoyaltyError,
+  TIER_WINDOW_DAYS,
+};
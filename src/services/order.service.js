@@ -6,9 +6,198 @@
 const Order = require('../models/Order.model');
 const MenuItem = require('../models/MenuItem.model');
 const { calculateOrderTotal } = require('../utils/helpers');
+const { taxRateFor, lineTax } = require('../utils/tax');
+const deliveryFeeService = require('./deliveryFee.service');
+const deliverySlotService = require('./deliverySlot.service');
+const couponService = require('./coupon.service');
+const bestOfferService = require('./bestOffer.service');
 const { ORDER_STATUS, TAX_RATE, PACKAGING_FEE, DELIVERY_FEE } = require('../utils/constants');
 const logger = require('../config/logger');
 
+// Tolerated rounding error between the client-displayed total and the
+// authoritative server-recomputed total. Anything bigger means the cart
+// drifted (price changed, item went unavailable) or was tampered with.
+const PRICE_DRIFT_TOLERANCE = 1; // ₹1
+
+class OrderPricingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+    this.name = 'OrderPricingError';
+  }
+}
+
+/**
+ * Re-price cart items against the live MenuItem records.
+ * Client-supplied prices are ignored: the unit price is the MenuItem price
+ * less its discount percent, and addons are accepted only if they exist on
+ * MenuItem.addons (priced from the menu, not the cart). Each line snapshots
+ * its GST rate (the item's tax class, else TAX_RATE) and tax.
+ *
+ * Input:  [{ menuItem | id, quantity, addons: [{ name }] }]
+ * Output: { items: [OrderItem], menuItems: [MenuItem (category populated)] }
+ *
+ * Throws OrderPricingError when an item is unknown, unavailable or has an
+ * invalid quantity.
+ */
+const resolveOrderItems = async (rawItems) => {
+  if (!Array.isArray(rawItems) || rawItems.length === 0) {
+    throw new OrderPricingError('Order must contain at least one item');
+  }
+
+  const menuItemIds = rawItems.map(item => item.menuItem || item.id).filter(Boolean);
+  if (menuItemIds.length !== rawItems.length) {
+    throw new OrderPricingError('All items must have a menuItem ID');
+  }
+
+  const menuItems = await MenuItem.find({ _id: { $in: menuItemIds } }).populate('category');
+  const menuById = new Map(menuItems.map(mi => [mi._id.toString(), mi]));
+
+  const items = rawItems.map(item => {
+    const menuItem = menuById.get(String(item.menuItem || item.id));
+    if (!menuItem) {
+      throw new OrderPricingError('One or more items in your cart are no longer available');
+    }
+    if (menuItem.isAvailable === false) {
+      throw new OrderPricingError(`"${menuItem.name}" is currently unavailable`);
+    }
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new OrderPricingError(`Invalid quantity for "${menuItem.name}"`);
+    }
+
+    const validAddons = new Map(
+      (menuItem.addons || []).map(a => [a.name, { name: a.name, price: Number(a.price) || 0 }])
+    );
+    const addons = [];
+    for (const addon of item.addons || []) {
+      const valid = validAddons.get(addon?.name);
+      if (!valid) {
+        throw new OrderPricingError(`Addon "${addon?.name}" is not available for "${menuItem.name}"`);
+      }
+      addons.push(valid);
+    }
+
+    const discount = Number(menuItem.discount) || 0;
+    const price = Math.round(Number(menuItem.price) * (1 - discount / 100));
+    const taxRate = taxRateFor(menuItem.taxClass, TAX_RATE);
+    const addonsPrice = addons.reduce((sum, a) => sum + a.price, 0);
+    return {
+      menuItem: menuItem._id,
+      name: menuItem.name,
+      price,
+      quantity,
+      addons,
+      taxRate,
+      tax: lineTax((price + addonsPrice) * quantity, taxRate)
+    };
+  });
+
+  return { items, menuItems };
+};
+
+/**
+ * Compute the bill for resolved order items. Each line is charged at its
+ * unit price plus addons and taxed at its own rate (TAX_RATE if it has
+ * none); packaging and delivery come from calculateOrderTotal with the
+ * configured rates. Pass `options.feeContext`
+ * (deliveryFee.service.buildFeeContext) to price delivery with the fee
+ * engine; without it the flat DELIVERY_FEE applies.
+ *
+ * Returns { itemTotal, tax, taxBreakdown, packaging, delivery, deliveryDetails, total, lines }
+ */
+const computeOrderBill = (items, orderType, options = {}) => {
+  const pricedLines = items.map(item => {
+    const addonsPrice = (item.addons || []).reduce((sum, a) => sum + a.price, 0);
+    const lineTotal = (item.price + addonsPrice) * item.quantity;
+    const taxRate = item.taxRate ?? TAX_RATE;
+    return {
+      menuItem: item.menuItem,
+      name: item.name,
+      unitPrice: item.price,
+      addonsPrice,
+      quantity: item.quantity,
+      lineTotal,
+      taxRate,
+      tax: lineTax(lineTotal, taxRate)
+    };
+  });
+
+  const { subtotal, tax, taxBreakdown, packaging, delivery, deliveryDetails, total } = calculateOrderTotal(
+    pricedLines.map(line => ({ price: line.unitPrice + line.addonsPrice, quantity: line.quantity, taxRate: line.taxRate })),
+    String(orderType || '').toUpperCase(),
+    TAX_RATE,
+    PACKAGING_FEE,
+    DELIVERY_FEE,
+    { feeContext: options.feeContext }
+  );
+
+  return {
+    itemTotal: subtotal,
+    tax,
+    taxBreakdown,
+    packaging,
+    delivery,
+    deliveryDetails,
+    total,
+    lines: pricedLines
+  };
+};
+
+/**
+ * Apply a coupon to a bill from computeOrderBill. `couponCode` is checked
+ * for `userId` against the bill's lines; with `autoApplyBestOffer` and no
+ * code, the best food coupon (bestOffer.service) is used, if any saves
+ * money. FREE_DELIVERY waives the delivery fee, other types come off the
+ * total.
+ *
+ * Returns the bill plus couponApplied (null without a coupon) and
+ * couponDiscount. Throws CouponError when the code is rejected.
+ */
+const applyCoupon = async (bill, { couponCode, autoApplyBestOffer = false, userId, paymentMethod = null }) => {
+  const lines = bill.lines.map(line => ({ id: line.menuItem, quantity: line.quantity, amount: line.lineTotal }));
+  let code = couponCode;
+  if (!code && autoApplyBestOffer) {
+    const { best } = await bestOfferService.rankOffers({
+      section: 'food',
+      userId,
+      subtotal: bill.itemTotal,
+      deliveryFee: bill.delivery,
+      lines,
+      paymentMethod
+    });
+    code = best?.couponCode;
+  }
+  if (!code) return { ...bill, couponApplied: null, couponDiscount: 0 };
+
+  const couponApplied = await couponService.validateAndCompute({
+    code,
+    subtotal: bill.itemTotal,
+    deliveryFee: bill.delivery,
+    userId,
+    section: 'food',
+    items: lines,
+    paymentMethod
+  });
+  const delivery = couponApplied.freeDelivery ? 0 : bill.delivery;
+  const couponDiscount = couponApplied.freeDelivery ? 0 : couponApplied.discount;
+  return {
+    ...bill,
+    delivery,
+    couponApplied,
+    couponDiscount,
+    total: Math.max(0, bill.total - (bill.delivery - delivery) - couponDiscount)
+  };
+};
+
+/**
+ * Whether a client-displayed total differs from the server total by more
+ * than the rounding tolerance. A missing client total is not drift.
+ */
+const hasPriceDrift = (clientTotal, serverTotal) => {
+  return typeof clientTotal === 'number' && Math.abs(clientTotal - serverTotal) > PRICE_DRIFT_TOLERANCE;
+};
+
 /**
  * Create new order
  */
@@ -16,39 +205,12 @@ const createOrder = async (userId, orderData) => {
   try {
     const { items, orderType, paymentMethod, deliveryAddress, instructions } = orderData;
     
-    // Validate and fetch menu items
-    const menuItemIds = items.map(item => item.menuItem);
-    const menuItems = await MenuItem.find({ _id: { $in: menuItemIds } });
-    
-    if (menuItems.length !== items.length) {
-      throw new Error('Some menu items not found');
-    }
-    
-    // Prepare order items with prices
-    const orderItems = items.map(item => {
-      const menuItem = menuItems.find(mi => mi._id.toString() === item.menuItem);
-      
-      if (!menuItem.isAvailable) {
-        throw new Error(`${menuItem.name} is currently unavailable`);
-      }
-      
-      return {
-        menuItem: menuItem._id,
-        name: menuItem.name,
-        price: menuItem.price,
-        quantity: item.quantity,
-        addons: item.addons || []
-      };
-    });
-    
-    // Calculate total
-    const { subtotal, tax, packaging, delivery, total } = calculateOrderTotal(
-      orderItems,
-      orderType,
-      TAX_RATE,
-      PACKAGING_FEE,
-      DELIVERY_FEE
-    );
+    // Re-price every line against the menu
+    const { items: orderItems } = await resolveOrderItems(items);
+    const feeContext = String(orderType).toUpperCase() === 'DELIVERY'
+      ? await deliveryFeeService.buildFeeContext('food', { address: deliveryAddress, userId })
+      : null;
+    const { itemTotal: subtotal, tax, taxBreakdown, packaging, delivery, total } = computeOrderBill(orderItems, orderType, { feeContext });
     
     // Generate order ID: HW_YYYYMMDD_XXX (where XXX is today's order count)
     const today = new Date();
@@ -76,6 +238,7 @@ const createOrder = async (userId, orderData) => {
       items: orderItems,
       subtotal,
       tax,
+      taxBreakdown,
       packaging,
       delivery,
       totalAmount: total,
@@ -188,6 +351,8 @@ const updateOrderStatus = async (orderId, status) => {
       order.deliveredAt = new Date();
     } else if (status === ORDER_STATUS.CANCELLED) {
       order.cancelledAt = new Date();
+      await deliverySlotService.releaseOrderSlot(order);
+      await couponService.releaseOrderCoupon(order, 'food');
     }
     
     await order.save();
@@ -241,6 +406,12 @@ const getAllOrders = async (options = {}) => {
 };
 
 module.exports = {
+  PRICE_DRIFT_TOLERANCE,
+  OrderPricingError,
+  resolveOrderItems,
+  computeOrderBill,
+  applyCoupon,
+  hasPriceDrift,
   createOrder,
   getUserOrders,
   getOrderById,
@@ -0,0 +1,99 @@
+const { EventEmitter } = require('events');
+const logger = require('../config/logger');
+const { toPublicRider } = require('../utils/transformers');
+
+/**
+ * In-process pub/sub for order changes. Fed by the orderEvents model plugin
+ * on every Order / GroceryOrder save and consumed by the SSE endpoints.
+ *
+ * Single process only: with several app instances each one sees its own
+ * writes, so clients should still re-fetch the order when they reconnect.
+ */
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream
+
+const NEW_ORDER = 'order:new';
+const orderTopic = (section, orderId) => `order:${section}:${orderId}`;
+
+/** What the kitchen screen needs to show a new ticket. */
+function summarizeOrder(section, order) {
+  return {
+    section,
+    id: order._id.toString(),
+    orderId: order.orderId,
+    status: order.status,
+    orderType: order.orderType,
+    paymentStatus: order.paymentStatus,
+    totalAmount: order.totalAmount,
+    items: (order.items || []).map(i => ({
+      name: i.name,
+      variantLabel: i.variantLabel,
+      quantity: i.quantity,
+    })),
+    instructions: order.instructions || '',
+    scheduledFor: order.scheduledFor || null,
+    createdAt: order.createdAt,
+  };
+}
+
+/**
+ * Publish what changed in a save. `changes` is recorded by the plugin's
+ * pre-save hook: { created, status, eta, payment, rider, adjustment }.
+ */
+function publishOrderChanges(section, order, changes = {}) {
+  try {
+    if (changes.created) {
+      bus.emit(NEW_ORDER, summarizeOrder(section, order));
+      return;
+    }
+    const topic = orderTopic(section, order._id.toString());
+    if (bus.listenerCount(topic) === 0) return;
+
+    const base = { id: order._id.toString(), orderId: order.orderId };
+    if (changes.status) {
+      const history = order.statusHistory || [];
+      bus.emit(topic, 'status', { ...base, status: order.status, entry: history[history.length - 1] || null });
+    }
+    if (changes.eta) {
+      bus.emit(topic, 'eta', { ...base, estimatedTime: order.estimatedTime });
+    }
+    if (changes.payment) {
+      bus.emit(topic, 'payment', { ...base, paymentStatus: order.paymentStatus });
+    }
+    if (changes.rider) {
+      bus.emit(topic, 'rider', { ...base, rider: toPublicRider(order.rider) });
+    }
+    if (changes.adjustment) {
+      const adjustments = order.adjustments || [];
+      bus.emit(topic, 'adjustment', {
+        ...base,
+        totalAmount: order.totalAmount,
+        adjustment: adjustments[adjustments.length - 1] || null,
+      });
+    }
+  } catch (e) {
+    // A broken stream must never fail the save that triggered it.
+    logger.error(`order events: publish failed for ${section} order ${order.orderId}`, e);
+  }
+}
+
+/** listener(event, data) for one order's changes. Returns an unsubscribe fn. */
+function subscribeToOrder(section, orderId, listener) {
+  const topic = orderTopic(section, String(orderId));
+  bus.on(topic, listener);
+  return () => bus.off(topic, listener);
+}
+
+/** listener(summary) for every new order, both sections. Returns an unsubscribe fn. */
+function subscribeToNewOrders(listener) {
+  bus.on(NEW_ORDER, listener);
+  return () => bus.off(NEW_ORDER, listener);
+}
+
+module.exports = {
+  summarizeOrder,
+  publishOrderChanges,
+  subscribeToOrder,
+  subscribeToNewOrders,
+};
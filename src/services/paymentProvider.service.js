@@ -0,0 +1,134 @@
+/**
+ * Payment Provider
+ * One interface over the payment gateway, selected with PAYMENT_PROVIDER:
+ *
+ *   razorpay (default) — the real gateway, needs RAZORPAY_KEY_ID / _SECRET
+ *   mock               — deterministic local gateway for e2e runs and the
+ *                        seed-e2e accounts; never allowed in production
+ *
+ * Every provider implements:
+ *   name
+ *   isConfigured()                                   -> boolean
+ *   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency, receipt }
+ *   verifySignature({ orderId, paymentId, signature }) -> boolean
+ *   refund(paymentId, { amount, receipt })          -> { id, status }
+ *   fetchPayment(paymentId)                          -> { id, orderId, amount, status }
+ * Amounts are in paise, as Razorpay expects.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/env');
+const logger = require('../config/logger');
+
+const hmac = (secret, text) => crypto.createHmac('sha256', secret).update(text).digest('hex');
+
+const safeEqual = (a, b) => {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+/**
+ * Razorpay
+ */
+function createRazorpayProvider({ keyId, keySecret }) {
+  let client;
+  const razorpay = () => {
+    if (!keyId || !keySecret) throw new Error('Razorpay not configured');
+    if (!client) {
+      const Razorpay = require('razorpay');
+      client = new Razorpay({ key_id: keyId, key_secret: keySecret });
+    }
+    return client;
+  };
+
+  return {
+    name: 'razorpay',
+    isConfigured: () => !!(keyId && keySecret),
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+      const order = await razorpay().orders.create({ amount, currency, receipt, notes });
+      return { id: order.id, amount: order.amount, currency: order.currency, receipt: order.receipt };
+    },
+    // Checkout signs "<order_id>|<payment_id>" with the key secret.
+    verifySignature: ({ orderId, paymentId, signature }) =>
+      !!keySecret && safeEqual(hmac(keySecret, `${orderId}|${paymentId}`), signature),
+    async refund(paymentId, { amount, receipt }) {
+      const r = await razorpay().payments.refund(paymentId, { amount, receipt });
+      return { id: r.id, status: r.status };
+    },
+    async fetchPayment(paymentId) {
+      const p = await razorpay().payments.fetch(paymentId);
+      return { id: p.id, orderId: p.order_id, amount: p.amount, status: p.status };
+    },
+  };
+}
+
+/**
+ * Mock gateway. Ids are derived from their inputs, so the same checkout
+ * always gets the same order / payment / refund ids. Payments are "made"
+ * with pay(), which stands in for the Razorpay checkout widget. State lives
+ * in memory for the life of the process.
+ */
+const MOCK_SECRET = 'mock_payment_secret';
+
+function createMockProvider() {
+  const digest = (...parts) => hmac(MOCK_SECRET, parts.join('|')).slice(0, 14);
+  const orders = new Map();
+  const payments = new Map();
+
+  return {
+    name: 'mock',
+    isConfigured: () => true,
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+      const id = `order_mock_${digest(receipt, amount)}`;
+      orders.set(id, { id, amount, currency, receipt, notes });
+      return { id, amount, currency, receipt };
+    },
+    /** Capture the full order amount — what the customer does in the checkout widget. */
+    pay(orderId) {
+      const order = orders.get(orderId);
+      if (!order) throw new Error(`Unknown mock order ${orderId}`);
+      const id = `pay_mock_${digest(orderId)}`;
+      if (!payments.has(id)) payments.set(id, { id, orderId, amount: order.amount, refunded: 0, status: 'captured' });
+      return { orderId, paymentId: id, signature: hmac(MOCK_SECRET, `${orderId}|${id}`) };
+    },
+    verifySignature: ({ orderId, paymentId, signature }) =>
+      safeEqual(hmac(MOCK_SECRET, `${orderId}|${paymentId}`), signature),
+    async refund(paymentId, { amount, receipt }) {
+      const payment = payments.get(paymentId);
+      if (!payment) throw new Error(`Unknown mock payment ${paymentId}`);
+      // Like Razorpay, never refund more than was captured.
+      if (payment.refunded + amount > payment.amount) {
+        throw new Error('The total refund amount is greater than the payment amount');
+      }
+      payment.refunded += amount;
+      payment.status = payment.refunded === payment.amount ? 'refunded' : 'captured';
+      return { id: `rfnd_mock_${digest(paymentId, receipt, payment.refunded)}`, status: 'processed' };
+    },
+    async fetchPayment(paymentId) {
+      const payment = payments.get(paymentId);
+      if (!payment) throw new Error(`Unknown mock payment ${paymentId}`);
+      return { id: payment.id, orderId: payment.orderId, amount: payment.amount, status: payment.status };
+    },
+  };
+}
+
+function createProvider(name = config.paymentProvider) {
+  if (name === 'mock') return createMockProvider();
+  if (name === 'razorpay') {
+    return createRazorpayProvider({ keyId: config.razorpayKeyId, keySecret: config.razorpayKeySecret });
+  }
+  throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+}
+
+const provider = createProvider();
+if (provider.name === 'mock') {
+  logger.warn('⚠️ Using the mock payment provider. No real payments will be taken.');
+} else if (!provider.isConfigured()) {
+  logger.warn('⚠️ Razorpay keys not configured. Payment integration will not work.');
+}
+
+module.exports = {
+  paymentProvider: provider,
+  createProvider,
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const Order = require('../models/Order.model');
+const GroceryOrder = require('../models/GroceryOrder.model');
+const { PaymentCheckout, CHECKOUT_STATUS } = require('../models/PaymentCheckout.model');
+const refundService = require('./refund.service');
+const logger = require('../config/logger');
+
+const ORDER_MODELS = { food: Order, grocery: GroceryOrder };
+
+/** Razorpay signs the raw request body with the webhook secret (HMAC-SHA256, hex). */
+function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!rawBody || !signature || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/** The order a Razorpay order / payment already backs, in either section. */
+async function findPaidOrder(razorpayOrderId, razorpayPaymentId) {
+  for (const [section, model] of Object.entries(ORDER_MODELS)) {
+    const order = await model.findOne({
+      $or: [
+        { 'paymentDetails.razorpayPaymentId': razorpayPaymentId },
+        { 'paymentDetails.razorpayOrderId': razorpayOrderId },
+      ],
+    });
+    if (order) return { section, order };
+  }
+  return null;
+}
+
+/**
+ * payment.captured / order.paid. Usually the app has already verified the
+ * payment and the order exists; otherwise the order is created here from the
+ * checkout's saved cart through the same settle path verify uses.
+ */
+async function onPaymentCaptured(payment, settlers) {
+  const razorpayOrderId = payment?.order_id;
+  if (!razorpayOrderId) return { result: 'ignored' };
+  const checkout = await PaymentCheckout.findOne({ razorpayOrderId });
+
+  const existing = await findPaidOrder(razorpayOrderId, payment.id);
+  if (existing) {
+    const { order } = existing;
+    if (order.paymentStatus === 'PENDING' || order.paymentStatus === 'FAILED') {
+      order.paymentStatus = 'COMPLETED';
+      await order.save();
+    }
+    if (checkout && checkout.status !== CHECKOUT_STATUS.PAID) {
+      Object.assign(checkout, { status: CHECKOUT_STATUS.PAID, order: order._id, razorpayPaymentId: payment.id });
+      await checkout.save();
+    }
+    return { result: 'existing', orderId: order.orderId };
+  }
+
+  if (!checkout) {
+    logger.warn(`payment webhook: no checkout for captured payment ${payment.id} (order ${razorpayOrderId})`);
+    return { result: 'unknown-order' };
+  }
+  // Settled already: verify created the order or refunded the payment —
+  // never turn it into an order afterwards. A FAILED checkout is still open,
+  // since the customer can pay again on the same Razorpay order.
+  if (checkout.status !== CHECKOUT_STATUS.CREATED && checkout.status !== CHECKOUT_STATUS.FAILED) {
+    return { result: checkout.status.toLowerCase() };
+  }
+
+  // The settle path records the outcome on the checkout.
+  const { body } = await settlers[checkout.section](checkout.user, {
+    razorpay_order_id: razorpayOrderId,
+    razorpay_payment_id: payment.id,
+    orderData: checkout.orderData,
+  });
+  if (body.success) {
+    logger.info(`payment webhook: created ${checkout.section} order ${body.data?.orderId} for payment ${payment.id}`);
+  }
+  return { result: body.success ? 'created' : 'rejected', orderId: body.data?.orderId };
+}
+
+async function onPaymentFailed(payment) {
+  const checkout = payment?.order_id ? await PaymentCheckout.findOne({ razorpayOrderId: payment.order_id }) : null;
+  if (!checkout || checkout.status !== CHECKOUT_STATUS.CREATED) return { result: 'ignored' };
+  checkout.status = CHECKOUT_STATUS.FAILED;
+  checkout.razorpayPaymentId = payment.id;
+  checkout.failureReason = String(payment.error_description || payment.error_code || '').slice(0, 300) || null;
+  await checkout.save();
+  return { result: 'failed' };
+}
+
+async function onRefundProcessed(refund) {
+  if (!refund?.id) return { result: 'ignored' };
+  const entry = await refundService.confirmGatewayRefund({ gatewayRefundId: refund.id, receipt: refund.receipt });
+  if (!entry) logger.info(`payment webhook: refund ${refund.id} for ${refund.payment_id} was not issued through the ledger`);
+  return { result: entry ? 'confirmed' : 'unknown-refund' };
+}
+
+/**
+ * Dispatch a verified Razorpay webhook. `settlers` maps a section to its
+ * settlePayment(userId, payment) — the payment controllers' verify path.
+ * Every handler is safe to run more than once for the same event.
+ */
+async function handleWebhookEvent(event, settlers) {
+  const entities = event?.payload || {};
+  switch (event?.event) {
+    case 'payment.captured':
+    case 'order.paid':
+      return onPaymentCaptured(entities.payment?.entity, settlers);
+    case 'payment.failed':
+      return onPaymentFailed(entities.payment?.entity);
+    case 'refund.processed':
+      return onRefundProcessed(entities.refund?.entity);
+    default:
+      return { result: 'ignored' };
+  }
+}
+
+module.exports = {
+  verifyWebhookSignature,
+  handleWebhookEvent,
+};
@@ -0,0 +1,301 @@
+const Order = require('../models/Order.model');
+const GroceryOrder = require('../models/GroceryOrder.model');
+const { Refund, REFUND_TYPES } = require('../models/Refund.model');
+const { PaymentCheckout } = require('../models/PaymentCheckout.model');
+const { WalletTransaction, TRANSACTION_TYPES, TRANSACTION_REASONS } = require('../models/WalletTransaction.model');
+const { parseCsvRows, headerKey, parseCsv, toCsv } = require('../utils/csv');
+const { istDateTime } = require('../utils/categoryWindow');
+
+const ORDER_MODELS = { food: Order, grocery: GroceryOrder };
+const SECTIONS = Object.keys(ORDER_MODELS);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 31;
+/** Rupee differences below this are rounding, not a mismatch. */
+const TOLERANCE = 0.01;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const ISSUE_TYPES = {
+  PAID_NOT_CREATED: 'PAID_NOT_CREATED',
+  CREATED_UNPAID: 'CREATED_UNPAID',
+  AMOUNT_MISMATCH: 'AMOUNT_MISMATCH',
+  REFUND_NOT_REFLECTED: 'REFUND_NOT_REFLECTED',
+  WALLET_MISMATCH: 'WALLET_MISMATCH',
+};
+
+const REPORT_COLUMNS = ['type', 'section', 'orderId', 'userId', 'razorpayPaymentId', 'expected', 'actual', 'detail'];
+
+class ReconciliationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+    this.name = 'ReconciliationError';
+  }
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const amount = (v) => {
+  const n = parseFloat(String(v ?? '').replace(/[₹,\s]/g, ''));
+  return Number.isFinite(n) ? n : 0;
+};
+
+/**
+ * Read a Razorpay settlement (reconciliation) export. Rows are keyed by
+ * `type`: payment rows carry entity_id (pay_…), order_id, amount, fee and
+ * tax; refund rows carry entity_id (rfnd_…), payment_id and amount. Amounts
+ * are in rupees, as in the dashboard export.
+ */
+function parseSettlement(text) {
+  const header = (parseCsvRows(text)[0] || []).map(headerKey);
+  if (!header.includes('entity_id') || !header.includes('amount')) {
+    throw new ReconciliationError('Not a settlement export: entity_id and amount columns are required');
+  }
+  const rows = parseCsv(text);
+
+  const payments = new Map();
+  const refunds = [];
+  for (const r of rows) {
+    const type = (r.type || 'payment').toLowerCase();
+    if (type === 'payment' && r.entity_id) {
+      payments.set(r.entity_id, {
+        paymentId: r.entity_id,
+        razorpayOrderId: r.order_id || null,
+        amount: amount(r.amount),
+        fee: amount(r.fee),
+        tax: amount(r.tax),
+      });
+    } else if (type === 'refund' && r.payment_id) {
+      refunds.push({ refundId: r.entity_id, paymentId: r.payment_id, amount: amount(r.amount) });
+    }
+  }
+  return { payments, refunds };
+}
+
+/** [start, end) of an inclusive IST date range. Throws ReconciliationError. */
+function dateRange(from, to) {
+  if (!DATE_RE.test(from || '') || !DATE_RE.test(to || '')) {
+    throw new ReconciliationError('from and to must be dates (YYYY-MM-DD)');
+  }
+  const start = istDateTime(from, '00:00');
+  const end = new Date(istDateTime(to, '00:00').getTime() + DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new ReconciliationError('from and to must be dates (YYYY-MM-DD)');
+  }
+  if (end <= start) throw new ReconciliationError('from must not be after to');
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw new ReconciliationError(`Reconcile at most ${MAX_RANGE_DAYS} days at a time`);
+  }
+  return { start, end };
+}
+
+/** Adjustment refunds per order id and method — what an order paid before it was reduced. */
+async function adjustmentRefunds(orderIds) {
+  const byOrder = new Map();
+  if (!orderIds.length) return byOrder;
+  const refunds = await Refund.find({ type: REFUND_TYPES.ADJUSTMENT, order: { $in: orderIds } })
+    .select('order method amount')
+    .lean();
+  for (const r of refunds) {
+    const key = r.order.toString();
+    const sums = byOrder.get(key) || { RAZORPAY: 0, WALLET: 0 };
+    sums[r.method] = round2(sums[r.method] + r.amount);
+    byOrder.set(key, sums);
+  }
+  return byOrder;
+}
+
+/**
+ * Wallet debits for orders against the orders that used them, per user.
+ * Debits are not linked to orders, so a user's ORDER_PAYMENT debits in the
+ * range, less refunds that undid a failed or duplicate checkout (credits not
+ * issued through the refund ledger), should equal the wallet part the
+ * user's orders were created with.
+ */
+async function walletIssues(section, orders, adjustments, { start, end }) {
+  const txSection = section === 'food' ? { $in: [null, 'food'] } : section;
+  const inRange = { createdAt: { $gte: start, $lt: end }, section: txSection };
+  const [debits, credits] = await Promise.all([
+    WalletTransaction.find({ ...inRange, type: TRANSACTION_TYPES.DEBIT, reason: TRANSACTION_REASONS.ORDER_PAYMENT })
+      .select('user amount').lean(),
+    WalletTransaction.find({ ...inRange, type: TRANSACTION_TYPES.CREDIT, reason: TRANSACTION_REASONS.ORDER_REFUND })
+      .select('user amount').lean(),
+  ]);
+  const ledgerIds = credits.length
+    ? new Set((await Refund.find({ method: 'WALLET', gatewayRefundId: { $in: credits.map(c => c._id.toString()) } })
+      .select('gatewayRefundId').lean()).map(r => r.gatewayRefundId))
+    : new Set();
+
+  const actual = new Map();
+  const add = (map, user, n) => map.set(user.toString(), round2((map.get(user.toString()) || 0) + n));
+  for (const d of debits) add(actual, d.user, d.amount);
+  for (const c of credits) if (!ledgerIds.has(c._id.toString())) add(actual, c.user, -c.amount);
+
+  const expected = new Map();
+  for (const o of orders) {
+    const used = (o.walletUsed || 0) + (adjustments.get(o._id.toString())?.WALLET || 0);
+    if (used > 0) add(expected, o.user, used);
+  }
+
+  const issues = [];
+  for (const userId of new Set([...actual.keys(), ...expected.keys()])) {
+    const want = expected.get(userId) || 0;
+    const got = actual.get(userId) || 0;
+    if (Math.abs(want - got) > TOLERANCE) {
+      issues.push({
+        type: ISSUE_TYPES.WALLET_MISMATCH,
+        section,
+        userId,
+        expected: want,
+        actual: got,
+        detail: 'Net wallet debits for orders differ from the wallet amount on the user\'s orders',
+      });
+    }
+  }
+  return issues;
+}
+
+/** Section a payment without an order was started in, from its checkout. */
+async function checkoutSections(payments) {
+  const sections = new Map();
+  if (!payments.length) return sections;
+  const checkouts = await PaymentCheckout.find({
+    $or: [
+      { razorpayPaymentId: { $in: payments.map(p => p.paymentId) } },
+      { razorpayOrderId: { $in: payments.map(p => p.razorpayOrderId).filter(Boolean) } },
+    ],
+  }).select('section razorpayOrderId razorpayPaymentId').lean();
+  for (const c of checkouts) {
+    if (c.razorpayPaymentId) sections.set(c.razorpayPaymentId, c.section);
+    if (c.razorpayOrderId) sections.set(c.razorpayOrderId, c.section);
+  }
+  return sections;
+}
+
+/**
+ * Compare orders and wallet debits created between `from` and `to` (IST
+ * dates, inclusive) with a parsed settlement export, limited to `sections`.
+ * Orders outside the range are also checked when the export settles their
+ * payment. Settlements lag payments by a few days, so CREATED_UNPAID near
+ * the end of the range usually means the export is older than the order.
+ */
+async function reconcile({ from, to, sections = SECTIONS, settlement }) {
+  const range = dateRange(from, to);
+  const { payments, refunds } = settlement;
+
+  const refundedByPayment = new Map();
+  for (const r of refunds) refundedByPayment.set(r.paymentId, round2((refundedByPayment.get(r.paymentId) || 0) + r.amount));
+  const paymentIds = [...new Set([...payments.keys(), ...refundedByPayment.keys()])];
+
+  const issues = [];
+  const matched = new Set();
+  let razorpayOrders = 0;
+
+  for (const section of sections) {
+    const model = ORDER_MODELS[section];
+    const orders = await model.find({
+      $or: [
+        { createdAt: { $gte: range.start, $lt: range.end } },
+        { 'paymentDetails.razorpayPaymentId': { $in: paymentIds } },
+      ],
+    }).select('orderId user totalAmount walletUsed paymentMethod paymentStatus paymentDetails createdAt').lean();
+    const adjustments = await adjustmentRefunds(orders.map(o => o._id));
+    const inRange = orders.filter(o => o.createdAt >= range.start && o.createdAt < range.end);
+
+    for (const o of orders) {
+      if (o.paymentMethod !== 'RAZORPAY') continue;
+      const paymentId = o.paymentDetails?.razorpayPaymentId || null;
+      const base = { section, orderId: o.orderId, userId: o.user?.toString(), razorpayPaymentId: paymentId };
+      const adj = adjustments.get(o._id.toString()) || { RAZORPAY: 0, WALLET: 0 };
+      const expected = round2(o.totalAmount - (o.walletUsed || 0) + adj.RAZORPAY);
+      const payment = paymentId ? payments.get(paymentId) : null;
+      if (paymentId) matched.add(paymentId);
+      const isInRange = o.createdAt >= range.start && o.createdAt < range.end;
+      if (isInRange) razorpayOrders += 1;
+
+      if (!payment) {
+        if (isInRange && !refundedByPayment.has(paymentId)) {
+          issues.push({
+            ...base,
+            type: ISSUE_TYPES.CREATED_UNPAID,
+            expected,
+            actual: 0,
+            detail: `Payment is ${o.paymentStatus} but not in the settlement`,
+          });
+        }
+      } else if (Math.abs(payment.amount - expected) > TOLERANCE) {
+        issues.push({
+          ...base,
+          type: ISSUE_TYPES.AMOUNT_MISMATCH,
+          expected,
+          actual: payment.amount,
+          detail: 'Captured amount differs from the order total less wallet',
+        });
+      }
+
+      const refunded = refundedByPayment.get(paymentId) || 0;
+      const captured = payment ? payment.amount : expected;
+      if (refunded > 0 && refunded >= captured - TOLERANCE && o.paymentStatus !== 'REFUNDED') {
+        issues.push({
+          ...base,
+          type: ISSUE_TYPES.REFUND_NOT_REFLECTED,
+          expected: 'REFUNDED',
+          actual: o.paymentStatus,
+          detail: `₹${refunded} refunded by Razorpay`,
+        });
+      }
+    }
+
+    issues.push(...await walletIssues(section, inRange, adjustments, range));
+  }
+
+  // Money captured with no order behind it and not refunded in full.
+  const orphans = [...payments.values()].filter(p =>
+    !matched.has(p.paymentId) && (refundedByPayment.get(p.paymentId) || 0) < p.amount - TOLERANCE);
+  const origin = await checkoutSections(orphans);
+  for (const p of orphans) {
+    const section = origin.get(p.paymentId) || origin.get(p.razorpayOrderId) || null;
+    // A payment we can't place belongs to nobody in particular — only show it to admins of every section.
+    if (section ? !sections.includes(section) : sections.length < SECTIONS.length) continue;
+    const refunded = refundedByPayment.get(p.paymentId) || 0;
+    issues.push({
+      type: ISSUE_TYPES.PAID_NOT_CREATED,
+      section,
+      orderId: null,
+      userId: null,
+      razorpayPaymentId: p.paymentId,
+      expected: 0,
+      actual: round2(p.amount - refunded),
+      detail: `Razorpay order ${p.razorpayOrderId || '-'}${refunded ? `, ₹${refunded} refunded` : ''}`,
+    });
+  }
+
+  const all = [...payments.values()];
+  const issueCounts = Object.fromEntries(Object.keys(ISSUE_TYPES).map(t => [t, 0]));
+  for (const i of issues) issueCounts[i.type] += 1;
+
+  return {
+    range: { from, to, start: range.start, end: range.end, sections },
+    totals: {
+      settlementPayments: all.length,
+      settlementAmount: round2(all.reduce((s, p) => s + p.amount, 0)),
+      settlementFees: round2(all.reduce((s, p) => s + p.fee + p.tax, 0)),
+      settlementRefunds: refunds.length,
+      settlementRefundAmount: round2(refunds.reduce((s, r) => s + r.amount, 0)),
+      razorpayOrders,
+      issues: issueCounts,
+    },
+    issues,
+  };
+}
+
+/** The report's issues as CSV, one row per issue. */
+function reportToCsv(report) {
+  return toCsv(report.issues, REPORT_COLUMNS);
+}
+
+module.exports = {
+  ReconciliationError,
+  ISSUE_TYPES,
+  parseSettlement,
+  reconcile,
+  reportToCsv,
+};
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const { Refund, REFUND_STATUS, REFUND_TYPES } = require('../models/Refund.model');
+const GroceryOrder = require('../models/GroceryOrder.model');
+const walletService = require('./wallet.service');
+const { paymentProvider } = require('./paymentProvider.service');
+const logger = require('../config/logger');
+
+/** Automatic attempts before a refund needs an admin. */
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 5 * 60 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+/** A PENDING refund untouched this long lost its attempt (the process died) and may be claimed again. */
+const PENDING_LEASE_MS = 15 * 60 * 1000;
+
+class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+    this.name = 'RefundError';
+  }
+}
+
+/** When to try again after `attempts` failures: 5 min, 10, 20 … capped at 6 h. */
+function nextAttemptAt(attempts, now = new Date()) {
+  if (attempts >= MAX_ATTEMPTS) return null;
+  const delay = Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+  return new Date(now.getTime() + delay);
+}
+
+async function sendToGateway(refund) {
+  if (refund.method === 'WALLET') {
+    const result = await walletService.refundToWallet(
+      refund.user,
+      refund.amount,
+      refund.order,
+      refund.reason || `Refund for order #${refund.orderId}`,
+      { section: refund.section }
+    );
+    return result.transaction?._id?.toString() || null;
+  }
+  const r = await paymentProvider.refund(refund.razorpayPaymentId, {
+    amount: Math.round(refund.amount * 100),
+    receipt: refund._id.toString(),
+  });
+  return r.id;
+}
+
+/**
+ * Try a PENDING / FAILED refund once and record the outcome. Never throws
+ * for a gateway failure — the refund is left FAILED with the next attempt
+ * scheduled (or none, once MAX_ATTEMPTS is reached).
+ */
+async function attemptRefund(refund, now = new Date()) {
+  refund.attempts += 1;
+  try {
+    refund.gatewayRefundId = await sendToGateway(refund);
+    refund.status = REFUND_STATUS.PROCESSED;
+    refund.processedAt = now;
+    refund.lastError = null;
+    refund.nextAttemptAt = null;
+    logger.info(`↩️ ${refund.method} refund ${refund.gatewayRefundId} of ₹${refund.amount} for ${refund.section} ${refund.orderId || refund.razorpayPaymentId}`);
+  } catch (e) {
+    refund.status = REFUND_STATUS.FAILED;
+    refund.lastError = String(e?.error?.description || e?.message || e).slice(0, 300);
+    refund.nextAttemptAt = nextAttemptAt(refund.attempts, now);
+    logger.error(`CRITICAL: ${refund.method} refund ${refund._id} of ₹${refund.amount} failed (attempt ${refund.attempts}) for ${refund.section} ${refund.orderId || refund.razorpayPaymentId}`, e);
+  }
+  await refund.save();
+  if (refund.status === REFUND_STATUS.PROCESSED) await afterProcessed(refund);
+  return refund;
+}
+
+/**
+ * A grocery cancellation is fully refunded once its gateway refund lands.
+ * Saved through the document so order streams get the payment event.
+ */
+async function afterProcessed(refund) {
+  if (refund.type === REFUND_TYPES.CANCELLATION && refund.method === 'RAZORPAY'
+      && refund.section === 'grocery' && refund.order) {
+    const order = await GroceryOrder.findById(refund.order);
+    if (order && order.paymentStatus !== 'REFUNDED') {
+      order.paymentStatus = 'REFUNDED';
+      await order.save();
+    }
+  }
+}
+
+/**
+ * Razorpay reported a refund as processed (webhook). Matches the ledger by
+ * gateway refund id, or by our id sent as the refund `receipt` — which also
+ * catches a refund that went through although our call to issue it failed.
+ * Returns the refund, or null when it wasn't issued through the ledger.
+ */
+async function confirmGatewayRefund({ gatewayRefundId, receipt = null }) {
+  const or = [{ gatewayRefundId }];
+  if (receipt && mongoose.isValidObjectId(receipt)) or.push({ _id: receipt });
+  const refund = await Refund.findOne({ method: 'RAZORPAY', $or: or });
+  if (!refund) return null;
+  if (refund.status === REFUND_STATUS.PROCESSED || refund.status === REFUND_STATUS.SETTLED_OFFLINE) return refund;
+
+  refund.status = REFUND_STATUS.PROCESSED;
+  refund.gatewayRefundId = gatewayRefundId;
+  refund.processedAt = new Date();
+  refund.lastError = null;
+  refund.nextAttemptAt = null;
+  await refund.save();
+  await afterProcessed(refund);
+  logger.info(`refund ${refund._id} confirmed by Razorpay (${gatewayRefundId})`);
+  return refund;
+}
+
+/**
+ * Record a refund owed to a customer, PENDING, without trying it. For
+ * callers that must link the refund to a document before sending it;
+ * attemptRefund sends it (and the retry worker does, if that never happens).
+ */
+function recordRefund({ section, type, order = null, user = null, amount, method = 'RAZORPAY', razorpayPaymentId = null, reason = '' }) {
+  return Refund.create({
+    section,
+    type,
+    order: order?._id || null,
+    orderId: order?.orderId || null,
+    user: user || order?.user?._id || order?.user || null,
+    amount: Math.round(amount * 100) / 100,
+    method,
+    razorpayPaymentId,
+    reason: String(reason).slice(0, 300),
+  });
+}
+
+/**
+ * Record a refund owed to a customer and try it straight away.
+ * `order` (a document) is optional for PAYMENT_REJECTED refunds. Returns
+ * the Refund; check `status` for whether it went through.
+ */
+async function issueRefund(params) {
+  return attemptRefund(await recordRefund(params));
+}
+
+/** Drop recorded refunds that were never attempted — the change they paid for was not saved. */
+async function discardRefunds(refunds) {
+  if (!refunds.length) return;
+  await Refund.deleteMany({ _id: { $in: refunds.map(r => r._id) }, status: REFUND_STATUS.PENDING, attempts: 0 });
+}
+
+/**
+ * Claim a refund by (re)setting it PENDING, which also renews its lease
+ * (updatedAt), so two workers (or a worker and an admin's retry) never send
+ * the same refund twice. Claimable are FAILED refunds matching `failed`,
+ * and PENDING ones whose lease ran out — created or claimed by a process
+ * that died before recording the attempt. If such an attempt did reach
+ * Razorpay, its refund.processed webhook matches it by receipt first.
+ */
+function claim(filter, failed = {}, now = new Date()) {
+  return Refund.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: REFUND_STATUS.FAILED, ...failed },
+        { status: REFUND_STATUS.PENDING, updatedAt: { $lte: new Date(now.getTime() - PENDING_LEASE_MS) } },
+      ],
+    },
+    { $set: { status: REFUND_STATUS.PENDING } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+/**
+ * Retry FAILED refunds whose backoff has elapsed, and PENDING ones whose
+ * attempt was lost, up to `limit`. Used by the retry script.
+ */
+async function retryDueRefunds(now = new Date(), limit = 100) {
+  let attempted = 0;
+  let processed = 0;
+  while (attempted < limit) {
+    const refund = await claim({}, { nextAttemptAt: { $ne: null, $lte: now } }, now);
+    if (!refund) break;
+    attempted += 1;
+    await attemptRefund(refund, now);
+    if (refund.status === REFUND_STATUS.PROCESSED) processed += 1;
+  }
+  return { attempted, processed };
+}
+
+async function findRefund(id) {
+  const refund = mongoose.isValidObjectId(id) ? await Refund.findById(id) : null;
+  if (!refund) throw new RefundError('Refund not found', 404);
+  return refund;
+}
+
+/**
+ * Admin "retry now" — also for refunds that ran out of automatic attempts,
+ * and for PENDING ones whose attempt was lost.
+ */
+async function retryRefund(refund) {
+  const claimed = await claim({ _id: refund._id });
+  if (!claimed) {
+    throw new RefundError(refund.status === REFUND_STATUS.PENDING
+      ? 'This refund is being attempted — retry it later if it stays pending'
+      : `Only failed or stuck pending refunds can be retried (this one is ${refund.status})`, 409);
+  }
+  return attemptRefund(claimed);
+}
+
+/** The customer was paid back outside the system (bank transfer, cash). */
+async function settleOffline(refund, adminId, note = '') {
+  if (![REFUND_STATUS.PENDING, REFUND_STATUS.FAILED].includes(refund.status)) {
+    throw new RefundError(`Refund is already ${refund.status}`, 409);
+  }
+  refund.status = REFUND_STATUS.SETTLED_OFFLINE;
+  refund.settledBy = adminId;
+  refund.settledNote = String(note).trim().slice(0, 300);
+  refund.nextAttemptAt = null;
+  refund.processedAt = new Date();
+  await refund.save();
+  logger.info(`refund ${refund._id} settled offline by ${adminId}`);
+  return refund;
+}
+
+/** Admin list, newest first. `sections` limits it to what the admin manages. */
+async function listRefunds({ sections, status, page = 1, limit = 20 }) {
+  const q = { section: { $in: sections } };
+  if (status) q.status = status;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [refunds, total] = await Promise.all([
+    Refund.find(q).populate('user', 'phone name').sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)).lean(),
+    Refund.countDocuments(q),
+  ]);
+  return {
+    data: refunds.map(r => ({ ...r, id: r._id.toString() })),
+    pagination: { total, page: parseInt(page), limit: parseInt(limit), pages: Math.ceil(total / limit) },
+  };
+}
+
+/** Refunds shown on an order's detail page (no gateway errors or retry state). */
+async function listForOrder(section, orderObjectId) {
+  return Refund.find({ section, order: orderObjectId })
+    .select('type amount method status gatewayRefundId processedAt createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+}
+
+module.exports = {
+  RefundError,
+  MAX_ATTEMPTS,
+  PENDING_LEASE_MS,
+  nextAttemptAt,
+  attemptRefund,
+  recordRefund,
+  discardRefunds,
+  issueRefund,
+  retryDueRefunds,
+  confirmGatewayRefund,
+  findRefund,
+  retryRefund,
+  settleOffline,
+  listRefunds,
+  listForOrder,
+};
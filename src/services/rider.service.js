@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const { Rider } = require('../models/Rider.model');
+const User = require('../models/User.model');
+const Order = require('../models/Order.model');
+const GroceryOrder = require('../models/GroceryOrder.model');
+const logger = require('../config/logger');
+const { ROLES, ORDER_STATUS, ORDER_TYPES } = require('../utils/constants');
+const { isValidPoint } = require('../utils/geo');
+const { confirmHandoff } = require('./handoff.service');
+const { recordCollection } = require('./cashCollection.service');
+const { validateStatusTransition } = require('../utils/orderStatusValidator');
+const {
+  GROCERY_ORDER_STATUS,
+  validateGroceryStatusTransition,
+} = require('../utils/groceryOrderStatusValidator');
+
+class RiderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+    this.name = 'RiderError';
+  }
+}
+
+/**
+ * Per-section delivery flow. `assignable` are the statuses an order can be
+ * handed to a rider in; pick-up moves it to `out`, hand-over to `delivered`.
+ */
+const SECTIONS = {
+  food: {
+    model: Order,
+    assignable: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.PREPARING, ORDER_STATUS.READY],
+    out: ORDER_STATUS.OUT_FOR_DELIVERY,
+    delivered: ORDER_STATUS.COMPLETED,
+    canMove: (order, to) => validateStatusTransition(order.status, to),
+  },
+  grocery: {
+    model: GroceryOrder,
+    assignable: [GROCERY_ORDER_STATUS.RECEIVED, GROCERY_ORDER_STATUS.PACKED],
+    out: GROCERY_ORDER_STATUS.OUT_FOR_DELIVERY,
+    delivered: GROCERY_ORDER_STATUS.DELIVERED,
+    canMove: (order, to) => validateGroceryStatusTransition(order.status, to, order.orderType),
+  },
+};
+
+const RIDER_SECTIONS = Object.keys(SECTIONS);
+
+const activeStatuses = (section) => [...SECTIONS[section].assignable, SECTIONS[section].out];
+
+function sectionOf(section) {
+  const def = SECTIONS[section];
+  if (!def) throw new RiderError(`section must be one of: ${RIDER_SECTIONS.join(', ')}`);
+  return def;
+}
+
+async function findOrder(section, id) {
+  const { model } = sectionOf(section);
+  const query = mongoose.isValidObjectId(id) ? { _id: id } : { orderId: id };
+  const order = await model.findOne(query);
+  if (!order) throw new RiderError('Order not found', 404);
+  return order;
+}
+
+/**
+ * Save an order only if its status hasn't moved since it was read, so a
+ * rider action can't race an admin status change.
+ */
+async function saveGuarded(order, fromStatus) {
+  order.$where = { status: fromStatus };
+  try {
+    await order.save();
+  } catch (e) {
+    if (e.name === 'DocumentNotFoundError') {
+      throw new RiderError('Order was updated meanwhile — refresh and try again', 409);
+    }
+    throw e;
+  }
+}
+
+/**
+ * Make a user a rider (creating the user if the phone is new). Staff
+ * accounts can't be turned into riders.
+ */
+async function createRider({ phone, name, vehicleNumber = '' }, adminId) {
+  if (!phone || !name) throw new RiderError('phone and name are required');
+  let user = await User.findOne({ phone });
+  if (user && ![ROLES.USER, ROLES.RIDER].includes(user.role)) {
+    throw new RiderError('Staff accounts cannot be riders', 409);
+  }
+  if (!user) user = await User.create({ phone, name, role: ROLES.RIDER });
+  if (await Rider.exists({ user: user._id })) throw new RiderError('This user is already a rider', 409);
+
+  user.role = ROLES.RIDER;
+  user.isActive = true;
+  await user.save();
+  const rider = await Rider.create({ user: user._id, name, phone, vehicleNumber, updatedBy: adminId });
+  logger.info(`rider: ${rider._id} created for user ${user._id} by ${adminId}`);
+  return rider;
+}
+
+/** Riders with how many orders each is carrying right now. */
+async function listRiders({ availableOnly = false } = {}) {
+  const q = availableOnly ? { isActive: true, isAvailable: true } : {};
+  const riders = await Rider.find(q).sort({ isAvailable: -1, name: 1 }).lean();
+  const counts = await Promise.all(RIDER_SECTIONS.map(section =>
+    SECTIONS[section].model.aggregate([
+      { $match: { 'rider.rider': { $in: riders.map(r => r._id) }, status: { $in: activeStatuses(section) } } },
+      { $group: { _id: '$rider.rider', n: { $sum: 1 } } },
+    ])
+  ));
+  const active = new Map();
+  for (const row of counts.flat()) active.set(String(row._id), (active.get(String(row._id)) || 0) + row.n);
+  return riders.map(r => ({ ...r, id: r._id.toString(), activeOrders: active.get(String(r._id)) || 0 }));
+}
+
+/** Rider profile for a logged-in RIDER user. */
+async function getRiderForUser(userId) {
+  const rider = await Rider.findOne({ user: userId });
+  if (!rider || !rider.isActive) throw new RiderError('Rider profile not found or disabled', 403);
+  return rider;
+}
+
+/** Hand a delivery order to a rider (or to a different rider, before pick-up). */
+async function assignOrder(section, orderId, riderId, adminId) {
+  const def = sectionOf(section);
+  const order = await findOrder(section, orderId);
+  if (order.orderType !== ORDER_TYPES.DELIVERY) throw new RiderError('Only delivery orders can be assigned a rider');
+  if (!def.assignable.includes(order.status)) {
+    throw new RiderError(`Cannot assign a rider while the order is ${order.status}`, 409);
+  }
+  const rider = mongoose.isValidObjectId(riderId) ? await Rider.findById(riderId) : null;
+  if (!rider || !rider.isActive) throw new RiderError('Rider not found', 404);
+  if (!rider.isAvailable) throw new RiderError(`${rider.name} is off shift`, 409);
+
+  order.rider = {
+    rider: rider._id,
+    name: rider.name,
+    phone: rider.phone,
+    vehicleNumber: rider.vehicleNumber,
+    assignedAt: new Date(),
+    assignedBy: adminId,
+  };
+  await saveGuarded(order, order.status);
+  logger.info(`rider: ${section} order ${order.orderId} assigned to ${rider._id} by ${adminId}`);
+  return order;
+}
+
+/** Take an order back from its rider. Not once it has been picked up. */
+async function unassignOrder(section, orderId, adminId) {
+  const order = await findOrder(section, orderId);
+  if (!order.rider?.rider) throw new RiderError('Order has no rider');
+  if (order.rider.pickedUpAt) throw new RiderError('The rider has already picked this order up', 409);
+  order.rider = null;
+  await saveGuarded(order, order.status);
+  logger.info(`rider: ${section} order ${order.orderId} unassigned by ${adminId}`);
+  return order;
+}
+
+/** Orders currently with this rider, both sections, oldest first. */
+async function listRiderOrders(rider) {
+  const lists = await Promise.all(RIDER_SECTIONS.map(async section => {
+    const orders = await SECTIONS[section].model
+      .find({ 'rider.rider': rider._id, status: { $in: activeStatuses(section) } })
+      .populate('user', 'phone name')
+      .sort({ createdAt: 1 });
+    return orders.map(o => ({ ...o.toObject(), id: o._id.toString(), section }));
+  }));
+  return lists.flat().sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+async function findRiderOrder(rider, section, orderId) {
+  const order = await findOrder(section, orderId);
+  if (String(order.rider?.rider) !== String(rider._id)) {
+    throw new RiderError('This order is not assigned to you', 403);
+  }
+  return order;
+}
+
+async function acceptOrder(rider, section, orderId) {
+  const order = await findRiderOrder(rider, section, orderId);
+  if (!SECTIONS[section].assignable.includes(order.status)) {
+    throw new RiderError(`Order is ${order.status}`, 409);
+  }
+  if (!order.rider.acceptedAt) {
+    order.rider.acceptedAt = new Date();
+    await saveGuarded(order, order.status);
+  }
+  return order;
+}
+
+/** Collected from the store: the order goes OUT_FOR_DELIVERY. */
+async function pickUpOrder(rider, section, orderId) {
+  const def = SECTIONS[section];
+  const order = await findRiderOrder(rider, section, orderId);
+  if (!order.rider.acceptedAt) throw new RiderError('Accept the order before picking it up', 409);
+  if (!def.canMove(order, def.out)) {
+    throw new RiderError(`Order is ${order.status} and can't be picked up yet`, 409);
+  }
+  const from = order.status;
+  order.status = def.out;
+  order.rider.pickedUpAt = new Date();
+  order.statusHistory.push({ status: def.out, timestamp: new Date(), updatedBy: rider.user });
+  await saveGuarded(order, from);
+  logger.info(`rider: ${rider._id} picked up ${section} order ${order.orderId}`);
+  return order;
+}
+
+/**
+ * Handed to the customer. `handoff` is { code, photoUrl } — the customer's
+ * handoff code or a delivery photo (see handoff.service). For cash orders
+ * `amountCollected` is the cash taken (defaults to the amount due).
+ */
+async function deliverOrder(rider, section, orderId, handoff = {}, { amountCollected } = {}) {
+  const def = SECTIONS[section];
+  const order = await findRiderOrder(rider, section, orderId);
+  if (!def.canMove(order, def.delivered)) {
+    throw new RiderError(`Order is ${order.status} and can't be marked delivered`, 409);
+  }
+  const proof = await confirmHandoff(section, order, def.delivered, handoff);
+  const now = new Date();
+  recordCollection(section, order, def.delivered, { amountCollected, collectedBy: rider.user, rider: rider._id }, now);
+  order.status = def.delivered;
+  order.rider.deliveredAt = now;
+  if (section === 'food') order.deliveredAt = now;
+  order.statusHistory.push({ status: def.delivered, timestamp: now, updatedBy: rider.user, ...(proof && { proof }) });
+  await saveGuarded(order, def.out);
+  logger.info(`rider: ${rider._id} delivered ${section} order ${order.orderId}`);
+  return order;
+}
+
+/**
+ * Location ping. Stored on the rider and on every order they have picked
+ * up, so customers can follow the delivery.
+ */
+async function recordLocation(rider, { latitude, longitude } = {}) {
+  const point = { latitude: Number(latitude), longitude: Number(longitude) };
+  if (!isValidPoint(point)) throw new RiderError('latitude and longitude are required');
+  const location = { ...point, at: new Date() };
+
+  rider.lastLocation = location;
+  await rider.save();
+
+  let updated = 0;
+  for (const section of RIDER_SECTIONS) {
+    const orders = await SECTIONS[section].model.find({ 'rider.rider': rider._id, status: SECTIONS[section].out });
+    for (const order of orders) {
+      order.rider.lastLocation = location;
+      await order.save();
+      updated += 1;
+    }
+  }
+  return { location, orders: updated };
+}
+
+module.exports = {
+  RiderError,
+  RIDER_SECTIONS,
+  createRider,
+  listRiders,
+  getRiderForUser,
+  assignOrder,
+  unassignOrder,
+  listRiderOrders,
+  acceptOrder,
+  pickUpOrder,
+  deliverOrder,
+  recordLocation,
+};
@@ -226,6 +226,30 @@ class WalletService {
         }
     }
 
+    /**
+     * Preview wallet usage for a checkout quote without debiting anything.
+     * Returns the user's balance, the most they could apply to this order
+     * and, if an amount was requested, whether validateWalletUsage accepts it.
+     */
+    async quoteWalletUsage(userId, requestedAmount, orderTotal, maxPercentage = 50) {
+        const balance = await this.getWalletBalance(userId);
+        const maxUsable = Math.min(balance, this.calculateMaxWalletUsage(orderTotal, maxPercentage));
+        const requested = Math.max(0, Number(requestedAmount) || 0);
+
+        let applied = 0;
+        let error = null;
+        if (requested > 0) {
+            try {
+                await this.validateWalletUsage(userId, requested, orderTotal, maxPercentage);
+                applied = requested;
+            } catch (validationError) {
+                error = validationError.message;
+            }
+        }
+
+        return { balance, maxUsable, requested, applied, error };
+    }
+
     /**
      * Refund amount to wallet (for order cancellation/refund)
      */
@@ -12,6 +12,30 @@ function getCurrentIstHHmm(now = new Date()) {
   return fmt.format(now);
 }
 
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Returns the day of week (0=Sun..6=Sat) in Asia/Kolkata.
+ */
+function getIstWeekday(now = new Date()) {
+  const day = new Intl.DateTimeFormat('en-US', { timeZone: 'Asia/Kolkata', weekday: 'short' }).format(now);
+  return WEEKDAYS.indexOf(day);
+}
+
+/**
+ * Returns the calendar date (YYYY-MM-DD) in Asia/Kolkata.
+ */
+function getIstDateString(now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(now);
+}
+
+/**
+ * The instant at which HH:mm IST occurs on an IST calendar date.
+ */
+function istDateTime(date, hhmm) {
+  return new Date(`${date}T${hhmm}:00+05:30`);
+}
+
 const HHMM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 /**
@@ -39,6 +63,9 @@ function isCategoryOrderable(category, now = new Date()) {
 
 module.exports = {
   getCurrentIstHHmm,
+  getIstWeekday,
+  getIstDateString,
+  istDateTime,
   isValidHHmm,
   isCategoryOrderable,
   HHMM_RE
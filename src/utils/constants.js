@@ -8,7 +8,8 @@ module.exports = {
     USER: 'USER',                        // existing — customer role
     RESTAURANT_ADMIN: 'RESTAURANT_ADMIN',
     GROCERY_ADMIN: 'GROCERY_ADMIN',
-    SUPER_ADMIN: 'SUPER_ADMIN'
+    SUPER_ADMIN: 'SUPER_ADMIN',
+    RIDER: 'RIDER'                       // delivery rider; see models/Rider.model.js
   },
   LEGACY_ROLES: {
     ADMIN: 'ADMIN'                       // kept solely for the migration script; DO NOT reference elsewhere
@@ -42,9 +43,16 @@ module.exports = {
   },
 
   // Tax & Fees
-  TAX_RATE: 0.05, // 5%
+  TAX_RATE: 0.05, // 5% — food items without a tax class
+  // GST slabs a menu item / grocery variant can be assigned (rate as a fraction)
+  TAX_CLASSES: {
+    GST_0: 0,
+    GST_5: 0.05,
+    GST_12: 0.12,
+    GST_18: 0.18
+  },
   PACKAGING_FEE: 20, // ₹20
-  DELIVERY_FEE: 40, // ₹40
+  DELIVERY_FEE: 40, // ₹40 — seeds the food DeliveryFeeRules; see utils/deliveryFee.js
 
   // HTTP Status Codes
   HTTP_STATUS: {
@@ -0,0 +1,60 @@
+/**
+ * Minimal RFC 4180 CSV reading / writing for admin imports and reports.
+ */
+
+/** Split CSV text into rows of raw string fields (quotes, "" escapes, CRLF). */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
+
+/** "Payment ID" -> "payment_id", so exports with slightly different headings map to the same keys. */
+const headerKey = (h) => h.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/** Parse CSV with a header row into objects keyed by headerKey(). */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+  const keys = header.map(headerKey);
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? '').trim()])));
+}
+
+const escapeField = (v) => {
+  const s = v == null ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** Objects to CSV text; `columns` fixes which keys are written, in order. */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) lines.push(columns.map(c => escapeField(row[c])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { parseCsvRows, headerKey, parseCsv, toCsv };
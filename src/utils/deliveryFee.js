@@ -0,0 +1,83 @@
+/**
+ * Delivery fee engine. Pure — rules are loaded by deliveryFee.service.
+ *
+ * Order of application:
+ *   1. Base fee: the delivery zone's override if it has one, else the
+ *      distance slab for the address (first slab whose upToKm covers it;
+ *      the last slab if it is beyond all of them), else `baseFee`.
+ *   2. Subtotal slabs: the highest slab the subtotal reaches caps the fee.
+ *   3. Surge: the first active surge window multiplies the fee, then adds
+ *      its extraFee. Surge applies even when step 2 made delivery free.
+ *   4. Loyalty: a tier with free delivery (freeDeliveryTier) waives the
+ *      whole fee, surge included.
+ */
+
+const { getCurrentIstHHmm, getIstWeekday } = require('./categoryWindow');
+
+/** Is the surge window active at `now`? Windows with to < from wrap past midnight. */
+function isSurgeActive(window, now = new Date()) {
+  if (window.days && window.days.length > 0 && !window.days.includes(getIstWeekday(now))) {
+    return false;
+  }
+  const hhmm = getCurrentIstHHmm(now);
+  if (window.from <= window.to) return hhmm >= window.from && hhmm < window.to;
+  return hhmm >= window.from || hhmm < window.to;
+}
+
+function pickDistanceSlab(slabs, distanceKm) {
+  const sorted = [...slabs].sort((a, b) => (a.upToKm ?? Infinity) - (b.upToKm ?? Infinity));
+  return sorted.find(s => s.upToKm == null || distanceKm <= s.upToKm) || sorted[sorted.length - 1];
+}
+
+/**
+ * Compute the delivery fee for an order.
+ *
+ * rules:   { baseFee, distanceSlabs, subtotalSlabs, surgeWindows }
+ * context: { subtotal, distanceKm, zoneFee, freeDeliveryTier, now }
+ *
+ * Returns { fee, base, source: 'zone'|'distance'|'base', distanceKm,
+ *           subtotalCap, surge }, plus waivedByTier when step 4 applied.
+ */
+function computeDeliveryFee(rules, {
+  subtotal = 0, distanceKm = null, zoneFee = null, freeDeliveryTier = null, now = new Date(),
+} = {}) {
+  const distanceSlabs = rules.distanceSlabs || [];
+
+  let base;
+  let source;
+  if (zoneFee != null) {
+    base = zoneFee;
+    source = 'zone';
+  } else if (distanceKm != null && distanceSlabs.length > 0) {
+    base = pickDistanceSlab(distanceSlabs, distanceKm).fee;
+    source = 'distance';
+  } else {
+    base = rules.baseFee || 0;
+    source = 'base';
+  }
+
+  let fee = base;
+  const reached = (rules.subtotalSlabs || []).filter(s => subtotal >= s.minSubtotal);
+  const subtotalCap = reached.length > 0
+    ? reached.reduce((best, s) => (s.minSubtotal > best.minSubtotal ? s : best))
+    : null;
+  if (subtotalCap) fee = Math.min(fee, subtotalCap.fee);
+
+  const surge = (rules.surgeWindows || []).find(w => isSurgeActive(w, now)) || null;
+  if (surge) fee = Math.round(fee * (surge.multiplier || 1)) + (surge.extraFee || 0);
+
+  const quote = {
+    fee,
+    base,
+    source,
+    distanceKm: distanceKm != null ? Math.round(distanceKm * 10) / 10 : null,
+    subtotalCap: subtotalCap && { minSubtotal: subtotalCap.minSubtotal, fee: subtotalCap.fee },
+    surge: surge && { label: surge.label, multiplier: surge.multiplier, extraFee: surge.extraFee },
+  };
+  return freeDeliveryTier ? { ...quote, fee: 0, waivedByTier: freeDeliveryTier } : quote;
+}
+
+module.exports = {
+  computeDeliveryFee,
+  isSurgeActive,
+};
@@ -0,0 +1,52 @@
+/**
+ * Geo helpers for delivery serviceability. Points are
+ * { latitude, longitude } in decimal degrees, matching Address.coordinates.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Is this a usable { latitude, longitude } pair?
+ */
+function isValidPoint(p) {
+  return !!p &&
+    Number.isFinite(p.latitude) && Math.abs(p.latitude) <= 90 &&
+    Number.isFinite(p.longitude) && Math.abs(p.longitude) <= 180;
+}
+
+/**
+ * Great-circle distance between two points in kilometres (haversine).
+ */
+function distanceKm(a, b) {
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLng = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Ray-casting point-in-polygon test. The polygon is an ordered list of
+ * vertices (closed implicitly). Fine for city-scale zones where the
+ * earth's curvature is negligible.
+ */
+function isPointInPolygon(point, polygon) {
+  if (!Array.isArray(polygon) || polygon.length < 3) return false;
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+      point.longitude < ((b.longitude - a.longitude) * (point.latitude - a.latitude)) / (b.latitude - a.latitude) + a.longitude;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+module.exports = {
+  isValidPoint,
+  distanceKm,
+  isPointInPolygon
+};
@@ -0,0 +1,40 @@
+/**
+ * Handoff (proof-of-delivery) rules. Orders handed to the customer by a
+ * rider or at the counter get a short code at creation; the customer reads
+ * it out at handoff. The code or a photo is required to close the order.
+ */
+
+const { generateOTP } = require('./helpers');
+
+const HANDOFF_CODE_DIGITS = 4;
+
+/** Order types that get a handoff code. Dine-in is served at the table. */
+const HANDOFF_ORDER_TYPES = {
+  food: ['DELIVERY', 'TAKEAWAY'],
+  grocery: ['DELIVERY', 'PICKUP'],
+};
+
+/** Statuses that mean "handed to the customer". */
+const HANDOFF_STATUSES = {
+  food: ['COMPLETED'],
+  grocery: ['DELIVERED', 'PICKED_UP'],
+};
+
+const PROOF_METHODS = ['OTP', 'PHOTO'];
+
+const requiresHandoffCode = (section, orderType) =>
+  (HANDOFF_ORDER_TYPES[section] || []).includes(orderType);
+
+const isHandoffStatus = (section, status) =>
+  (HANDOFF_STATUSES[section] || []).includes(status);
+
+const newHandoffCode = () => generateOTP(HANDOFF_CODE_DIGITS);
+
+module.exports = {
+  HANDOFF_CODE_DIGITS,
+  PROOF_METHODS,
+  HANDOFF_STATUSES,
+  requiresHandoffCode,
+  isHandoffStatus,
+  newHandoffCode,
+};
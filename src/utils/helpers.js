@@ -5,6 +5,8 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const config = require('../config/env');
+const { computeDeliveryFee } = require('./deliveryFee');
+const { summarizeTax } = require('./tax');
 
 /**
  * Generate JWT token
@@ -29,10 +31,10 @@ const verifyToken = (token) => {
 };
 
 /**
- * Generate 6-digit OTP
+ * Generate a numeric OTP (6 digits by default; never starts with 0)
  */
-const generateOTP = () => {
-  return crypto.randomInt(100000, 999999).toString();
+const generateOTP = (digits = 6) => {
+  return crypto.randomInt(10 ** (digits - 1), 10 ** digits - 1).toString();
 };
 
 /**
@@ -46,19 +48,34 @@ const generateOrderId = () => {
 
 /**
  * Calculate order total
+ * Items are taxed at their own taxRate, TAX_RATE when they have none.
+ * With `options.feeContext` (deliveryFee.service.buildFeeContext) delivery is
+ * priced by the delivery fee engine; otherwise the flat DELIVERY_FEE applies.
  */
-const calculateOrderTotal = (items, orderType, TAX_RATE, PACKAGING_FEE, DELIVERY_FEE) => {
+const calculateOrderTotal = (items, orderType, TAX_RATE, PACKAGING_FEE, DELIVERY_FEE, { feeContext = null } = {}) => {
   // Calculate subtotal
   const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
   
-  // Calculate tax
-  const tax = Math.round(subtotal * TAX_RATE);
+  // Calculate tax, line by line
+  const { tax, breakdown: taxBreakdown } = summarizeTax(items.map(item => ({
+    amount: item.price * item.quantity,
+    taxRate: item.taxRate ?? TAX_RATE
+  })));
   
   // Add packaging fee
   const packaging = PACKAGING_FEE;
   
   // Add delivery fee if applicable
-  const delivery = orderType === 'DELIVERY' ? DELIVERY_FEE : 0;
+  let delivery = 0;
+  let deliveryDetails = null;
+  if (orderType === 'DELIVERY') {
+    if (feeContext) {
+      deliveryDetails = computeDeliveryFee(feeContext.rules, { ...feeContext, subtotal });
+      delivery = deliveryDetails.fee;
+    } else {
+      delivery = DELIVERY_FEE;
+    }
+  }
   
   // Calculate total
   const total = subtotal + tax + packaging + delivery;
@@ -66,8 +83,10 @@ const calculateOrderTotal = (items, orderType, TAX_RATE, PACKAGING_FEE, DELIVERY
   return {
     subtotal,
     tax,
+    taxBreakdown,
     packaging,
     delivery,
+    deliveryDetails,
     total
   };
 };
@@ -0,0 +1,133 @@
+/**
+ * Opening hours for Restaurant / GrocerySettings, in IST.
+ *
+ * Open/closed is resolved in this order:
+ *   1. An unexpired manual override (the admin open/close toggle).
+ *   2. A closure (holiday) covering today.
+ *   3. The weekly schedule, if one is configured.
+ *   4. Otherwise the stored isOpen flag — stores without a schedule keep
+ *      the original always-manual behaviour.
+ */
+
+const {
+  getCurrentIstHHmm,
+  getIstWeekday,
+  getIstDateString,
+} = require('./categoryWindow');
+
+const hasSchedule = (settings) =>
+  (settings.weeklyHours || []).length > 0 || (settings.closures || []).length > 0;
+
+/**
+ * Is `at` inside one of the weekly intervals? An interval whose close is
+ * before its open runs past midnight into the next day.
+ */
+function isScheduledOpen(weeklyHours, at) {
+  const day = getIstWeekday(at);
+  const prev = (day + 6) % 7;
+  const hhmm = getCurrentIstHHmm(at);
+  return (weeklyHours || []).some(h => {
+    if (h.open < h.close) return h.day === day && hhmm >= h.open && hhmm < h.close;
+    return (h.day === day && hhmm >= h.open) || (h.day === prev && hhmm < h.close);
+  });
+}
+
+/** The closure covering the IST date of `at`, if any. Ranges are inclusive. */
+function closureOn(closures, at) {
+  const date = getIstDateString(at);
+  return (closures || []).find(c => c.from <= date && date <= (c.to || c.from)) || null;
+}
+
+function activeOverride(override, at) {
+  if (!override || typeof override.isOpen !== 'boolean' || !override.expiresAt) return null;
+  return new Date(override.expiresAt) > at ? override : null;
+}
+
+/** Earliest opening later today (HH:mm), for "opens at" messaging. */
+function nextOpeningToday(weeklyHours, at) {
+  const day = getIstWeekday(at);
+  const hhmm = getCurrentIstHHmm(at);
+  const later = (weeklyHours || []).filter(h => h.day === day && h.open > hhmm).map(h => h.open).sort();
+  return later[0] || null;
+}
+
+/**
+ * Resolve whether the store is open at `at`.
+ * Returns { isOpen, message, source: 'override'|'closure'|'schedule'|'manual',
+ *           overrideExpiresAt, opensAt }
+ * `message` is '' when open; callers supply their own generic fallback.
+ */
+function resolveOpenStatus(settings, at = new Date()) {
+  const closedMessage = settings.closingMessage || '';
+
+  const override = activeOverride(settings.manualOverride, at);
+  if (override) {
+    return {
+      isOpen: override.isOpen,
+      message: override.isOpen ? '' : (override.message || closedMessage),
+      source: 'override',
+      overrideExpiresAt: override.expiresAt,
+      opensAt: null,
+    };
+  }
+
+  const closure = closureOn(settings.closures, at);
+  if (closure) {
+    return { isOpen: false, message: closure.message || closedMessage, source: 'closure', overrideExpiresAt: null, opensAt: null };
+  }
+
+  if ((settings.weeklyHours || []).length > 0) {
+    const isOpen = isScheduledOpen(settings.weeklyHours, at);
+    const opensAt = isOpen ? null : nextOpeningToday(settings.weeklyHours, at);
+    const message = isOpen ? '' : (closedMessage || (opensAt ? `We open at ${opensAt} today.` : ''));
+    return { isOpen, message, source: 'schedule', overrideExpiresAt: null, opensAt };
+  }
+
+  return {
+    isOpen: !!settings.isOpen,
+    message: settings.isOpen ? '' : closedMessage,
+    source: 'manual',
+    overrideExpiresAt: null,
+    opensAt: null,
+  };
+}
+
+/**
+ * Will the store be open at a future instant (e.g. a scheduled slot)?
+ * Without a schedule this is always true — the manual isOpen flag only
+ * describes "right now".
+ */
+function isWithinOpenHours(settings, at = new Date()) {
+  const status = resolveOpenStatus(settings || {}, at);
+  return status.source === 'manual' ? true : status.isOpen;
+}
+
+/**
+ * Status payload for the public/admin status endpoints: the resolved
+ * status plus the weekly schedule and closures that haven't ended yet.
+ */
+function describeOpenStatus(settings, now = new Date()) {
+  const status = resolveOpenStatus(settings, now);
+  const today = getIstDateString(now);
+  const plain = (x) => (x && typeof x.toObject === 'function' ? x.toObject() : x);
+  return {
+    isOpen: status.isOpen,
+    closingMessage: status.message,
+    source: status.source,
+    opensAt: status.opensAt,
+    overrideExpiresAt: status.overrideExpiresAt,
+    weeklyHours: (settings.weeklyHours || []).map(plain),
+    closures: (settings.closures || [])
+      .filter(c => (c.to || c.from) >= today)
+      .map(plain)
+      .sort((a, b) => a.from.localeCompare(b.from)),
+  };
+}
+
+module.exports = {
+  hasSchedule,
+  isScheduledOpen,
+  resolveOpenStatus,
+  isWithinOpenHours,
+  describeOpenStatus,
+};
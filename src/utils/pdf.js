@@ -0,0 +1,167 @@
+/**
+ * Minimal PDF writer for server-rendered documents (invoices). No external
+ * services or native dependencies: A4 pages, Helvetica / Helvetica-Bold
+ * text with left / right / centre alignment, and ruled lines. Coordinates
+ * are in points from the top-left corner of the page.
+ *
+ * The standard fonts only cover Latin text, so anything outside printable
+ * ASCII is transliterated where possible ("₹" -> "Rs.") or replaced by "?".
+ */
+
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Glyph widths (1/1000 em) for characters 32..126, from the standard AFMs.
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+const toPdfText = (value) => String(value ?? '')
+  .replace(/₹/g, 'Rs.')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\r\n\t]+/g, ' ')
+  .replace(/[^\x20-\x7e]/g, '?');
+
+/** Width of `value` in points at `size`. */
+function textWidth(value, size, bold = false) {
+  const widths = bold ? HELVETICA_BOLD : HELVETICA;
+  let sum = 0;
+  for (const ch of toPdfText(value)) sum += widths[ch.charCodeAt(0) - 32];
+  return (sum * size) / 1000;
+}
+
+/** Break `value` into lines no wider than `width` (long words are cut). */
+function wrapText(value, width, size, bold = false) {
+  const lines = [];
+  let line = '';
+  for (let word of toPdfText(value).split(' ').filter(Boolean)) {
+    while (textWidth(word, size, bold) > width) {
+      let cut = word.length - 1;
+      while (cut > 1 && textWidth(word.slice(0, cut), size, bold) > width) cut--;
+      if (line) { lines.push(line); line = ''; }
+      lines.push(word.slice(0, cut));
+      word = word.slice(cut);
+    }
+    const next = line ? `${line} ${word}` : word;
+    if (line && textWidth(next, size, bold) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line || !lines.length) lines.push(line);
+  return lines;
+}
+
+const num = (n) => Number(n.toFixed(2)).toString();
+const escapeText = (s) => s.replace(/[\\()]/g, '\\$&');
+
+class PdfDocument {
+  constructor() {
+    this.width = PAGE_WIDTH;
+    this.height = PAGE_HEIGHT;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.ops = [];
+    this.pages.push(this.ops);
+    return this;
+  }
+
+  /** Draw text with its top at `y`. `align` right / center is within `width` from `x`. */
+  text(value, x, y, { size = 10, bold = false, align = 'left', width = 0 } = {}) {
+    const text = toPdfText(value);
+    let left = x;
+    if (align === 'right') left = x + width - textWidth(text, size, bold);
+    else if (align === 'center') left = x + (width - textWidth(text, size, bold)) / 2;
+    const baseline = this.height - y - size * 0.8;
+    this.ops.push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(left)} ${num(baseline)} Td (${escapeText(text)}) Tj ET`);
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.ops.push(`${num(width)} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`);
+    return this;
+  }
+
+  /** Serialise to a PDF 1.4 file. */
+  toBuffer() {
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      null, // page tree, filled in below
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    ];
+    const kids = [];
+    for (const ops of this.pages) {
+      const content = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+      const pageRef = objects.length + 1;
+      kids.push(`${pageRef} 0 R`);
+      objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageRef + 1} 0 R >>`
+      );
+      objects.push(Buffer.concat([
+        Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        content,
+        Buffer.from('\nendstream', 'latin1'),
+      ]));
+    }
+    objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = [];
+    objects.forEach((body, i) => {
+      const chunk = Buffer.concat([
+        Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n', 'latin1'),
+      ]);
+      offsets.push(offset);
+      offset += chunk.length;
+      chunks.push(chunk);
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+      'startxref',
+      String(offset),
+      '%%EOF',
+      '',
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  textWidth,
+  wrapText,
+  toPdfText,
+};
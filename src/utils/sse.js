@@ -0,0 +1,36 @@
+/**
+ * Server-Sent Events helpers.
+ */
+
+/** Comment line every 25s so proxies don't drop an idle stream. */
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Switch the response into an event stream. Returns { send(event, data),
+ * onClose(fn) }; close handlers run once when the client disconnects.
+ */
+function openEventStream(req, res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const closeHandlers = [];
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    closeHandlers.splice(0).forEach(fn => fn());
+  });
+
+  return { send, onClose: (fn) => closeHandlers.push(fn) };
+}
+
+module.exports = { openEventStream };
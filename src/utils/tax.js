@@ -0,0 +1,45 @@
+/**
+ * GST per order line. Menu items and grocery variants carry a tax class
+ * (TAX_CLASSES in utils/constants); anything without one is taxed at its
+ * section's default rate (TAX_RATE for food, GrocerySettings.taxRate for
+ * grocery). Rates are fractions, e.g. 0.05.
+ */
+
+const { TAX_CLASSES } = require('./constants');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Rate for a tax class, or `fallback` when the item has none. */
+const taxRateFor = (taxClass, fallback = 0) =>
+  taxClass && TAX_CLASSES[taxClass] !== undefined ? TAX_CLASSES[taxClass] : fallback;
+
+/** Tax on one line, to the paisa. */
+const lineTax = (amount, rate) => round2(amount * rate);
+
+/**
+ * Order tax for priced lines ([{ amount, taxRate }]). Lines keep their tax
+ * to the paisa; the order's tax is the total rounded to the rupee, so a
+ * single-rate cart is taxed exactly as before. `breakdown` has one row per
+ * rate, lowest first: [{ rate, taxable, tax }].
+ */
+function summarizeTax(lines) {
+  const byRate = new Map();
+  let exact = 0;
+  for (const { amount, taxRate } of lines) {
+    const row = byRate.get(taxRate) || { rate: taxRate, taxable: 0, tax: 0 };
+    row.taxable = round2(row.taxable + amount);
+    row.tax = round2(row.tax + lineTax(amount, taxRate));
+    byRate.set(taxRate, row);
+    exact += amount * taxRate;
+  }
+  return {
+    tax: Math.round(round2(exact)),
+    breakdown: [...byRate.values()].sort((a, b) => a.rate - b.rate),
+  };
+}
+
+module.exports = {
+  taxRateFor,
+  lineTax,
+  summarizeTax,
+};
@@ -61,8 +61,34 @@ const transformEntityWithNested = (entity, nestedFields = []) => {
   return transformed;
 };
 
+/**
+ * What customers see of the rider on their order: contact details, progress
+ * timestamps and last known location (no internal ids)
+ * @param {Object|null} assignment - order.rider
+ * @returns {Object|null}
+ */
+const toPublicRider = (assignment) => {
+  if (!assignment || !assignment.rider) return null;
+  return {
+    name: assignment.name,
+    phone: assignment.phone,
+    vehicleNumber: assignment.vehicleNumber || '',
+    acceptedAt: assignment.acceptedAt || null,
+    pickedUpAt: assignment.pickedUpAt || null,
+    deliveredAt: assignment.deliveredAt || null,
+    lastLocation: assignment.lastLocation
+      ? {
+        latitude: assignment.lastLocation.latitude,
+        longitude: assignment.lastLocation.longitude,
+        at: assignment.lastLocation.at
+      }
+      : null
+  };
+};
+
 module.exports = {
   transformEntity,
   transformEntities,
-  transformEntityWithNested
+  transformEntityWithNested,
+  toPublicRider
 };